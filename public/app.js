@@ -4,10 +4,12 @@ const API_BASE = window.location.origin;
 // State
 let listingSellers = [];
 let soldSellers = [];
+let monitoringPaused = false;
 
 // Initialize
 document.addEventListener("DOMContentLoaded", () => {
   loadWebhooks();
+  loadMonitoring();
   loadSellers();
   setupFormHandlers();
 });
@@ -49,6 +51,30 @@ async function loadWebhooks() {
   }
 }
 
+// Load whether monitoring is paused
+async function loadMonitoring() {
+  try {
+    const response = await fetch(`${API_BASE}/api/admin/monitoring`);
+    const data = await response.json();
+
+    if (data.success) {
+      monitoringPaused = data.paused;
+      const status = document.getElementById("monitoringStatus");
+      status.textContent = !data.paused
+        ? "Running"
+        : data.pausedUntil
+        ? `Snoozed until ${formatDate(data.pausedUntil)}`
+        : "Paused";
+      status.className = `status-value ${data.paused ? "paused" : ""}`;
+      document.getElementById("monitoringToggle").textContent = data.paused
+        ? "Resume All"
+        : "Pause All";
+    }
+  } catch (error) {
+    console.error("Error loading monitoring status:", error);
+  }
+}
+
 // Load sellers
 async function loadSellers() {
   try {
@@ -111,7 +137,49 @@ function renderSellers() {
                               )}</span>`
                             : ""
                         }
+                        ${
+                          seller.marketplace
+                            ? `<span>Site: ${escapeHtml(
+                                seller.marketplace.toUpperCase()
+                              )}</span>`
+                            : ""
+                        }
+                        ${
+                          seller.inventoryMode
+                            ? `<span>Full inventory</span>`
+                            : ""
+                        }
+                        ${
+                          seller.filters
+                            ? `<span>Filters: ${escapeHtml(
+                                formatFilters(seller.filters)
+                              )}</span>`
+                            : ""
+                        }
+                        ${
+                          seller.schedule
+                            ? `<span>Schedule: ${escapeHtml(
+                                formatSchedule(seller.schedule)
+                              )}</span>`
+                            : ""
+                        }
+                        ${formatPause(seller)}
+                        ${formatWebhookRoute(seller)}
+                        ${
+                          seller.baselinePending
+                            ? `<span>First check stores existing items</span>`
+                            : ""
+                        }
+                        <span>Next check: ${
+                          seller.nextCheckAt
+                            ? formatDate(seller.nextCheckAt)
+                            : seller.paused
+                            ? "When resumed"
+                            : "Next run"
+                        }</span>
                         <span>Added: ${formatDate(seller.addedAt)}</span>
+                        ${formatScrapeStatus(seller.scrapeStatus)}
+                        ${formatFetchStats(seller.fetchStats)}
                         ${
                           seller.lastCheckedListings
                             ? `<span>Last checked: ${formatDate(
@@ -122,6 +190,26 @@ function renderSellers() {
                     </div>
                 </div>
                 <div class="seller-actions">
+                    <button class="btn btn-secondary" onclick="editFilters('${escapeHtml(
+                      seller.ssn || seller.username
+                    )}', 'listings')">
+                        Filters
+                    </button>
+                    <button class="btn btn-secondary" onclick="editSchedule('${escapeHtml(
+                      seller.ssn || seller.username
+                    )}', 'listings')">
+                        Schedule
+                    </button>
+                    <button class="btn btn-secondary" onclick="togglePause('${escapeHtml(
+                      seller.ssn || seller.username
+                    )}', 'listings')">
+                        ${seller.paused ? "Resume" : "Pause"}
+                    </button>
+                    <button class="btn btn-secondary" onclick="snoozeSeller('${escapeHtml(
+                      seller.ssn || seller.username
+                    )}', 'listings')">
+                        Snooze
+                    </button>
                     <button class="btn btn-danger" onclick="removeSeller('${escapeHtml(
                       seller.ssn || seller.username
                     )}', 'listings')">
@@ -165,7 +253,44 @@ function renderSellers() {
                               )}</span>`
                             : ""
                         }
+                        ${
+                          seller.marketplace
+                            ? `<span>Site: ${escapeHtml(
+                                seller.marketplace.toUpperCase()
+                              )}</span>`
+                            : ""
+                        }
+                        ${
+                          seller.filters
+                            ? `<span>Filters: ${escapeHtml(
+                                formatFilters(seller.filters)
+                              )}</span>`
+                            : ""
+                        }
+                        ${
+                          seller.schedule
+                            ? `<span>Schedule: ${escapeHtml(
+                                formatSchedule(seller.schedule)
+                              )}</span>`
+                            : ""
+                        }
+                        ${formatPause(seller)}
+                        ${formatWebhookRoute(seller)}
+                        ${
+                          seller.baselinePending
+                            ? `<span>First check stores existing items</span>`
+                            : ""
+                        }
+                        <span>Next check: ${
+                          seller.nextCheckAt
+                            ? formatDate(seller.nextCheckAt)
+                            : seller.paused
+                            ? "When resumed"
+                            : "Next run"
+                        }</span>
                         <span>Added: ${formatDate(seller.addedAt)}</span>
+                        ${formatScrapeStatus(seller.scrapeStatus)}
+                        ${formatFetchStats(seller.fetchStats)}
                         ${
                           seller.lastCheckedSold
                             ? `<span>Last checked: ${formatDate(
@@ -176,6 +301,26 @@ function renderSellers() {
                     </div>
                 </div>
                 <div class="seller-actions">
+                    <button class="btn btn-secondary" onclick="editFilters('${escapeHtml(
+                      seller.ssn || seller.username
+                    )}', 'sold')">
+                        Filters
+                    </button>
+                    <button class="btn btn-secondary" onclick="editSchedule('${escapeHtml(
+                      seller.ssn || seller.username
+                    )}', 'sold')">
+                        Schedule
+                    </button>
+                    <button class="btn btn-secondary" onclick="togglePause('${escapeHtml(
+                      seller.ssn || seller.username
+                    )}', 'sold')">
+                        ${seller.paused ? "Resume" : "Pause"}
+                    </button>
+                    <button class="btn btn-secondary" onclick="snoozeSeller('${escapeHtml(
+                      seller.ssn || seller.username
+                    )}', 'sold')">
+                        Snooze
+                    </button>
                     <button class="btn btn-danger" onclick="removeSeller('${escapeHtml(
                       seller.ssn || seller.username
                     )}', 'sold')">
@@ -207,12 +352,40 @@ async function handleAddSeller(e) {
   const storeNameInput = document.getElementById("storeName");
   const ssnInput = document.getElementById("sellerSSN");
   const typeSelect = document.getElementById("sellerType");
+  const marketplaceSelect = document.getElementById("sellerMarketplace");
   const storeName = storeNameInput.value.trim();
   const ssn = ssnInput.value.trim();
-  const type = typeSelect.value;
+  // "Full Inventory" is a listings seller with inventory tracking enabled
+  const inventory = typeSelect.value === "inventory";
+  const type = inventory ? "listings" : typeSelect.value;
+  const marketplace = marketplaceSelect.value;
+  const notifyExisting =
+    document.getElementById("notifyExisting").value === "true";
+  const group = document.getElementById("sellerGroup").value.trim();
+  const filters = {
+    storeCategories: document.getElementById("filterStoreCategories").value,
+    format: document.getElementById("filterFormat").value,
+    condition: document.getElementById("filterCondition").value,
+    minPrice: document.getElementById("filterMinPrice").value,
+    maxPrice: document.getElementById("filterMaxPrice").value,
+  };
+  // A check time with spaces is a cron expression, otherwise an interval
+  const checkEvery = document.getElementById("scheduleEvery").value.trim();
+  const activeHours = document
+    .getElementById("scheduleActiveHours")
+    .value.trim();
+  const schedule =
+    checkEvery || activeHours
+      ? {
+          ...(checkEvery.includes(" ")
+            ? { cron: checkEvery }
+            : { interval: checkEvery }),
+          activeHours,
+        }
+      : null;
 
-  if (!storeName || !ssn) {
-    showMessage("Please enter both Store Name and SSN", "error");
+  if (!storeName && !ssn) {
+    showMessage("Please enter a Store Name, an SSN or both", "error");
     return;
   }
 
@@ -227,15 +400,33 @@ async function handleAddSeller(e) {
       headers: {
         "Content-Type": "application/json",
       },
-      body: JSON.stringify({ storeName, ssn, type }),
+      body: JSON.stringify({
+        storeName,
+        ssn,
+        type,
+        marketplace,
+        inventory,
+        filters,
+        schedule,
+        notifyExisting,
+        group,
+      }),
     });
 
     const data = await response.json();
 
     if (data.success) {
       const typeLabel = type === "listings" ? "listings" : "sold items";
+      const added = data.seller || { ssn };
+      const preview = data.preview
+        ? ` Found ${data.preview.activeListings} active listing(s) and ${data.preview.soldItems} sold item(s).`
+        : "";
+      const warnings =
+        data.warnings && data.warnings.length > 0
+          ? ` Note: ${data.warnings.join(" ")}`
+          : "";
       showMessage(
-        `Seller "${ssn}" added successfully for ${typeLabel} monitoring!`,
+        `Seller "${added.ssn}" added successfully for ${typeLabel} monitoring!${preview}${warnings}`,
         "success"
       );
       storeNameInput.value = "";
@@ -245,6 +436,11 @@ async function handleAddSeller(e) {
         loadSellers();
         loadWebhooks(); // Reload webhooks in case monitoring restarted
       }, 500);
+    } else if (data.mismatches) {
+      showMessage(
+        `${data.error}. eBay lists this seller as SSN "${data.resolved.ssn}" with store "${data.resolved.storeName}".`,
+        "error"
+      );
     } else {
       showMessage(
         data.message || data.error || "Failed to add seller",
@@ -260,6 +456,232 @@ async function handleAddSeller(e) {
   }
 }
 
+// Format seller filters as "key=value; ..." text (also the edit prompt syntax)
+function formatFilters(filters) {
+  if (!filters) return "";
+  const parts = [];
+  if (filters.storeCategories && filters.storeCategories.length > 0) {
+    parts.push(`storeCategories=${filters.storeCategories.join(",")}`);
+  }
+  if (filters.format) {
+    parts.push(`format=${filters.format}`);
+  }
+  if (filters.condition && filters.condition.length > 0) {
+    parts.push(`condition=${filters.condition.join(",")}`);
+  }
+  if (filters.minPrice !== null && filters.minPrice !== undefined) {
+    parts.push(`minPrice=${filters.minPrice}`);
+  }
+  if (filters.maxPrice !== null && filters.maxPrice !== undefined) {
+    parts.push(`maxPrice=${filters.maxPrice}`);
+  }
+  return parts.join("; ");
+}
+
+// Format a check interval in milliseconds as e.g. "15m", "2h" or "1d"
+function formatInterval(ms) {
+  const units = [
+    ["d", 24 * 60 * 60 * 1000],
+    ["h", 60 * 60 * 1000],
+    ["m", 60 * 1000],
+  ];
+  for (const [unit, size] of units) {
+    if (ms % size === 0) return `${ms / size}${unit}`;
+  }
+  return `${ms / 1000}s`;
+}
+
+// Format a seller schedule as "key=value; ..." text (also the edit prompt syntax)
+function formatSchedule(schedule) {
+  if (!schedule) return "";
+  const parts = [];
+  if (schedule.interval) {
+    parts.push(`interval=${formatInterval(schedule.interval)}`);
+  }
+  if (schedule.cron) {
+    parts.push(`cron=${schedule.cron}`);
+  }
+  if (schedule.activeHours) {
+    parts.push(
+      `activeHours=${schedule.activeHours.start}-${schedule.activeHours.end}`
+    );
+  }
+  if (schedule.timeZone) {
+    parts.push(`timeZone=${schedule.timeZone}`);
+  }
+  return parts.join("; ");
+}
+
+// Parse "key=value; ..." text (empty text gives null)
+function parseKeyValues(text) {
+  const values = {};
+  for (const part of text.split(";")) {
+    const separator = part.indexOf("=");
+    if (separator === -1) continue;
+    values[part.slice(0, separator).trim()] = part.slice(separator + 1).trim();
+  }
+  return Object.keys(values).length > 0 ? values : null;
+}
+
+// Find a loaded seller by SSN
+function findSeller(ssn, type) {
+  const sellers = type === "listings" ? listingSellers : soldSellers;
+  return sellers.find((s) => (s.ssn || s.username) === ssn);
+}
+
+// Send updated seller settings
+async function updateSeller(ssn, type, updates, label) {
+  try {
+    const response = await fetch(
+      `${API_BASE}/api/admin/sellers/${encodeURIComponent(ssn)}?type=${type}`,
+      {
+        method: "PATCH",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(updates),
+      }
+    );
+
+    const data = await response.json();
+
+    if (data.success) {
+      showMessage(`${label} of "${ssn}" updated!`, "success");
+      setTimeout(() => {
+        loadSellers();
+      }, 500);
+    } else {
+      showMessage(
+        data.message || data.error || `Failed to update ${label.toLowerCase()}`,
+        "error"
+      );
+    }
+  } catch (error) {
+    console.error(`Error updating ${label.toLowerCase()}:`, error);
+    showMessage(
+      `Error updating ${label.toLowerCase()}. Please try again.`,
+      "error"
+    );
+  }
+}
+
+// Edit seller filters
+async function editFilters(ssn, type) {
+  const seller = findSeller(ssn, type);
+  const text = prompt(
+    `Filters for "${ssn}" (storeCategories, format, condition, minPrice, maxPrice), e.g. "format=auction; minPrice=10". Leave empty to clear.`,
+    formatFilters(seller && seller.filters)
+  );
+  if (text === null) {
+    return;
+  }
+  await updateSeller(ssn, type, { filters: parseKeyValues(text) }, "Filters");
+}
+
+// Edit seller check schedule
+async function editSchedule(ssn, type) {
+  const seller = findSeller(ssn, type);
+  const text = prompt(
+    `Schedule for "${ssn}" (interval or cron, activeHours, timeZone), e.g. "interval=15m; activeHours=08:00-22:00" or "cron=0 */6 * * *". Leave empty for the default interval.`,
+    formatSchedule(seller && seller.schedule)
+  );
+  if (text === null) {
+    return;
+  }
+  await updateSeller(ssn, type, { schedule: parseKeyValues(text) }, "Schedule");
+}
+
+// Send a pause, snooze or resume request
+async function sendPauseAction(url, body, label) {
+  try {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(body),
+    });
+
+    const data = await response.json();
+
+    if (data.success) {
+      showMessage(data.message || `${label} updated!`, "success");
+      setTimeout(() => {
+        loadMonitoring();
+        loadSellers();
+      }, 500);
+    } else {
+      showMessage(
+        data.message || data.error || `Failed to update ${label}`,
+        "error"
+      );
+    }
+  } catch (error) {
+    console.error(`Error updating ${label}:`, error);
+    showMessage(`Error updating ${label}. Please try again.`, "error");
+  }
+}
+
+// Ask how long to snooze for (null when cancelled)
+function promptSnoozeDuration(name) {
+  const duration = prompt(
+    `Snooze ${name} for how long? e.g. "30m", "2h" or "1d"`,
+    "1h"
+  );
+  return duration === null || duration.trim() === "" ? null : duration.trim();
+}
+
+// Pause or resume all checks
+async function toggleMonitoring() {
+  const action = monitoringPaused ? "resume" : "pause";
+  await sendPauseAction(
+    `${API_BASE}/api/admin/monitoring/${action}`,
+    {},
+    "monitoring"
+  );
+}
+
+// Snooze all checks
+async function snoozeMonitoring() {
+  const duration = promptSnoozeDuration("all checks");
+  if (duration === null) {
+    return;
+  }
+  await sendPauseAction(
+    `${API_BASE}/api/admin/monitoring/snooze`,
+    { duration },
+    "monitoring"
+  );
+}
+
+// Pause or resume a seller
+async function togglePause(ssn, type) {
+  const seller = findSeller(ssn, type);
+  const action = seller && seller.paused ? "resume" : "pause";
+  await sendPauseAction(
+    `${API_BASE}/api/admin/sellers/${encodeURIComponent(
+      ssn
+    )}/${action}?type=${type}`,
+    {},
+    `seller "${ssn}"`
+  );
+}
+
+// Snooze a seller
+async function snoozeSeller(ssn, type) {
+  const duration = promptSnoozeDuration(`"${ssn}"`);
+  if (duration === null) {
+    return;
+  }
+  await sendPauseAction(
+    `${API_BASE}/api/admin/sellers/${encodeURIComponent(
+      ssn
+    )}/snooze?type=${type}`,
+    { duration },
+    `seller "${ssn}"`
+  );
+}
+
 // Remove seller
 async function removeSeller(ssn, type) {
   const typeLabel = type === "listings" ? "listings" : "sold items";
@@ -328,3 +750,67 @@ function formatDate(dateString) {
   const date = new Date(dateString);
   return date.toLocaleString();
 }
+
+// Format the last scrape outcome of a seller (nothing when healthy)
+function formatScrapeStatus(scrapeStatus) {
+  if (
+    !scrapeStatus ||
+    scrapeStatus.status === "ok" ||
+    scrapeStatus.status === "empty"
+  ) {
+    return "";
+  }
+  const labels = {
+    blocked: "Blocked by eBay",
+    not_found: "Seller not found",
+    network_error: "Network error",
+  };
+  const label = labels[scrapeStatus.status] || "Check failed";
+  const until = scrapeStatus.cooldownUntil
+    ? `, paused until ${formatDate(scrapeStatus.cooldownUntil)}`
+    : "";
+  return `<span>⚠️ ${label}${until}</span>`;
+}
+
+// Format whether a seller is paused or snoozed (nothing when active)
+function formatPause(seller) {
+  if (!seller.paused) {
+    return "";
+  }
+  return seller.pausedUntil
+    ? `<span>⏸ Snoozed until ${formatDate(seller.pausedUntil)}</span>`
+    : `<span>⏸ Paused</span>`;
+}
+
+// Format where a seller's webhooks go: its own, its group's or the global one
+function formatWebhookRoute(seller) {
+  const route = seller.webhookRoutes && seller.webhookRoutes[seller.type];
+  if (!route || !route.source) {
+    return `<span>Webhook: none</span>`;
+  }
+  const label =
+    route.source === "seller"
+      ? "own"
+      : route.source === "group"
+      ? `group ${escapeHtml(seller.group)}`
+      : "global";
+  const count = route.urls.length > 1 ? ` (${route.urls.length})` : "";
+  return `<span>Webhook: ${label}${count}</span>`;
+}
+
+// Format how a seller's pages were fetched (plain HTTP vs. browser)
+function formatFetchStats(fetchStats) {
+  if (!fetchStats || !fetchStats.lastStrategy) {
+    return "";
+  }
+  const rates = ["http", "browser"]
+    .filter((strategy) => fetchStats[strategy].attempts > 0)
+    .map(
+      (strategy) =>
+        `${strategy.toUpperCase()} ${fetchStats[strategy].successRate}% of ${
+          fetchStats[strategy].attempts
+        }`
+    )
+    .join(", ");
+  return `<span>Fetch: ${rates}</span>`;
+}
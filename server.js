@@ -9,10 +9,191 @@ const PORT = process.env.PORT || 4000;
 const sellerManager = require("./utils/sellerManager");
 const scraper = require("./utils/scraper");
 const webhooks = require("./utils/webhooks");
+const browserPool = require("./utils/browserPool");
+const marketplaces = require("./utils/marketplaces");
+const proxyPool = require("./utils/proxyPool");
+const { getFetchStats } = require("./utils/fetchStrategy");
+const { getSelectorHealth } = require("./utils/selectorHealth");
+const { buildSnapshot, diffInventory } = require("./utils/inventory");
+const priceChanges = require("./utils/priceChanges");
+const sales = require("./utils/sales");
+const searchQuery = require("./utils/searchQuery");
+const { normalizeSellerFilters } = require("./utils/listingFilters");
+const { normalizeSchedule, getNextCheck } = require("./utils/schedule");
+const cooldown = require("./utils/cooldown");
+const jobQueue = require("./utils/jobQueue");
+const pause = require("./utils/pause");
+const runHistory = require("./utils/runHistory");
+const outbox = require("./utils/outbox");
+const webhookRoutes = require("./utils/webhookRoutes");
+const {
+  PAGE_STATUS,
+  ScrapeError,
+  BlockedError,
+  SellerNotFoundError,
+  NetworkError,
+} = require("./utils/scrapeErrors");
 
 // Global variable to trigger monitoring restart
 let monitoringActive = true;
+// Timer of the next scheduler run, and when it fires
 let monitoringTimeout = null;
+let monitoringNextRunAt = null;
+// Listing IDs kept per search monitor to tell new listings apart
+const MAX_KNOWN_SEARCH_ITEMS = 5000;
+
+const RUN_KINDS = ["cycle", "check"];
+const RUN_STATUSES = ["ok", "baseline", "skipped", "failed"];
+
+/**
+ * Parses an optional sold lookback window from a request value
+ * @param {*} value - Raw value from body or query
+ * @returns {Object} { value: number|null, error: string|null }
+ */
+function parseLookbackDays(value) {
+  if (value === undefined || value === null || value === "") {
+    return { value: null, error: null };
+  }
+  const days = Number(value);
+  if (!Number.isFinite(days) || days <= 0) {
+    return {
+      value: null,
+      error: "Invalid lookbackDays (must be a positive number of days)",
+    };
+  }
+  return { value: days, error: null };
+}
+
+/**
+ * Validates an optional marketplace ID from a request value
+ * @param {*} value - Raw value from body or query
+ * @returns {Object} { value: string|null, error: string|null }
+ */
+function parseMarketplace(value) {
+  if (value === undefined || value === null || value === "") {
+    return { value: null, error: null };
+  }
+  if (!marketplaces.isValidMarketplace(value)) {
+    return {
+      value: null,
+      error: `Invalid marketplace (must be one of: ${marketplaces
+        .listMarketplaces()
+        .map((m) => m.id)
+        .join(", ")})`,
+    };
+  }
+  return { value: value.toLowerCase(), error: null };
+}
+
+/**
+ * Validates an optional price change threshold from a request value
+ * @param {*} value - Raw value from body or query (e.g. "2.50" or "5%")
+ * @returns {Object} { value: string|null, error: string|null }
+ */
+function parsePriceChangeThreshold(value) {
+  if (value === undefined || value === null || value === "") {
+    return { value: null, error: null };
+  }
+  const threshold = priceChanges.parseThreshold(value);
+  if (!threshold) {
+    return {
+      value: null,
+      error:
+        "Invalid priceChangeThreshold (must be an amount like 2.50 or a percent like 5%)",
+    };
+  }
+  return { value: priceChanges.formatThreshold(threshold), error: null };
+}
+
+/**
+ * Gets the price change threshold of a seller
+ * @param {Object} seller - Seller record
+ * @returns {Object} Threshold { type, value }
+ */
+function getPriceChangeThreshold(seller) {
+  return (
+    priceChanges.parseThreshold(seller.priceChangeThreshold) ||
+    priceChanges.DEFAULT_PRICE_CHANGE_THRESHOLD
+  );
+}
+
+/**
+ * Validates an optional true/false flag from a request value
+ * @param {*} value - Raw value from body or query
+ * @param {string} name - Field name (for the error message)
+ * @returns {Object} { value: boolean|null, error: string|null }
+ */
+function parseOptionalFlag(value, name) {
+  if (value === undefined || value === null || value === "") {
+    return { value: null, error: null };
+  }
+  if (value === true || value === "true") return { value: true, error: null };
+  if (value === false || value === "false") {
+    return { value: false, error: null };
+  }
+  return { value: null, error: `Invalid ${name} (must be true or false)` };
+}
+
+/**
+ * Validates the filters and paging of a run history query
+ * @param {Object} query - Request query { kind, status, since, until, limit, offset }
+ * @returns {Object} { value: Object|null, error: string|null }
+ */
+function parseRunQuery(query) {
+  const { kind, status, since, until, limit, offset } = query;
+  if (kind && !RUN_KINDS.includes(kind)) {
+    return {
+      value: null,
+      error: `Invalid kind (must be one of: ${RUN_KINDS.join(", ")})`,
+    };
+  }
+  if (status && !RUN_STATUSES.includes(status)) {
+    return {
+      value: null,
+      error: `Invalid status (must be one of: ${RUN_STATUSES.join(", ")})`,
+    };
+  }
+
+  const value = { kind, status };
+  for (const [name, raw] of [
+    ["since", since],
+    ["until", until],
+  ]) {
+    if (!raw) continue;
+    const date = new Date(raw);
+    if (isNaN(date.getTime())) {
+      return { value: null, error: `Invalid ${name} (use an ISO date)` };
+    }
+    value[name] = date;
+  }
+  for (const [name, raw, min] of [
+    ["limit", limit, 1],
+    ["offset", offset, 0],
+  ]) {
+    if (raw === undefined || raw === "") continue;
+    const number = Number(raw);
+    if (!Number.isInteger(number) || number < min) {
+      return {
+        value: null,
+        error: `Invalid ${name} (must be a whole number of at least ${min})`,
+      };
+    }
+    value[name] = number;
+  }
+  return { value, error: null };
+}
+
+/**
+ * Maps a scrape failure to an HTTP status code
+ * @param {Error} error - Error thrown by the scraper
+ * @returns {number} 503 when blocked, 404 when not found, 502 on network errors, else 500
+ */
+function getScrapeErrorStatusCode(error) {
+  if (error instanceof BlockedError) return 503;
+  if (error instanceof SellerNotFoundError) return 404;
+  if (error instanceof NetworkError) return 502;
+  return 500;
+}
 
 // Middleware
 app.use(express.json());
@@ -36,6 +217,9 @@ app.get("/health", (req, res) => {
  */
 app.get("/api/admin/webhooks", async (req, res) => {
   try {
+    const monitor = await sellerManager.loadMonitorState();
+    const groups = monitor.webhookGroups || {};
+    const sellers = await sellerManager.getAllSellers();
     res.json({
       success: true,
       webhookUrlListings: process.env.WEBHOOK_URL_LISTINGS
@@ -44,494 +228,2624 @@ app.get("/api/admin/webhooks", async (req, res) => {
       webhookUrlSold: process.env.WEBHOOK_URL_SOLD
         ? "***configured***"
         : "not set",
-      note: "Configure webhooks using environment variables: WEBHOOK_URL_LISTINGS and WEBHOOK_URL_SOLD",
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: "Failed to get webhook configuration",
-      message: error.message,
-    });
-  }
-});
-
-// ========== ADMIN ENDPOINTS ==========
-
-/**
- * GET /api/admin/sellers
- * Get all monitored sellers
- */
-app.get("/api/admin/sellers", async (req, res) => {
-  try {
-    const { type } = req.query; // Optional query parameter: ?type=listings or ?type=sold
-    const sellers = await sellerManager.getAllSellers(type || null);
-    res.json({
-      success: true,
-      count: sellers.length,
-      sellers: sellers.map((s) => ({
-        storeName: s.storeName,
-        ssn: s.ssn || s.username,
-        username: s.username || s.ssn, // Keep for backward compatibility
+      groups: Object.fromEntries(
+        Object.entries(groups).map(([name, routes]) => [
+          name,
+          webhookRoutes.maskWebhookRoutes(routes),
+        ])
+      ),
+      // Where each seller and search posts, and whether that comes from the
+      // seller, its group or the global webhooks
+      routes: sellers.map((s) => ({
         type: s.type,
-        lastCheckedListings: s.lastCheckedListings,
-        lastCheckedSold: s.lastCheckedSold,
-        addedAt: s.addedAt,
+        target: getEntryTarget(s),
+        group: s.group || null,
+        ...webhookRoutes.maskWebhookRoutes(getEntryWebhooks(s, monitor)),
       })),
+      note: "Configure the global webhooks using environment variables: WEBHOOK_URL_LISTINGS and WEBHOOK_URL_SOLD. Sellers and groups can set their own.",
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: "Failed to get sellers",
+      error: "Failed to get webhook configuration",
       message: error.message,
     });
   }
 });
 
 /**
- * POST /api/admin/sellers
- * Add a new seller to monitor
- * Body: { storeName, ssn, type }
+ * PUT /api/admin/webhooks/groups/:group
+ * Set the webhooks of a seller group
+ * Body: { listings, sold } - a URL or an array of URLs each
  */
-app.post("/api/admin/sellers", async (req, res) => {
+app.put("/api/admin/webhooks/groups/:group", async (req, res) => {
   try {
-    const { storeName, ssn, type } = req.body;
-
-    // Trim and validate required fields
-    const trimmedStoreName = storeName ? storeName.trim() : "";
-    const trimmedSsn = ssn ? ssn.trim() : "";
-
-    if (!trimmedStoreName || !trimmedSsn) {
-      return res.status(400).json({
-        success: false,
-        error: "Both storeName and ssn are required and cannot be empty",
-      });
+    const group = webhookRoutes.parseGroupName(req.params.group);
+    if (group.error) {
+      return res.status(400).json({ success: false, error: group.error });
     }
-
-    if (!type || (type !== "listings" && type !== "sold")) {
+    const routes = webhookRoutes.parseWebhookRoutes(req.body);
+    if (routes.error) {
+      return res.status(400).json({ success: false, error: routes.error });
+    }
+    if (!routes.value) {
       return res.status(400).json({
         success: false,
-        error: "Missing or invalid field: type (must be 'listings' or 'sold')",
+        error:
+          "Missing listings and/or sold webhooks (DELETE the group to remove it)",
       });
     }
 
-    const result = await sellerManager.addSeller(
-      trimmedStoreName,
-      trimmedSsn,
-      type
+    const result = await sellerManager.setWebhookGroup(
+      group.value,
+      routes.value
     );
-
-    if (result.success) {
-      // Trigger monitoring restart when seller is added
-      triggerMonitoringRestart();
-      res.json(result);
-    } else {
-      res.status(400).json(result);
+    if (!result.success) {
+      return res.status(500).json(result);
     }
+    refreshMonitoringSchedule();
+    res.json({
+      success: true,
+      message: `Webhooks of group "${group.value}" saved`,
+      group: group.value,
+      webhooks: webhookRoutes.maskWebhookRoutes(routes.value),
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: "Failed to add seller",
+      error: "Failed to save group webhooks",
       message: error.message,
     });
   }
 });
 
 /**
- * DELETE /api/admin/sellers/:ssn
- * Remove a seller from monitoring
+ * DELETE /api/admin/webhooks/groups/:group
+ * Remove the webhooks of a seller group; its sellers fall back to the global webhooks
  */
-app.delete("/api/admin/sellers/:ssn", async (req, res) => {
+app.delete("/api/admin/webhooks/groups/:group", async (req, res) => {
   try {
-    const { ssn } = req.params;
-    const { type } = req.query; // Query parameter: ?type=listings or ?type=sold
-
-    if (!ssn) {
-      return res.status(400).json({
-        success: false,
-        error: "Missing ssn parameter",
-      });
+    const group = webhookRoutes.parseGroupName(req.params.group);
+    if (group.error) {
+      return res.status(400).json({ success: false, error: group.error });
     }
 
-    if (!type || (type !== "listings" && type !== "sold")) {
-      return res.status(400).json({
+    const { webhookGroups = {} } = await sellerManager.loadMonitorState();
+    if (!webhookGroups[group.value]) {
+      return res.status(404).json({
         success: false,
-        error:
-          "Missing or invalid query parameter: type (must be 'listings' or 'sold')",
+        error: "Group not found",
       });
     }
 
-    const result = await sellerManager.removeSeller(ssn, type);
-
-    if (result.success) {
-      // Trigger monitoring restart when seller is removed
-      triggerMonitoringRestart();
-      res.json(result);
-    } else {
-      res.status(404).json(result);
+    const result = await sellerManager.setWebhookGroup(group.value, null);
+    if (!result.success) {
+      return res.status(500).json(result);
     }
+    refreshMonitoringSchedule();
+    res.json({
+      success: true,
+      message: `Webhooks of group "${group.value}" removed`,
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: "Failed to remove seller",
+      error: "Failed to remove group webhooks",
       message: error.message,
     });
   }
 });
 
+// ========== ADMIN ENDPOINTS ==========
+
 /**
- * GET /api/seller-listings
- * Get seller listings by storeName and ssn
- * Query params: storeName, ssn
+ * GET /api/admin/marketplaces
+ * Get supported eBay marketplaces
  */
-app.get("/api/seller-listings", async (req, res) => {
-  try {
-    const { storeName, ssn } = req.query;
-
-    // Trim and validate required fields
-    const trimmedStoreName = storeName ? storeName.trim() : "";
-    const trimmedSsn = ssn ? ssn.trim() : "";
+app.get("/api/admin/marketplaces", (req, res) => {
+  res.json({
+    success: true,
+    defaultMarketplace: marketplaces.getMarketplace().id,
+    marketplaces: marketplaces.listMarketplaces(),
+  });
+});
 
-    if (!trimmedStoreName || !trimmedSsn) {
-      return res.status(400).json({
-        success: false,
-        error:
-          "Both storeName and ssn are required query parameters and cannot be empty",
-      });
-    }
+/**
+ * GET /api/admin/proxies
+ * Get the health of every proxy in rotation (credentials omitted)
+ */
+app.get("/api/admin/proxies", (req, res) => {
+  const proxies = proxyPool.getProxyStats();
+  res.json({
+    success: true,
+    count: proxies.length,
+    proxies,
+  });
+});
 
-    const listings = await scraper.getSellerListings(
-      trimmedStoreName,
-      trimmedSsn
-    );
+/**
+ * GET /api/admin/scraper/health
+ * Get the selector profile in use and how well its selectors matched recent pages
+ */
+app.get("/api/admin/scraper/health", (req, res) => {
+  try {
     res.json({
       success: true,
-      count: listings.length,
-      listings: listings,
+      ...getSelectorHealth(),
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: "Failed to fetch seller listings",
+      error: "Failed to get scraper health",
       message: error.message,
     });
   }
 });
 
 /**
- * GET /api/sold-items
- * Get sold items by storeName and ssn
- * Query params: storeName, ssn
+ * GET /api/admin/monitoring
+ * Get whether monitoring is paused, the progress of the running monitoring
+ * cycle, the last finished one and the load of the eBay request and webhook
+ * queues
  */
-app.get("/api/sold-items", async (req, res) => {
+app.get("/api/admin/monitoring", async (req, res) => {
   try {
-    const { storeName, ssn } = req.query;
-
-    // Trim and validate required fields
-    const trimmedStoreName = storeName ? storeName.trim() : "";
-    const trimmedSsn = ssn ? ssn.trim() : "";
-
-    if (!trimmedStoreName || !trimmedSsn) {
-      return res.status(400).json({
-        success: false,
-        error:
-          "Both storeName and ssn are required query parameters and cannot be empty",
-      });
-    }
-
-    const soldData = await scraper.getSellerSoldItems(
-      trimmedStoreName,
-      trimmedSsn
-    );
+    const monitor = await sellerManager.loadMonitorState();
     res.json({
       success: true,
-      count: soldData.soldItems.length,
-      sellerUsername: soldData.sellerUsername,
-      storeName: soldData.storeName,
-      soldItems: soldData.soldItems,
+      paused: pause.isPaused(monitor),
+      pausedUntil: pause.getSnoozeEnd(monitor) ? monitor.pausedUntil : null,
+      running: !!currentCycle,
+      cycle: currentCycle ? summarizeCycle(currentCycle) : null,
+      lastCycle,
+      nextRunAt: monitoringNextRunAt,
+      concurrency: MONITOR_CONCURRENCY,
+      scrapeQueue: scraper.getScrapeQueueStats(),
+      notificationQueue: webhooks.getNotificationQueueStats(),
+      jobs: jobQueue.getJobStats(),
+      outbox: outbox.getOutboxStats(),
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: "Failed to fetch sold items",
+      error: "Failed to get monitoring status",
       message: error.message,
     });
   }
 });
 
 /**
- * POST /api/admin/check/:ssn
- * Manually trigger a check for a specific seller (for testing)
+ * POST /api/admin/monitoring/:action
+ * Pause (until resumed), snooze or resume all checks. Running checks finish.
+ * Body for snooze: { until } (date) or { duration } (e.g. "2h")
  */
-app.post("/api/admin/check/:ssn", async (req, res) => {
-  try {
-    const { ssn } = req.params;
-    const sellers = await sellerManager.getAllSellers();
-    const seller = sellers.find((s) => s.ssn === ssn || s.username === ssn);
+app.post(
+  "/api/admin/monitoring/:action(pause|snooze|resume)",
+  async (req, res) => {
+    try {
+      const pauseState = pause.buildPauseState(req.params.action, req.body);
+      if (pauseState.error) {
+        return res.status(400).json({
+          success: false,
+          error: pauseState.error,
+        });
+      }
 
-    if (!seller) {
-      return res.status(404).json({
+      const result = await sellerManager.updateMonitorState(pauseState.value);
+      if (!result.success) {
+        return res.status(500).json(result);
+      }
+
+      const message = `Monitoring ${
+        req.params.action === "resume"
+          ? "resumed"
+          : pause.describePause(result.monitor)
+      }`;
+      console.log(message);
+      refreshMonitoringSchedule();
+      res.json({
+        success: true,
+        message,
+        paused: pause.isPaused(result.monitor),
+        pausedUntil: result.monitor.pausedUntil,
+      });
+    } catch (error) {
+      res.status(500).json({
         success: false,
-        error: "Seller not found",
+        error: "Failed to update monitoring",
+        message: error.message,
       });
     }
+  }
+);
 
-    // Check for new listings
-    const listings = await scraper.getSellerListings(
-      seller.storeName,
-      seller.ssn || seller.username
-    );
-    const newListings = listings.filter(
-      (listing) => !seller.knownListings.includes(listing.itemId)
-    );
-
-    // Check for sold items
-    const soldData = await scraper.getSellerSoldItems(
-      seller.storeName,
-      seller.ssn || seller.username
-    );
-    const newSoldItems = soldData.soldItems.filter(
-      (item) => !seller.knownSoldItems.includes(item.itemId)
-    );
+/**
+ * GET /api/admin/jobs
+ * Get seller and search check jobs, newest first
+ * Query: ?status=queued|running|done|failed, ?type= and ?target= (one seller)
+ */
+app.get("/api/admin/jobs", (req, res) => {
+  const { status, type, target } = req.query;
 
-    res.json({
-      success: true,
-      listings: {
-        total: listings.length,
-        new: newListings.length,
-      },
-      soldItems: {
-        total: soldData.soldItems.length,
-        new: newSoldItems.length,
-      },
+  if (status && !Object.values(jobQueue.JOB_STATUS).includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid status (must be one of: ${Object.values(
+        jobQueue.JOB_STATUS
+      ).join(", ")})`,
     });
-  } catch (error) {
-    res.status(500).json({
+  }
+  if (target && !type) {
+    return res.status(400).json({
       success: false,
-      error: "Failed to check seller",
-      message: error.message,
+      error: "Query parameter target requires type",
     });
   }
-});
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    error: "Not Found",
-    message: `Route ${req.method} ${req.path} not found`,
+  const jobs = jobQueue
+    .getJobs({
+      status,
+      key: target ? jobQueue.getJobKey(type, target) : null,
+    })
+    .filter((job) => !type || job.type === type);
+  res.json({
+    success: true,
+    count: jobs.length,
+    stats: jobQueue.getJobStats(),
+    jobs,
   });
 });
 
-// Error handler
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    error: "Internal Server Error",
-    message: err.message,
-  });
+/**
+ * GET /api/admin/jobs/:id
+ * Get one check job
+ */
+app.get("/api/admin/jobs/:id", (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: "Job not found",
+    });
+  }
+  res.json({ success: true, job });
 });
 
-// ========== MONITORING SERVICE ==========
-
 /**
- * Monitors all sellers for new listings and sold items
+ * Builds the API view of an outbox notification, naming the global webhook it
+ * goes to, or masking a seller or group webhook URL
+ * @param {Object} notification - Outbox notification
+ * @returns {Object} Notification summary
  */
-async function monitorSellers() {
+function toNotificationSummary(notification) {
+  const { webhookUrl, ...summary } = notification;
+  const globals = getGlobalWebhooks();
+  let webhook = webhookRoutes.maskWebhookUrl(webhookUrl);
+  if (webhookUrl === globals.listings) webhook = "listings";
+  else if (webhookUrl === globals.sold) webhook = "sold";
+  return { ...summary, webhook };
+}
+
+/**
+ * GET /api/admin/outbox
+ * Get webhook notifications waiting for delivery, delivered or dead, newest first
+ * Query: ?status=pending|delivered|dead and ?runId= (one check run)
+ */
+app.get("/api/admin/outbox", (req, res) => {
+  const { status, runId } = req.query;
+  const statuses = Object.values(outbox.NOTIFICATION_STATUS);
+  if (status && !statuses.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid status (must be one of: ${statuses.join(", ")})`,
+    });
+  }
+
+  const notifications = outbox
+    .getNotifications({ status, runId })
+    .map(toNotificationSummary);
+  res.json({
+    success: true,
+    count: notifications.length,
+    stats: outbox.getOutboxStats(),
+    notifications,
+  });
+});
+
+/**
+ * GET /api/admin/outbox/dead
+ * Get the dead letters: notifications that failed every delivery attempt
+ */
+app.get("/api/admin/outbox/dead", (req, res) => {
+  const notifications = outbox
+    .getNotifications({ status: outbox.NOTIFICATION_STATUS.DEAD })
+    .map(toNotificationSummary);
+  res.json({ success: true, count: notifications.length, notifications });
+});
+
+/**
+ * POST /api/admin/outbox/dead/retry
+ * Queue every dead letter for delivery again
+ */
+app.post("/api/admin/outbox/dead/retry", (req, res) => {
+  const retried = outbox.retryDeadLetters();
+  res.json({
+    success: true,
+    message: `Queued ${retried.length} notification(s) for delivery again`,
+    count: retried.length,
+  });
+});
+
+/**
+ * POST /api/admin/outbox/dead/:id/retry
+ * Queue one dead letter for delivery again
+ */
+app.post("/api/admin/outbox/dead/:id/retry", (req, res) => {
+  const [notification] = outbox.retryDeadLetters(req.params.id);
+  if (!notification) {
+    return res.status(404).json({
+      success: false,
+      error: "Dead letter not found",
+    });
+  }
+  res.json({
+    success: true,
+    message: "Notification queued for delivery again",
+    notification: toNotificationSummary(notification),
+  });
+});
+
+/**
+ * DELETE /api/admin/outbox/dead/:id
+ * Drop a dead letter without delivering it
+ */
+app.delete("/api/admin/outbox/dead/:id", (req, res) => {
+  if (!outbox.discardDeadLetter(req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      error: "Dead letter not found",
+    });
+  }
+  res.json({ success: true, message: "Dead letter discarded" });
+});
+
+/**
+ * GET /api/admin/runs
+ * Get the run history of monitoring cycles and seller/search checks, newest first
+ * Query: ?kind=cycle|check, ?type=, ?target=, ?status=ok|baseline|skipped|failed,
+ * ?since= and ?until= (ISO dates), ?limit= (default 50, at most 500) and ?offset=
+ */
+app.get("/api/admin/runs", (req, res) => {
+  const { value, error } = parseRunQuery(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  const { type, target } = req.query;
+  res.json({
+    success: true,
+    retentionDays: runHistory.RUN_RETENTION_DAYS,
+    maxRuns: runHistory.RUN_HISTORY_MAX,
+    ...runHistory.queryRuns({ ...value, type, target }),
+  });
+});
+
+/**
+ * GET /api/admin/runs/:id
+ * Get one run
+ */
+app.get("/api/admin/runs/:id", (req, res) => {
+  const run = runHistory.getRun(req.params.id);
+  if (!run) {
+    return res.status(404).json({
+      success: false,
+      error: "Run not found",
+    });
+  }
+  res.json({ success: true, run });
+});
+
+/**
+ * GET /api/admin/sellers
+ * Get all monitored sellers
+ */
+app.get("/api/admin/sellers", async (req, res) => {
+  try {
+    const { type } = req.query; // Optional query parameter: ?type=listings or ?type=sold
+    // Search monitors have their own endpoint
+    const sellers = (await sellerManager.getAllSellers(type || null)).filter(
+      (s) => s.type !== "search"
+    );
+    const monitor = await sellerManager.loadMonitorState();
+    res.json({
+      success: true,
+      count: sellers.length,
+      sellers: sellers.map((s) => ({
+        storeName: s.storeName,
+        ssn: s.ssn || s.username,
+        username: s.username || s.ssn, // Keep for backward compatibility
+        type: s.type,
+        marketplace: s.marketplace || marketplaces.getMarketplace().id,
+        lastCheckedListings: s.lastCheckedListings,
+        lastCheckedSold: s.lastCheckedSold,
+        soldLookbackDays: s.soldLookbackDays || null,
+        inventoryMode: !!s.inventoryMode,
+        inventoryCheckedAt: s.inventoryCheckedAt || null,
+        priceChangeThreshold: s.priceChangeThreshold || null,
+        stickyProxy: typeof s.stickyProxy === "boolean" ? s.stickyProxy : null,
+        filters: s.filters || null,
+        schedule: s.schedule || null,
+        notifyExisting: !!s.notifyExisting,
+        baselinePending: !!s.baselinePending,
+        group: s.group || null,
+        webhooks: webhookRoutes.maskWebhookRoutes(s.webhooks || null),
+        webhookRoutes: webhookRoutes.maskWebhookRoutes(
+          getEntryWebhooks(s, monitor)
+        ),
+        paused: pause.isPaused(s),
+        pausedUntil: pause.getSnoozeEnd(s) ? s.pausedUntil : null,
+        nextCheckAt: getNextCheckAt(s),
+        scrapeStatus: s.scrapeStatus || null,
+        fetchStats: getFetchStats(s.ssn || s.username),
+        addedAt: s.addedAt,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: "Failed to get sellers",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/admin/sellers
+ * Add a new seller to monitor. The seller is looked up on eBay first
+ * unless validate is false; either storeName or ssn is then enough.
+ * Body: { storeName?, ssn?, type, lookbackDays?, marketplace?, inventory?, priceChangeThreshold?, stickyProxy?, filters?, schedule?, notifyExisting?, validate? }
+ * Query: ?validate=false also skips the lookup (bulk imports)
+ */
+app.post("/api/admin/sellers", async (req, res) => {
+  try {
+    const {
+      storeName,
+      ssn,
+      type,
+      lookbackDays,
+      marketplace,
+      inventory,
+      priceChangeThreshold,
+      stickyProxy,
+      filters,
+      schedule,
+      notifyExisting,
+      group,
+      webhooks: sellerWebhooks,
+      validate = req.query.validate,
+    } = req.body;
+
+    const validation = parseOptionalFlag(validate, "validate");
+    if (validation.error) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error,
+      });
+    }
+    const shouldValidate = validation.value !== false;
+
+    // Trim and validate required fields
+    const trimmedStoreName = storeName ? storeName.trim() : "";
+    const trimmedSsn = ssn ? ssn.trim() : "";
+
+    if (!shouldValidate && (!trimmedStoreName || !trimmedSsn)) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "Both storeName and ssn are required and cannot be empty when validate is false",
+      });
+    }
+    if (!trimmedStoreName && !trimmedSsn) {
+      return res.status(400).json({
+        success: false,
+        error: "storeName or ssn is required and cannot be empty",
+      });
+    }
+
+    if (!type || (type !== "listings" && type !== "sold")) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing or invalid field: type (must be 'listings' or 'sold')",
+      });
+    }
+
+    const lookback = parseLookbackDays(lookbackDays);
+    if (lookback.error) {
+      return res.status(400).json({
+        success: false,
+        error: lookback.error,
+      });
+    }
+
+    const site = parseMarketplace(marketplace);
+    if (site.error) {
+      return res.status(400).json({
+        success: false,
+        error: site.error,
+      });
+    }
+
+    const threshold = parsePriceChangeThreshold(priceChangeThreshold);
+    if (threshold.error) {
+      return res.status(400).json({
+        success: false,
+        error: threshold.error,
+      });
+    }
+
+    const sticky = parseOptionalFlag(stickyProxy, "stickyProxy");
+    if (sticky.error) {
+      return res.status(400).json({
+        success: false,
+        error: sticky.error,
+      });
+    }
+
+    const notify = parseOptionalFlag(notifyExisting, "notifyExisting");
+    if (notify.error) {
+      return res.status(400).json({
+        success: false,
+        error: notify.error,
+      });
+    }
+
+    const sellerFilters = normalizeSellerFilters(filters);
+    if (sellerFilters.error) {
+      return res.status(400).json({
+        success: false,
+        error: sellerFilters.error,
+      });
+    }
+
+    const sellerGroup = webhookRoutes.parseGroupName(group);
+    if (sellerGroup.error) {
+      return res.status(400).json({
+        success: false,
+        error: sellerGroup.error,
+      });
+    }
+
+    const routes = webhookRoutes.parseWebhookRoutes(sellerWebhooks);
+    if (routes.error) {
+      return res.status(400).json({
+        success: false,
+        error: routes.error,
+      });
+    }
+
+    const sellerSchedule = normalizeSchedule(schedule);
+    if (sellerSchedule.error) {
+      return res.status(400).json({
+        success: false,
+        error: sellerSchedule.error,
+      });
+    }
+
+    let lookup = null;
+    const warnings = [];
+    if (shouldValidate) {
+      try {
+        lookup = await scraper.validateSeller(
+          trimmedStoreName || null,
+          trimmedSsn || null,
+          { marketplace: site.value, stickyProxy: sticky.value }
+        );
+      } catch (error) {
+        if (error instanceof SellerNotFoundError) {
+          return res.status(400).json({
+            success: false,
+            error: "Seller not found on eBay",
+            message: error.message,
+          });
+        }
+        // Without both names there is nothing to fall back to
+        if (!trimmedStoreName || !trimmedSsn) {
+          return res.status(502).json({
+            success: false,
+            error:
+              "Could not resolve the seller, try again or pass both storeName and ssn",
+            message: error.message,
+          });
+        }
+        warnings.push(`Seller could not be validated: ${error.message}`);
+      }
+
+      if (lookup && lookup.mismatches.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: "storeName and ssn do not belong to the same seller",
+          mismatches: lookup.mismatches,
+          resolved: { storeName: lookup.storeName, ssn: lookup.ssn },
+          preview: lookup.preview,
+        });
+      }
+      if (lookup) {
+        warnings.push(...lookup.warnings);
+      }
+    }
+
+    const result = await sellerManager.addSeller(
+      lookup ? lookup.storeName : trimmedStoreName,
+      lookup ? lookup.ssn : trimmedSsn,
+      type,
+      {
+        soldLookbackDays: lookback.value,
+        marketplace: site.value,
+        inventoryMode: inventory === true || inventory === "true",
+        priceChangeThreshold: threshold.value,
+        stickyProxy: sticky.value,
+        filters: sellerFilters.value,
+        schedule: sellerSchedule.value,
+        notifyExisting: notify.value === true,
+        group: sellerGroup.value,
+        webhooks: routes.value,
+      }
+    );
+
+    if (result.success) {
+      // Check just the new seller instead of running every due seller
+      const job = enqueueCheck(result.seller, "added");
+      res.json({
+        ...result,
+        seller: {
+          ...result.seller,
+          webhooks: webhookRoutes.maskWebhookRoutes(result.seller.webhooks),
+        },
+        job,
+        validated: !!lookup,
+        warnings,
+        preview: lookup ? lookup.preview : null,
+      });
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: "Failed to add seller",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/sellers/:ssn
+ * Update the settings of a monitored seller
+ * Query: ?type=listings or ?type=sold
+ * Body: { filters?, schedule? } (null clears the filters or restores the default schedule)
+ */
+app.patch("/api/admin/sellers/:ssn", async (req, res) => {
+  try {
+    const { ssn } = req.params;
+    const { type } = req.query;
+
+    if (!type || (type !== "listings" && type !== "sold")) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "Missing or invalid query parameter: type (must be 'listings' or 'sold')",
+      });
+    }
+
+    const seller = (await sellerManager.getAllSellers(type)).find(
+      (s) => (s.ssn || s.username) === ssn
+    );
+    if (!seller) {
+      return res.status(404).json({
+        success: false,
+        error: "Seller not found",
+      });
+    }
+
+    const updates = {};
+    if ("filters" in req.body) {
+      const sellerFilters = normalizeSellerFilters(req.body.filters);
+      if (sellerFilters.error) {
+        return res.status(400).json({
+          success: false,
+          error: sellerFilters.error,
+        });
+      }
+      updates.filters = sellerFilters.value;
+      // Listings outside the new filters would otherwise be reported as ended
+      if (seller.inventoryMode) {
+        updates.inventorySnapshot = null;
+      } else if (!seller.notifyExisting) {
+        // Items the old filters left out are not new, take a new baseline
+        updates.baselinePending = true;
+      }
+    }
+    if ("schedule" in req.body) {
+      const sellerSchedule = normalizeSchedule(req.body.schedule);
+      if (sellerSchedule.error) {
+        return res.status(400).json({
+          success: false,
+          error: sellerSchedule.error,
+        });
+      }
+      updates.schedule = sellerSchedule.value;
+      // The new schedule counts from now
+      updates.nextCheckAt = getScheduledCheck(
+        { ...seller, schedule: sellerSchedule.value },
+        new Date()
+      ).toISOString();
+    }
+
+    if ("group" in req.body) {
+      const sellerGroup = webhookRoutes.parseGroupName(req.body.group);
+      if (sellerGroup.error) {
+        return res.status(400).json({
+          success: false,
+          error: sellerGroup.error,
+        });
+      }
+      updates.group = sellerGroup.value;
+    }
+    if ("webhooks" in req.body) {
+      const routes = webhookRoutes.parseWebhookRoutes(req.body.webhooks);
+      if (routes.error) {
+        return res.status(400).json({
+          success: false,
+          error: routes.error,
+        });
+      }
+      updates.webhooks = routes.value;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "Nothing to update (supported fields: filters, schedule, group, webhooks)",
+      });
+    }
+
+    const result = await sellerManager.updateSeller(ssn, updates, type);
+    if (result.success) {
+      refreshMonitoringSchedule();
+      res.json({
+        success: true,
+        message: `Seller "${ssn}" updated`,
+        filters:
+          "filters" in updates ? updates.filters : seller.filters || null,
+        schedule:
+          "schedule" in updates ? updates.schedule : seller.schedule || null,
+        nextCheckAt: updates.nextCheckAt || getNextCheckAt(seller),
+        group: result.seller.group || null,
+        webhooks: webhookRoutes.maskWebhookRoutes(
+          result.seller.webhooks || null
+        ),
+        webhookRoutes: webhookRoutes.maskWebhookRoutes(
+          getEntryWebhooks(
+            result.seller,
+            await sellerManager.loadMonitorState()
+          )
+        ),
+      });
+    } else {
+      res.status(500).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: "Failed to update seller",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Pauses, snoozes or resumes the checks of one seller or search. Its known
+ * items are kept, so nothing is notified again after resuming.
+ * @param {Object} res - Express response
+ * @param {string} type - Seller type: 'listings', 'sold' or 'search'
+ * @param {string} target - Seller SSN/username, or search monitor ID
+ * @param {string} action - 'pause', 'snooze' or 'resume'
+ * @param {Object} body - Request body ({ until } or { duration } for a snooze)
+ */
+async function setEntryPause(res, type, target, action, body) {
+  const pauseState = pause.buildPauseState(action, body);
+  if (pauseState.error) {
+    return res.status(400).json({
+      success: false,
+      error: pauseState.error,
+    });
+  }
+
+  const label = type === "search" ? "Search" : "Seller";
+  const entry = (await sellerManager.getAllSellers(type)).find(
+    (s) => getEntryTarget(s) === target
+  );
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      error: `${label} not found`,
+    });
+  }
+
+  const result = await sellerManager.updateSeller(
+    target,
+    pauseState.value,
+    type
+  );
+  if (!result.success) {
+    return res.status(500).json(result);
+  }
+
+  refreshMonitoringSchedule();
+  res.json({
+    success: true,
+    message: `${label} "${target}" ${
+      action === "resume" ? "resumed" : pause.describePause(result.seller)
+    }`,
+    paused: pause.isPaused(result.seller),
+    pausedUntil: result.seller.pausedUntil,
+    nextCheckAt: getNextCheckAt(result.seller),
+  });
+}
+
+/**
+ * POST /api/admin/sellers/:ssn/:action
+ * Pause (until resumed), snooze or resume a seller without removing it
+ * Query: ?type=listings or ?type=sold
+ * Body for snooze: { until } (date) or { duration } (e.g. "2h")
+ */
+app.post(
+  "/api/admin/sellers/:ssn/:action(pause|snooze|resume)",
+  async (req, res) => {
+    try {
+      const { type } = req.query;
+      if (!type || (type !== "listings" && type !== "sold")) {
+        return res.status(400).json({
+          success: false,
+          error:
+            "Missing or invalid query parameter: type (must be 'listings' or 'sold')",
+        });
+      }
+
+      await setEntryPause(
+        res,
+        type,
+        req.params.ssn,
+        req.params.action,
+        req.body
+      );
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: "Failed to update seller",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/admin/sellers/:ssn
+ * Remove a seller from monitoring
+ */
+app.delete("/api/admin/sellers/:ssn", async (req, res) => {
+  try {
+    const { ssn } = req.params;
+    const { type } = req.query; // Query parameter: ?type=listings or ?type=sold
+
+    if (!ssn) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing ssn parameter",
+      });
+    }
+
+    if (!type || (type !== "listings" && type !== "sold")) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "Missing or invalid query parameter: type (must be 'listings' or 'sold')",
+      });
+    }
+
+    const result = await sellerManager.removeSeller(ssn, type);
+
+    if (result.success) {
+      refreshMonitoringSchedule();
+      res.json(result);
+    } else {
+      res.status(404).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: "Failed to remove seller",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/sellers/:ssn/inventory
+ * Get the stored inventory snapshot and last inventory report of a listings seller
+ */
+app.get("/api/admin/sellers/:ssn/inventory", async (req, res) => {
+  try {
+    const { ssn } = req.params;
+    const sellers = await sellerManager.getAllSellers("listings");
+    const seller = sellers.find((s) => s.ssn === ssn || s.username === ssn);
+
+    if (!seller) {
+      return res.status(404).json({
+        success: false,
+        error: "Seller not found",
+      });
+    }
+
+    const snapshot = seller.inventorySnapshot || {};
+    res.json({
+      success: true,
+      ssn: seller.ssn || seller.username,
+      inventoryMode: !!seller.inventoryMode,
+      inventoryCheckedAt: seller.inventoryCheckedAt || null,
+      count: Object.keys(snapshot).length,
+      lastReport: seller.lastInventoryReport || null,
+      listings: Object.entries(snapshot).map(([itemId, entry]) => ({
+        itemId,
+        ...entry,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: "Failed to get seller inventory",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/sellers/:ssn/sold
+ * Get the running units sold per listing of a sold seller, best sellers first
+ */
+app.get("/api/admin/sellers/:ssn/sold", async (req, res) => {
+  try {
+    const { ssn } = req.params;
+    const sellers = await sellerManager.getAllSellers("sold");
+    const seller = sellers.find((s) => s.ssn === ssn || s.username === ssn);
+
+    if (!seller) {
+      return res.status(404).json({
+        success: false,
+        error: "Seller not found",
+      });
+    }
+
+    const listings = Object.entries(seller.soldListings || {})
+      .map(([itemId, record]) => ({ itemId, ...record }))
+      .sort((a, b) => b.unitsSold - a.unitsSold);
+
+    res.json({
+      success: true,
+      ssn: seller.ssn || seller.username,
+      count: listings.length,
+      unitsSold: listings.reduce((sum, l) => sum + l.unitsSold, 0),
+      listings,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: "Failed to get seller sales",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/sellers/:ssn/runs
+ * Get the check history of a seller, newest first. Runs are kept after the
+ * seller is removed, until they pass the retention settings.
+ * Query: ?type=listings|sold, ?status=, ?since=, ?until=, ?limit= and ?offset=
+ */
+app.get("/api/admin/sellers/:ssn/runs", (req, res) => {
+  const { type } = req.query;
+  if (type && type !== "listings" && type !== "sold") {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid type (must be "listings" or "sold")',
+    });
+  }
+  const { value, error } = parseRunQuery({ ...req.query, kind: undefined });
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  const runs = runHistory.queryRuns({
+    ...value,
+    kind: "check",
+    target: req.params.ssn,
+    type,
+  });
+  res.json({ success: true, ssn: req.params.ssn, ...runs });
+});
+
+// ========== SEARCH MONITOR ENDPOINTS ==========
+
+/**
+ * Builds the API view of a search monitor
+ * @param {Object} search - Search record
+ * @returns {Object} Search summary
+ */
+function toSearchSummary(search) {
+  return {
+    id: search.id,
+    name: search.name,
+    query: search.query,
+    description: searchQuery.describeSearchQuery(search.query),
+    watch: search.watch,
+    marketplace: search.marketplace || marketplaces.getMarketplace().id,
+    soldLookbackDays: search.soldLookbackDays || null,
+    stickyProxy:
+      typeof search.stickyProxy === "boolean" ? search.stickyProxy : null,
+    lastCheckedListings: search.lastCheckedListings,
+    lastCheckedSold: search.lastCheckedSold,
+    schedule: search.schedule || null,
+    paused: pause.isPaused(search),
+    pausedUntil: pause.getSnoozeEnd(search) ? search.pausedUntil : null,
+    nextCheckAt: getNextCheckAt(search),
+    scrapeStatus: search.scrapeStatus || null,
+    fetchStats: getFetchStats(search.id),
+    addedAt: search.addedAt,
+  };
+}
+
+/**
+ * GET /api/admin/searches
+ * Get all search monitors
+ */
+app.get("/api/admin/searches", async (req, res) => {
+  try {
+    const searches = await sellerManager.getAllSellers("search");
+    res.json({
+      success: true,
+      count: searches.length,
+      searches: searches.map(toSearchSummary),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: "Failed to get searches",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/admin/searches
+ * Add a search monitor
+ * Body: { name, query: { keywords?, categoryId?, minPrice?, maxPrice?, condition?, buyItNow? }, watch?, lookbackDays?, marketplace?, stickyProxy?, schedule? }
+ */
+app.post("/api/admin/searches", async (req, res) => {
+  try {
+    const {
+      name,
+      query,
+      watch,
+      lookbackDays,
+      marketplace,
+      stickyProxy,
+      schedule,
+    } = req.body;
+
+    const trimmedName = name ? String(name).trim() : "";
+    if (!trimmedName) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing field: name",
+      });
+    }
+
+    const normalized = searchQuery.normalizeSearchQuery(query);
+    if (normalized.error) {
+      return res.status(400).json({
+        success: false,
+        error: normalized.error,
+      });
+    }
+
+    if (watch && !searchQuery.SEARCH_WATCH_MODES.includes(watch)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid watch (must be one of: ${searchQuery.SEARCH_WATCH_MODES.join(
+          ", "
+        )})`,
+      });
+    }
+
+    const lookback = parseLookbackDays(lookbackDays);
+    if (lookback.error) {
+      return res.status(400).json({
+        success: false,
+        error: lookback.error,
+      });
+    }
+
+    const site = parseMarketplace(marketplace);
+    if (site.error) {
+      return res.status(400).json({
+        success: false,
+        error: site.error,
+      });
+    }
+
+    const sticky = parseOptionalFlag(stickyProxy, "stickyProxy");
+    if (sticky.error) {
+      return res.status(400).json({
+        success: false,
+        error: sticky.error,
+      });
+    }
+
+    const searchSchedule = normalizeSchedule(schedule);
+    if (searchSchedule.error) {
+      return res.status(400).json({
+        success: false,
+        error: searchSchedule.error,
+      });
+    }
+
+    const result = await sellerManager.addSearch(
+      trimmedName,
+      normalized.value,
+      {
+        watch: watch || "both",
+        marketplace: site.value,
+        soldLookbackDays: lookback.value,
+        stickyProxy: sticky.value,
+        schedule: searchSchedule.value,
+      }
+    );
+
+    if (result.success) {
+      const job = enqueueCheck(result.search, "added");
+      res.json({ ...result, search: toSearchSummary(result.search), job });
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: "Failed to add search",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/admin/searches/:id/:action
+ * Pause (until resumed), snooze or resume a search monitor without removing it
+ * Body for snooze: { until } (date) or { duration } (e.g. "2h")
+ */
+app.post(
+  "/api/admin/searches/:id/:action(pause|snooze|resume)",
+  async (req, res) => {
+    try {
+      await setEntryPause(
+        res,
+        "search",
+        req.params.id,
+        req.params.action,
+        req.body
+      );
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: "Failed to update search",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/admin/searches/:id
+ * Remove a search monitor
+ */
+app.delete("/api/admin/searches/:id", async (req, res) => {
+  try {
+    const result = await sellerManager.removeSearch(req.params.id);
+
+    if (result.success) {
+      refreshMonitoringSchedule();
+      res.json(result);
+    } else {
+      res.status(404).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: "Failed to remove search",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/seller-listings
+ * Get seller listings by storeName and ssn
+ * Query params: storeName, ssn, marketplace (optional)
+ */
+app.get("/api/seller-listings", async (req, res) => {
+  try {
+    const { storeName, ssn, marketplace } = req.query;
+
+    // Trim and validate required fields
+    const trimmedStoreName = storeName ? storeName.trim() : "";
+    const trimmedSsn = ssn ? ssn.trim() : "";
+
+    if (!trimmedStoreName || !trimmedSsn) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "Both storeName and ssn are required query parameters and cannot be empty",
+      });
+    }
+
+    const site = parseMarketplace(marketplace);
+    if (site.error) {
+      return res.status(400).json({
+        success: false,
+        error: site.error,
+      });
+    }
+
+    const listings = await scraper.getSellerListings(
+      trimmedStoreName,
+      trimmedSsn,
+      { marketplace: site.value }
+    );
+    res.json({
+      success: true,
+      count: listings.length,
+      listings: listings,
+    });
+  } catch (error) {
+    res.status(getScrapeErrorStatusCode(error)).json({
+      success: false,
+      error: "Failed to fetch seller listings",
+      status: error instanceof ScrapeError ? error.status : "error",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/sold-items
+ * Get sold items by storeName and ssn
+ * Query params: storeName, ssn, lookbackDays (optional), marketplace (optional)
+ */
+app.get("/api/sold-items", async (req, res) => {
+  try {
+    const { storeName, ssn, lookbackDays, marketplace } = req.query;
+
+    // Trim and validate required fields
+    const trimmedStoreName = storeName ? storeName.trim() : "";
+    const trimmedSsn = ssn ? ssn.trim() : "";
+
+    if (!trimmedStoreName || !trimmedSsn) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "Both storeName and ssn are required query parameters and cannot be empty",
+      });
+    }
+
+    const lookback = parseLookbackDays(lookbackDays);
+    if (lookback.error) {
+      return res.status(400).json({
+        success: false,
+        error: lookback.error,
+      });
+    }
+
+    const site = parseMarketplace(marketplace);
+    if (site.error) {
+      return res.status(400).json({
+        success: false,
+        error: site.error,
+      });
+    }
+
+    const soldData = await scraper.getSellerSoldItems(
+      trimmedStoreName,
+      trimmedSsn,
+      { lookbackDays: lookback.value || undefined, marketplace: site.value }
+    );
+    res.json({
+      success: true,
+      count: soldData.soldItems.length,
+      sellerUsername: soldData.sellerUsername,
+      storeName: soldData.storeName,
+      soldItems: soldData.soldItems,
+    });
+  } catch (error) {
+    res.status(getScrapeErrorStatusCode(error)).json({
+      success: false,
+      error: "Failed to fetch sold items",
+      status: error instanceof ScrapeError ? error.status : "error",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/admin/check/:ssn
+ * Manually trigger a check for a specific seller (for testing)
+ */
+app.post("/api/admin/check/:ssn", async (req, res) => {
+  try {
+    const { ssn } = req.params;
+    const sellers = await sellerManager.getAllSellers();
+    const seller = sellers.find((s) => s.ssn === ssn || s.username === ssn);
+
+    if (!seller) {
+      return res.status(404).json({
+        success: false,
+        error: "Seller not found",
+      });
+    }
+
+    // Check for new listings
+    const listings = await scraper.getSellerListings(
+      seller.storeName,
+      seller.ssn || seller.username,
+      {
+        marketplace: seller.marketplace,
+        stickyProxy: seller.stickyProxy,
+        filters: seller.filters,
+      }
+    );
+    const newListings = listings.filter(
+      (listing) => !seller.knownListings.includes(listing.itemId)
+    );
+
+    // Check for sold items
+    const soldData = await scraper.getSellerSoldItems(
+      seller.storeName,
+      seller.ssn || seller.username,
+      {
+        lookbackDays: seller.soldLookbackDays || undefined,
+        marketplace: seller.marketplace,
+        stickyProxy: seller.stickyProxy,
+        filters: seller.filters,
+      }
+    );
+    const newSoldItems = soldData.soldItems.filter(
+      (item) => !seller.knownSoldItems.includes(item.itemId)
+    );
+
+    res.json({
+      success: true,
+      listings: {
+        total: listings.length,
+        new: newListings.length,
+      },
+      soldItems: {
+        total: soldData.soldItems.length,
+        new: newSoldItems.length,
+      },
+    });
+  } catch (error) {
+    res.status(getScrapeErrorStatusCode(error)).json({
+      success: false,
+      error: "Failed to check seller",
+      status: error instanceof ScrapeError ? error.status : "error",
+      message: error.message,
+    });
+  }
+});
+
+// 404 handler
+app.use((req, res) => {
+  res.status(404).json({
+    error: "Not Found",
+    message: `Route ${req.method} ${req.path} not found`,
+  });
+});
+
+// Error handler
+app.use((err, req, res, next) => {
+  console.error(err.stack);
+  res.status(500).json({
+    error: "Internal Server Error",
+    message: err.message,
+  });
+});
+
+// ========== MONITORING SERVICE ==========
+
+/**
+ * Gets when a seller or search is due next, counting a block cooldown and a
+ * snooze
+ * @param {Object} entry - Seller or search record
+ * @returns {number} Due time in ms (0 when never checked)
+ */
+function getDueTime(entry) {
+  const nextCheck = entry.nextCheckAt
+    ? new Date(entry.nextCheckAt).getTime()
+    : 0;
+  const cooldownUntil = cooldown.isCoolingDown(entry)
+    ? new Date(entry.scrapeStatus.cooldownUntil).getTime()
+    : 0;
+  const snoozeEnd = pause.getSnoozeEnd(entry);
+  return Math.max(
+    nextCheck,
+    cooldownUntil,
+    snoozeEnd ? snoozeEnd.getTime() : 0
+  );
+}
+
+/**
+ * Gets the next scheduled check of a seller or search for the API
+ * @param {Object} entry - Seller or search record
+ * @returns {string|null} ISO time, or null when due on the next run (or paused until resumed)
+ */
+function getNextCheckAt(entry) {
+  if (pause.isPaused(entry) && !entry.pausedUntil) return null;
+  const dueTime = getDueTime(entry);
+  return dueTime ? new Date(dueTime).toISOString() : null;
+}
+
+/**
+ * Computes the check after a given time from a seller's schedule, or from
+ * MONITOR_INTERVAL without one. Cron times and active hours are read in the
+ * seller's marketplace timezone unless the schedule sets one.
+ * @param {Object} entry - Seller or search record
+ * @param {Date} from - Time of the last check
+ * @returns {Date} Next check
+ */
+function getScheduledCheck(entry, from) {
+  const next = getNextCheck(entry.schedule || null, from, {
+    defaultInterval: MONITOR_INTERVAL,
+    timeZone: marketplaces.getMarketplace(entry.marketplace).timeZone,
+  });
+  return next || new Date(from.getTime() + MONITOR_INTERVAL);
+}
+
+/**
+ * Stores the next check of a seller or search after it was checked
+ * @param {Object} entry - Seller or search record
+ * @param {string} type - Seller type: 'listings', 'sold' or 'search'
+ * @param {Date} startedAt - When the check started
+ */
+async function scheduleNextCheck(entry, type, startedAt) {
+  let next = getScheduledCheck(entry, startedAt);
+  // A check that ran past its next slot continues from now instead
+  if (next.getTime() <= Date.now()) {
+    next = getScheduledCheck(entry, new Date());
+  }
+  await sellerManager.updateSeller(
+    entry.ssn || entry.username || entry.id,
+    { nextCheckAt: next.toISOString() },
+    type
+  );
+}
+
+/**
+ * Gets the global webhook URLs from environment variables
+ * @returns {Object} { listings, sold } ("" when not set)
+ */
+function getGlobalWebhooks() {
+  return {
+    listings: process.env.WEBHOOK_URL_LISTINGS || "",
+    sold: process.env.WEBHOOK_URL_SOLD || "",
+  };
+}
+
+/**
+ * Works out where the webhooks of a seller or search go: its own webhooks,
+ * then its group's, then the global ones
+ * @param {Object} entry - Seller or search record
+ * @param {Object} monitor - Monitor settings (with the webhookGroups)
+ * @returns {Object} Per kind: { urls, source }
+ */
+function getEntryWebhooks(entry, monitor) {
+  return webhookRoutes.getWebhookRoutes(
+    entry,
+    monitor.webhookGroups,
+    getGlobalWebhooks()
+  );
+}
+
+/**
+ * Checks whether a webhook is configured for what a seller or search watches
+ * @param {Object} entry - Seller or search record
+ * @param {Object} monitor - Monitor settings (with the webhookGroups)
+ * @returns {boolean} True if the entry can be monitored
+ */
+function hasWebhookFor(entry, monitor) {
+  return webhookRoutes.hasWebhooks(getEntryWebhooks(entry, monitor));
+}
+
+/**
+ * Describes a seller or search for logs and cycle progress
+ * @param {Object} entry - Seller or search record
+ * @returns {string} e.g. "listing seller abc" or "search lego-star-wars"
+ */
+function describeEntry(entry) {
+  if (entry.type === "search") return `search ${entry.id}`;
+  return `${entry.type === "sold" ? "sold" : "listing"} seller ${
+    entry.ssn || entry.username
+  }`;
+}
+
+/**
+ * Adds running checks and timing figures to the progress of a monitoring cycle
+ * @param {Object} cycle - Cycle { startedAt, jobIds, completed, failed, runId }
+ * @returns {Object} Progress { runId, startedAt, total, completed, failed, active, elapsedMs, checksPerMinute }
+ */
+function summarizeCycle(cycle) {
+  const elapsedMs = Date.now() - new Date(cycle.startedAt).getTime();
+  const checked = cycle.completed + cycle.failed;
+  return {
+    runId: cycle.runId,
+    startedAt: cycle.startedAt,
+    total: cycle.jobIds.length,
+    completed: cycle.completed,
+    failed: cycle.failed,
+    active: cycle.jobIds
+      .map(jobQueue.getJob)
+      .filter((job) => job && job.status === jobQueue.JOB_STATUS.RUNNING)
+      .map((job) => job.key),
+    elapsedMs,
+    checksPerMinute:
+      elapsedMs > 0 ? Math.round((checked / elapsedMs) * 60000 * 10) / 10 : 0,
+  };
+}
+
+/**
+ * Checks a seller or search for new listings and sold items
+ * @param {Object} entry - Seller or search record
+ * @param {Array<string>} listingWebhooks - Webhook URLs for listings
+ * @param {Array<string>} soldWebhooks - Webhook URLs for sold items
+ * @param {Object} detailBudget - Item page budget of the cycle
+ * @param {Object} run - Run record the check counts items and webhooks in
+ * @returns {Promise<string|null>} Page kind checked, or null if nothing was checked
+ */
+async function checkEntry(
+  entry,
+  listingWebhooks,
+  soldWebhooks,
+  detailBudget,
+  run
+) {
+  if (entry.type === "search") {
+    return monitorSearch(
+      entry,
+      listingWebhooks,
+      soldWebhooks,
+      detailBudget,
+      run
+    );
+  }
+  if (entry.type === "sold") {
+    await checkSoldSeller(entry, soldWebhooks, detailBudget, run);
+    return "sold";
+  }
+  if (entry.inventoryMode) {
+    await monitorInventorySeller(entry, listingWebhooks, detailBudget, run);
+    return "inventory";
+  }
+  await checkListingSeller(entry, listingWebhooks, detailBudget, run);
+  return "listings";
+}
+
+/**
+ * Checks a listings seller for new listings and price changes
+ * @param {Object} seller - Seller record
+ * @param {Array<string>} listingWebhooks - Webhook URLs for listings
+ * @param {Object} detailBudget - Item page budget of the cycle
+ * @param {Object} run - Run record of the check
+ */
+async function checkListingSeller(seller, listingWebhooks, detailBudget, run) {
+  const ssn = seller.ssn || seller.username;
+  console.log(`Checking listings for seller: ${ssn}`);
+
+  // Every card on the page is read for price changes; only the ones with the
+  // "New Listing" badge can be reported as new
+  const listings = await scraper.getSellerListings(seller.storeName, ssn, {
+    marketplace: seller.marketplace,
+    stickyProxy: seller.stickyProxy,
+    filters: seller.filters,
+    newOnly: false,
+  });
+  const knownListingIds = new Set(seller.knownListings || []);
+  const newListings = listings.filter(
+    (listing) => listing.newListing && !knownListingIds.has(listing.itemId)
+  );
+
+  if (seller.baselinePending) {
+    console.log(
+      `Stored ${newListings.length} existing listing(s) as baseline for ${ssn}`
+    );
+    run.baseline = true;
+    countItems(run, listings.length, []);
+    await sellerManager.updateSeller(
+      ssn,
+      {
+        knownListings: [
+          ...(seller.knownListings || []),
+          ...newListings.map((l) => l.itemId),
+        ],
+        knownPrices: priceChanges.buildPriceRecords(listings),
+        baselinePending: false,
+        lastCheckedListings: new Date().toISOString(),
+      },
+      "listings"
+    );
+    return;
+  }
+
+  // Compare prices of listings seen before against the last seen price
+  const knownPrices = seller.knownPrices || {};
+  const changedPrices = priceChanges.detectPriceChanges(
+    knownPrices,
+    listings,
+    getPriceChangeThreshold(seller)
+  );
+  // Listings missing from this scrape are dropped from the records
+  const updatedPrices = priceChanges.buildPriceRecords(listings);
+  const pricesMoved =
+    Object.keys(knownPrices).length !== Object.keys(updatedPrices).length ||
+    listings.some(
+      (listing) =>
+        !knownPrices[listing.itemId] ||
+        knownPrices[listing.itemId].amount !==
+          updatedPrices[listing.itemId].amount
+    );
+
+  for (const change of changedPrices) {
+    await queueNotification(run, "priceChange", listingWebhooks, change);
+  }
+
+  countItems(
+    run,
+    listings.length,
+    newListings.map((l) => l.itemId)
+  );
+  if (newListings.length > 0) {
+    console.log(`Found ${newListings.length} new listing(s) for ${ssn}`);
+
+    await scraper.enrichItemDetails(newListings, {
+      marketplace: seller.marketplace,
+      budget: detailBudget,
+    });
+
+    // The outbox delivers them, paced by the webhook queue (WEBHOOK_DELAY_MS)
+    for (const listing of newListings) {
+      await queueNotification(run, "newListing", listingWebhooks, listing);
+    }
+
+    // Update known listings
+    const updatedKnownListings = [
+      ...(seller.knownListings || []),
+      ...newListings.map((l) => l.itemId),
+    ];
+    await sellerManager.updateSeller(
+      ssn,
+      {
+        knownListings: updatedKnownListings,
+        knownPrices: updatedPrices,
+        lastCheckedListings: new Date().toISOString(),
+      },
+      "listings"
+    );
+  } else if (pricesMoved) {
+    await sellerManager.updateSeller(
+      ssn,
+      {
+        knownPrices: updatedPrices,
+        lastCheckedListings: new Date().toISOString(),
+      },
+      "listings"
+    );
+  }
+}
+
+/**
+ * Checks a sold seller for new sales
+ * @param {Object} seller - Seller record
+ * @param {Array<string>} soldWebhooks - Webhook URLs for sold items
+ * @param {Object} detailBudget - Item page budget of the cycle
+ * @param {Object} run - Run record of the check
+ */
+async function checkSoldSeller(seller, soldWebhooks, detailBudget, run) {
+  const ssn = seller.ssn || seller.username;
+  console.log(`Checking sold items for seller: ${ssn}`);
+
+  const soldData = await scraper.getSellerSoldItems(seller.storeName, ssn, {
+    lookbackDays: seller.soldLookbackDays || undefined,
+    marketplace: seller.marketplace,
+    stickyProxy: seller.stickyProxy,
+    filters: seller.filters,
+  });
+  // A sale is a listing plus sold date, so repeat sales of
+  // multi-quantity listings are reported too
+  const { sales: newSales, eventKeys } = sales.detectNewSales(
+    soldData.soldItems,
+    seller
+  );
+  const knownEvents = new Set(seller.knownSaleEvents || []);
+  const hasUnseenEvents =
+    !seller.knownSaleEvents || eventKeys.some((key) => !knownEvents.has(key));
+
+  if (seller.baselinePending) {
+    console.log(
+      `Stored ${newSales.length} existing sold listing(s) as baseline for ${ssn}`
+    );
+    run.baseline = true;
+    countItems(run, soldData.soldItems.length, []);
+    const knownSoldItemIds = new Set(seller.knownSoldItems || []);
+    newSales.forEach((sale) => knownSoldItemIds.add(sale.item.itemId));
+    await sellerManager.updateSeller(
+      ssn,
+      {
+        knownSoldItems: [...knownSoldItemIds],
+        knownSaleEvents: sales.mergeSaleEvents(
+          seller.knownSaleEvents || [],
+          eventKeys
+        ),
+        baselinePending: false,
+        lastCheckedSold: new Date().toISOString(),
+      },
+      "sold"
+    );
+    return;
+  }
+
+  countItems(
+    run,
+    soldData.soldItems.length,
+    newSales.map((sale) => sale.item.itemId)
+  );
+  if (newSales.length > 0) {
+    console.log(`Found ${newSales.length} newly sold listing(s) for ${ssn}`);
+
+    await scraper.enrichItemDetails(
+      newSales.map((sale) => sale.item),
+      {
+        marketplace: seller.marketplace,
+        budget: detailBudget,
+      }
+    );
+  }
+
+  const soldListings = sales.recordSales(seller.soldListings || {}, newSales);
+
+  // The outbox delivers them, paced by the webhook queue (WEBHOOK_DELAY_MS)
+  for (const sale of newSales) {
+    await queueNotification(
+      run,
+      "soldItem",
+      soldWebhooks,
+      { ...sale.item, units: sale.units, unitsSold: sale.unitsSold },
+      ssn
+    );
+  }
+
+  if (newSales.length > 0 || hasUnseenEvents) {
+    // Update known sold items and sale events
+    const knownSoldItemIds = new Set(seller.knownSoldItems || []);
+    newSales.forEach((sale) => knownSoldItemIds.add(sale.item.itemId));
+    await sellerManager.updateSeller(
+      ssn,
+      {
+        knownSoldItems: [...knownSoldItemIds],
+        knownSaleEvents: sales.mergeSaleEvents(
+          seller.knownSaleEvents || [],
+          eventKeys
+        ),
+        soldListings,
+        lastCheckedSold: new Date().toISOString(),
+      },
+      "sold"
+    );
+  }
+}
+
+/**
+ * Monitors the sellers and searches that are due for new listings and sold items
+ */
+async function monitorSellers() {
   if (!monitoringActive) return;
 
   console.log(`[${new Date().toISOString()}] Starting seller monitoring...`);
+  const cycleRun = runHistory.startRun("cycle");
 
   try {
-    // Get webhook URLs from environment variables
-    const webhookUrlListings = process.env.WEBHOOK_URL_LISTINGS || "";
-    const webhookUrlSold = process.env.WEBHOOK_URL_SOLD || "";
+    const monitor = await sellerManager.loadMonitorState();
+    if (pause.isPaused(monitor)) {
+      console.log(`Monitoring is ${pause.describePause(monitor)}, skipping`);
+      runHistory.finishRun(cycleRun, { status: "skipped", skipped: "paused" });
+      return;
+    }
 
     const sellers = await sellerManager.getAllSellers();
 
     if (sellers.length === 0) {
       console.log("No sellers to monitor");
+      runHistory.finishRun(cycleRun, {
+        status: "skipped",
+        skipped: "no sellers",
+      });
       return;
     }
 
-    if (!webhookUrlListings && !webhookUrlSold) {
+    if (!sellers.some((s) => hasWebhookFor(s, monitor))) {
       console.log(
-        "No webhooks configured. Please set WEBHOOK_URL_LISTINGS and/or WEBHOOK_URL_SOLD environment variables."
+        "No webhooks configured. Please set WEBHOOK_URL_LISTINGS and/or WEBHOOK_URL_SOLD environment variables, or seller or group webhooks."
       );
+      runHistory.finishRun(cycleRun, {
+        status: "skipped",
+        skipped: "no webhook configured",
+      });
       return;
     }
 
+    // Only sellers whose scheduled check has come (and that are not paused,
+    // snoozed or cooling down)
+    const now = Date.now();
+    const due = sellers.filter(
+      (s) =>
+        hasWebhookFor(s, monitor) && !pause.isPaused(s) && getDueTime(s) <= now
+    );
+
     // Get sellers by type
-    const listingSellers = sellers.filter((s) => s.type === "listings");
-    const soldSellers = sellers.filter((s) => s.type === "sold");
+    const listingSellers = due.filter((s) => s.type === "listings");
+    const soldSellers = due.filter((s) => s.type === "sold");
+    const searches = due.filter((s) => s.type === "search");
 
     console.log(
-      `Monitoring ${listingSellers.length} listing seller(s) and ${soldSellers.length} sold seller(s)...`
-    );
-
-    // Monitor listing sellers
-    if (webhookUrlListings && listingSellers.length > 0) {
-      for (const seller of listingSellers) {
-        try {
-          const ssn = seller.ssn || seller.username;
-          console.log(`Checking listings for seller: ${ssn}`);
-
-          const listings = await scraper.getSellerListings(
-            seller.storeName,
-            ssn
-          );
-          const knownListingIds = new Set(seller.knownListings || []);
-          const newListings = listings.filter(
-            (listing) => !knownListingIds.has(listing.itemId)
-          );
-
-          if (newListings.length > 0) {
-            console.log(
-              `Found ${newListings.length} new listing(s) for ${ssn}`
-            );
-
-            for (const listing of newListings) {
-              const success = await webhooks.sendNewListingWebhook(
-                webhookUrlListings,
-                listing
-              );
-              // Wait 2.5 seconds between requests to avoid rate limits (Discord allows ~30/min)
-              // The webhook function will handle rate limit errors with retries
-              await new Promise((resolve) => setTimeout(resolve, 2500));
-            }
-
-            // Update known listings
-            const updatedKnownListings = [
-              ...(seller.knownListings || []),
-              ...newListings.map((l) => l.itemId),
-            ];
-            await sellerManager.updateSeller(
-              ssn,
-              {
-                knownListings: updatedKnownListings,
-                lastCheckedListings: new Date().toISOString(),
-              },
-              "listings"
-            );
-          }
-
-          // Add delay between sellers to avoid rate limiting
-          await new Promise((resolve) => setTimeout(resolve, 5000));
-        } catch (error) {
-          console.error(
-            `Error monitoring listing seller ${seller.username}:`,
-            error.message
-          );
+      `Monitoring ${listingSellers.length} listing seller(s), ${soldSellers.length} sold seller(s) and ${searches.length} search(es) due of ${sellers.length}...`
+    );
+
+    // Sellers that already have a job queued or running share it
+    const cycle = {
+      startedAt: new Date().toISOString(),
+      jobIds: [...listingSellers, ...soldSellers, ...searches].map(
+        (entry) => enqueueCheck(entry, "scheduled").id
+      ),
+      completed: 0,
+      failed: 0,
+      runId: cycleRun.id,
+      // Item pages opened for newly detected items, shared by all sellers this cycle
+      detailBudget: scraper.createDetailBudget(),
+    };
+    currentCycle = cycle;
+
+    // Up to MONITOR_CONCURRENCY jobs run at once; eBay requests and webhooks
+    // are paced by their own limiters
+    await Promise.all(
+      cycle.jobIds.map(async (id) => {
+        const job = await jobQueue.waitForJob(id);
+        if (job && job.status === jobQueue.JOB_STATUS.FAILED) {
+          cycle.failed++;
+        } else {
+          cycle.completed++;
         }
+        const progress = summarizeCycle(cycle);
+        console.log(
+          `Cycle progress: ${cycle.completed + cycle.failed}/${
+            progress.total
+          } checked (${cycle.failed} failed, ${progress.active.length} running)`
+        );
+      })
+    );
+
+    const { active, ...summary } = summarizeCycle(cycle);
+    lastCycle = { ...summary, finishedAt: new Date().toISOString() };
+    Object.assign(cycleRun, {
+      sellers: sellers.length,
+      due: due.length,
+      checked: cycle.completed,
+      failed: cycle.failed,
+    });
+    runHistory.finishRun(cycleRun);
+    console.log(
+      `[${new Date().toISOString()}] Monitoring cycle complete (${
+        lastCycle.total
+      } checked in ${Math.round(lastCycle.elapsedMs / 1000)}s)`
+    );
+  } catch (error) {
+    console.error("Error in monitoring cycle:", error.message);
+    runHistory.finishRun(cycleRun, { error });
+  } finally {
+    currentCycle = null;
+  }
+}
+
+/**
+ * Gets the key a seller or search is stored and queued under
+ * @param {Object} entry - Seller or search record
+ * @returns {string} Seller SSN/username, or search monitor ID
+ */
+function getEntryTarget(entry) {
+  return entry.ssn || entry.username || entry.id;
+}
+
+/**
+ * Queues a check of one seller or search
+ * @param {Object} entry - Seller or search record
+ * @param {string} reason - Why the check is queued: 'scheduled' or 'added'
+ * @returns {Object} Job { id, key, status, ... } (the queued or running job if there is one)
+ */
+function enqueueCheck(entry, reason) {
+  return jobQueue.enqueueJob({
+    type: entry.type,
+    target: getEntryTarget(entry),
+    reason,
+  }).job;
+}
+
+/**
+ * Runs a check job against the stored seller or search, so each check sees
+ * what the previous one saved
+ * @param {Object} job - Job { type, target, reason }
+ * @returns {Promise<Object>} Result { kind } or { skipped }
+ * @throws {Error} If the check failed
+ */
+async function runCheckJob(job) {
+  const entry = (await sellerManager.getAllSellers(job.type)).find(
+    (s) => getEntryTarget(s) === job.target
+  );
+  // Jobs start while the cycle is still queuing them, so look it up after
+  // the first await
+  const inCycle = !!currentCycle && currentCycle.jobIds.includes(job.id);
+  const run = runHistory.startRun("check", {
+    type: job.type,
+    target: job.target,
+    reason: job.reason,
+    jobId: job.id,
+    cycleId: inCycle ? currentCycle.runId : null,
+  });
+  const monitor = await sellerManager.loadMonitorState();
+  const routes = entry ? getEntryWebhooks(entry, monitor) : null;
+  let skipped = null;
+  if (!entry) {
+    skipped = "removed";
+  } else if (pause.isPaused(entry) || pause.isPaused(monitor)) {
+    // Left due, so the check runs once the seller or the monitor is resumed
+    skipped = "paused";
+  } else if (!webhookRoutes.hasWebhooks(routes)) {
+    skipped = "no webhook configured";
+  }
+  if (skipped) {
+    runHistory.finishRun(run, { status: "skipped", skipped });
+    return { skipped, runId: run.id };
+  }
+
+  const detailBudget = inCycle
+    ? currentCycle.detailBudget
+    : scraper.createDetailBudget();
+  const label = describeEntry(entry);
+  const startedAt = new Date();
+  // Fetch statistics are kept per seller; checks of one seller do not overlap
+  const fetchesBefore = getFetchStats(job.target);
+  try {
+    const kind = await checkEntry(
+      entry,
+      routes.listings.urls,
+      routes.sold.urls,
+      detailBudget,
+      run
+    );
+    if (kind) {
+      await recordScrapeOutcome(entry, entry.type, kind);
+    }
+    Object.assign(
+      run,
+      runHistory.diffFetchStats(fetchesBefore, getFetchStats(job.target))
+    );
+    runHistory.finishRun(run, { status: run.baseline ? "baseline" : "ok" });
+    return { kind, runId: run.id };
+  } catch (error) {
+    console.error(`Error monitoring ${label}:`, error.message);
+    await recordScrapeOutcome(entry, entry.type, null, error);
+    Object.assign(
+      run,
+      runHistory.diffFetchStats(fetchesBefore, getFetchStats(job.target))
+    );
+    runHistory.finishRun(run, { error });
+    throw error;
+  } finally {
+    await scheduleNextCheck(entry, entry.type, startedAt);
+    // Checks outside a cycle can move the next due time
+    if (job.reason !== "scheduled") refreshMonitoringSchedule();
+  }
+}
+
+/**
+ * Saves a webhook notification to the outbox, which delivers it with retries
+ * @param {Object} run - Check run record the notification belongs to
+ * @param {string} kind - Notification kind (see webhooks.sendNotification)
+ * @param {Array<string>} webhookUrls - Webhook URLs to post to, one notification each
+ * @param {...*} args - Arguments of the webhook sender after the URL
+ * @returns {Promise<void>}
+ */
+async function queueNotification(run, kind, webhookUrls, ...args) {
+  for (const webhookUrl of webhookUrls) {
+    await outbox.enqueueNotification({
+      kind,
+      webhookUrl,
+      args,
+      type: run.type,
+      target: run.target,
+      runId: run.id,
+    });
+    run.webhooksQueued++;
+  }
+}
+
+/**
+ * Counts the items a check found and the new ones it reported in its run
+ * record
+ * @param {Object} run - Check run record
+ * @param {number} found - Items on the scraped pages
+ * @param {Array<string>} newItemIds - IDs of the items reported as new
+ */
+function countItems(run, found, newItemIds) {
+  run.itemsFound += found;
+  run.itemsNew += newItemIds.length;
+  run.newItemIds.push(...newItemIds);
+}
+
+/**
+ * Stores a seller's scrape status after a check, starting or clearing the
+ * block cooldown
+ * @param {Object} seller - Seller or search record
+ * @param {string} type - Seller type: 'listings', 'sold' or 'search'
+ * @param {string} kind - Page kind checked on success: 'listings', 'inventory' or 'sold'
+ * @param {Error} error - Error of a failed check (optional)
+ * @returns {Promise<Object>} New scrape status
+ */
+async function recordScrapeOutcome(seller, type, kind, error = null) {
+  const ssn = seller.ssn || seller.username || seller.id;
+
+  let outcome;
+  if (error) {
+    outcome = {
+      status: error instanceof ScrapeError ? error.status : "error",
+      message: error.message,
+    };
+  } else {
+    const page = scraper.getLastPageStatus(ssn, kind);
+    outcome = {
+      status: page ? page.status : PAGE_STATUS.OK,
+      message: page ? page.reason : null,
+    };
+  }
+
+  const scrapeStatus = cooldown.nextScrapeStatus(seller.scrapeStatus, outcome);
+  if (scrapeStatus.cooldownUntil) {
+    console.warn(
+      `Seller ${ssn} (${type}) is ${scrapeStatus.status} ${scrapeStatus.consecutiveBlocks} time(s) in a row, cooling down until ${scrapeStatus.cooldownUntil}`
+    );
+  }
+
+  await sellerManager.updateSeller(ssn, { scrapeStatus }, type);
+  return scrapeStatus;
+}
+
+/**
+ * Checks a search monitor for new listings and recent solds. The first check
+ * of each only stores what the search already shows.
+ * @param {Object} search - Search record
+ * @param {Array<string>} listingWebhooks - Webhook URLs for listings
+ * @param {Array<string>} soldWebhooks - Webhook URLs for sold items
+ * @param {Object} detailBudget - Item page budget of the current cycle
+ * @param {Object} run - Run record of the check
+ * @returns {Promise<string|null>} Kind of the last page checked, or null if nothing was checked
+ */
+async function monitorSearch(
+  search,
+  listingWebhooks,
+  soldWebhooks,
+  detailBudget,
+  run
+) {
+  const watch = search.watch || "both";
+  const options = {
+    marketplace: search.marketplace,
+    stickyProxy: search.stickyProxy,
+  };
+  const updates = {};
+  let kind = null;
+
+  if (listingWebhooks.length > 0 && watch !== "sold") {
+    console.log(`Checking listings for search: ${search.id}`);
+    const listings = await scraper.getSearchListings(
+      search.id,
+      search.query,
+      options
+    );
+    const knownListingIds = new Set(search.knownListings || []);
+    const newListings = listings.filter(
+      (listing) => !knownListingIds.has(listing.itemId)
+    );
+
+    if (!search.lastCheckedListings) {
+      console.log(
+        `Stored ${listings.length} existing listing(s) as baseline for search ${search.id}`
+      );
+      run.baseline = true;
+      countItems(run, listings.length, []);
+    } else if (newListings.length > 0) {
+      console.log(
+        `Found ${newListings.length} new listing(s) for search ${search.id}`
+      );
+      await scraper.enrichItemDetails(newListings, {
+        marketplace: search.marketplace,
+        budget: detailBudget,
+      });
+
+      for (const listing of newListings) {
+        await queueNotification(run, "newListing", listingWebhooks, {
+          ...listing,
+          searchName: search.name,
+        });
       }
     }
+    if (search.lastCheckedListings) {
+      countItems(
+        run,
+        listings.length,
+        newListings.map((l) => l.itemId)
+      );
+    }
+
+    newListings.forEach((listing) => knownListingIds.add(listing.itemId));
+    updates.knownListings = [...knownListingIds].slice(-MAX_KNOWN_SEARCH_ITEMS);
+    updates.lastCheckedListings = new Date().toISOString();
+    kind = "listings";
+  }
+
+  if (soldWebhooks.length > 0 && watch !== "listings") {
+    console.log(`Checking sold items for search: ${search.id}`);
+    const soldData = await scraper.getSearchSoldItems(search.id, search.query, {
+      ...options,
+      lookbackDays: search.soldLookbackDays || undefined,
+    });
+    const { sales: newSales, eventKeys } = sales.detectNewSales(
+      soldData.soldItems,
+      search
+    );
+    const baseline = !search.lastCheckedSold;
 
-    // Monitor sold sellers
-    if (webhookUrlSold && soldSellers.length > 0) {
-      for (const seller of soldSellers) {
-        try {
-          const ssn = seller.ssn || seller.username;
-          console.log(`Checking sold items for seller: ${ssn}`);
-
-          const soldData = await scraper.getSellerSoldItems(
-            seller.storeName,
-            ssn
-          );
-          const knownSoldItemIds = new Set(seller.knownSoldItems || []);
-          const newSoldItems = soldData.soldItems.filter(
-            (item) => !knownSoldItemIds.has(item.itemId)
-          );
-
-          if (newSoldItems.length > 0) {
-            console.log(
-              `Found ${newSoldItems.length} new sold item(s) for ${ssn}`
-            );
-
-            for (const item of newSoldItems) {
-              const success = await webhooks.sendSoldItemWebhook(
-                webhookUrlSold,
-                item,
-                ssn
-              );
-              // Wait 2.5 seconds between requests to avoid rate limits (Discord allows ~30/min)
-              // The webhook function will handle rate limit errors with retries
-              await new Promise((resolve) => setTimeout(resolve, 2500));
-            }
-
-            // Update known sold items
-            const updatedKnownSoldItems = [
-              ...(seller.knownSoldItems || []),
-              ...newSoldItems.map((i) => i.itemId),
-            ];
-            await sellerManager.updateSeller(
-              ssn,
-              {
-                knownSoldItems: updatedKnownSoldItems,
-                lastCheckedSold: new Date().toISOString(),
-              },
-              "sold"
-            );
-          }
-
-          // Add delay between sellers to avoid rate limiting
-          await new Promise((resolve) => setTimeout(resolve, 5000));
-        } catch (error) {
-          console.error(
-            `Error monitoring sold seller ${seller.username}:`,
-            error.message
-          );
+    if (baseline) {
+      console.log(
+        `Stored ${eventKeys.length} existing sale(s) as baseline for search ${search.id}`
+      );
+      run.baseline = true;
+    } else if (newSales.length > 0) {
+      console.log(
+        `Found ${newSales.length} newly sold listing(s) for search ${search.id}`
+      );
+      await scraper.enrichItemDetails(
+        newSales.map((sale) => sale.item),
+        {
+          marketplace: search.marketplace,
+          budget: detailBudget,
         }
+      );
+    }
+
+    const reported = baseline ? [] : newSales;
+    countItems(
+      run,
+      soldData.soldItems.length,
+      reported.map((sale) => sale.item.itemId)
+    );
+    updates.soldListings = sales.recordSales(
+      search.soldListings || {},
+      reported
+    );
+    for (const sale of reported) {
+      await queueNotification(
+        run,
+        "soldItem",
+        soldWebhooks,
+        {
+          ...sale.item,
+          units: sale.units,
+          unitsSold: sale.unitsSold,
+          searchName: search.name,
+        },
+        sale.item.sellerUsername
+      );
+    }
+
+    updates.knownSaleEvents = sales.mergeSaleEvents(
+      search.knownSaleEvents || [],
+      eventKeys
+    );
+    updates.lastCheckedSold = new Date().toISOString();
+    kind = "sold";
+  }
+
+  if (kind) {
+    await sellerManager.updateSeller(search.id, updates, "search");
+  }
+  return kind;
+}
+
+/**
+ * Checks a listings seller's full active inventory and reports listings that
+ * were added, ended (sold or delisted) or changed since the last snapshot.
+ * The first check only stores the snapshot, unless the seller was added with
+ * notifyExisting.
+ * @param {Object} seller - Seller record
+ * @param {Array<string>} webhookUrls - Webhook URLs for listings
+ * @param {Object} detailBudget - Item page budget of the current cycle
+ * @param {Object} run - Run record of the check
+ */
+async function monitorInventorySeller(seller, webhookUrls, detailBudget, run) {
+  const ssn = seller.ssn || seller.username;
+  console.log(`Checking inventory for seller: ${ssn}`);
+
+  const inventory = await scraper.getSellerInventory(seller.storeName, ssn, {
+    marketplace: seller.marketplace,
+    stickyProxy: seller.stickyProxy,
+    filters: seller.filters,
+  });
+  const now = new Date();
+  const previousSnapshot = seller.inventorySnapshot || null;
+  const snapshot = buildSnapshot(
+    inventory.listings,
+    previousSnapshot || {},
+    now
+  );
+
+  if (!previousSnapshot) {
+    console.log(
+      `Stored initial inventory snapshot of ${inventory.listings.length} listing(s) for ${ssn}`
+    );
+    // Sellers added with notifyExisting report the listings found as new
+    run.baseline = !seller.notifyExisting;
+    countItems(
+      run,
+      inventory.listings.length,
+      seller.notifyExisting ? inventory.listings.map((l) => l.itemId) : []
+    );
+    if (seller.notifyExisting) {
+      await scraper.enrichItemDetails(inventory.listings, {
+        marketplace: seller.marketplace,
+        budget: detailBudget,
+      });
+      for (const listing of inventory.listings) {
+        await queueNotification(run, "newListing", webhookUrls, listing);
       }
     }
+    await sellerManager.updateSeller(
+      ssn,
+      {
+        inventorySnapshot: snapshot,
+        knownListings: Object.keys(snapshot),
+        baselinePending: false,
+        inventoryCheckedAt: now.toISOString(),
+        lastCheckedListings: now.toISOString(),
+      },
+      "listings"
+    );
+    return;
+  }
 
-    console.log(`[${new Date().toISOString()}] Monitoring cycle complete`);
-  } catch (error) {
-    console.error("Error in monitoring cycle:", error.message);
+  const {
+    added,
+    removed,
+    changed: allChanged,
+  } = diffInventory(previousSnapshot, inventory.listings);
+
+  // Numeric price moves get their own alert, the summary keeps the rest
+  const changedPrices = priceChanges.detectPriceChanges(
+    previousSnapshot,
+    inventory.listings,
+    getPriceChangeThreshold(seller)
+  );
+  const changed = allChanged
+    .map((entry) => ({
+      ...entry,
+      changes: entry.changes.filter(
+        (change) =>
+          change.field !== "price" ||
+          typeof change.from !== "number" ||
+          typeof change.to !== "number"
+      ),
+    }))
+    .filter((entry) => entry.changes.length > 0);
+
+  // A truncated or empty scrape cannot tell ended listings from unseen ones
+  let ended = [];
+  if (inventory.complete && inventory.listings.length > 0) {
+    ended = removed;
+  } else if (removed.length > 0) {
+    console.warn(
+      `Inventory scrape for ${ssn} was incomplete, keeping ${removed.length} unseen listing(s)`
+    );
+    for (const entry of removed) {
+      snapshot[entry.itemId] = previousSnapshot[entry.itemId];
+    }
+  }
+
+  // Ended listings that show up in the sold feed were sold, the rest were delisted
+  let soldIds = new Set();
+  if (ended.length > 0) {
+    const sinceLastCheck =
+      (now - new Date(seller.inventoryCheckedAt || seller.addedAt)) /
+      (1000 * 60 * 60 * 24);
+    const soldData = await scraper.getSellerSoldItems(seller.storeName, ssn, {
+      lookbackDays: Math.max(1, sinceLastCheck + 1),
+      marketplace: seller.marketplace,
+      stickyProxy: seller.stickyProxy,
+      filters: seller.filters,
+    });
+    soldIds = new Set(soldData.soldItems.map((item) => item.itemId));
+  }
+
+  console.log(
+    `Inventory for ${ssn}: ${added.length} added, ${ended.length} ended, ${changed.length} changed, ${changedPrices.length} price change(s)`
+  );
+
+  countItems(
+    run,
+    inventory.listings.length,
+    added.map((listing) => listing.itemId)
+  );
+  await scraper.enrichItemDetails(added, {
+    marketplace: seller.marketplace,
+    budget: detailBudget,
+  });
+
+  for (const listing of added) {
+    await queueNotification(run, "newListing", webhookUrls, listing);
+  }
+
+  for (const entry of ended) {
+    await queueNotification(
+      run,
+      "endedListing",
+      webhookUrls,
+      {
+        ...entry,
+        sellerUsername: ssn,
+        storeName: seller.storeName,
+        marketplace: seller.marketplace,
+      },
+      soldIds.has(entry.itemId)
+    );
   }
+
+  for (const change of changedPrices) {
+    await queueNotification(run, "priceChange", webhookUrls, change);
+  }
+
+  if (changed.length > 0) {
+    await queueNotification(run, "listingChanges", webhookUrls, ssn, changed);
+  }
+
+  const knownListings = new Set(seller.knownListings || []);
+  added.forEach((listing) => knownListings.add(listing.itemId));
+
+  await sellerManager.updateSeller(
+    ssn,
+    {
+      inventorySnapshot: snapshot,
+      knownListings: [...knownListings],
+      inventoryCheckedAt: now.toISOString(),
+      lastCheckedListings: now.toISOString(),
+      lastInventoryReport: {
+        checkedAt: now.toISOString(),
+        activeListings: inventory.listings.length,
+        pagesScraped: inventory.pagesScraped,
+        complete: inventory.complete,
+        added: added.map((listing) => listing.itemId),
+        sold: ended
+          .filter((entry) => soldIds.has(entry.itemId))
+          .map((entry) => entry.itemId),
+        ended: ended
+          .filter((entry) => !soldIds.has(entry.itemId))
+          .map((entry) => entry.itemId),
+        changed: changed.map(({ listing }) => listing.itemId),
+        priceChanged: changedPrices.map(({ listing }) => listing.itemId),
+      },
+    },
+    "listings"
+  );
 }
 
 /**
- * Triggers an immediate monitoring restart
+ * Re-times the scheduler after sellers or schedules changed. A run in
+ * progress re-times it when it finishes.
  */
-function triggerMonitoringRestart() {
-  console.log("Triggering monitoring restart due to configuration change...");
-  // Run monitoring immediately
-  setTimeout(() => {
-    monitorSellers();
-  }, 2000); // Small delay to ensure changes are saved
+async function refreshMonitoringSchedule() {
+  if (monitoringRunning || !monitoringActive) return;
+  try {
+    const wait = await getSchedulerWait();
+    if (!monitoringRunning) scheduleMonitoring(wait);
+  } catch (error) {
+    console.error("Error scheduling monitoring:", error.message);
+  }
 }
 
-// Start monitoring interval
+// Default check interval of sellers without a schedule
 const MONITOR_INTERVAL = parseInt(
   process.env.MONITOR_INTERVAL || "43200000",
   10
 ); // Default 12 hours (43200000 ms)
 
-let monitoringIntervalId = null;
+// Longest sleep of the scheduler, so edits to sellers.json are picked up
+const MAX_SCHEDULER_WAIT = 60 * 60 * 1000;
+// Shortest sleep of the scheduler between runs
+const MIN_SCHEDULER_WAIT = 5000;
+// Sellers and searches checked at the same time
+const MONITOR_CONCURRENCY = Math.max(
+  1,
+  parseInt(process.env.MONITOR_CONCURRENCY || "3", 10)
+);
+
+// Progress of the running monitoring cycle, and summary of the last one
+let currentCycle = null;
+let lastCycle = null;
+
+let monitoringRunning = false;
+let monitoringRerun = false;
+
+/**
+ * Computes how long the scheduler can sleep until a seller or search is due
+ * @returns {Promise<number>} Wait in milliseconds
+ */
+async function getSchedulerWait() {
+  // While paused the scheduler waits for the snooze to end (or for a resume)
+  const monitor = await sellerManager.loadMonitorState();
+  if (pause.isPaused(monitor)) {
+    const snoozeEnd = pause.getSnoozeEnd(monitor);
+    return snoozeEnd
+      ? Math.min(
+          MAX_SCHEDULER_WAIT,
+          Math.max(MIN_SCHEDULER_WAIT, snoozeEnd.getTime() - Date.now())
+        )
+      : MAX_SCHEDULER_WAIT;
+  }
+
+  // Sellers paused until resumed have no due time
+  const dueTimes = (await sellerManager.getAllSellers())
+    .filter(
+      (s) => hasWebhookFor(s, monitor) && !(pause.isPaused(s) && !s.pausedUntil)
+    )
+    .map(getDueTime);
+
+  if (dueTimes.length === 0) return MAX_SCHEDULER_WAIT;
+  return Math.min(
+    MAX_SCHEDULER_WAIT,
+    Math.max(MIN_SCHEDULER_WAIT, Math.min(...dueTimes) - Date.now())
+  );
+}
+
+/**
+ * Sets the scheduler to run after a delay, replacing the pending run
+ * @param {number} delay - Delay in milliseconds
+ */
+function scheduleMonitoring(delay) {
+  clearTimeout(monitoringTimeout);
+  monitoringTimeout = setTimeout(runMonitoring, delay);
+  monitoringNextRunAt = new Date(Date.now() + delay).toISOString();
+}
+
+/**
+ * Runs the sellers that are due, then sleeps until the next one is. A run
+ * requested while one is in progress follows right after it.
+ */
+async function runMonitoring() {
+  monitoringTimeout = null;
+  monitoringNextRunAt = null;
+  if (monitoringRunning) {
+    monitoringRerun = true;
+    return;
+  }
+
+  monitoringRunning = true;
+  try {
+    await monitorSellers();
+  } finally {
+    monitoringRunning = false;
+  }
+
+  let wait = MIN_SCHEDULER_WAIT;
+  if (!monitoringRerun) {
+    try {
+      wait = await getSchedulerWait();
+    } catch (error) {
+      console.error("Error scheduling monitoring:", error.message);
+      wait = MAX_SCHEDULER_WAIT;
+    }
+  }
+  monitoringRerun = false;
+
+  if (monitoringActive) {
+    console.log(
+      `Next monitoring run in ${Math.round(wait / 1000 / 60)} minute(s)`
+    );
+    scheduleMonitoring(wait);
+  }
+}
 
 /**
- * Starts the monitoring interval
+ * Starts the notification outbox, the check jobs (resuming the ones queued
+ * before a restart) and the monitoring scheduler
  */
-function startMonitoring() {
-  monitorSellers();
+async function startMonitoring() {
+  await runHistory.loadRuns();
+  const undelivered = await outbox.restoreOutbox();
+  if (undelivered > 0) {
+    console.log(`Delivering ${undelivered} queued notification(s)`);
+  }
+  outbox.startDelivery(webhooks.sendNotification, {
+    concurrency: parseInt(process.env.WEBHOOK_CONCURRENCY || "1", 10),
+    // Runs count the first round of delivery; retried dead letters show in the outbox
+    onSettled: (notification) => {
+      if (notification.runId && !notification.redeliveredAt) {
+        runHistory.recordDelivery(
+          notification.runId,
+          notification.status === outbox.NOTIFICATION_STATUS.DELIVERED
+        );
+      }
+    },
+  });
 
-  // Then monitor at regular intervals
-  monitoringIntervalId = setInterval(() => {
-    monitorSellers();
-  }, MONITOR_INTERVAL);
+  const restored = await jobQueue.restoreJobs();
+  if (restored > 0) {
+    console.log(`Resuming ${restored} queued check job(s)`);
+  }
+  jobQueue.startJobs(runCheckJob, { concurrency: MONITOR_CONCURRENCY });
+  scheduleMonitoring(0);
 
   console.log(
-    `Monitoring interval set to ${MONITOR_INTERVAL / 1000 / 60 / 60} hours`
+    `Default check interval set to ${
+      MONITOR_INTERVAL / 1000 / 60 / 60
+    } hours (per-seller schedules override it)`
   );
+  console.log(`Checking up to ${MONITOR_CONCURRENCY} seller(s) at once`);
+}
+
+/**
+ * Closes pooled browsers before exiting
+ */
+async function shutdown() {
+  console.log("Shutting down, closing browser pool...");
+  await browserPool.closeAll();
+  process.exit(0);
 }
 
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
+
 // Start monitoring
-startMonitoring();
+startMonitoring().catch((error) => {
+  console.error("Error starting monitoring:", error.message);
+  process.exit(1);
+});
 
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
   console.log(`📍 Environment: ${process.env.NODE_ENV || "development"}`);
   console.log(
-    `📊 Monitoring interval: ${MONITOR_INTERVAL / 1000 / 60 / 60} hours`
+    `📊 Default check interval: ${MONITOR_INTERVAL / 1000 / 60 / 60} hours`
   );
 });
 
@@ -0,0 +1,87 @@
+const { test, expect } = require("@playwright/test");
+const {
+  parseSoldDate,
+  parseListedDate,
+  isWithinLookback,
+} = require("../utils/dates");
+
+test.describe("Date Normalization", () => {
+  test("should parse sold dates in the marketplace timezone", () => {
+    const soldAt = parseSoldDate("Sold  Nov 2, 2025", {
+      timeZone: "America/New_York",
+    });
+    expect(soldAt.toISOString()).toBe("2025-11-02T04:00:00.000Z");
+
+    const ukSoldAt = parseSoldDate("Sold  Jul 14, 2025", {
+      timeZone: "Europe/London",
+    });
+    expect(ukSoldAt.toISOString()).toBe("2025-07-13T23:00:00.000Z");
+  });
+
+  test("should parse day-first and localized sold dates", () => {
+    expect(
+      parseSoldDate("Sold  2 Nov 2025", {
+        timeZone: "Europe/London",
+      }).toISOString()
+    ).toBe("2025-11-02T00:00:00.000Z");
+    expect(
+      parseSoldDate("Verkauft  2. Nov. 2025", {
+        timeZone: "Europe/Berlin",
+        language: "de",
+      }).toISOString()
+    ).toBe("2025-11-01T23:00:00.000Z");
+  });
+
+  test("should return null for unparseable sold dates", () => {
+    expect(parseSoldDate("Sold recently")).toBeNull();
+    expect(parseSoldDate("")).toBeNull();
+  });
+
+  test("should parse relative listed dates", () => {
+    const now = new Date("2025-11-03T15:00:00.000Z"); // 10:00 in New York
+    const options = { timeZone: "America/New_York", now };
+
+    expect(parseListedDate("Today 09:15", options).toISOString()).toBe(
+      "2025-11-03T14:15:00.000Z"
+    );
+    expect(parseListedDate("Yesterday 23:30", options).toISOString()).toBe(
+      "2025-11-03T04:30:00.000Z"
+    );
+    expect(
+      parseListedDate("Heute 09:15", {
+        timeZone: "Europe/Berlin",
+        language: "de",
+        now,
+      }).toISOString()
+    ).toBe("2025-11-03T08:15:00.000Z");
+  });
+
+  test("should infer the year of month-day listed dates", () => {
+    const now = new Date("2026-01-02T12:00:00.000Z");
+    const options = { timeZone: "America/New_York", now };
+
+    expect(parseListedDate("Jan-1 08:00", options).toISOString()).toBe(
+      "2026-01-01T13:00:00.000Z"
+    );
+    expect(parseListedDate("Dec-31 23:24", options).toISOString()).toBe(
+      "2026-01-01T04:24:00.000Z"
+    );
+    expect(parseListedDate("Nov-1 23:24", options).toISOString()).toBe(
+      "2025-11-02T03:24:00.000Z"
+    );
+    expect(parseListedDate("Sponsored", options)).toBeNull();
+  });
+
+  test("should check the lookback window", () => {
+    const now = new Date("2025-11-03T12:00:00.000Z");
+    expect(isWithinLookback(new Date("2025-11-02T00:00:00Z"), 2, now)).toBe(
+      true
+    );
+    expect(isWithinLookback(new Date("2025-10-30T00:00:00Z"), 2, now)).toBe(
+      false
+    );
+    expect(isWithinLookback(new Date("2025-10-30T00:00:00Z"), 7, now)).toBe(
+      true
+    );
+  });
+});
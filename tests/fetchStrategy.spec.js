@@ -0,0 +1,220 @@
+const { test, expect } = require("@playwright/test");
+const http = require("http");
+
+const {
+  fetchHtml,
+  runWithStrategy,
+  getFetchStats,
+} = require("../utils/fetchStrategy");
+const { pickFingerprint } = require("../utils/fingerprints");
+const { getMarketplace } = require("../utils/marketplaces");
+const {
+  NetworkError,
+  SellerNotFoundError,
+  classifyPage,
+  errorForStatus,
+} = require("../utils/scrapeErrors");
+const { readFixture } = require("./helpers");
+
+/**
+ * Starts a local server answering every request with the given page
+ * @param {Function} respond - (req) => { status, body }
+ * @returns {Promise<Object>} { server, url, requests }
+ */
+function serve(respond) {
+  const requests = [];
+  return new Promise((resolve) => {
+    const server = http.createServer((req, res) => {
+      requests.push(req);
+      const { status, body } = respond(req);
+      res.writeHead(status, { "Content-Type": "text/html; charset=utf-8" });
+      res.end(body);
+    });
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        server,
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+      });
+    });
+  });
+}
+
+/**
+ * Loads a page over HTTP and throws like the scraper's checkPage
+ * @param {string} url - Page URL
+ * @returns {Promise<string>} HTML of an ok or empty page
+ */
+async function loadChecked(url) {
+  const fingerprint = pickFingerprint(getMarketplace("de"));
+  const { html, httpStatus } = await fetchHtml(url, { fingerprint });
+  const error = errorForStatus(classifyPage(html, { httpStatus }), { url });
+  if (error) throw error;
+  return html;
+}
+
+test.describe("HTTP Fetch", () => {
+  test("should send fingerprint headers and return any HTTP status", async () => {
+    const site = await serve((req) =>
+      req.url.includes("missing")
+        ? { status: 404, body: "<html><title>Not found</title></html>" }
+        : { status: 200, body: readFixture("fixtureseller-listings.html") }
+    );
+
+    try {
+      const fingerprint = pickFingerprint(getMarketplace("de"));
+      const ok = await fetchHtml(`${site.url}/sch/i.html`, { fingerprint });
+      expect(ok.httpStatus).toBe(200);
+      expect(classifyPage(ok.html).status).toBe("ok");
+
+      const headers = site.requests[0].headers;
+      expect(headers["user-agent"]).toBe(fingerprint.userAgent);
+      expect(headers["accept-language"]).toBe("de-DE,de;q=0.9,en;q=0.5");
+      expect(headers["sec-ch-ua-platform"]).toBe(fingerprint.secChUaPlatform);
+
+      const missing = await fetchHtml(`${site.url}/missing`, { fingerprint });
+      expect(missing.httpStatus).toBe(404);
+    } finally {
+      site.server.close();
+    }
+  });
+
+  test("should throw a NetworkError when the request fails", async () => {
+    const site = await serve(() => ({ status: 200, body: "" }));
+    const { url } = site;
+    await new Promise((resolve) => site.server.close(resolve));
+
+    const fingerprint = pickFingerprint(getMarketplace("us"));
+    await expect(fetchHtml(url, { fingerprint })).rejects.toBeInstanceOf(
+      NetworkError
+    );
+  });
+});
+
+test.describe("Fetch Strategy", () => {
+  test("should keep usable HTTP pages without opening the browser", async () => {
+    const site = await serve(() => ({
+      status: 200,
+      body: readFixture("emptyseller-listings.html"),
+    }));
+    let browserCalls = 0;
+
+    try {
+      const html = await runWithStrategy(
+        "http-only-seller",
+        {
+          http: () => loadChecked(`${site.url}/sch/i.html`),
+          browser: async () => {
+            browserCalls++;
+          },
+        },
+        "auto"
+      );
+      expect(classifyPage(html).status).toBe("empty");
+    } finally {
+      site.server.close();
+    }
+
+    expect(browserCalls).toBe(0);
+    const stats = getFetchStats("http-only-seller");
+    expect(stats.http).toEqual({ attempts: 1, successes: 1, successRate: 100 });
+    expect(stats.lastStrategy).toBe("http");
+  });
+
+  test("should fall back to the browser on blocked or incomplete pages", async () => {
+    const site = await serve((req) =>
+      req.url.includes("blocked")
+        ? { status: 200, body: readFixture("blockedseller-listings.html") }
+        : {
+            status: 200,
+            body: "<html><body><div id='root'></div></body></html>",
+          }
+    );
+
+    try {
+      for (const page of ["blocked", "client-rendered"]) {
+        const result = await runWithStrategy(
+          "escalating-seller",
+          {
+            http: () => loadChecked(`${site.url}/${page}`),
+            browser: async () => "browser page",
+          },
+          "auto"
+        );
+        expect(result).toBe("browser page");
+      }
+    } finally {
+      site.server.close();
+    }
+
+    const stats = getFetchStats("escalating-seller");
+    expect(stats.escalations).toBe(2);
+    expect(stats.http.successRate).toBe(0);
+    expect(stats.browser).toEqual({
+      attempts: 2,
+      successes: 2,
+      successRate: 100,
+    });
+    expect(stats.lastStrategy).toBe("browser");
+    expect(stats.lastEscalationReason).toContain("unrecognized page");
+  });
+
+  test("should not escalate when the seller does not exist", async () => {
+    let browserCalls = 0;
+    await expect(
+      runWithStrategy(
+        "missing-seller",
+        {
+          http: async () => {
+            throw new SellerNotFoundError("Not found");
+          },
+          browser: async () => {
+            browserCalls++;
+          },
+        },
+        "auto"
+      )
+    ).rejects.toBeInstanceOf(SellerNotFoundError);
+    expect(browserCalls).toBe(0);
+    expect(getFetchStats("missing-seller").escalations).toBe(0);
+  });
+
+  test("should honor the http and browser strategies", async () => {
+    const failing = async () => {
+      throw new NetworkError("Connection reset");
+    };
+
+    await expect(
+      runWithStrategy(
+        "strict-seller",
+        { http: failing, browser: async () => "browser page" },
+        "http"
+      )
+    ).rejects.toBeInstanceOf(NetworkError);
+
+    const result = await runWithStrategy(
+      "strict-seller",
+      { http: failing, browser: async () => "browser page" },
+      "browser"
+    );
+    expect(result).toBe("browser page");
+
+    const stats = getFetchStats("strict-seller");
+    expect(stats.http.attempts).toBe(1);
+    expect(stats.browser.attempts).toBe(1);
+    expect(stats.escalations).toBe(0);
+  });
+
+  test("should tell the HTTP attempt whether the browser retries it", async () => {
+    const seen = [];
+    const http = async ({ browserFallback }) => {
+      seen.push(browserFallback);
+      return "http page";
+    };
+    const browser = async () => "browser page";
+
+    await runWithStrategy("fallback-seller", { http, browser }, "auto");
+    await runWithStrategy("fallback-seller", { http, browser }, "http");
+    expect(seen).toEqual([true, false]);
+  });
+});
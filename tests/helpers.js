@@ -0,0 +1,15 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Reads a saved eBay page from tests/fixtures
+ * @param {string} name - Fixture file name (e.g. "fixtureseller-listings.html")
+ * @returns {string} Page HTML
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+}
+
+module.exports = {
+  readFixture,
+};
@@ -0,0 +1,80 @@
+const { test, expect } = require("@playwright/test");
+
+// Replay saved pages instead of opening eBay
+process.env.SCRAPER_MODE = "fixture";
+
+const scraper = require("../utils/scraper");
+const { buildSnapshot, diffInventory } = require("../utils/inventory");
+
+function listing(itemId, title, amount) {
+  return {
+    itemId,
+    title,
+    link: `https://www.ebay.com/itm/${itemId}`,
+    price: `$${amount.toFixed(2)}`,
+    priceDetails: { amount, currency: "USD" },
+    imageUrl: null,
+  };
+}
+
+test.describe("Inventory Tracking", () => {
+  test("should paginate the full inventory from fixtures", async () => {
+    const inventory = await scraper.getSellerInventory(
+      "fixturestore",
+      "fixtureseller"
+    );
+
+    expect(inventory.pagesScraped).toBe(2);
+    expect(inventory.complete).toBe(true);
+    expect(inventory.listings.map((l) => l.itemId)).toEqual([
+      "356112233445",
+      "355000111222",
+      "354999000111",
+    ]);
+  });
+
+  test("should report added, removed and changed listings", () => {
+    const firstSeen = new Date("2025-11-01T00:00:00.000Z");
+    const previous = buildSnapshot(
+      [
+        listing("1", "Brass Widget", 10),
+        listing("2", "Steel Hook", 5),
+        listing("3", "Door Stop", 30),
+      ],
+      {},
+      firstSeen
+    );
+
+    const { added, removed, changed } = diffInventory(previous, [
+      listing("1", "Brass Widget", 10),
+      listing("2", "Steel Hook (Pair)", 7.5),
+      listing("4", "Copper Bell", 12),
+    ]);
+
+    expect(added.map((l) => l.itemId)).toEqual(["4"]);
+    expect(removed.map((l) => l.itemId)).toEqual(["3"]);
+    expect(removed[0].title).toBe("Door Stop");
+    expect(changed).toHaveLength(1);
+    expect(changed[0].changes).toEqual([
+      { field: "title", from: "Steel Hook", to: "Steel Hook (Pair)" },
+      { field: "price", from: 5, to: 7.5 },
+    ]);
+  });
+
+  test("should keep first-seen time across snapshots", () => {
+    const first = buildSnapshot(
+      [listing("1", "Brass Widget", 10)],
+      {},
+      new Date("2025-11-01T00:00:00.000Z")
+    );
+    const second = buildSnapshot(
+      [listing("1", "Brass Widget", 9)],
+      first,
+      new Date("2025-11-02T00:00:00.000Z")
+    );
+
+    expect(second["1"].firstSeenAt).toBe("2025-11-01T00:00:00.000Z");
+    expect(second["1"].lastSeenAt).toBe("2025-11-02T00:00:00.000Z");
+    expect(second["1"].amount).toBe(9);
+  });
+});
@@ -0,0 +1,51 @@
+const { test, expect } = require("@playwright/test");
+
+// Replay saved pages instead of opening eBay
+process.env.SCRAPER_MODE = "fixture";
+
+const scraper = require("../utils/scraper");
+const { parseItemHtml } = require("../utils/parsers");
+const { readFixture } = require("./helpers");
+
+test.describe("Item Details", () => {
+  test("should parse an item page", () => {
+    const details = parseItemHtml(readFixture("item-356112233445.html"));
+
+    expect(details).toEqual({
+      condition: "Used",
+      quantitySold: 45,
+      quantityAvailable: 3,
+      format: "fixed_price",
+      acceptsOffers: true,
+      watchers: 12,
+      brand: "Acme",
+      mpn: "BW-4400",
+      upc: "012345678905",
+      specifics: {
+        Brand: "Acme",
+        MPN: "BW-4400",
+        UPC: "012345678905",
+        Material: "Brass",
+      },
+      shipping: {
+        raw: "US $5.99 USPS Ground Advantage®. Located in: Brooklyn, New York, United States",
+        amount: 5.99,
+        currency: "USD",
+        free: false,
+      },
+      itemLocation: "Brooklyn, New York, United States",
+    });
+  });
+
+  test("should only open as many item pages as the budget allows", async () => {
+    const items = [{ itemId: "356112233445" }, { itemId: "356998877665" }];
+    const budget = { remaining: 1 };
+
+    const enriched = await scraper.enrichItemDetails(items, { budget });
+
+    expect(enriched).toBe(1);
+    expect(budget.remaining).toBe(0);
+    expect(items[0].details.quantitySold).toBe(45);
+    expect(items[1].details).toBeUndefined();
+  });
+});
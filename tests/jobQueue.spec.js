@@ -0,0 +1,180 @@
+const { test, expect } = require("@playwright/test");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Keep the jobs of this run away from the real jobs.json
+const JOBS_FILE = path.join(os.tmpdir(), `jobs-${process.pid}.json`);
+process.env.JOBS_FILE = JOBS_FILE;
+
+const jobQueue = require("../utils/jobQueue");
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// The queue is module state shared by every test in this file
+test.describe.configure({ mode: "serial" });
+
+test.describe("Job Queue", () => {
+  test.afterAll(() => {
+    fs.rmSync(JOBS_FILE, { force: true });
+  });
+
+  test("should queue jobs that were running before a restart again", async () => {
+    fs.writeFileSync(
+      JOBS_FILE,
+      JSON.stringify({
+        jobs: [
+          {
+            id: "restored-1",
+            key: "listings:interrupted",
+            type: "listings",
+            target: "interrupted",
+            reason: "scheduled",
+            status: "running",
+            startedAt: "2026-03-07T10:00:00.000Z",
+          },
+          {
+            id: "restored-2",
+            key: "sold:finished",
+            type: "sold",
+            target: "finished",
+            reason: "scheduled",
+            status: "done",
+          },
+        ],
+      })
+    );
+
+    expect(await jobQueue.restoreJobs()).toBe(1);
+    expect(jobQueue.getJob("restored-1")).toMatchObject({
+      status: "queued",
+      startedAt: null,
+    });
+
+    const ran = [];
+    jobQueue.startJobs(
+      async (job) => {
+        ran.push(job.key);
+        return { kind: "listings" };
+      },
+      { concurrency: 2 }
+    );
+
+    const job = await jobQueue.waitForJob("restored-1");
+    expect(job.status).toBe("done");
+    expect(job.result).toEqual({ kind: "listings" });
+    expect(ran).toEqual(["listings:interrupted"]);
+  });
+
+  test("should keep one job per seller queued or running", async () => {
+    let runs = 0;
+    jobQueue.startJobs(
+      async () => {
+        runs++;
+        await delay(30);
+      },
+      { concurrency: 2 }
+    );
+
+    const first = jobQueue.enqueueJob({
+      type: "listings",
+      target: "seller-a",
+      reason: "added",
+    });
+    const second = jobQueue.enqueueJob({
+      type: "listings",
+      target: "seller-a",
+      reason: "scheduled",
+    });
+    // The same seller under another type is a different job
+    const sold = jobQueue.enqueueJob({
+      type: "sold",
+      target: "seller-a",
+      reason: "scheduled",
+    });
+
+    expect(first.created).toBe(true);
+    expect(second.created).toBe(false);
+    expect(second.job.id).toBe(first.job.id);
+    expect(sold.created).toBe(true);
+
+    await jobQueue.waitForJob(first.job.id);
+    await jobQueue.waitForJob(sold.job.id);
+    expect(runs).toBe(2);
+
+    // Once finished the seller can be queued again
+    const again = jobQueue.enqueueJob({ type: "listings", target: "seller-a" });
+    expect(again.created).toBe(true);
+    await jobQueue.waitForJob(again.job.id);
+    expect(runs).toBe(3);
+  });
+
+  test("should run at most the configured number of jobs at once", async () => {
+    let running = 0;
+    let peak = 0;
+    jobQueue.startJobs(
+      async () => {
+        running++;
+        peak = Math.max(peak, running);
+        await delay(20);
+        running--;
+      },
+      { concurrency: 2 }
+    );
+
+    const ids = ["b", "c", "d", "e"].map(
+      (target) =>
+        jobQueue.enqueueJob({ type: "search", target, reason: "scheduled" }).job
+          .id
+    );
+    expect(jobQueue.getJobStats()).toMatchObject({
+      running: 2,
+      queued: 2,
+      concurrency: 2,
+    });
+
+    await Promise.all(ids.map(jobQueue.waitForJob));
+    expect(peak).toBe(2);
+  });
+
+  test("should record failed jobs and list jobs by status", async () => {
+    jobQueue.startJobs(async (job) => {
+      if (job.target === "blocked") throw new Error("Blocked by eBay");
+      return { kind: "sold" };
+    });
+
+    const { job } = jobQueue.enqueueJob({ type: "sold", target: "blocked" });
+    const finished = await jobQueue.waitForJob(job.id);
+
+    expect(finished).toMatchObject({
+      status: "failed",
+      error: "Blocked by eBay",
+      reason: null,
+    });
+    expect(finished.finishedAt).not.toBeNull();
+
+    const failed = jobQueue.getJobs({ status: "failed" });
+    expect(failed.map((j) => j.id)).toEqual([job.id]);
+    expect(
+      jobQueue.getJobs({ key: jobQueue.getJobKey("sold", "blocked") })
+    ).toHaveLength(1);
+    expect(jobQueue.getJob("missing")).toBeNull();
+    await expect(jobQueue.waitForJob("missing")).resolves.toBeNull();
+  });
+
+  test("should save jobs to the jobs file", async () => {
+    const { job } = jobQueue.enqueueJob({ type: "listings", target: "saved" });
+    await jobQueue.waitForJob(job.id);
+
+    // Writes are chained after the job finishes
+    await expect
+      .poll(() => {
+        const saved = JSON.parse(fs.readFileSync(JOBS_FILE, "utf8")).jobs;
+        const entry = saved.find((j) => j.id === job.id);
+        return entry && entry.status;
+      })
+      .toBe("done");
+  });
+});
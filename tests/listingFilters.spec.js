@@ -0,0 +1,136 @@
+const { test, expect } = require("@playwright/test");
+
+// Replay saved pages instead of opening eBay
+process.env.SCRAPER_MODE = "fixture";
+
+const scraper = require("../utils/scraper");
+const { getMarketplace } = require("../utils/marketplaces");
+const {
+  normalizeSellerFilters,
+  applyFilterParams,
+} = require("../utils/listingFilters");
+
+function searchParams(url) {
+  return new URL(url).searchParams;
+}
+
+test.describe("Seller Filters", () => {
+  test("should normalize filters from a request body", () => {
+    const { value, error } = normalizeSellerFilters({
+      storeCategories: "123, 456,123",
+      format: "Auction",
+      condition: "used, new",
+      minPrice: "10",
+      maxPrice: 50,
+    });
+
+    expect(error).toBeNull();
+    expect(value).toEqual({
+      storeCategories: ["123", "456"],
+      format: "auction",
+      condition: ["used", "new"],
+      minPrice: 10,
+      maxPrice: 50,
+    });
+  });
+
+  test("should treat empty filters as no filters", () => {
+    expect(normalizeSellerFilters(undefined)).toEqual({
+      value: null,
+      error: null,
+    });
+    expect(
+      normalizeSellerFilters({
+        storeCategories: "",
+        format: "all",
+        condition: [],
+        minPrice: "",
+        maxPrice: null,
+      })
+    ).toEqual({ value: null, error: null });
+  });
+
+  test("should reject invalid filters", () => {
+    expect(normalizeSellerFilters("auction").error).toContain(
+      "must be an object"
+    );
+    expect(
+      normalizeSellerFilters({ storeCategories: "shoes" }).error
+    ).toContain("storeCategories");
+    expect(
+      normalizeSellerFilters({ storeCategories: "1,2,3,4,5,6" }).error
+    ).toContain("at most 5");
+    expect(normalizeSellerFilters({ format: "best_offer" }).error).toContain(
+      "Invalid format"
+    );
+    expect(normalizeSellerFilters({ condition: "mint" }).error).toContain(
+      'Invalid condition "mint"'
+    );
+    expect(
+      normalizeSellerFilters({ minPrice: 50, maxPrice: 10 }).error
+    ).toContain("minPrice cannot be above maxPrice");
+  });
+
+  test("should add price, condition and format parameters", () => {
+    const params = applyFilterParams(new URLSearchParams(), {
+      format: "buy_it_now",
+      condition: ["refurbished", "used"],
+      minPrice: 0,
+      maxPrice: 25.5,
+    });
+
+    expect(params.get("LH_BIN")).toBe("1");
+    expect(params.get("LH_Auction")).toBeNull();
+    expect(params.get("LH_ItemCondition")).toBe("2000|2500|3000");
+    expect(params.get("_udlo")).toBe("0");
+    expect(params.get("_udhi")).toBe("25.5");
+  });
+
+  test("should apply filters to the listings and sold URLs", () => {
+    const marketplace = getMarketplace("us");
+    const scope = {
+      filters: {
+        storeCategories: ["123", "456"],
+        format: "auction",
+        condition: ["new"],
+        minPrice: 10,
+        maxPrice: null,
+      },
+      storeCategory: "456",
+    };
+
+    const listings = searchParams(
+      scraper.buildListingsUrl("mystore", "myseller", marketplace, scope)
+    );
+    expect(listings.get("_ssn")).toBe("myseller");
+    expect(listings.get("store_cat")).toBe("456");
+    expect(listings.get("LH_Auction")).toBe("1");
+    expect(listings.get("LH_ItemCondition")).toBe("1000");
+    expect(listings.get("_udlo")).toBe("10");
+    expect(listings.get("_udhi")).toBeNull();
+    expect(listings.get("_sop")).toBe("10");
+
+    const sold = searchParams(
+      scraper.buildSoldUrl("mystore", "myseller", marketplace, 2, scope)
+    );
+    expect(sold.get("store_cat")).toBe("456");
+    expect(sold.get("LH_Auction")).toBe("1");
+    expect(sold.get("LH_ItemCondition")).toBe("1000");
+    expect(sold.get("_udlo")).toBe("10");
+    expect(sold.get("LH_Sold")).toBe("1");
+    expect(sold.get("_pgn")).toBe("2");
+  });
+
+  test("should keep the whole-store URLs without filters", () => {
+    const marketplace = getMarketplace("us");
+    const listings = searchParams(
+      scraper.buildListingsUrl("mystore", "myseller", marketplace)
+    );
+
+    expect(listings.get("store_cat")).toBe("0");
+    expect(listings.get("LH_Auction")).toBeNull();
+    expect(listings.get("LH_BIN")).toBeNull();
+    expect(listings.get("LH_ItemCondition")).toBeNull();
+    expect(listings.get("_udlo")).toBeNull();
+  });
+});
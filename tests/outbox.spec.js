@@ -0,0 +1,258 @@
+const { test, expect } = require("@playwright/test");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Keep the notifications of this run away from the real outbox.json, retry
+// quickly and keep few delivered notifications
+const OUTBOX_FILE = path.join(os.tmpdir(), `outbox-${process.pid}.json`);
+process.env.OUTBOX_FILE = OUTBOX_FILE;
+process.env.OUTBOX_MAX_ATTEMPTS = "3";
+process.env.OUTBOX_RETRY_DELAY_MS = "20";
+process.env.OUTBOX_HISTORY_SIZE = "3";
+
+const outbox = require("../utils/outbox");
+const webhooks = require("../utils/webhooks");
+
+function readSaved() {
+  return JSON.parse(fs.readFileSync(OUTBOX_FILE, "utf8")).notifications;
+}
+
+function getStatus(id) {
+  const notification = outbox.getNotifications().find((n) => n.id === id);
+  return notification && notification.status;
+}
+
+// The outbox is module state shared by every test in this file
+test.describe.configure({ mode: "serial" });
+
+test.describe("Notification Outbox", () => {
+  test.afterAll(() => {
+    fs.rmSync(OUTBOX_FILE, { force: true });
+  });
+
+  test("should deliver notifications saved before a restart", async () => {
+    fs.writeFileSync(
+      OUTBOX_FILE,
+      JSON.stringify({
+        notifications: [
+          {
+            id: "restored-1",
+            kind: "newListing",
+            webhookUrl: "https://discord.test/listings",
+            args: [{ itemId: "111" }],
+            status: "pending",
+            attempts: 1,
+            nextAttemptAt: "2026-03-07T10:00:00.000Z",
+          },
+          {
+            id: "restored-2",
+            kind: "soldItem",
+            webhookUrl: "https://discord.test/sold",
+            args: [{ itemId: "222" }, "seller"],
+            status: "delivered",
+            attempts: 1,
+          },
+        ],
+      })
+    );
+
+    expect(await outbox.restoreOutbox()).toBe(1);
+
+    const delivered = [];
+    const settled = [];
+    outbox.startDelivery(
+      async (notification) => {
+        delivered.push(notification.args[0].itemId);
+        return true;
+      },
+      { onSettled: (notification) => settled.push(notification.id) }
+    );
+
+    await expect.poll(() => getStatus("restored-1")).toBe("delivered");
+    expect(delivered).toEqual(["111"]);
+    expect(settled).toEqual(["restored-1"]);
+  });
+
+  test("should save a notification before it is delivered", async () => {
+    let release;
+    outbox.startDelivery(
+      () =>
+        new Promise((resolve) => {
+          release = resolve;
+        })
+    );
+
+    const notification = await outbox.enqueueNotification({
+      kind: "newListing",
+      webhookUrl: "https://discord.test/listings",
+      args: [{ itemId: "333" }],
+      type: "listings",
+      target: "seller-a",
+      runId: "run-1",
+    });
+
+    expect(readSaved().find((n) => n.id === notification.id)).toMatchObject({
+      status: "pending",
+      runId: "run-1",
+    });
+    expect(outbox.getOutboxStats()).toMatchObject({ delivering: 1 });
+
+    release(true);
+    await expect.poll(() => getStatus(notification.id)).toBe("delivered");
+    await expect
+      .poll(() => readSaved().find((n) => n.id === notification.id).status)
+      .toBe("delivered");
+  });
+
+  test("should retry failed deliveries and move them to the dead letters", async () => {
+    const attempts = [];
+    const settled = [];
+    outbox.startDelivery(
+      async (notification) => {
+        attempts.push(Date.now());
+        if (notification.target === "offline") {
+          throw new Error("connect ECONNREFUSED");
+        }
+        // Accepted on the second attempt
+        return attempts.length > 1;
+      },
+      { onSettled: (notification) => settled.push(notification) }
+    );
+
+    const flaky = await outbox.enqueueNotification({
+      kind: "priceChange",
+      webhookUrl: "https://discord.test/listings",
+      args: [{}],
+      target: "flaky",
+    });
+    await expect.poll(() => getStatus(flaky.id)).toBe("delivered");
+    expect(attempts).toHaveLength(2);
+
+    const offline = await outbox.enqueueNotification({
+      kind: "soldItem",
+      webhookUrl: "https://discord.test/sold",
+      args: [{}, "seller"],
+      target: "offline",
+    });
+    await expect.poll(() => getStatus(offline.id)).toBe("dead");
+
+    const [dead] = outbox.getNotifications({ status: "dead" });
+    expect(dead).toMatchObject({
+      id: offline.id,
+      attempts: 3,
+      error: "connect ECONNREFUSED",
+    });
+    // Retries wait 20ms, then 40ms (timers may fire a little early)
+    const [first, second, third] = attempts.slice(2);
+    expect(second - first).toBeGreaterThanOrEqual(15);
+    expect(third - second).toBeGreaterThanOrEqual(35);
+    expect(settled.map((n) => [n.target, n.status])).toEqual([
+      ["flaky", "delivered"],
+      ["offline", "dead"],
+    ]);
+  });
+
+  test("should redeliver and discard dead letters", async () => {
+    let online = false;
+    outbox.startDelivery(async () => online);
+
+    const first = await outbox.enqueueNotification({
+      kind: "newListing",
+      webhookUrl: "https://discord.test/listings",
+      args: [{}],
+    });
+    const second = await outbox.enqueueNotification({
+      kind: "newListing",
+      webhookUrl: "https://discord.test/listings",
+      args: [{}],
+    });
+    await expect.poll(() => getStatus(second.id)).toBe("dead");
+    await expect.poll(() => getStatus(first.id)).toBe("dead");
+    expect(outbox.getOutboxStats().dead).toBe(3);
+
+    expect(outbox.retryDeadLetters("missing")).toEqual([]);
+    expect(outbox.discardDeadLetter(second.id)).toBe(true);
+    expect(outbox.discardDeadLetter(second.id)).toBe(false);
+
+    online = true;
+    const [retried] = outbox.retryDeadLetters(first.id);
+    expect(retried).toMatchObject({ status: "pending", attempts: 0 });
+    expect(retried.redeliveredAt).not.toBeNull();
+    await expect.poll(() => getStatus(first.id)).toBe("delivered");
+
+    // The dead letter of the previous test is left; retry the rest at once
+    expect(outbox.retryDeadLetters()).toHaveLength(1);
+    await expect.poll(() => outbox.getOutboxStats().dead).toBe(0);
+  });
+
+  test("should reject a notification that could not be saved", async () => {
+    const delivered = [];
+    outbox.startDelivery(async (notification) => {
+      delivered.push(notification.target);
+      return true;
+    });
+
+    // A directory in place of the temp file makes the write fail, once the
+    // saves of the previous test are done
+    await expect.poll(() => fs.existsSync(`${OUTBOX_FILE}.tmp`)).toBe(false);
+    fs.mkdirSync(`${OUTBOX_FILE}.tmp`);
+    try {
+      await expect(
+        outbox.enqueueNotification({
+          kind: "newListing",
+          webhookUrl: "https://discord.test/listings",
+          args: [{}],
+          target: "unsaved",
+        })
+      ).rejects.toThrow("Could not save notification");
+    } finally {
+      fs.rmSync(`${OUTBOX_FILE}.tmp`, { recursive: true, force: true });
+    }
+
+    const saved = await outbox.enqueueNotification({
+      kind: "newListing",
+      webhookUrl: "https://discord.test/listings",
+      args: [{}],
+      target: "saved",
+    });
+    await expect.poll(() => getStatus(saved.id)).toBe("delivered");
+    expect(delivered).toEqual(["saved"]);
+    expect(
+      outbox.getNotifications().filter((n) => n.target === "unsaved")
+    ).toEqual([]);
+  });
+
+  test("should keep every dead letter beyond the delivered history", async () => {
+    outbox.startDelivery(async () => false);
+
+    for (let i = 1; i <= 4; i++) {
+      await outbox.enqueueNotification({
+        kind: "soldItem",
+        webhookUrl: "https://discord.test/sold",
+        args: [{}, "seller"],
+        target: `dead-${i}`,
+      });
+    }
+    await expect.poll(() => outbox.getOutboxStats().pending).toBe(0);
+
+    // More than OUTBOX_HISTORY_SIZE: dead letters only go when discarded
+    expect(
+      outbox.getNotifications({ status: "dead" }).map((n) => n.target)
+    ).toEqual(["dead-4", "dead-3", "dead-2", "dead-1"]);
+    await expect
+      .poll(() => readSaved().filter((n) => n.status === "dead").length)
+      .toBe(4);
+    expect(outbox.getOutboxStats().delivered).toBeLessThanOrEqual(3);
+  });
+
+  test("should send a notification with the sender of its kind", async () => {
+    await expect(
+      webhooks.sendNotification({
+        kind: "carrierPigeon",
+        webhookUrl: "https://discord.test/listings",
+        args: [],
+      })
+    ).rejects.toThrow("Unknown notification kind: carrierPigeon");
+  });
+});
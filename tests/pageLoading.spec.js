@@ -0,0 +1,109 @@
+const { test, expect } = require("@playwright/test");
+const cheerio = require("cheerio");
+
+const { getReadinessCheck } = require("../utils/scrapeErrors");
+const { shouldBlockRequest } = require("../utils/resourceBlocking");
+const { readFixture } = require("./helpers");
+
+/**
+ * Evaluates the readiness check the way the browser does
+ * @param {string} html - Page HTML
+ * @param {string} kind - 'search' or 'item'
+ * @returns {boolean} True if the page counts as ready
+ */
+function isReady(html, kind) {
+  const { selector, titlePatterns } = getReadinessCheck(kind);
+  const $ = cheerio.load(html);
+  return (
+    $(selector).length > 0 ||
+    titlePatterns.some((pattern) =>
+      new RegExp(pattern, "i").test($("title").text())
+    )
+  );
+}
+
+test.describe("Page Readiness", () => {
+  test("should treat results, empty and block pages as ready", () => {
+    expect(isReady(readFixture("fixtureseller-listings.html"), "search")).toBe(
+      true
+    );
+    expect(isReady(readFixture("fixtureseller-sold.html"), "search")).toBe(
+      true
+    );
+    expect(isReady(readFixture("emptyseller-listings.html"), "search")).toBe(
+      true
+    );
+    expect(isReady(readFixture("blockedseller-listings.html"), "search")).toBe(
+      true
+    );
+    expect(isReady(readFixture("item-356112233445.html"), "item")).toBe(true);
+  });
+
+  test("should keep waiting on a page that has not rendered yet", () => {
+    const shell =
+      "<html><head><title>Electronics | eBay</title></head><body><div class='srp-river'></div></body></html>";
+    expect(isReady(shell, "search")).toBe(false);
+    expect(isReady(shell, "item")).toBe(false);
+  });
+});
+
+test.describe("Resource Blocking", () => {
+  test("should skip images, media and fonts", () => {
+    expect(
+      shouldBlockRequest(
+        "image",
+        "https://i.ebayimg.com/images/g/abc/s-l500.jpg"
+      )
+    ).toBe(true);
+    expect(shouldBlockRequest("media", "https://video.ebaycdn.net/a.mp4")).toBe(
+      true
+    );
+    expect(
+      shouldBlockRequest("font", "https://ir.ebaystatic.com/font.woff2")
+    ).toBe(true);
+  });
+
+  test("should skip ads and trackers", () => {
+    expect(
+      shouldBlockRequest(
+        "script",
+        "https://securepubads.g.doubleclick.net/tag/js/gpt.js"
+      )
+    ).toBe(true);
+    expect(
+      shouldBlockRequest("script", "https://www.googletagmanager.com/gtm.js")
+    ).toBe(true);
+    expect(
+      shouldBlockRequest("xhr", "https://srv.main.ebayrtm.com/rtm?RtmCmd")
+    ).toBe(true);
+    expect(
+      shouldBlockRequest(
+        "image",
+        "https://www.ebay.com/marketingtracking/v1/impression"
+      )
+    ).toBe(true);
+    expect(
+      shouldBlockRequest("ping", "https://www.ebay.com/roverimp/0/0/9?imp=1")
+    ).toBe(true);
+  });
+
+  test("should load the page, its scripts, styles and eBay requests", () => {
+    expect(
+      shouldBlockRequest("document", "https://www.ebay.com/sch/i.html?_ssn=x")
+    ).toBe(false);
+    expect(
+      shouldBlockRequest("script", "https://ir.ebaystatic.com/rs/v/app.js")
+    ).toBe(false);
+    expect(
+      shouldBlockRequest("stylesheet", "https://ir.ebaystatic.com/rs/v/app.css")
+    ).toBe(false);
+    expect(
+      shouldBlockRequest("xhr", "https://www.ebay.com/sch/ajax/autocomplete")
+    ).toBe(false);
+    // Lookalike hosts are not matched by suffix alone
+    expect(
+      shouldBlockRequest("script", "https://notdoubleclick.net/a.js")
+    ).toBe(false);
+    expect(shouldBlockRequest("document", "not a url")).toBe(false);
+  });
+});
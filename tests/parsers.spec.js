@@ -0,0 +1,149 @@
+const { test, expect } = require("@playwright/test");
+const {
+  extractItemId,
+  parseListingsHtml,
+  parseSoldHtml,
+} = require("../utils/parsers");
+const { getMarketplace } = require("../utils/marketplaces");
+const { readFixture } = require("./helpers");
+
+const seller = {
+  storeName: "fixturestore",
+  ssn: "fixtureseller",
+  timeZone: "America/New_York",
+  now: new Date("2025-11-03T15:00:00.000Z"),
+};
+
+test.describe("HTML Parsers", () => {
+  test("should parse only new-badge listings", () => {
+    const listings = parseListingsHtml(
+      readFixture("fixtureseller-listings.html"),
+      seller
+    );
+
+    expect(listings.map((l) => l.itemId)).toEqual([
+      "356112233445",
+      "356998877665",
+    ]);
+    expect(listings[0]).toEqual({
+      itemId: "356112233445",
+      title: "Vintage Brass Widget Set of 4",
+      link: "https://www.ebay.com/itm/356112233445",
+      price: "$24.99",
+      priceDetails: {
+        raw: "$24.99",
+        amount: 24.99,
+        currency: "USD",
+        min: 24.99,
+        max: 24.99,
+        isRange: false,
+        shipping: {
+          raw: "+$5.99 delivery",
+          amount: 5.99,
+          currency: "USD",
+          free: false,
+        },
+        bestOfferAccepted: false,
+      },
+      sellerUsername: "fixtureseller",
+      storeName: "fixturestore",
+      listedDate: "Nov-1 23:24",
+      listedAt: "2025-11-02T03:24:00.000Z",
+      imageUrl: "https://i.ebayimg.com/images/g/abc/s-l500.webp",
+      marketplace: "us",
+      newListing: true,
+    });
+  });
+
+  test("should flag the new-badge cards among all listings", () => {
+    const listings = parseListingsHtml(
+      readFixture("fixtureseller-listings.html"),
+      { ...seller, newOnly: false }
+    );
+
+    expect(listings.map((l) => [l.itemId, l.newListing])).toEqual([
+      ["356112233445", true],
+      ["356998877665", true],
+      ["355000111222", false],
+    ]);
+  });
+
+  test("should resolve relative listing links", () => {
+    const listings = parseListingsHtml(
+      readFixture("fixtureseller-listings.html"),
+      seller
+    );
+
+    expect(listings[1].link).toBe("https://www.ebay.com/itm/356998877665");
+    expect(listings[1].listedDate).toBe("Today 12:34");
+    expect(listings[1].listedAt).toBe("2025-11-03T17:34:00.000Z");
+    expect(listings[1].priceDetails).toMatchObject({
+      amount: 10,
+      min: 10,
+      max: 25,
+      isRange: true,
+      shipping: null,
+    });
+  });
+
+  test("should parse sold cards and skip cards without a sold date", () => {
+    const soldItems = parseSoldHtml(
+      readFixture("fixtureseller-sold.html"),
+      seller
+    );
+
+    expect(soldItems.map((i) => i.itemId)).toEqual([
+      "354111222333",
+      "354444555666",
+    ]);
+    expect(soldItems[0].soldDate).toBe("Sold  Nov 2, 2025");
+    expect(soldItems[0].soldAt).toBe("2025-11-02T04:00:00.000Z");
+    expect(soldItems[0].soldDateUnparsed).toBe(false);
+    expect(soldItems[0].price).toBe("$8.50");
+    expect(soldItems[0].link).toBe("https://www.ebay.com/itm/354111222333");
+    expect(soldItems[0].priceDetails.bestOfferAccepted).toBe(false);
+    expect(soldItems[1].priceDetails).toMatchObject({
+      raw: "$12.00",
+      amount: 12,
+      bestOfferAccepted: true,
+      shipping: { free: true, amount: 0 },
+    });
+  });
+
+  test("should parse the legacy s-item layout", () => {
+    const soldItems = parseSoldHtml(
+      readFixture("fixtureseller-sold-2.html"),
+      seller
+    );
+
+    expect(soldItems).toHaveLength(1);
+    expect(soldItems[0].title).toBe("Legacy Layout Brass Bell");
+    expect(soldItems[0].price).toBe("$15.75");
+    expect(soldItems[0].imageUrl).toBe(
+      "https://i.ebayimg.com/images/g/stu/s-l225.jpg"
+    );
+  });
+
+  test("should parse localized sold pages", () => {
+    const soldItems = parseSoldHtml(readFixture("dehaendler-sold.html"), {
+      storeName: "dehaendlerstore",
+      ssn: "dehaendler",
+      marketplace: getMarketplace("de"),
+    });
+
+    expect(soldItems).toHaveLength(1);
+    expect(soldItems[0].link).toBe("https://www.ebay.de/itm/205111222333");
+    expect(soldItems[0].soldAt).toBe("2025-10-01T22:00:00.000Z");
+    expect(soldItems[0].marketplace).toBe("de");
+    expect(soldItems[0].priceDetails.amount).toBe(19.9);
+    expect(soldItems[0].priceDetails.currency).toBe("EUR");
+  });
+
+  test("should extract item IDs from paths and query strings", () => {
+    expect(extractItemId("https://www.ebay.com/itm/123456789?hash=x")).toBe(
+      "123456789"
+    );
+    expect(extractItemId("/sch/i.html?item=987654321")).toBe("987654321");
+    expect(extractItemId(null)).toBeNull();
+  });
+});
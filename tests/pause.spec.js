@@ -0,0 +1,91 @@
+const { test, expect } = require("@playwright/test");
+const {
+  isPaused,
+  getSnoozeEnd,
+  parseSnoozeUntil,
+  buildPauseState,
+  describePause,
+} = require("../utils/pause");
+
+const NOW = new Date("2026-03-07T10:00:00Z");
+
+test.describe("Pause and Snooze", () => {
+  test("should treat a pause without an end as lasting until resumed", () => {
+    const paused = { paused: true, pausedUntil: null };
+
+    expect(isPaused(paused, NOW)).toBe(true);
+    expect(getSnoozeEnd(paused, NOW)).toBeNull();
+    expect(isPaused({ paused: false }, NOW)).toBe(false);
+    expect(isPaused({}, NOW)).toBe(false);
+    expect(isPaused(null, NOW)).toBe(false);
+  });
+
+  test("should end a snooze once its time has passed", () => {
+    const snoozed = { paused: true, pausedUntil: "2026-03-07T12:00:00.000Z" };
+
+    expect(isPaused(snoozed, NOW)).toBe(true);
+    expect(getSnoozeEnd(snoozed, NOW).toISOString()).toBe(
+      "2026-03-07T12:00:00.000Z"
+    );
+    expect(isPaused(snoozed, new Date("2026-03-07T12:00:01Z"))).toBe(false);
+    expect(getSnoozeEnd(snoozed, new Date("2026-03-07T12:00:01Z"))).toBeNull();
+  });
+
+  test("should parse a snooze end from a date or a duration", () => {
+    expect(parseSnoozeUntil({ duration: "2h" }, NOW)).toEqual({
+      value: new Date("2026-03-07T12:00:00Z"),
+      error: null,
+    });
+    expect(parseSnoozeUntil({ duration: 30 * 60 * 1000 }, NOW).value).toEqual(
+      new Date("2026-03-07T10:30:00Z")
+    );
+    expect(
+      parseSnoozeUntil({ until: "2026-03-08T08:00:00Z" }, NOW).value
+    ).toEqual(new Date("2026-03-08T08:00:00Z"));
+  });
+
+  test("should reject invalid snoozes", () => {
+    expect(parseSnoozeUntil({}, NOW).error).toContain("Missing until");
+    expect(
+      parseSnoozeUntil({ until: "2026-03-08T08:00:00Z", duration: "1h" }, NOW)
+        .error
+    ).toContain("either until or duration");
+    expect(parseSnoozeUntil({ duration: "soon" }, NOW).error).toContain(
+      "Invalid duration"
+    );
+    expect(parseSnoozeUntil({ until: "tomorrow" }, NOW).error).toContain(
+      "Invalid until"
+    );
+    expect(
+      parseSnoozeUntil({ until: "2026-03-07T09:00:00Z" }, NOW).error
+    ).toContain("in the future");
+  });
+
+  test("should build the stored pause fields of each action", () => {
+    expect(buildPauseState("pause", {}, NOW).value).toEqual({
+      paused: true,
+      pausedAt: "2026-03-07T10:00:00.000Z",
+      pausedUntil: null,
+    });
+    expect(buildPauseState("snooze", { duration: "1d" }, NOW).value).toEqual({
+      paused: true,
+      pausedAt: "2026-03-07T10:00:00.000Z",
+      pausedUntil: "2026-03-08T10:00:00.000Z",
+    });
+    expect(buildPauseState("resume", {}, NOW).value).toEqual({
+      paused: false,
+      pausedAt: null,
+      pausedUntil: null,
+    });
+    expect(buildPauseState("snooze", {}, NOW).error).toContain("Missing until");
+    expect(buildPauseState("stop", {}, NOW).error).toContain("Invalid action");
+  });
+
+  test("should describe a pause state", () => {
+    expect(describePause({ paused: true })).toBe("paused");
+    expect(describePause({ paused: false })).toBe("active");
+    expect(
+      describePause({ paused: true, pausedUntil: "2999-01-01T00:00:00.000Z" })
+    ).toBe("snoozed until 2999-01-01T00:00:00.000Z");
+  });
+});
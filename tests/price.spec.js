@@ -0,0 +1,76 @@
+const { test, expect } = require("@playwright/test");
+const {
+  parsePrice,
+  parseShipping,
+  isBestOfferAccepted,
+} = require("../utils/price");
+const { getMarketplace } = require("../utils/marketplaces");
+
+test.describe("Price Parsing", () => {
+  test("should parse single prices", () => {
+    expect(parsePrice("$12.99", getMarketplace("us"))).toEqual({
+      raw: "$12.99",
+      amount: 12.99,
+      currency: "USD",
+      min: 12.99,
+      max: 12.99,
+      isRange: false,
+    });
+    expect(parsePrice("$1,249.00", getMarketplace("us")).amount).toBe(1249);
+  });
+
+  test("should parse price ranges", () => {
+    const price = parsePrice("$10.00 to $25.00", getMarketplace("us"));
+    expect(price).toMatchObject({
+      amount: 10,
+      min: 10,
+      max: 25,
+      isRange: true,
+    });
+
+    const dePrice = parsePrice(
+      "EUR 1.010,00 bis EUR 2.025,50",
+      getMarketplace("de")
+    );
+    expect(dePrice).toMatchObject({
+      currency: "EUR",
+      min: 1010,
+      max: 2025.5,
+      isRange: true,
+    });
+  });
+
+  test("should detect currencies per marketplace", () => {
+    expect(parsePrice("£8.50", getMarketplace("uk")).currency).toBe("GBP");
+    expect(parsePrice("AU $5.00", getMarketplace("au")).currency).toBe("AUD");
+    expect(parsePrice("C $7.25", getMarketplace("ca")).currency).toBe("CAD");
+    expect(parsePrice("$7.25", getMarketplace("ca")).currency).toBe("CAD");
+    expect(parsePrice("US $7.25", getMarketplace("uk")).currency).toBe("USD");
+  });
+
+  test("should return null without an amount", () => {
+    expect(parsePrice("See price", getMarketplace("us"))).toBeNull();
+    expect(parsePrice("")).toBeNull();
+  });
+
+  test("should parse shipping lines", () => {
+    expect(parseShipping("+$5.99 shipping", getMarketplace("us"))).toEqual({
+      raw: "+$5.99 shipping",
+      amount: 5.99,
+      currency: "USD",
+      free: false,
+    });
+    expect(parseShipping("Free postage", getMarketplace("uk"))).toMatchObject({
+      amount: 0,
+      currency: "GBP",
+      free: true,
+    });
+    expect(parseShipping("Benutzt", getMarketplace("de"))).toBeNull();
+  });
+
+  test("should detect accepted Best Offers", () => {
+    expect(isBestOfferAccepted("$25.00 Best Offer accepted")).toBe(true);
+    expect(isBestOfferAccepted("Preisvorschlag angenommen")).toBe(true);
+    expect(isBestOfferAccepted("or Best Offer")).toBe(false);
+  });
+});
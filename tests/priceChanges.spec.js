@@ -0,0 +1,96 @@
+const { test, expect } = require("@playwright/test");
+const {
+  parseThreshold,
+  detectPriceChanges,
+  buildPriceRecords,
+} = require("../utils/priceChanges");
+
+function listing(itemId, amount, currency = "USD") {
+  return {
+    itemId,
+    title: `Item ${itemId}`,
+    link: `https://www.ebay.com/itm/${itemId}`,
+    price: `$${amount.toFixed(2)}`,
+    priceDetails: { amount, currency },
+  };
+}
+
+test.describe("Price Change Alerts", () => {
+  test("should parse absolute and percent thresholds", () => {
+    expect(parseThreshold("2.50")).toEqual({ type: "amount", value: 2.5 });
+    expect(parseThreshold("5%")).toEqual({ type: "percent", value: 5 });
+    expect(parseThreshold(0)).toEqual({ type: "amount", value: 0 });
+    expect(parseThreshold("-1")).toBeNull();
+    expect(parseThreshold("cheap")).toBeNull();
+  });
+
+  test("should report changes at or above an absolute threshold", () => {
+    const previous = buildPriceRecords([
+      listing("1", 20),
+      listing("2", 20),
+      listing("3", 20),
+    ]);
+
+    const changes = detectPriceChanges(
+      previous,
+      [listing("1", 17.5), listing("2", 19), listing("3", 22), listing("4", 5)],
+      parseThreshold("2")
+    );
+
+    expect(changes.map((c) => c.listing.itemId)).toEqual(["1", "3"]);
+    expect(changes[0]).toMatchObject({
+      from: { amount: 20, currency: "USD" },
+      to: { amount: 17.5, currency: "USD" },
+      delta: -2.5,
+      percent: -12.5,
+    });
+  });
+
+  test("should report changes at or above a percent threshold", () => {
+    const previous = buildPriceRecords([listing("1", 100), listing("2", 10)]);
+
+    const changes = detectPriceChanges(
+      previous,
+      [listing("1", 96), listing("2", 9)],
+      parseThreshold("5%")
+    );
+
+    expect(changes.map((c) => c.listing.itemId)).toEqual(["2"]);
+    expect(changes[0].percent).toBe(-10);
+  });
+
+  test("should only keep the prices of the latest scrape", () => {
+    const now = new Date("2025-11-03T12:00:00.000Z");
+    expect(buildPriceRecords([listing("2", 12), listing("3", 8)], now)).toEqual(
+      {
+        2: {
+          price: "$12.00",
+          amount: 12,
+          currency: "USD",
+          seenAt: now.toISOString(),
+        },
+        3: {
+          price: "$8.00",
+          amount: 8,
+          currency: "USD",
+          seenAt: now.toISOString(),
+        },
+      }
+    );
+  });
+
+  test("should skip listings without comparable prices", () => {
+    const previous = buildPriceRecords([
+      listing("1", 20),
+      { ...listing("2", 0), priceDetails: null },
+    ]);
+
+    const changes = detectPriceChanges(
+      previous,
+      [listing("1", 15, "CAD"), listing("2", 30)],
+      parseThreshold("0")
+    );
+
+    expect(changes).toEqual([]);
+  });
+});
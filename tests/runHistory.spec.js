@@ -0,0 +1,212 @@
+const { test, expect } = require("@playwright/test");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Keep the runs of this test away from the real runs.jsonl
+const RUNS_FILE = path.join(os.tmpdir(), `runs-${process.pid}.jsonl`);
+process.env.RUNS_FILE = RUNS_FILE;
+
+const runHistory = require("../utils/runHistory");
+const { BlockedError } = require("../utils/scrapeErrors");
+
+function readSavedRuns() {
+  return fs
+    .readFileSync(RUNS_FILE, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+// The history is module state shared by every test in this file
+test.describe.configure({ mode: "serial" });
+
+test.describe("Run History", () => {
+  test.afterAll(() => {
+    fs.rmSync(RUNS_FILE, { force: true });
+  });
+
+  test("should load saved runs and skip unreadable lines", async () => {
+    const recent = new Date(Date.now() - 60 * 1000).toISOString();
+    const expired = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    fs.writeFileSync(
+      RUNS_FILE,
+      [
+        JSON.stringify({ id: "saved-1", kind: "cycle", startedAt: recent }),
+        '{"id":"cut-off","kind":"che',
+        JSON.stringify({
+          id: "expired-1",
+          kind: "cycle",
+          startedAt: expired.toISOString(),
+        }),
+        "",
+      ].join("\n")
+    );
+
+    expect(await runHistory.loadRuns()).toBe(1);
+    expect(runHistory.getRun("saved-1")).toMatchObject({ kind: "cycle" });
+    // Runs past the retention age are dropped from the file as well
+    expect(runHistory.getRun("expired-1")).toBeNull();
+    await expect
+      .poll(() => readSavedRuns().map((run) => run.id))
+      .toEqual(["saved-1"]);
+  });
+
+  test("should record the counters and outcome of a check", async () => {
+    const run = runHistory.startRun("check", {
+      type: "listings",
+      target: "seller-a",
+      reason: "scheduled",
+    });
+    expect(run).toMatchObject({
+      status: "running",
+      itemsFound: 0,
+      itemsNew: 0,
+      webhooksQueued: 0,
+      webhooksSent: 0,
+      webhooksFailed: 0,
+    });
+
+    run.itemsFound = 12;
+    run.itemsNew = 2;
+    run.newItemIds = ["111", "222"];
+    run.webhooksSent = 1;
+    run.webhooksFailed = 1;
+    const finished = runHistory.finishRun(run);
+
+    expect(finished.status).toBe("ok");
+    expect(finished.finishedAt).not.toBeNull();
+    expect(finished.durationMs).toBeGreaterThanOrEqual(0);
+    await expect
+      .poll(() => readSavedRuns().find((saved) => saved.id === run.id))
+      .toMatchObject({ itemsFound: 12, itemsNew: 2, webhooksFailed: 1 });
+  });
+
+  test("should record the error class of a failed check", () => {
+    const run = runHistory.startRun("check", {
+      type: "sold",
+      target: "seller-b",
+    });
+    runHistory.finishRun(run, {
+      status: "ok",
+      error: new BlockedError("Blocked by eBay"),
+    });
+
+    expect(runHistory.getRun(run.id)).toMatchObject({
+      status: "failed",
+      error: "Blocked by eBay",
+      errorClass: "BlockedError",
+    });
+
+    const skipped = runHistory.startRun("check", {
+      type: "sold",
+      target: "seller-b",
+    });
+    runHistory.finishRun(skipped, { status: "skipped", skipped: "paused" });
+    expect(runHistory.getRun(skipped.id)).toMatchObject({
+      status: "skipped",
+      skipped: "paused",
+    });
+  });
+
+  test("should count webhooks once the outbox settles them", async () => {
+    const run = runHistory.startRun("check", {
+      type: "listings",
+      target: "seller-c",
+    });
+    run.webhooksQueued = 2;
+    // Delivered while the check is still running
+    expect(runHistory.recordDelivery(run.id, true)).toBe(true);
+    runHistory.finishRun(run);
+    // Given up on after the check finished
+    expect(runHistory.recordDelivery(run.id, false)).toBe(true);
+    expect(runHistory.recordDelivery("missing", true)).toBe(false);
+
+    expect(runHistory.getRun(run.id)).toMatchObject({
+      webhooksQueued: 2,
+      webhooksSent: 1,
+      webhooksFailed: 1,
+    });
+
+    // The run is saved again; loading keeps the last copy once
+    await expect
+      .poll(() => readSavedRuns().filter((saved) => saved.id === run.id).length)
+      .toBe(2);
+    const count = runHistory.queryRuns().total;
+    expect(await runHistory.loadRuns()).toBe(count);
+    expect(runHistory.getRun(run.id).webhooksFailed).toBe(1);
+    await expect
+      .poll(() => readSavedRuns().filter((saved) => saved.id === run.id))
+      .toEqual([expect.objectContaining({ webhooksFailed: 1 })]);
+  });
+
+  test("should page and filter runs newest first", () => {
+    const ids = [];
+    for (let i = 0; i < 5; i++) {
+      const run = runHistory.startRun("check", {
+        type: "listings",
+        target: "paged",
+      });
+      ids.push(runHistory.finishRun(run).id);
+    }
+    const newestFirst = [...ids].reverse();
+
+    const firstPage = runHistory.queryRuns({ target: "paged", limit: 2 });
+    expect(firstPage).toMatchObject({ total: 5, limit: 2, offset: 0 });
+    expect(firstPage.runs.map((run) => run.id)).toEqual(
+      newestFirst.slice(0, 2)
+    );
+
+    const lastPage = runHistory.queryRuns({
+      target: "paged",
+      limit: 2,
+      offset: 4,
+    });
+    expect(lastPage.runs.map((run) => run.id)).toEqual(newestFirst.slice(4));
+
+    expect(
+      runHistory.queryRuns({ kind: "cycle" }).runs.map((r) => r.id)
+    ).toEqual(["saved-1"]);
+    expect(runHistory.queryRuns({ status: "failed" }).total).toBe(1);
+    expect(
+      runHistory.queryRuns({ type: "sold", target: "seller-b" }).total
+    ).toBe(2);
+    expect(
+      runHistory.queryRuns({ target: "paged", until: new Date(0) }).total
+    ).toBe(0);
+    expect(
+      runHistory.queryRuns({ target: "paged", since: new Date(0) }).total
+    ).toBe(5);
+    // Page size is capped
+    expect(runHistory.queryRuns({ limit: 100000 }).limit).toBe(500);
+  });
+
+  test("should work out the strategy and pages of a check from fetch stats", () => {
+    const before = {
+      http: { attempts: 4, successes: 3 },
+      browser: { attempts: 1, successes: 1 },
+      lastStrategy: "http",
+    };
+    const after = {
+      http: { attempts: 6, successes: 3 },
+      browser: { attempts: 3, successes: 3 },
+      lastStrategy: "browser",
+    };
+
+    expect(runHistory.diffFetchStats(before, after)).toEqual({
+      strategy: "browser",
+      pagesScraped: 2,
+      fetches: { http: 2, browser: 2 },
+    });
+    // A seller's first check has no stats before it
+    expect(runHistory.diffFetchStats(null, after)).toMatchObject({
+      pagesScraped: 6,
+      fetches: { http: 6, browser: 3 },
+    });
+    expect(runHistory.diffFetchStats(after, after)).toEqual({
+      strategy: null,
+      pagesScraped: 0,
+      fetches: { http: 0, browser: 0 },
+    });
+  });
+});
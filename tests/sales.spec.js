@@ -0,0 +1,93 @@
+const { test, expect } = require("@playwright/test");
+const {
+  getSaleEventKeys,
+  detectNewSales,
+  recordSales,
+  mergeSaleEvents,
+} = require("../utils/sales");
+
+function sold(itemId, soldAt) {
+  return {
+    itemId,
+    title: `Item ${itemId}`,
+    link: `https://www.ebay.com/itm/${itemId}`,
+    price: "$10.00",
+    soldDate: "Sold  Nov 2, 2025",
+    soldAt,
+  };
+}
+
+const NOV_1 = "2025-11-01T04:00:00.000Z";
+const NOV_2 = "2025-11-02T04:00:00.000Z";
+
+test.describe("Multi-Quantity Sales", () => {
+  test("should number repeat sales of a listing on the same day", () => {
+    expect(
+      getSaleEventKeys([sold("1", NOV_2), sold("1", NOV_2), sold("1", NOV_1)])
+    ).toEqual([`1@${NOV_2}#1`, `1@${NOV_2}#2`, `1@${NOV_1}#1`]);
+  });
+
+  test("should report repeat sales of a known listing", () => {
+    const firstCheck = [sold("1", NOV_1), sold("2", NOV_1)];
+    const seller = {
+      knownSaleEvents: getSaleEventKeys(firstCheck),
+      knownSoldItems: ["1", "2"],
+    };
+
+    const { sales } = detectNewSales(
+      [sold("1", NOV_2), sold("1", NOV_2), ...firstCheck],
+      seller
+    );
+
+    expect(sales).toHaveLength(1);
+    expect(sales[0].item.itemId).toBe("1");
+    expect(sales[0].events).toBe(2);
+  });
+
+  test("should not replay sales of sellers without sale events", () => {
+    const { sales } = detectNewSales([sold("1", NOV_2), sold("3", NOV_2)], {
+      knownSoldItems: ["1"],
+    });
+
+    expect(sales.map((sale) => sale.item.itemId)).toEqual(["3"]);
+  });
+
+  test("should keep a running units sold figure", () => {
+    const first = [{ item: sold("1", NOV_1), events: 1 }];
+    const afterFirst = recordSales({}, first);
+    expect(afterFirst["1"].unitsSold).toBe(1);
+
+    // The item page reports 40 sold, then 45: five units in one new card
+    const second = [
+      {
+        item: { ...sold("1", NOV_2), details: { quantitySold: 40 } },
+        events: 1,
+      },
+    ];
+    const afterSecond = recordSales(afterFirst, second);
+    const third = [
+      {
+        item: { ...sold("1", NOV_2), details: { quantitySold: 45 } },
+        events: 1,
+      },
+    ];
+    const afterThird = recordSales(afterSecond, third);
+
+    expect(second[0].units).toBe(1);
+    expect(third[0].units).toBe(5);
+    expect(afterThird["1"]).toMatchObject({
+      unitsSold: 7,
+      quantitySold: 45,
+      lastSoldAt: NOV_2,
+    });
+  });
+
+  test("should cap remembered sale events", () => {
+    const known = Array.from({ length: 5000 }, (_, i) => `old-${i}`);
+    const merged = mergeSaleEvents(known, ["new-1"]);
+
+    expect(merged).toHaveLength(5000);
+    expect(merged[merged.length - 1]).toBe("new-1");
+    expect(merged[0]).toBe("old-1");
+  });
+});
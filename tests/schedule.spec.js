@@ -0,0 +1,125 @@
+const { test, expect } = require("@playwright/test");
+const {
+  parseInterval,
+  parseCron,
+  isWithinActiveHours,
+  getNextCheck,
+  normalizeSchedule,
+} = require("../utils/schedule");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test.describe("Check Schedules", () => {
+  test("should parse intervals with and without units", () => {
+    expect(parseInterval("15m")).toBe(15 * 60 * 1000);
+    expect(parseInterval("2h")).toBe(2 * HOUR_MS);
+    expect(parseInterval("1.5d")).toBe(36 * HOUR_MS);
+    expect(parseInterval("30")).toBe(30 * 60 * 1000);
+    expect(parseInterval(900000)).toBe(900000);
+    expect(parseInterval("soon")).toBeNull();
+    expect(parseInterval(0)).toBeNull();
+  });
+
+  test("should parse cron fields", () => {
+    const cron = parseCron("*/15 8-10 * * 1-5,7");
+    expect(cron.minute).toEqual([0, 15, 30, 45]);
+    expect(cron.hour).toEqual([8, 9, 10]);
+    expect(cron.dayOfWeek).toEqual([1, 2, 3, 4, 5, 0]);
+
+    expect(parseCron("* * * *")).toBeNull();
+    expect(parseCron("60 * * * *")).toBeNull();
+    expect(parseCron("5-1 * * * *")).toBeNull();
+  });
+
+  test("should add the interval to the last check", () => {
+    const from = new Date("2026-03-07T10:07:30Z");
+    expect(getNextCheck({ interval: 15 * 60 * 1000 }, from).toISOString()).toBe(
+      "2026-03-07T10:22:30.000Z"
+    );
+    // Without a schedule the default interval applies
+    expect(
+      getNextCheck(null, from, { defaultInterval: 12 * HOUR_MS }).toISOString()
+    ).toBe("2026-03-07T22:07:30.000Z");
+  });
+
+  test("should find the next cron time in the seller's timezone", () => {
+    const from = new Date("2026-03-07T10:07:30Z"); // Saturday
+    expect(
+      getNextCheck({ cron: "*/15 * * * *" }, from, {
+        timeZone: "UTC",
+      }).toISOString()
+    ).toBe("2026-03-07T10:15:00.000Z");
+    // Weekdays at 09:00 New York time: Monday, after the DST change
+    expect(
+      getNextCheck({ cron: "0 9 * * 1-5" }, from, {
+        timeZone: "America/New_York",
+      }).toISOString()
+    ).toBe("2026-03-09T13:00:00.000Z");
+  });
+
+  test("should wait for the active hours to open", () => {
+    const schedule = {
+      interval: 15 * 60 * 1000,
+      activeHours: { start: "08:00", end: "22:00" },
+      timeZone: "Europe/London",
+    };
+    const lateEvening = new Date("2026-01-15T21:50:00Z");
+
+    const next = getNextCheck(schedule, lateEvening);
+    expect(next.toISOString()).toBe("2026-01-16T08:00:00.000Z");
+    expect(
+      isWithinActiveHours(schedule.activeHours, next, "Europe/London")
+    ).toBe(true);
+
+    // Overnight windows wrap around midnight
+    expect(
+      isWithinActiveHours(
+        { start: "22:00", end: "06:00" },
+        new Date("2026-01-15T02:00:00Z"),
+        "UTC"
+      )
+    ).toBe(true);
+  });
+
+  test("should normalize a schedule from a request body", () => {
+    expect(
+      normalizeSchedule({
+        interval: "15m",
+        activeHours: "8:00-22:00",
+        timeZone: "Europe/London",
+      })
+    ).toEqual({
+      value: {
+        interval: 15 * 60 * 1000,
+        cron: null,
+        activeHours: { start: "08:00", end: "22:00" },
+        timeZone: "Europe/London",
+      },
+      error: null,
+    });
+    expect(normalizeSchedule({})).toEqual({ value: null, error: null });
+    expect(normalizeSchedule(null)).toEqual({ value: null, error: null });
+  });
+
+  test("should reject invalid schedules", () => {
+    expect(normalizeSchedule({ interval: "10s" }).error).toContain(
+      "at least 1 minute"
+    );
+    expect(
+      normalizeSchedule({ interval: "15m", cron: "0 * * * *" }).error
+    ).toContain("either an interval or a cron");
+    expect(normalizeSchedule({ cron: "every hour" }).error).toContain(
+      "Invalid cron"
+    );
+    expect(normalizeSchedule({ activeHours: "08:00" }).error).toContain(
+      "Invalid activeHours"
+    );
+    expect(normalizeSchedule({ timeZone: "Mars/Olympus" }).error).toContain(
+      "Unknown timeZone"
+    );
+    // Runs at 03:00 only, outside its own active hours
+    expect(
+      normalizeSchedule({ cron: "0 3 * * *", activeHours: "08:00-22:00" }).error
+    ).toContain("never runs");
+  });
+});
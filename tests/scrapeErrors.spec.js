@@ -0,0 +1,115 @@
+const { test, expect } = require("@playwright/test");
+
+// Replay saved pages instead of opening eBay
+process.env.SCRAPER_MODE = "fixture";
+
+const scraper = require("../utils/scraper");
+const {
+  PAGE_STATUS,
+  BlockedError,
+  classifyPage,
+  getReadinessCheck,
+} = require("../utils/scrapeErrors");
+const { getSelectorProfile } = require("../utils/selectors");
+const {
+  getCooldownMs,
+  nextScrapeStatus,
+  isCoolingDown,
+} = require("../utils/cooldown");
+const { readFixture } = require("./helpers");
+
+test.describe("Block Detection", () => {
+  test("should classify result, empty and challenge pages", () => {
+    expect(
+      classifyPage(readFixture("fixtureseller-listings.html")).status
+    ).toBe(PAGE_STATUS.OK);
+    expect(classifyPage(readFixture("emptyseller-listings.html")).status).toBe(
+      PAGE_STATUS.EMPTY
+    );
+    expect(
+      classifyPage(readFixture("blockedseller-listings.html")).status
+    ).toBe(PAGE_STATUS.BLOCKED);
+    expect(classifyPage("<html><body></body></html>").status).toBe(
+      PAGE_STATUS.BLOCKED
+    );
+    expect(
+      classifyPage(readFixture("fixtureseller-listings.html"), {
+        httpStatus: 429,
+      }).status
+    ).toBe(PAGE_STATUS.BLOCKED);
+  });
+
+  test("should recognize result cards by the selector profile", () => {
+    const page =
+      "<html><head><title>Electronics | eBay</title></head><body><ul class='srp-results'><li class='x-river-card'>Lego set</li></ul></body></html>";
+    expect(classifyPage(page).status).toBe(PAGE_STATUS.EMPTY);
+
+    // eBay renamed its cards and selectors.json was updated to match
+    const { search } = getSelectorProfile();
+    const cards = search.card;
+    search.card = [".x-river-card"];
+    try {
+      expect(classifyPage(page)).toEqual({
+        status: PAGE_STATUS.OK,
+        reason: null,
+      });
+      expect(getReadinessCheck("search").selector).toContain(".x-river-card");
+    } finally {
+      search.card = cards;
+    }
+  });
+
+  test("should throw a typed error for blocked pages", async () => {
+    await expect(
+      scraper.getSellerListings("blockedstore", "blockedseller")
+    ).rejects.toBeInstanceOf(BlockedError);
+    expect(scraper.getLastPageStatus("blockedseller", "listings").status).toBe(
+      PAGE_STATUS.BLOCKED
+    );
+  });
+
+  test("should report empty results without an error", async () => {
+    const listings = await scraper.getSellerListings(
+      "emptystore",
+      "emptyseller"
+    );
+
+    expect(listings).toEqual([]);
+    expect(scraper.getLastPageStatus("emptyseller", "listings").status).toBe(
+      PAGE_STATUS.EMPTY
+    );
+  });
+
+  test("should escalate the cooldown on repeated blocks", () => {
+    const now = new Date("2025-11-03T12:00:00.000Z");
+    const first = nextScrapeStatus(null, { status: PAGE_STATUS.BLOCKED }, now);
+    const second = nextScrapeStatus(
+      first,
+      { status: PAGE_STATUS.BLOCKED },
+      now
+    );
+    const network = nextScrapeStatus(
+      second,
+      { status: PAGE_STATUS.NETWORK_ERROR },
+      now
+    );
+    const recovered = nextScrapeStatus(
+      network,
+      { status: PAGE_STATUS.OK },
+      now
+    );
+
+    expect(first.consecutiveBlocks).toBe(1);
+    expect(new Date(first.cooldownUntil) - now).toBe(getCooldownMs(1));
+    expect(getCooldownMs(2)).toBe(2 * getCooldownMs(1));
+    expect(second.consecutiveBlocks).toBe(2);
+    expect(isCoolingDown({ scrapeStatus: second }, now)).toBe(true);
+    expect(network.consecutiveBlocks).toBe(2);
+    expect(network.cooldownUntil).toBeNull();
+    expect(recovered).toMatchObject({
+      consecutiveBlocks: 0,
+      cooldownUntil: null,
+    });
+    expect(getCooldownMs(50)).toBe(getCooldownMs(20));
+  });
+});
@@ -0,0 +1,137 @@
+const { test, expect } = require("@playwright/test");
+
+// Replay saved pages instead of opening eBay
+process.env.SCRAPER_MODE = "fixture";
+
+const scraper = require("../utils/scraper");
+const { parseListingsHtml } = require("../utils/parsers");
+const { getMarketplace } = require("../utils/marketplaces");
+const {
+  normalizeSearchQuery,
+  buildSearchUrl,
+  describeSearchQuery,
+} = require("../utils/searchQuery");
+const { readFixture } = require("./helpers");
+
+test.describe("Search Queries", () => {
+  test("should normalize a query from a request body", () => {
+    const { value, error } = normalizeSearchQuery({
+      keywords: "  lego 75192 ",
+      categoryId: 19006,
+      minPrice: "100",
+      maxPrice: 800,
+      condition: "new, used,new",
+      buyItNow: "true",
+    });
+    expect(error).toBeNull();
+    expect(value).toEqual({
+      keywords: "lego 75192",
+      categoryId: "19006",
+      minPrice: 100,
+      maxPrice: 800,
+      condition: ["new", "used"],
+      buyItNow: true,
+    });
+  });
+
+  test("should reject incomplete or invalid queries", () => {
+    expect(normalizeSearchQuery(null).error).toBe("Missing field: query");
+    expect(normalizeSearchQuery({ keywords: " " }).error).toContain(
+      "keywords, a categoryId"
+    );
+    expect(
+      normalizeSearchQuery({ keywords: "x", categoryId: "toys" }).error
+    ).toContain("categoryId");
+    expect(
+      normalizeSearchQuery({ keywords: "x", minPrice: -1 }).error
+    ).toContain("minPrice");
+    expect(
+      normalizeSearchQuery({ keywords: "x", minPrice: 50, maxPrice: 10 }).error
+    ).toBe("minPrice cannot be above maxPrice");
+    expect(
+      normalizeSearchQuery({ keywords: "x", condition: ["mint"] }).error
+    ).toContain('"mint"');
+  });
+
+  test("should build listings and sold search URLs", () => {
+    const { value } = normalizeSearchQuery({
+      keywords: "lego 75192",
+      categoryId: "19006",
+      minPrice: 100,
+      condition: ["refurbished"],
+      buyItNow: true,
+    });
+
+    const listings = new URL(buildSearchUrl(value, getMarketplace("uk")));
+    expect(listings.hostname).toBe("www.ebay.co.uk");
+    expect(listings.searchParams.get("_nkw")).toBe("lego 75192");
+    expect(listings.searchParams.get("_sacat")).toBe("19006");
+    expect(listings.searchParams.get("_udlo")).toBe("100");
+    expect(listings.searchParams.has("_udhi")).toBe(false);
+    expect(listings.searchParams.get("LH_ItemCondition")).toBe("2000|2500");
+    expect(listings.searchParams.get("LH_BIN")).toBe("1");
+    expect(listings.searchParams.get("_sop")).toBe("10");
+    expect(listings.searchParams.has("LH_Sold")).toBe(false);
+
+    const sold = new URL(
+      buildSearchUrl(value, getMarketplace("us"), { sold: true, pageNum: 2 })
+    );
+    expect(sold.searchParams.get("LH_Sold")).toBe("1");
+    expect(sold.searchParams.get("LH_Complete")).toBe("1");
+    expect(sold.searchParams.get("_sop")).toBe("13");
+    expect(sold.searchParams.get("_pgn")).toBe("2");
+  });
+
+  test("should describe a query", () => {
+    const { value } = normalizeSearchQuery({
+      keywords: "lego 75192",
+      categoryId: "19006",
+      maxPrice: 500,
+      condition: "new",
+      buyItNow: true,
+    });
+    expect(describeSearchQuery(value)).toBe(
+      '"lego 75192" in category 19006, 0-500, new, Buy It Now'
+    );
+  });
+});
+
+test.describe("Search Results", () => {
+  test("should read the seller of each search card", () => {
+    const listings = parseListingsHtml(
+      readFixture("search-lego-listings.html"),
+      {
+        storeName: null,
+        ssn: null,
+        newOnly: false,
+      }
+    );
+    expect(listings.map((listing) => listing.sellerUsername)).toEqual([
+      "brickvault",
+      "toy_attic",
+      null,
+    ]);
+  });
+
+  test("should keep the store's seller on seller pages", () => {
+    const listings = parseListingsHtml(
+      readFixture("fixtureseller-listings.html"),
+      { storeName: "fixtureseller", ssn: "fixtureseller" }
+    );
+    expect(listings.length).toBeGreaterThan(0);
+    listings.forEach((listing) =>
+      expect(listing.sellerUsername).toBe("fixtureseller")
+    );
+  });
+
+  test("should scrape every listing of a search from a fixture", async () => {
+    const { value } = normalizeSearchQuery({ keywords: "lego 75192" });
+    const listings = await scraper.getSearchListings("search-lego", value);
+    expect(listings.map((listing) => listing.itemId)).toEqual([
+      "357100200300",
+      "357400500600",
+      "357700800900",
+    ]);
+    expect(listings[0].price).toBe("$749.99");
+  });
+});
@@ -0,0 +1,114 @@
+const { test, expect } = require("@playwright/test");
+
+const {
+  createPageStats,
+  parseListingsHtml,
+  parseSoldHtml,
+} = require("../utils/parsers");
+const { SEARCH_FIELDS, getSelectorProfile } = require("../utils/selectors");
+const {
+  recordParse,
+  detectDrift,
+  getSelectorHealth,
+} = require("../utils/selectorHealth");
+const { readFixture } = require("./helpers");
+
+/**
+ * Builds the parse statistics of a page with some cards missing their title
+ * @param {number} cards - Cards on the page
+ * @param {number} missingTitles - Cards without a title
+ * @returns {Object} Parse statistics
+ */
+function pageStats(cards, missingTitles) {
+  const stats = createPageStats();
+  stats.cards = cards;
+  stats.fields = {
+    title: { matches: { 0: cards - missingTitles }, missing: missingTitles },
+    price: { matches: { 0: cards }, missing: 0 },
+    listedDate: { matches: { 0: cards }, missing: 0 },
+  };
+  return stats;
+}
+
+test.describe("Selector Profile", () => {
+  test("should load a versioned profile with every field", () => {
+    const profile = getSelectorProfile();
+    expect(profile.version).toBeTruthy();
+    expect(profile.source).toBe("selectors.json");
+    for (const field of SEARCH_FIELDS) {
+      expect(profile.search[field].length).toBeGreaterThan(0);
+    }
+  });
+
+  test("should record which fallback matched each field", () => {
+    const stats = createPageStats();
+    parseListingsHtml(readFixture("fixtureseller-listings.html"), {
+      storeName: "fixtureseller",
+      ssn: "fixtureseller",
+      stats,
+    });
+    expect(stats.version).toBe(getSelectorProfile().version);
+    expect(stats.cards).toBe(2);
+    expect(stats.fields.title).toEqual({ matches: { 0: 2 }, missing: 0 });
+    expect(stats.fields.price).toEqual({ matches: { 0: 2 }, missing: 0 });
+    expect(stats.fields.listedDate).toEqual({ matches: { 0: 2 }, missing: 0 });
+
+    // Legacy cards fall through to the .s-item selectors
+    const legacy = createPageStats();
+    parseSoldHtml(readFixture("fixtureseller-sold-2.html"), {
+      storeName: "fixtureseller",
+      ssn: "fixtureseller",
+      stats: legacy,
+    });
+    const { search } = getSelectorProfile();
+    expect(legacy.fields.title.matches).toEqual({
+      [search.title.indexOf(".s-item__title")]: 1,
+    });
+    expect(legacy.fields.price.matches).toEqual({
+      [search.price.indexOf(".s-item__price")]: 1,
+    });
+  });
+});
+
+test.describe("Selector Drift", () => {
+  test("should flag a sudden rise in cards missing a field", () => {
+    for (let i = 0; i < 10; i++) {
+      recordParse("drift-test", pageStats(40, i % 2));
+    }
+    expect(detectDrift("drift-test")).toEqual([]);
+
+    for (let i = 0; i < 5; i++) {
+      recordParse("drift-test", pageStats(40, 30));
+    }
+    const alerts = detectDrift("drift-test");
+    expect(alerts).toEqual([
+      { field: "title", recentPercent: 75, baselinePercent: 1 },
+    ]);
+
+    const health = getSelectorHealth();
+    expect(health.status).toBe("drift");
+    expect(health.kinds["drift-test"].status).toBe("drift");
+    expect(health.kinds["drift-test"].recent.missingPercent).toEqual({
+      title: 75,
+      price: 0,
+      date: 0,
+    });
+    expect(health.kinds["drift-test"].fallbacks.title.missing).toBe(155);
+  });
+
+  test("should ignore empty pages and steady gaps", () => {
+    for (let i = 0; i < 15; i++) {
+      // Listed dates are often absent; a steady share is not drift
+      const stats = pageStats(20, 0);
+      stats.fields.listedDate = { matches: { 0: 8 }, missing: 12 };
+      recordParse("steady-test", stats);
+      recordParse("steady-test", createPageStats());
+    }
+    expect(detectDrift("steady-test")).toEqual([]);
+    expect(getSelectorHealth().kinds["steady-test"].recent).toEqual({
+      pages: 5,
+      cards: 100,
+      missingPercent: { title: 0, price: 0, date: 60 },
+    });
+  });
+});
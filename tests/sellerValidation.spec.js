@@ -0,0 +1,100 @@
+const { test, expect } = require("@playwright/test");
+
+// Replay saved pages instead of opening eBay
+process.env.SCRAPER_MODE = "fixture";
+
+const scraper = require("../utils/scraper");
+const {
+  parseResultCount,
+  parseSellerProfileHtml,
+} = require("../utils/parsers");
+const {
+  PAGE_STATUS,
+  SellerNotFoundError,
+  classifyPage,
+} = require("../utils/scrapeErrors");
+const { readFixture } = require("./helpers");
+
+test.describe("Seller Profile Parsing", () => {
+  test("should read the username and store of profile and store pages", () => {
+    expect(
+      parseSellerProfileHtml(readFixture("fixtureseller-profile.html"))
+    ).toEqual({
+      username: "fixtureseller",
+      storeName: "fixtureseller",
+      canonicalUsername: "fixtureseller",
+    });
+    expect(
+      parseSellerProfileHtml(readFixture("fixtureseller-store.html"))
+    ).toEqual({
+      username: "fixtureseller",
+      storeName: "fixtureseller",
+      canonicalUsername: null,
+    });
+    expect(
+      parseSellerProfileHtml(readFixture("emptyseller-profile.html")).storeName
+    ).toBeNull();
+  });
+
+  test("should classify missing sellers and read result counts", () => {
+    expect(
+      classifyPage(readFixture("ghostseller-profile.html"), { kind: "profile" })
+        .status
+    ).toBe(PAGE_STATUS.NOT_FOUND);
+    expect(
+      classifyPage(readFixture("fixtureseller-store.html"), { kind: "profile" })
+        .status
+    ).toBe(PAGE_STATUS.OK);
+    expect(
+      classifyPage("<html><body><div id='root'></div></body></html>", {
+        kind: "profile",
+      }).status
+    ).toBe(PAGE_STATUS.BLOCKED);
+
+    expect(parseResultCount(readFixture("fixtureseller-inventory.html"))).toBe(
+      3
+    );
+    expect(parseResultCount(readFixture("fixtureseller-sold.html"))).toBeNull();
+  });
+});
+
+test.describe("Seller Validation", () => {
+  test("should resolve the store from the username with a preview", async () => {
+    const result = await scraper.validateSeller(null, "fixtureseller");
+    expect(result).toEqual({
+      ssn: "fixtureseller",
+      storeName: "fixtureseller",
+      hasStore: true,
+      mismatches: [],
+      warnings: [],
+      preview: { activeListings: 3, soldItems: 2 },
+    });
+  });
+
+  test("should resolve the username from the store name", async () => {
+    const result = await scraper.validateSeller("fixtureseller", null);
+    expect(result.ssn).toBe("fixtureseller");
+    expect(result.storeName).toBe("fixtureseller");
+  });
+
+  test("should report a store name of another seller", async () => {
+    const result = await scraper.validateSeller("otherstore", "fixtureseller");
+    expect(result.mismatches).toEqual([
+      { field: "storeName", given: "otherstore", resolved: "fixtureseller" },
+    ]);
+  });
+
+  test("should warn about sellers without a store or results", async () => {
+    const result = await scraper.validateSeller(null, "emptyseller");
+    expect(result.storeName).toBe("emptyseller");
+    expect(result.hasStore).toBe(false);
+    expect(result.preview).toEqual({ activeListings: 0, soldItems: 0 });
+    expect(result.warnings).toHaveLength(2);
+  });
+
+  test("should reject sellers that do not exist", async () => {
+    await expect(
+      scraper.validateSeller(null, "ghostseller")
+    ).rejects.toBeInstanceOf(SellerNotFoundError);
+  });
+});
@@ -0,0 +1,144 @@
+const { test, expect } = require("@playwright/test");
+const {
+  parseGroupName,
+  parseWebhookRoutes,
+  getWebhookRoutes,
+  hasWebhooks,
+  maskWebhookUrl,
+  maskWebhookRoutes,
+} = require("../utils/webhookRoutes");
+
+const GLOBALS = {
+  listings: "https://discord.com/api/webhooks/1/global-listings",
+  sold: "https://discord.com/api/webhooks/2/global-sold",
+};
+const GROUPS = {
+  lego: {
+    listings: ["https://discord.com/api/webhooks/3/lego-listings"],
+    sold: null,
+  },
+};
+
+test.describe("Webhook Routing", () => {
+  test("should parse group names in lower case", () => {
+    expect(parseGroupName(" Lego-Sets ")).toEqual({
+      value: "lego-sets",
+      error: null,
+    });
+    expect(parseGroupName("")).toEqual({ value: null, error: null });
+    expect(parseGroupName("lego sets").error).toContain("Invalid group");
+    expect(parseGroupName(42).error).toContain("Invalid group");
+  });
+
+  test("should parse one or more webhook URLs per kind", () => {
+    expect(
+      parseWebhookRoutes({
+        listings: "https://discord.com/api/webhooks/1/a",
+        sold: [
+          "https://discord.com/api/webhooks/2/b",
+          "https://discord.com/api/webhooks/2/b",
+          "https://discord.com/api/webhooks/3/c",
+        ],
+      })
+    ).toEqual({
+      value: {
+        listings: ["https://discord.com/api/webhooks/1/a"],
+        sold: [
+          "https://discord.com/api/webhooks/2/b",
+          "https://discord.com/api/webhooks/3/c",
+        ],
+      },
+      error: null,
+    });
+    // Nothing set clears the seller's own webhooks
+    expect(parseWebhookRoutes({ listings: [], sold: null })).toEqual({
+      value: null,
+      error: null,
+    });
+    expect(parseWebhookRoutes(null)).toEqual({ value: null, error: null });
+  });
+
+  test("should reject invalid webhook destinations", () => {
+    expect(parseWebhookRoutes("https://x.test").error).toContain(
+      "must be an object"
+    );
+    expect(parseWebhookRoutes({ listing: "https://x.test" }).error).toContain(
+      "Unknown webhooks field(s): listing"
+    );
+    expect(parseWebhookRoutes({ sold: "discord" }).error).toContain(
+      "Invalid sold webhook"
+    );
+    expect(parseWebhookRoutes({ listings: "ftp://x.test/a" }).error).toContain(
+      "Invalid listings webhook"
+    );
+    expect(
+      parseWebhookRoutes({
+        listings: [1, 2, 3, 4, 5, 6].map((i) => `https://x.test/${i}`),
+      }).error
+    ).toContain("Too many listings webhooks");
+  });
+
+  test("should prefer the seller's webhooks, then its group's, then the global ones", () => {
+    const own = {
+      type: "listings",
+      group: "lego",
+      webhooks: { listings: ["https://x.test/own"], sold: null },
+    };
+    expect(getWebhookRoutes(own, GROUPS, GLOBALS).listings).toEqual({
+      urls: ["https://x.test/own"],
+      source: "seller",
+    });
+
+    const grouped = { type: "listings", group: "lego" };
+    expect(getWebhookRoutes(grouped, GROUPS, GLOBALS).listings).toEqual({
+      urls: GROUPS.lego.listings,
+      source: "group",
+    });
+
+    // A group without sold webhooks falls back to the global one
+    const groupedSold = { type: "sold", group: "lego" };
+    expect(getWebhookRoutes(groupedSold, GROUPS, GLOBALS)).toEqual({
+      listings: { urls: [], source: null },
+      sold: { urls: [GLOBALS.sold], source: "global" },
+    });
+
+    const unknownGroup = { type: "listings", group: "missing" };
+    expect(
+      getWebhookRoutes(unknownGroup, GROUPS, GLOBALS).listings.source
+    ).toBe("global");
+  });
+
+  test("should only route what a seller or search watches", () => {
+    const search = { type: "search", watch: "both" };
+    const routes = getWebhookRoutes(search, {}, { listings: "", sold: "" });
+    expect(hasWebhooks(routes)).toBe(false);
+
+    const both = getWebhookRoutes(search, {}, GLOBALS);
+    expect(both.listings.source).toBe("global");
+    expect(both.sold.source).toBe("global");
+
+    const soldOnly = getWebhookRoutes(
+      { type: "sold" },
+      {},
+      { listings: GLOBALS.listings, sold: "" }
+    );
+    expect(hasWebhooks(soldOnly)).toBe(false);
+  });
+
+  test("should mask the token of webhook URLs", () => {
+    expect(maskWebhookUrl(GLOBALS.listings)).toBe(
+      "https://discord.com/api/webhooks/1/***"
+    );
+    expect(maskWebhookUrl("not a url")).toBe("***");
+    expect(maskWebhookRoutes(GROUPS.lego)).toEqual({
+      listings: ["https://discord.com/api/webhooks/3/***"],
+      sold: null,
+    });
+    expect(
+      maskWebhookRoutes(getWebhookRoutes({ type: "sold" }, {}, GLOBALS)).sold
+    ).toEqual({
+      urls: ["https://discord.com/api/webhooks/2/***"],
+      source: "global",
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const { test, expect } = require("@playwright/test");
+const { createLimiter, runPool } = require("../utils/workerPool");
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+test.describe("Worker Pool", () => {
+  test("should run at most the configured number of tasks at once", async () => {
+    const limiter = createLimiter({ concurrency: 2 });
+    let running = 0;
+    let peak = 0;
+
+    const results = await Promise.all(
+      [1, 2, 3, 4, 5].map((n) =>
+        limiter.run(async () => {
+          running++;
+          peak = Math.max(peak, running);
+          await delay(20);
+          running--;
+          return n * 10;
+        })
+      )
+    );
+
+    expect(results).toEqual([10, 20, 30, 40, 50]);
+    expect(peak).toBe(2);
+    expect(limiter.getStats()).toMatchObject({
+      concurrency: 2,
+      active: 0,
+      queued: 0,
+      completed: 5,
+      failed: 0,
+    });
+  });
+
+  test("should space task starts by the delay plus jitter", async () => {
+    const limiter = createLimiter({
+      concurrency: 3,
+      minDelayMs: 40,
+      jitterMs: 20,
+    });
+    const startedAt = [];
+
+    await Promise.all(
+      [1, 2, 3].map(() => limiter.run(async () => startedAt.push(Date.now())))
+    );
+
+    for (let i = 1; i < startedAt.length; i++) {
+      // Timers may fire a millisecond early
+      expect(startedAt[i] - startedAt[i - 1]).toBeGreaterThanOrEqual(38);
+    }
+  });
+
+  test("should pass task errors to the caller and keep going", async () => {
+    const limiter = createLimiter();
+
+    await expect(
+      limiter.run(async () => {
+        throw new Error("blocked");
+      })
+    ).rejects.toThrow("blocked");
+    await expect(limiter.run(async () => "next")).resolves.toBe("next");
+    expect(limiter.getStats()).toMatchObject({ completed: 1, failed: 1 });
+  });
+
+  test("should work through every item with bounded concurrency", async () => {
+    const seen = [];
+    let running = 0;
+    let peak = 0;
+
+    await runPool(["a", "b", "c", "d", "e"], 3, async (item, index) => {
+      running++;
+      peak = Math.max(peak, running);
+      await delay(item === "a" ? 40 : 10);
+      seen.push(`${index}:${item}`);
+      running--;
+    });
+
+    expect(seen.sort()).toEqual(["0:a", "1:b", "2:c", "3:d", "4:e"]);
+    expect(peak).toBe(3);
+    // An empty list finishes without starting a worker
+    await runPool([], 3, async () => {
+      throw new Error("not called");
+    });
+  });
+});
@@ -0,0 +1,204 @@
+const { chromium } = require("playwright");
+
+// Launch arguments shared by every pooled browser
+const LAUNCH_ARGS = [
+  "--disable-blink-features=AutomationControlled",
+  "--disable-dev-shm-usage",
+  "--no-sandbox",
+  "--disable-setuid-sandbox",
+  "--disable-web-security",
+  "--disable-features=IsolateOrigins,site-per-process",
+  "--disable-site-isolation-trials",
+];
+
+// Number of long-lived browsers kept open
+const POOL_SIZE = parseInt(process.env.BROWSER_POOL_SIZE || "2", 10);
+// Pages a browser serves before it is recycled
+const MAX_PAGES_PER_BROWSER = parseInt(
+  process.env.BROWSER_MAX_PAGES || "50",
+  10
+);
+// Pages that may be open at the same time across the whole pool
+const MAX_CONCURRENT_PAGES = parseInt(
+  process.env.BROWSER_MAX_CONCURRENT_PAGES || "2",
+  10
+);
+const HEADLESS = process.env.BROWSER_HEADLESS === "true";
+
+// Pool slots; each holds one browser entry (or null until first use)
+const slots = new Array(Math.max(1, POOL_SIZE)).fill(null);
+// Concurrency permits for open pages
+let activePages = 0;
+const waitQueue = [];
+
+/**
+ * Creates a pool entry and launches its browser
+ * @returns {Object} Browser entry
+ */
+function createEntry() {
+  const entry = {
+    browser: null,
+    ready: null,
+    pagesServed: 0,
+    activePages: 0,
+    retired: false,
+  };
+
+  entry.ready = chromium
+    .launch({ headless: HEADLESS, args: LAUNCH_ARGS })
+    .then((browser) => {
+      entry.browser = browser;
+      browser.on("disconnected", () => {
+        if (!entry.retired) {
+          console.warn("Pooled browser disconnected, it will be replaced");
+          retireEntry(entry);
+        }
+      });
+      return browser;
+    });
+
+  return entry;
+}
+
+/**
+ * Removes an entry from its slot and closes the browser once idle
+ * @param {Object} entry - Browser entry
+ */
+function retireEntry(entry) {
+  entry.retired = true;
+
+  const slotIndex = slots.indexOf(entry);
+  if (slotIndex !== -1) {
+    slots[slotIndex] = null;
+  }
+
+  if (entry.activePages === 0) {
+    closeEntry(entry);
+  }
+}
+
+/**
+ * Closes an entry's browser, ignoring errors from already dead browsers
+ * @param {Object} entry - Browser entry
+ */
+function closeEntry(entry) {
+  entry.ready.then((browser) => browser.close()).catch(() => {});
+}
+
+/**
+ * Picks the least busy browser entry, launching one if a slot is empty
+ * @returns {Object} Browser entry
+ */
+function pickEntry() {
+  const emptySlot = slots.indexOf(null);
+  if (emptySlot !== -1) {
+    const entry = createEntry();
+    slots[emptySlot] = entry;
+    // Free the slot again if the launch fails so the next scrape can retry
+    entry.ready.catch(() => retireEntry(entry));
+    return entry;
+  }
+
+  return slots.reduce((best, entry) =>
+    entry.activePages < best.activePages ? entry : best
+  );
+}
+
+/**
+ * Waits for a free page permit
+ * @returns {Promise<void>}
+ */
+function acquirePermit() {
+  if (activePages < MAX_CONCURRENT_PAGES) {
+    activePages++;
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => waitQueue.push(resolve));
+}
+
+/**
+ * Releases a page permit, handing it to the next waiter if any
+ */
+function releasePermit() {
+  const next = waitQueue.shift();
+  if (next) {
+    next();
+  } else {
+    activePages--;
+  }
+}
+
+/**
+ * Runs a function with a pooled browser. Each call counts as one page
+ * towards the browser's recycle limit and the pool's concurrency limit.
+ * @param {Function} fn - Async function receiving the Browser instance
+ * @returns {Promise<*>} Result of fn
+ */
+async function withBrowser(fn) {
+  await acquirePermit();
+
+  let entry = null;
+  try {
+    entry = pickEntry();
+    entry.activePages++;
+    const browser = await entry.ready;
+
+    try {
+      return await fn(browser);
+    } finally {
+      // A crashed browser is replaced instead of being handed out again
+      if (!browser.isConnected() && !entry.retired) {
+        retireEntry(entry);
+      }
+    }
+  } finally {
+    if (entry) {
+      entry.activePages--;
+      entry.pagesServed++;
+
+      if (!entry.retired && entry.pagesServed >= MAX_PAGES_PER_BROWSER) {
+        console.log(`Recycling browser after ${entry.pagesServed} pages`);
+        retireEntry(entry);
+      } else if (entry.retired && entry.activePages === 0) {
+        closeEntry(entry);
+      }
+    }
+    releasePermit();
+  }
+}
+
+/**
+ * Closes every pooled browser (used on shutdown)
+ * @returns {Promise<void>}
+ */
+async function closeAll() {
+  const entries = slots.filter(Boolean);
+  slots.fill(null);
+  await Promise.all(
+    entries.map((entry) => {
+      entry.retired = true;
+      return entry.ready.then((browser) => browser.close()).catch(() => {});
+    })
+  );
+}
+
+/**
+ * Gets current pool usage
+ * @returns {Object} Pool statistics
+ */
+function getPoolStats() {
+  return {
+    poolSize: slots.length,
+    browsersOpen: slots.filter(Boolean).length,
+    activePages,
+    queuedPages: waitQueue.length,
+    maxConcurrentPages: MAX_CONCURRENT_PAGES,
+    maxPagesPerBrowser: MAX_PAGES_PER_BROWSER,
+  };
+}
+
+module.exports = {
+  withBrowser,
+  closeAll,
+  getPoolStats,
+};
@@ -0,0 +1,84 @@
+const { PAGE_STATUS } = require("./scrapeErrors");
+
+// First cooldown after a block, doubled on every further block in a row
+const BLOCK_COOLDOWN_MINUTES = parseFloat(
+  process.env.BLOCK_COOLDOWN_MINUTES || "15"
+);
+// Longest cooldown a seller can reach
+const BLOCK_COOLDOWN_MAX_MINUTES = parseFloat(
+  process.env.BLOCK_COOLDOWN_MAX_MINUTES || "360"
+);
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Gets the cooldown after a number of consecutive blocks
+ * @param {number} consecutiveBlocks - Blocks in a row (1 = first block)
+ * @returns {number} Cooldown in milliseconds
+ */
+function getCooldownMs(consecutiveBlocks) {
+  const minutes = Math.min(
+    BLOCK_COOLDOWN_MAX_MINUTES,
+    BLOCK_COOLDOWN_MINUTES * Math.pow(2, Math.max(0, consecutiveBlocks - 1))
+  );
+  return minutes * MINUTE_MS;
+}
+
+/**
+ * Builds a seller's scrape status after a check. Blocked and not-found
+ * checks start (or extend) a cooldown; a successful check clears it; other
+ * failures (network errors) are recorded without one.
+ * @param {Object} previous - Previous scrape status (optional)
+ * @param {Object} outcome - Check outcome
+ * @param {string} outcome.status - Page status (see PAGE_STATUS)
+ * @param {string} outcome.message - Error message or reason (optional)
+ * @param {Date} now - Check time (default: now)
+ * @returns {Object} { status, message, checkedAt, consecutiveBlocks, cooldownUntil }
+ */
+function nextScrapeStatus(
+  previous,
+  { status, message = null },
+  now = new Date()
+) {
+  const blocks = (previous && previous.consecutiveBlocks) || 0;
+  const base = {
+    status,
+    message,
+    checkedAt: now.toISOString(),
+  };
+
+  if (status === PAGE_STATUS.BLOCKED || status === PAGE_STATUS.NOT_FOUND) {
+    const consecutiveBlocks = blocks + 1;
+    return {
+      ...base,
+      consecutiveBlocks,
+      cooldownUntil: new Date(
+        now.getTime() + getCooldownMs(consecutiveBlocks)
+      ).toISOString(),
+    };
+  }
+
+  if (status === PAGE_STATUS.OK || status === PAGE_STATUS.EMPTY) {
+    return { ...base, consecutiveBlocks: 0, cooldownUntil: null };
+  }
+
+  return { ...base, consecutiveBlocks: blocks, cooldownUntil: null };
+}
+
+/**
+ * Checks whether a seller is cooling down after a block
+ * @param {Object} seller - Seller record
+ * @param {Date} now - Reference time (default: now)
+ * @returns {boolean} True if the seller should be skipped
+ */
+function isCoolingDown(seller, now = new Date()) {
+  const cooldownUntil =
+    seller.scrapeStatus && seller.scrapeStatus.cooldownUntil;
+  return !!cooldownUntil && new Date(cooldownUntil) > now;
+}
+
+module.exports = {
+  getCooldownMs,
+  nextScrapeStatus,
+  isCoolingDown,
+};
@@ -0,0 +1,304 @@
+// Timezone eBay dates are interpreted in when no marketplace timezone is given
+const DEFAULT_TIMEZONE = process.env.MARKETPLACE_TIMEZONE || "America/New_York";
+// Default "sold within the last N days" window; a value that is not a
+// positive number would drop every sold item, so it falls back to 2
+const LOOKBACK_DAYS_SETTING = parseFloat(process.env.SOLD_LOOKBACK_DAYS || "2");
+const DEFAULT_LOOKBACK_DAYS =
+  Number.isFinite(LOOKBACK_DAYS_SETTING) && LOOKBACK_DAYS_SETTING > 0
+    ? LOOKBACK_DAYS_SETTING
+    : 2;
+if (DEFAULT_LOOKBACK_DAYS !== LOOKBACK_DAYS_SETTING) {
+  console.warn(
+    `Invalid SOLD_LOOKBACK_DAYS "${process.env.SOLD_LOOKBACK_DAYS}", using 2`
+  );
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Words eBay uses in dates, per page language
+const DATE_LANGUAGES = {
+  en: {
+    soldLabels: ["Sold"],
+    today: "Today",
+    yesterday: "Yesterday",
+    months: {
+      jan: 1,
+      feb: 2,
+      mar: 3,
+      apr: 4,
+      may: 5,
+      jun: 6,
+      jul: 7,
+      aug: 8,
+      sep: 9,
+      sept: 9,
+      oct: 10,
+      nov: 11,
+      dec: 12,
+    },
+  },
+  de: {
+    soldLabels: ["Verkauft"],
+    today: "Heute",
+    yesterday: "Gestern",
+    months: {
+      jan: 1,
+      jän: 1,
+      feb: 2,
+      mär: 3,
+      mrz: 3,
+      apr: 4,
+      mai: 5,
+      jun: 6,
+      jul: 7,
+      aug: 8,
+      sep: 9,
+      sept: 9,
+      okt: 10,
+      nov: 11,
+      dez: 12,
+    },
+  },
+};
+
+/**
+ * Gets the wall-clock date and time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+
+  const get = (type) =>
+    parseInt(parts.find((part) => part.type === type).value, 10);
+
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    hour: get("hour"),
+    minute: get("minute"),
+    second: get("second"),
+  };
+}
+
+/**
+ * Gets a timezone's UTC offset at an instant
+ * @param {number} timestamp - Instant in milliseconds
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+  const p = getZonedParts(new Date(timestamp), timeZone);
+  const asUtc = Date.UTC(
+    p.year,
+    p.month - 1,
+    p.day,
+    p.hour,
+    p.minute,
+    p.second
+  );
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Converts a wall-clock time in a timezone to an instant
+ * @param {Object} wallTime - { year, month (1-12), day, hour, minute }
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} Instant
+ */
+function zonedTimeToDate({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getTimeZoneOffset(guess, timeZone);
+  let timestamp = guess - offset;
+
+  // Correct once more when the guess crossed a DST boundary
+  const correctedOffset = getTimeZoneOffset(timestamp, timeZone);
+  if (correctedOffset !== offset) {
+    timestamp = guess - correctedOffset;
+  }
+
+  return new Date(timestamp);
+}
+
+/**
+ * Gets the date words for a page language, falling back to English
+ * @param {string} language - Language code (e.g. "en", "de")
+ * @returns {Object} Date words
+ */
+function getDateLanguage(language) {
+  return DATE_LANGUAGES[language] || DATE_LANGUAGES.en;
+}
+
+/**
+ * Looks up a month number from its name or abbreviation
+ * @param {string} name - Month name (e.g. "Nov", "November", "Okt.")
+ * @param {Object} months - Month lookup of the page language
+ * @returns {number|null} Month number (1-12)
+ */
+function getMonthNumber(name, months) {
+  if (!name) return null;
+  const key = name.toLowerCase().replace(/\.$/, "");
+  return months[key] || months[key.slice(0, 3)] || null;
+}
+
+/**
+ * Parses a sold date label such as "Sold  Nov 2, 2025", "Sold  2 Nov 2025"
+ * or "Verkauft  2. Nov. 2025"
+ * @param {string} text - Sold date text from the card
+ * @param {Object} options - Parse options
+ * @param {string} options.timeZone - Marketplace timezone
+ * @param {string} options.language - Page language (default: "en")
+ * @returns {Date|null} Start of the sold day in the marketplace timezone, or null if unparseable
+ */
+function parseSoldDate(
+  text,
+  { timeZone = DEFAULT_TIMEZONE, language = "en" } = {}
+) {
+  if (!text) return null;
+
+  const { soldLabels, months } = getDateLanguage(language);
+  const labelMatch = text.match(
+    new RegExp(`(?:${soldLabels.join("|")})\\s+(.+)$`, "iu")
+  );
+  if (!labelMatch) return null;
+
+  const dateText = labelMatch[1].trim();
+  let monthName;
+  let day;
+  let year;
+
+  const monthFirst = dateText.match(/^(\p{L}+)\.?\s+(\d{1,2}),?\s+(\d{4})/u);
+  const dayFirst = dateText.match(/^(\d{1,2})\.?\s+(\p{L}+)\.?\s+(\d{4})/u);
+  if (monthFirst) {
+    [, monthName, day, year] = monthFirst;
+  } else if (dayFirst) {
+    [, day, monthName, year] = dayFirst;
+  } else {
+    return null;
+  }
+
+  const month = getMonthNumber(monthName, months);
+  day = parseInt(day, 10);
+  year = parseInt(year, 10);
+  if (!month || day < 1 || day > 31) return null;
+
+  return zonedTimeToDate({ year, month, day }, timeZone);
+}
+
+/**
+ * Parses a listed date label such as "Nov-1 23:24", "Today 12:34" or "Yesterday 08:00"
+ * (or their localized forms, e.g. "Heute 12:34", "1. Nov 23:24").
+ * The label has no year, so the most recent matching date not in the future is used.
+ * @param {string} text - Listed date text from the card
+ * @param {Object} options - Parse options
+ * @param {string} options.timeZone - Marketplace timezone
+ * @param {string} options.language - Page language (default: "en")
+ * @param {Date} options.now - Reference time (default: now)
+ * @returns {Date|null} Listed time, or null if unparseable
+ */
+function parseListedDate(
+  text,
+  { timeZone = DEFAULT_TIMEZONE, language = "en", now = new Date() } = {}
+) {
+  if (!text) return null;
+
+  const words = getDateLanguage(language);
+  const today = getZonedParts(now, timeZone);
+
+  const relative = text.match(
+    new RegExp(
+      `^(${words.today}|${words.yesterday})\\s+(\\d{1,2}):(\\d{2})`,
+      "iu"
+    )
+  );
+  if (relative) {
+    const offsetDays =
+      relative[1].toLowerCase() === words.yesterday.toLowerCase() ? 1 : 0;
+    // Step back whole days on the calendar, not in elapsed time
+    const calendarDay = new Date(
+      Date.UTC(today.year, today.month - 1, today.day - offsetDays)
+    );
+    return zonedTimeToDate(
+      {
+        year: calendarDay.getUTCFullYear(),
+        month: calendarDay.getUTCMonth() + 1,
+        day: calendarDay.getUTCDate(),
+        hour: parseInt(relative[2], 10),
+        minute: parseInt(relative[3], 10),
+      },
+      timeZone
+    );
+  }
+
+  let monthName;
+  let day;
+  let hour;
+  let minute;
+
+  const monthFirst = text.match(/^(\p{L}+)\.?-(\d{1,2})\s+(\d{1,2}):(\d{2})/u);
+  const dayFirst = text.match(
+    /^(\d{1,2})\.?[-\s](\p{L}+)\.?\s+(\d{1,2}):(\d{2})/u
+  );
+  if (monthFirst) {
+    [, monthName, day, hour, minute] = monthFirst;
+  } else if (dayFirst) {
+    [, day, monthName, hour, minute] = dayFirst;
+  } else {
+    return null;
+  }
+
+  const month = getMonthNumber(monthName, words.months);
+  if (!month) return null;
+
+  const wallTime = {
+    year: today.year,
+    month,
+    day: parseInt(day, 10),
+    hour: parseInt(hour, 10),
+    minute: parseInt(minute, 10),
+  };
+
+  let date = zonedTimeToDate(wallTime, timeZone);
+  // A date later than now belongs to last year (e.g. "Dec-31" seen in January)
+  if (date.getTime() - now.getTime() > DAY_MS) {
+    date = zonedTimeToDate({ ...wallTime, year: today.year - 1 }, timeZone);
+  }
+  return date;
+}
+
+/**
+ * Checks whether a date falls within a lookback window
+ * @param {Date} date - Date to check
+ * @param {number} days - Lookback window in days
+ * @param {Date} now - Reference time (default: now)
+ * @returns {boolean} True if the date is at most `days` days old
+ */
+function isWithinLookback(
+  date,
+  days = DEFAULT_LOOKBACK_DAYS,
+  now = new Date()
+) {
+  return (now.getTime() - date.getTime()) / DAY_MS <= days;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DEFAULT_LOOKBACK_DAYS,
+  zonedTimeToDate,
+  getZonedParts,
+  getDateLanguage,
+  parseSoldDate,
+  parseListedDate,
+  isWithinLookback,
+};
@@ -0,0 +1,204 @@
+const axios = require("axios");
+const { toProxyAgent } = require("./proxyPool");
+const { BlockedError, NetworkError } = require("./scrapeErrors");
+
+const STRATEGIES = ["auto", "http", "browser"];
+
+// 'auto' (default) tries a plain HTTP request first and falls back to the
+// browser, 'http' never opens a browser, 'browser' always does
+const FETCH_STRATEGY = STRATEGIES.includes(process.env.FETCH_STRATEGY)
+  ? process.env.FETCH_STRATEGY
+  : "auto";
+if (
+  process.env.FETCH_STRATEGY &&
+  FETCH_STRATEGY !== process.env.FETCH_STRATEGY
+) {
+  console.warn(
+    `Unknown FETCH_STRATEGY "${process.env.FETCH_STRATEGY}", using "auto"`
+  );
+}
+// Time allowed for one plain HTTP request
+const HTTP_TIMEOUT_MS = parseInt(process.env.HTTP_TIMEOUT_MS || "20000", 10);
+
+// Fetch outcomes per seller since the server started
+const fetchStats = new Map();
+
+/**
+ * Builds the request headers of a plain HTTP fetch from a browser fingerprint
+ * @param {Object} fingerprint - Fingerprint from pickFingerprint
+ * @returns {Object} Request headers
+ */
+function buildHttpHeaders(fingerprint) {
+  return {
+    "User-Agent": fingerprint.userAgent,
+    "Accept-Language": fingerprint.acceptLanguage,
+    Accept:
+      "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8",
+    "Accept-Encoding": "gzip, deflate, br",
+    "Upgrade-Insecure-Requests": "1",
+    "Sec-Ch-Ua": fingerprint.secChUa,
+    "Sec-Ch-Ua-Mobile": "?0",
+    "Sec-Ch-Ua-Platform": fingerprint.secChUaPlatform,
+    "Sec-Fetch-Dest": "document",
+    "Sec-Fetch-Mode": "navigate",
+    "Sec-Fetch-Site": "none",
+    "Sec-Fetch-User": "?1",
+    "Cache-Control": "max-age=0",
+  };
+}
+
+/**
+ * Loads a page with a plain HTTP GET. Any HTTP status is returned for the
+ * caller to classify.
+ * @param {string} url - Page URL
+ * @param {Object} options - Request options
+ * @param {Object} options.fingerprint - Fingerprint the headers are built from
+ * @param {Object|null} options.proxy - Proxy entry from pickProxy (optional)
+ * @returns {Promise<Object>} { html, httpStatus }
+ * @throws {NetworkError} If the request itself fails
+ */
+async function fetchHtml(url, { fingerprint, proxy = null }) {
+  const agent = toProxyAgent(proxy);
+  let response;
+  try {
+    response = await axios.get(url, {
+      headers: buildHttpHeaders(fingerprint),
+      // The agent opens the proxy tunnel; axios' own proxy option cannot
+      ...(agent && { httpAgent: agent, httpsAgent: agent, proxy: false }),
+      timeout: HTTP_TIMEOUT_MS,
+      maxRedirects: 5,
+      responseType: "text",
+      validateStatus: () => true,
+    });
+  } catch (error) {
+    throw new NetworkError(`Could not fetch ${url}: ${error.message}`, { url });
+  }
+
+  return { html: String(response.data), httpStatus: response.status };
+}
+
+/**
+ * Checks whether a failed HTTP fetch should be retried in the browser.
+ * Challenge pages, pages with neither results nor a "no results" message
+ * (client-rendered or cut short) and network errors escalate; a seller that
+ * does not exist does not.
+ * @param {Error} error - Error of the HTTP attempt
+ * @returns {boolean} True to fall back to the browser
+ */
+function shouldEscalate(error) {
+  return error instanceof BlockedError || error instanceof NetworkError;
+}
+
+/**
+ * Gets (creating if needed) the fetch statistics of a seller
+ * @param {string} ssn - Seller SSN/username
+ * @returns {Object} Mutable statistics record
+ */
+function getStatsRecord(ssn) {
+  if (!fetchStats.has(ssn)) {
+    fetchStats.set(ssn, {
+      http: { attempts: 0, successes: 0 },
+      browser: { attempts: 0, successes: 0 },
+      escalations: 0,
+      lastStrategy: null,
+      lastEscalationReason: null,
+      lastFetchedAt: null,
+    });
+  }
+  return fetchStats.get(ssn);
+}
+
+/**
+ * Records one fetch attempt of a seller
+ * @param {string} ssn - Seller SSN/username
+ * @param {string} strategy - 'http' or 'browser'
+ * @param {boolean} success - True if the page was usable
+ */
+function recordFetch(ssn, strategy, success) {
+  const stats = getStatsRecord(ssn);
+  stats[strategy].attempts++;
+  if (success) {
+    stats[strategy].successes++;
+  }
+  stats.lastStrategy = strategy;
+  stats.lastFetchedAt = new Date().toISOString();
+}
+
+/**
+ * Runs a scrape with the configured fetch strategy
+ * @param {string} ssn - Seller SSN/username (statistics key)
+ * @param {Object} loaders - Scrape implementations
+ * @param {Function} loaders.http - Async function scraping with plain HTTP requests, receiving { browserFallback } (true if a blocked or failed attempt is retried in the browser)
+ * @param {Function} loaders.browser - Async function scraping in the browser
+ * @param {string} strategy - 'auto', 'http' or 'browser' (default: FETCH_STRATEGY)
+ * @returns {Promise<*>} Result of the loader that succeeded
+ */
+async function runWithStrategy(
+  ssn,
+  { http, browser },
+  strategy = FETCH_STRATEGY
+) {
+  if (strategy !== "browser") {
+    try {
+      const result = await http({ browserFallback: strategy === "auto" });
+      recordFetch(ssn, "http", true);
+      return result;
+    } catch (error) {
+      const escalate = shouldEscalate(error);
+      recordFetch(ssn, "http", !escalate);
+      if (!escalate || strategy === "http") {
+        throw error;
+      }
+
+      console.log(
+        `HTTP fetch for seller ${ssn} failed (${error.message}), falling back to the browser`
+      );
+      const stats = getStatsRecord(ssn);
+      stats.escalations++;
+      stats.lastEscalationReason = error.message;
+    }
+  }
+
+  try {
+    const result = await browser();
+    recordFetch(ssn, "browser", true);
+    return result;
+  } catch (error) {
+    recordFetch(ssn, "browser", !shouldEscalate(error));
+    throw error;
+  }
+}
+
+/**
+ * Gets a seller's fetch statistics with success rates
+ * @param {string} ssn - Seller SSN/username
+ * @returns {Object|null} Statistics, or null if the seller was not fetched yet
+ */
+function getFetchStats(ssn) {
+  const stats = fetchStats.get(ssn);
+  if (!stats) return null;
+
+  const withRate = ({ attempts, successes }) => ({
+    attempts,
+    successes,
+    successRate: attempts > 0 ? Math.round((successes / attempts) * 100) : null,
+  });
+
+  return {
+    strategy: FETCH_STRATEGY,
+    http: withRate(stats.http),
+    browser: withRate(stats.browser),
+    escalations: stats.escalations,
+    lastStrategy: stats.lastStrategy,
+    lastEscalationReason: stats.lastEscalationReason,
+    lastFetchedAt: stats.lastFetchedAt,
+  };
+}
+
+module.exports = {
+  FETCH_STRATEGY,
+  fetchHtml,
+  shouldEscalate,
+  runWithStrategy,
+  getFetchStats,
+};
@@ -0,0 +1,168 @@
+// Desktop browsers whose user agent, platform, client hints and screen match
+const DEVICE_PROFILES = [
+  {
+    id: "chrome-mac",
+    userAgent:
+      "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36",
+    platform: "MacIntel",
+    secChUa:
+      '"Google Chrome";v="131", "Chromium";v="131", "Not_A Brand";v="24"',
+    secChUaPlatform: '"macOS"',
+    viewport: { width: 1440, height: 900 },
+    deviceScaleFactor: 2,
+  },
+  {
+    id: "chrome-mac-large",
+    userAgent:
+      "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/130.0.0.0 Safari/537.36",
+    platform: "MacIntel",
+    secChUa:
+      '"Chromium";v="130", "Google Chrome";v="130", "Not?A_Brand";v="99"',
+    secChUaPlatform: '"macOS"',
+    viewport: { width: 1728, height: 1117 },
+    deviceScaleFactor: 2,
+  },
+  {
+    id: "chrome-windows",
+    userAgent:
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36",
+    platform: "Win32",
+    secChUa:
+      '"Google Chrome";v="131", "Chromium";v="131", "Not_A Brand";v="24"',
+    secChUaPlatform: '"Windows"',
+    viewport: { width: 1920, height: 1080 },
+    deviceScaleFactor: 1,
+  },
+  {
+    id: "chrome-windows-laptop",
+    userAgent:
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36",
+    platform: "Win32",
+    secChUa: '"Google Chrome";v="129", "Not=A?Brand";v="8", "Chromium";v="129"',
+    secChUaPlatform: '"Windows"',
+    viewport: { width: 1536, height: 864 },
+    deviceScaleFactor: 1.25,
+  },
+  {
+    id: "chrome-linux",
+    userAgent:
+      "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36",
+    platform: "Linux x86_64",
+    secChUa:
+      '"Google Chrome";v="131", "Chromium";v="131", "Not_A Brand";v="24"',
+    secChUaPlatform: '"Linux"',
+    viewport: { width: 1920, height: 1080 },
+    deviceScaleFactor: 1,
+  },
+];
+
+// Places inside each marketplace's country a visitor may browse from
+const REGIONS = {
+  us: [
+    { timeZone: "America/New_York", latitude: 40.7128, longitude: -74.006 },
+    { timeZone: "America/Chicago", latitude: 41.8781, longitude: -87.6298 },
+    { timeZone: "America/Denver", latitude: 39.7392, longitude: -104.9903 },
+    {
+      timeZone: "America/Los_Angeles",
+      latitude: 34.0522,
+      longitude: -118.2437,
+    },
+  ],
+  uk: [
+    { timeZone: "Europe/London", latitude: 51.5072, longitude: -0.1276 },
+    { timeZone: "Europe/London", latitude: 53.4808, longitude: -2.2426 },
+  ],
+  de: [
+    { timeZone: "Europe/Berlin", latitude: 52.52, longitude: 13.405 },
+    { timeZone: "Europe/Berlin", latitude: 48.1351, longitude: 11.582 },
+  ],
+  au: [
+    { timeZone: "Australia/Sydney", latitude: -33.8688, longitude: 151.2093 },
+    {
+      timeZone: "Australia/Melbourne",
+      latitude: -37.8136,
+      longitude: 144.9631,
+    },
+    { timeZone: "Australia/Brisbane", latitude: -27.4698, longitude: 153.0251 },
+  ],
+  ca: [
+    { timeZone: "America/Toronto", latitude: 43.6532, longitude: -79.3832 },
+    { timeZone: "America/Vancouver", latitude: 49.2827, longitude: -123.1207 },
+  ],
+};
+
+// Sticky sessions: seller key -> fingerprint ID
+const stickyFingerprints = new Map();
+
+/**
+ * Builds a fingerprint from a device profile and a region
+ * @param {Object} device - Device profile
+ * @param {Object} region - Region
+ * @param {Object} marketplace - Marketplace definition (locale and languages)
+ * @returns {Object} Fingerprint
+ */
+function buildFingerprint(device, region, marketplace) {
+  return {
+    id: `${device.id}/${region.timeZone}`,
+    userAgent: device.userAgent,
+    platform: device.platform,
+    secChUa: device.secChUa,
+    secChUaPlatform: device.secChUaPlatform,
+    viewport: device.viewport,
+    deviceScaleFactor: device.deviceScaleFactor,
+    locale: marketplace.locale,
+    acceptLanguage: marketplace.acceptLanguage,
+    languages: [marketplace.locale, marketplace.locale.split("-")[0]],
+    timeZone: region.timeZone,
+    geolocation: { latitude: region.latitude, longitude: region.longitude },
+  };
+}
+
+/**
+ * Lists every fingerprint available for a marketplace
+ * @param {Object} marketplace - Marketplace definition
+ * @returns {Array<Object>} Fingerprints
+ */
+function listFingerprints(marketplace) {
+  const regions = REGIONS[marketplace.id] || [
+    {
+      timeZone: marketplace.timeZone,
+      latitude: marketplace.geolocation.latitude,
+      longitude: marketplace.geolocation.longitude,
+    },
+  ];
+  return DEVICE_PROFILES.flatMap((device) =>
+    regions.map((region) => buildFingerprint(device, region, marketplace))
+  );
+}
+
+/**
+ * Picks a fingerprint for a scrape. Locale and languages always follow the
+ * marketplace; device and region rotate, or stay fixed for a sticky seller.
+ * @param {Object} marketplace - Marketplace definition
+ * @param {string} stickyKey - Seller key to pin the fingerprint to (optional)
+ * @returns {Object} Fingerprint
+ */
+function pickFingerprint(marketplace, stickyKey = null) {
+  const fingerprints = listFingerprints(marketplace);
+
+  if (stickyKey) {
+    const key = `${stickyKey}:${marketplace.id}`;
+    const pinned = fingerprints.find(
+      (fingerprint) => fingerprint.id === stickyFingerprints.get(key)
+    );
+    if (pinned) return pinned;
+
+    const fingerprint =
+      fingerprints[Math.floor(Math.random() * fingerprints.length)];
+    stickyFingerprints.set(key, fingerprint.id);
+    return fingerprint;
+  }
+
+  return fingerprints[Math.floor(Math.random() * fingerprints.length)];
+}
+
+module.exports = {
+  listFingerprints,
+  pickFingerprint,
+};
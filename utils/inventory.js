@@ -0,0 +1,91 @@
+/**
+ * Builds the stored snapshot entry for a listing
+ * @param {Object} listing - Listing object from the scraper
+ * @param {Object} previous - Previous snapshot entry for the same item (optional)
+ * @param {string} seenAt - ISO timestamp of the scrape
+ * @returns {Object} Snapshot entry
+ */
+function toSnapshotEntry(listing, previous, seenAt) {
+  const details = listing.priceDetails || {};
+  return {
+    title: listing.title,
+    link: listing.link,
+    imageUrl: listing.imageUrl || null,
+    price: listing.price || null,
+    amount: details.amount ?? null,
+    currency: details.currency || null,
+    firstSeenAt: previous ? previous.firstSeenAt : seenAt,
+    lastSeenAt: seenAt,
+  };
+}
+
+/**
+ * Builds an inventory snapshot keyed by item ID
+ * @param {Array} listings - Listings from a full inventory scrape
+ * @param {Object} previousSnapshot - Previous snapshot (optional)
+ * @param {Date} now - Scrape time (default: now)
+ * @returns {Object} Snapshot { [itemId]: entry }
+ */
+function buildSnapshot(listings, previousSnapshot = {}, now = new Date()) {
+  const seenAt = now.toISOString();
+  const snapshot = {};
+  for (const listing of listings) {
+    snapshot[listing.itemId] = toSnapshotEntry(
+      listing,
+      previousSnapshot[listing.itemId],
+      seenAt
+    );
+  }
+  return snapshot;
+}
+
+/**
+ * Compares a previous snapshot against a fresh inventory scrape
+ * @param {Object} previousSnapshot - Previous snapshot { [itemId]: entry }
+ * @param {Array} listings - Listings from a full inventory scrape
+ * @returns {Object} { added: Array<listing>, removed: Array<{itemId, ...entry}>, changed: Array<{listing, previous, changes}> }
+ */
+function diffInventory(previousSnapshot, listings) {
+  const added = [];
+  const changed = [];
+  const currentIds = new Set();
+
+  for (const listing of listings) {
+    currentIds.add(listing.itemId);
+    const previous = previousSnapshot[listing.itemId];
+
+    if (!previous) {
+      added.push(listing);
+      continue;
+    }
+
+    const changes = [];
+    if (previous.title !== listing.title) {
+      changes.push({ field: "title", from: previous.title, to: listing.title });
+    }
+
+    const amount = listing.priceDetails ? listing.priceDetails.amount : null;
+    if (previous.amount !== null && amount !== null) {
+      if (previous.amount !== amount) {
+        changes.push({ field: "price", from: previous.amount, to: amount });
+      }
+    } else if (previous.price !== (listing.price || null)) {
+      changes.push({ field: "price", from: previous.price, to: listing.price });
+    }
+
+    if (changes.length > 0) {
+      changed.push({ listing, previous, changes });
+    }
+  }
+
+  const removed = Object.keys(previousSnapshot)
+    .filter((itemId) => !currentIds.has(itemId))
+    .map((itemId) => ({ itemId, ...previousSnapshot[itemId] }));
+
+  return { added, removed, changed };
+}
+
+module.exports = {
+  buildSnapshot,
+  diffInventory,
+};
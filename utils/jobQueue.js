@@ -0,0 +1,262 @@
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+
+const JOBS_FILE =
+  process.env.JOBS_FILE || path.join(__dirname, "..", "jobs.json");
+
+// Finished jobs kept for the API; older ones are dropped
+const MAX_FINISHED_JOBS = Math.max(
+  0,
+  parseInt(process.env.JOB_HISTORY_SIZE || "200", 10)
+);
+
+const JOB_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  DONE: "done",
+  FAILED: "failed",
+};
+
+// Jobs in the order they were queued
+let jobs = [];
+// Runs a job: async (job) => result
+let jobHandler = null;
+let concurrency = 1;
+// Keys of the jobs that are running
+const runningKeys = new Set();
+// Callbacks waiting for a job to finish, by job ID
+const waiters = new Map();
+// Tail of the chain of writes to jobs.json
+let pendingWrite = Promise.resolve();
+
+/**
+ * Builds the key jobs of one seller or search share
+ * @param {string} type - Seller type: 'listings', 'sold' or 'search'
+ * @param {string} target - Seller SSN/username, or search monitor ID
+ * @returns {string} Key, e.g. "listings:myseller"
+ */
+function getJobKey(type, target) {
+  return `${type}:${target}`;
+}
+
+/**
+ * Checks whether a job is waiting or running
+ * @param {Object} job - Job record
+ * @returns {boolean} True if the job has not finished
+ */
+function isActive(job) {
+  return job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING;
+}
+
+/**
+ * Saves the jobs to JSON file, one write at a time
+ * @returns {Promise<void>}
+ */
+function saveJobs() {
+  const snapshot = JSON.stringify({ jobs }, null, 2);
+  pendingWrite = pendingWrite
+    .then(async () => {
+      const tempFile = `${JOBS_FILE}.tmp`;
+      await fs.writeFile(tempFile, snapshot, "utf8");
+      await fs.rename(tempFile, JOBS_FILE);
+    })
+    .catch((error) => {
+      console.error("Error saving jobs:", error.message);
+    });
+  return pendingWrite;
+}
+
+/**
+ * Loads the jobs saved by the last run. Jobs that were running when the
+ * process stopped are queued again.
+ * @returns {Promise<number>} Number of jobs queued again
+ */
+async function restoreJobs() {
+  let saved = [];
+  try {
+    const json = JSON.parse(await fs.readFile(JOBS_FILE, "utf8"));
+    saved = Array.isArray(json && json.jobs) ? json.jobs : [];
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("Error loading jobs.json, starting empty:", error.message);
+    }
+  }
+
+  const restoredIds = new Set(saved.map((job) => job.id));
+  jobs = [...saved, ...jobs.filter((job) => !restoredIds.has(job.id))];
+  let requeued = 0;
+  for (const job of jobs) {
+    if (job.status === JOB_STATUS.RUNNING && !runningKeys.has(job.key)) {
+      job.status = JOB_STATUS.QUEUED;
+      job.startedAt = null;
+    }
+    if (job.status === JOB_STATUS.QUEUED) requeued++;
+  }
+  return requeued;
+}
+
+/**
+ * Drops the oldest finished jobs beyond MAX_FINISHED_JOBS
+ */
+function pruneFinishedJobs() {
+  let excess = jobs.filter((job) => !isActive(job)).length - MAX_FINISHED_JOBS;
+  if (excess <= 0) return;
+  jobs = jobs.filter((job) => isActive(job) || excess-- <= 0);
+}
+
+/**
+ * Starts queued jobs while below the concurrency, skipping jobs whose seller
+ * already has one running
+ */
+function startNext() {
+  if (!jobHandler) return;
+  while (runningKeys.size < concurrency) {
+    const job = jobs.find(
+      (j) => j.status === JOB_STATUS.QUEUED && !runningKeys.has(j.key)
+    );
+    if (!job) return;
+    runJob(job);
+  }
+}
+
+/**
+ * Runs one job with the handler and records how it ended
+ * @param {Object} job - Queued job (modified in place)
+ */
+async function runJob(job) {
+  runningKeys.add(job.key);
+  job.status = JOB_STATUS.RUNNING;
+  job.startedAt = new Date().toISOString();
+  saveJobs();
+
+  try {
+    job.result = (await jobHandler(job)) || null;
+    job.status = JOB_STATUS.DONE;
+  } catch (error) {
+    job.status = JOB_STATUS.FAILED;
+    job.error = error.message;
+  } finally {
+    job.finishedAt = new Date().toISOString();
+    runningKeys.delete(job.key);
+    pruneFinishedJobs();
+    saveJobs();
+
+    const callbacks = waiters.get(job.id) || [];
+    waiters.delete(job.id);
+    callbacks.forEach((resolve) => resolve({ ...job }));
+    startNext();
+  }
+}
+
+/**
+ * Queues a job for a seller or search. A seller has at most one job queued or
+ * running; queuing another returns that job instead.
+ * @param {Object} options - Job details
+ * @param {string} options.type - Seller type: 'listings', 'sold' or 'search'
+ * @param {string} options.target - Seller SSN/username, or search monitor ID
+ * @param {string} options.reason - Why the job was queued (e.g. 'scheduled', 'added')
+ * @returns {Object} { job, created } - created is false if the seller already had a job
+ */
+function enqueueJob({ type, target, reason }) {
+  const key = getJobKey(type, target);
+  const existing = jobs.find((job) => job.key === key && isActive(job));
+  if (existing) {
+    return { job: { ...existing }, created: false };
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    key,
+    type,
+    target,
+    reason: reason || null,
+    status: JOB_STATUS.QUEUED,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null,
+  };
+  jobs.push(job);
+  saveJobs();
+  startNext();
+  return { job: { ...job }, created: true };
+}
+
+/**
+ * Sets the handler jobs run with and starts the queued jobs, including the
+ * ones restored from jobs.json
+ * @param {Function} handler - Async (job) => result; a thrown error fails the job
+ * @param {Object} options - Runner options
+ * @param {number} options.concurrency - Jobs running at once (default: 1)
+ */
+function startJobs(handler, options = {}) {
+  jobHandler = handler;
+  concurrency = Math.max(1, options.concurrency || 1);
+  startNext();
+}
+
+/**
+ * Waits for a job to finish
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>} Finished job, or null if the job is unknown
+ */
+function waitForJob(id) {
+  const job = jobs.find((j) => j.id === id);
+  if (!job) return Promise.resolve(null);
+  if (!isActive(job)) return Promise.resolve({ ...job });
+  return new Promise((resolve) => {
+    waiters.set(id, [...(waiters.get(id) || []), resolve]);
+  });
+}
+
+/**
+ * Gets a job by ID
+ * @param {string} id - Job ID
+ * @returns {Object|null} Job, or null if unknown
+ */
+function getJob(id) {
+  const job = jobs.find((j) => j.id === id);
+  return job ? { ...job } : null;
+}
+
+/**
+ * Gets jobs, newest first
+ * @param {Object} filter - Optional filters
+ * @param {string} filter.status - Only jobs with this status
+ * @param {string} filter.key - Only jobs of this seller (see getJobKey)
+ * @returns {Array} Jobs
+ */
+function getJobs(filter = {}) {
+  return jobs
+    .filter(
+      (job) =>
+        (!filter.status || job.status === filter.status) &&
+        (!filter.key || job.key === filter.key)
+    )
+    .map((job) => ({ ...job }))
+    .reverse();
+}
+
+/**
+ * Counts jobs by status
+ * @returns {Object} { queued, running, done, failed, concurrency }
+ */
+function getJobStats() {
+  const stats = { queued: 0, running: 0, done: 0, failed: 0, concurrency };
+  jobs.forEach((job) => stats[job.status]++);
+  return stats;
+}
+
+module.exports = {
+  JOB_STATUS,
+  getJobKey,
+  enqueueJob,
+  restoreJobs,
+  startJobs,
+  waitForJob,
+  getJob,
+  getJobs,
+  getJobStats,
+};
@@ -0,0 +1,189 @@
+// eBay item condition IDs accepted by the LH_ItemCondition search filter
+const CONDITION_IDS = {
+  new: ["1000"],
+  open_box: ["1500"],
+  refurbished: ["2000", "2500"],
+  used: ["3000"],
+  for_parts: ["7000"],
+};
+
+// Listing formats and the search parameter that selects each one
+const LISTING_FORMATS = {
+  auction: "LH_Auction",
+  buy_it_now: "LH_BIN",
+};
+
+// Each store category is scraped with its own request
+const MAX_STORE_CATEGORIES = 5;
+
+/**
+ * Parses an optional non-negative price bound
+ * @param {*} value - Raw value (number or numeric string)
+ * @returns {number|null|undefined} Price, null when empty, undefined when invalid
+ */
+function parsePriceBound(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const amount = typeof value === "number" ? value : Number(value);
+  return Number.isFinite(amount) && amount >= 0 ? amount : undefined;
+}
+
+/**
+ * Validates an optional price range
+ * @param {*} minPrice - Raw minimum price
+ * @param {*} maxPrice - Raw maximum price
+ * @returns {Object} { value: { minPrice, maxPrice }|null, error: string|null }
+ */
+function normalizePriceRange(minPrice, maxPrice) {
+  const min = parsePriceBound(minPrice);
+  const max = parsePriceBound(maxPrice);
+  if (min === undefined || max === undefined) {
+    return {
+      value: null,
+      error: "Invalid minPrice/maxPrice (must be a number of 0 or more)",
+    };
+  }
+  if (min !== null && max !== null && min > max) {
+    return { value: null, error: "minPrice cannot be above maxPrice" };
+  }
+  return { value: { minPrice: min, maxPrice: max }, error: null };
+}
+
+/**
+ * Splits a list given as an array or a comma-separated string
+ * @param {*} raw - Raw list
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+function splitList(raw) {
+  const entries = Array.isArray(raw) ? raw : raw ? String(raw).split(",") : [];
+  return entries.map((entry) => String(entry).trim()).filter(Boolean);
+}
+
+/**
+ * Validates an optional list of conditions
+ * @param {string|Array<string>} raw - Condition(s), see CONDITION_IDS
+ * @returns {Object} { value: Array<string>|null, error: string|null }
+ */
+function normalizeConditions(raw) {
+  const conditions = splitList(raw).map((condition) => condition.toLowerCase());
+  const unknown = conditions.filter((condition) => !CONDITION_IDS[condition]);
+  if (unknown.length > 0) {
+    return {
+      value: null,
+      error: `Invalid condition "${unknown[0]}" (must be one of: ${Object.keys(
+        CONDITION_IDS
+      ).join(", ")})`,
+    };
+  }
+  return { value: [...new Set(conditions)], error: null };
+}
+
+/**
+ * Validates and normalizes the scrape filters of a seller
+ * @param {Object} raw - Filters from the request body (null or {} for none)
+ * @param {string|Array<string>} raw.storeCategories - Store category IDs (optional)
+ * @param {string} raw.format - 'auction', 'buy_it_now' or 'all' (optional)
+ * @param {string|Array<string>} raw.condition - Condition(s), see CONDITION_IDS (optional)
+ * @param {number} raw.minPrice - Minimum price (optional)
+ * @param {number} raw.maxPrice - Maximum price (optional)
+ * @returns {Object} { value: Object|null, error: string|null } (value null when no filter is set)
+ */
+function normalizeSellerFilters(raw) {
+  if (raw === undefined || raw === null) {
+    return { value: null, error: null };
+  }
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    return { value: null, error: "Invalid filters (must be an object)" };
+  }
+
+  const storeCategories = [...new Set(splitList(raw.storeCategories))];
+  if (storeCategories.some((id) => !/^\d+$/.test(id))) {
+    return {
+      value: null,
+      error: "Invalid storeCategories (must be numeric store category IDs)",
+    };
+  }
+  if (storeCategories.length > MAX_STORE_CATEGORIES) {
+    return {
+      value: null,
+      error: `Too many storeCategories (at most ${MAX_STORE_CATEGORIES})`,
+    };
+  }
+
+  const format = raw.format ? String(raw.format).trim().toLowerCase() : "all";
+  if (format !== "all" && !LISTING_FORMATS[format]) {
+    return {
+      value: null,
+      error: `Invalid format (must be one of: all, ${Object.keys(
+        LISTING_FORMATS
+      ).join(", ")})`,
+    };
+  }
+
+  const conditions = normalizeConditions(raw.condition);
+  if (conditions.error) return conditions;
+
+  const prices = normalizePriceRange(raw.minPrice, raw.maxPrice);
+  if (prices.error) return prices;
+
+  const filters = {
+    storeCategories,
+    format: format === "all" ? null : format,
+    condition: conditions.value,
+    ...prices.value,
+  };
+  return { value: hasFilters(filters) ? filters : null, error: null };
+}
+
+/**
+ * Checks whether any filter is set
+ * @param {Object|null} filters - Normalized filters
+ * @returns {boolean} True if at least one filter narrows the results
+ */
+function hasFilters(filters) {
+  return (
+    !!filters &&
+    ((filters.storeCategories || []).length > 0 ||
+      !!filters.format ||
+      (filters.condition || []).length > 0 ||
+      (filters.minPrice !== null && filters.minPrice !== undefined) ||
+      (filters.maxPrice !== null && filters.maxPrice !== undefined))
+  );
+}
+
+/**
+ * Adds the price, condition and format filters to eBay search parameters.
+ * Store categories are not added here: each one needs its own request.
+ * @param {URLSearchParams} params - Search parameters to extend
+ * @param {Object|null} filters - Normalized filters ({ format, condition, minPrice, maxPrice })
+ * @returns {URLSearchParams} The same parameters
+ */
+function applyFilterParams(params, filters) {
+  if (!filters) return params;
+
+  if (filters.minPrice !== null && filters.minPrice !== undefined) {
+    params.set("_udlo", String(filters.minPrice));
+  }
+  if (filters.maxPrice !== null && filters.maxPrice !== undefined) {
+    params.set("_udhi", String(filters.maxPrice));
+  }
+  const conditionIds = (filters.condition || []).flatMap(
+    (condition) => CONDITION_IDS[condition] || []
+  );
+  if (conditionIds.length > 0) {
+    params.set("LH_ItemCondition", conditionIds.join("|"));
+  }
+  if (filters.format && LISTING_FORMATS[filters.format]) {
+    params.set(LISTING_FORMATS[filters.format], "1");
+  }
+  return params;
+}
+
+module.exports = {
+  CONDITION_IDS,
+  LISTING_FORMATS,
+  normalizePriceRange,
+  normalizeConditions,
+  normalizeSellerFilters,
+  hasFilters,
+  applyFilterParams,
+};
@@ -0,0 +1,120 @@
+const { DEFAULT_TIMEZONE } = require("./dates");
+
+// Supported eBay sites. ebay.com dates use MARKETPLACE_TIMEZONE (default New York).
+const MARKETPLACES = {
+  us: {
+    id: "us",
+    name: "eBay US",
+    domain: "www.ebay.com",
+    locale: "en-US",
+    acceptLanguage: "en-US,en;q=0.9",
+    language: "en",
+    timeZone: DEFAULT_TIMEZONE,
+    currency: "USD",
+    decimalSeparator: ".",
+    geolocation: { longitude: -74.006, latitude: 40.7128 },
+  },
+  uk: {
+    id: "uk",
+    name: "eBay UK",
+    domain: "www.ebay.co.uk",
+    locale: "en-GB",
+    acceptLanguage: "en-GB,en;q=0.9",
+    language: "en",
+    timeZone: "Europe/London",
+    currency: "GBP",
+    decimalSeparator: ".",
+    geolocation: { longitude: -0.1276, latitude: 51.5072 },
+  },
+  de: {
+    id: "de",
+    name: "eBay Germany",
+    domain: "www.ebay.de",
+    locale: "de-DE",
+    acceptLanguage: "de-DE,de;q=0.9,en;q=0.5",
+    language: "de",
+    timeZone: "Europe/Berlin",
+    currency: "EUR",
+    decimalSeparator: ",",
+    geolocation: { longitude: 13.405, latitude: 52.52 },
+  },
+  au: {
+    id: "au",
+    name: "eBay Australia",
+    domain: "www.ebay.com.au",
+    locale: "en-AU",
+    acceptLanguage: "en-AU,en;q=0.9",
+    language: "en",
+    timeZone: "Australia/Sydney",
+    currency: "AUD",
+    decimalSeparator: ".",
+    geolocation: { longitude: 151.2093, latitude: -33.8688 },
+  },
+  ca: {
+    id: "ca",
+    name: "eBay Canada",
+    domain: "www.ebay.ca",
+    locale: "en-CA",
+    acceptLanguage: "en-CA,en;q=0.9",
+    language: "en",
+    timeZone: "America/Toronto",
+    currency: "CAD",
+    decimalSeparator: ".",
+    geolocation: { longitude: -79.3832, latitude: 43.6532 },
+  },
+};
+
+const DEFAULT_MARKETPLACE = (
+  process.env.DEFAULT_MARKETPLACE || "us"
+).toLowerCase();
+
+/**
+ * Checks whether a marketplace ID is supported
+ * @param {string} id - Marketplace ID (e.g. 'us', 'uk', 'de')
+ * @returns {boolean} True if supported
+ */
+function isValidMarketplace(id) {
+  return typeof id === "string" && !!MARKETPLACES[id.toLowerCase()];
+}
+
+/**
+ * Gets a marketplace definition, falling back to the default marketplace
+ * @param {string} id - Marketplace ID (optional)
+ * @returns {Object} Marketplace definition
+ */
+function getMarketplace(id) {
+  if (isValidMarketplace(id)) {
+    return MARKETPLACES[id.toLowerCase()];
+  }
+  return MARKETPLACES[DEFAULT_MARKETPLACE] || MARKETPLACES.us;
+}
+
+/**
+ * Gets the site origin of a marketplace
+ * @param {string} id - Marketplace ID (optional)
+ * @returns {string} Origin, e.g. https://www.ebay.co.uk
+ */
+function getOrigin(id) {
+  return `https://${getMarketplace(id).domain}`;
+}
+
+/**
+ * Lists supported marketplaces
+ * @returns {Array} Marketplace summaries
+ */
+function listMarketplaces() {
+  return Object.values(MARKETPLACES).map((m) => ({
+    id: m.id,
+    name: m.name,
+    domain: m.domain,
+    currency: m.currency,
+  }));
+}
+
+module.exports = {
+  DEFAULT_MARKETPLACE,
+  isValidMarketplace,
+  getMarketplace,
+  getOrigin,
+  listMarketplaces,
+};
@@ -0,0 +1,360 @@
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+
+const OUTBOX_FILE =
+  process.env.OUTBOX_FILE || path.join(__dirname, "..", "outbox.json");
+
+// Delivery attempts before a notification is moved to the dead letters
+const MAX_ATTEMPTS = Math.max(
+  1,
+  parseInt(process.env.OUTBOX_MAX_ATTEMPTS || "8", 10)
+);
+// Wait before the first retry; doubled after each failed attempt
+const RETRY_DELAY_MS = Math.max(
+  0,
+  parseInt(process.env.OUTBOX_RETRY_DELAY_MS || "60000", 10)
+);
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+// Delivered notifications kept for the API; older ones are dropped. Dead
+// letters are kept until they are retried or discarded.
+const MAX_DELIVERED = Math.max(
+  0,
+  parseInt(process.env.OUTBOX_HISTORY_SIZE || "200", 10)
+);
+
+const NOTIFICATION_STATUS = {
+  PENDING: "pending",
+  DELIVERED: "delivered",
+  DEAD: "dead",
+};
+
+// Notifications in the order they were queued
+let notifications = [];
+// Delivers a notification: async (notification) => boolean
+let deliverHandler = null;
+// Called once a notification is delivered or dead: (notification) => void
+let settledHandler = null;
+let concurrency = 1;
+// IDs of the notifications being delivered
+const delivering = new Set();
+// IDs of queued notifications whose first save has not finished; they are
+// not delivered before they are on disk
+const saving = new Set();
+// Timer waking the worker for the next retry
+let retryTimer = null;
+// Tail of the chain of writes to outbox.json
+let pendingWrite = Promise.resolve();
+
+/**
+ * Saves the outbox to JSON file, one write at a time
+ * @returns {Promise<void>} Rejects if the write failed (already logged)
+ */
+function saveOutbox() {
+  const snapshot = JSON.stringify({ notifications }, null, 2);
+  const write = pendingWrite
+    .then(async () => {
+      const tempFile = `${OUTBOX_FILE}.tmp`;
+      await fs.writeFile(tempFile, snapshot, "utf8");
+      await fs.rename(tempFile, OUTBOX_FILE);
+    })
+    .catch((error) => {
+      console.error("Error saving outbox:", error.message);
+      throw error;
+    });
+  // The next write waits for this one, whether it failed or not
+  pendingWrite = write.catch(() => {});
+  return write;
+}
+
+/**
+ * Saves the outbox after a delivery or an admin change. A failed write is
+ * only logged: the change is saved again with the next write.
+ */
+function saveInBackground() {
+  saveOutbox().catch(() => {});
+}
+
+/**
+ * Loads the notifications saved by the last run, so undelivered ones are sent
+ * after a restart
+ * @returns {Promise<number>} Number of notifications waiting for delivery
+ */
+async function restoreOutbox() {
+  let saved = [];
+  try {
+    const json = JSON.parse(await fs.readFile(OUTBOX_FILE, "utf8"));
+    saved = Array.isArray(json && json.notifications) ? json.notifications : [];
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(
+        "Error loading outbox.json, starting empty:",
+        error.message
+      );
+    }
+  }
+
+  const restoredIds = new Set(saved.map((n) => n.id));
+  notifications = [
+    ...saved,
+    ...notifications.filter((n) => !restoredIds.has(n.id)),
+  ];
+  return notifications.filter((n) => n.status === NOTIFICATION_STATUS.PENDING)
+    .length;
+}
+
+/**
+ * Drops the oldest delivered notifications beyond OUTBOX_HISTORY_SIZE
+ */
+function pruneDelivered() {
+  let excess =
+    notifications.filter((n) => n.status === NOTIFICATION_STATUS.DELIVERED)
+      .length - MAX_DELIVERED;
+  if (excess <= 0) return;
+  notifications = notifications.filter(
+    (n) => n.status !== NOTIFICATION_STATUS.DELIVERED || excess-- <= 0
+  );
+}
+
+/**
+ * Gets the wait before the next attempt of a notification
+ * @param {number} attempts - Failed attempts so far
+ * @returns {number} Milliseconds
+ */
+function getRetryDelay(attempts) {
+  return Math.min(
+    MAX_RETRY_DELAY_MS,
+    RETRY_DELAY_MS * Math.pow(2, Math.max(0, attempts - 1))
+  );
+}
+
+/**
+ * Starts pending notifications that are due while below the concurrency, and
+ * sets a timer for the next retry
+ */
+function deliverNext() {
+  if (!deliverHandler) return;
+  const now = Date.now();
+  while (delivering.size < concurrency) {
+    const notification = notifications.find(
+      (n) =>
+        n.status === NOTIFICATION_STATUS.PENDING &&
+        !delivering.has(n.id) &&
+        !saving.has(n.id) &&
+        new Date(n.nextAttemptAt).getTime() <= now
+    );
+    if (!notification) break;
+    deliver(notification);
+  }
+
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  const waiting = notifications
+    .filter(
+      (n) =>
+        n.status === NOTIFICATION_STATUS.PENDING &&
+        !delivering.has(n.id) &&
+        !saving.has(n.id)
+    )
+    .map((n) => new Date(n.nextAttemptAt).getTime());
+  if (waiting.length > 0 && delivering.size < concurrency) {
+    retryTimer = setTimeout(
+      deliverNext,
+      Math.max(0, Math.min(...waiting) - now)
+    );
+    // Pending retries alone do not keep the process running
+    retryTimer.unref();
+  }
+}
+
+/**
+ * Attempts one delivery and records how it went
+ * @param {Object} notification - Pending notification (modified in place)
+ */
+async function deliver(notification) {
+  delivering.add(notification.id);
+  let delivered = false;
+  try {
+    delivered = (await deliverHandler(notification)) === true;
+    if (!delivered) notification.error = "Webhook was not accepted";
+  } catch (error) {
+    notification.error = error.message;
+  }
+
+  notification.attempts++;
+  notification.lastAttemptAt = new Date().toISOString();
+  if (delivered) {
+    notification.status = NOTIFICATION_STATUS.DELIVERED;
+    notification.deliveredAt = notification.lastAttemptAt;
+    notification.error = null;
+  } else if (notification.attempts >= MAX_ATTEMPTS) {
+    notification.status = NOTIFICATION_STATUS.DEAD;
+    console.error(
+      `Notification ${notification.id} (${notification.kind}) failed ${notification.attempts} time(s), moved to dead letters: ${notification.error}`
+    );
+  } else {
+    notification.nextAttemptAt = new Date(
+      Date.now() + getRetryDelay(notification.attempts)
+    ).toISOString();
+  }
+
+  delivering.delete(notification.id);
+  if (notification.status !== NOTIFICATION_STATUS.PENDING && settledHandler) {
+    settledHandler({ ...notification });
+  }
+  pruneDelivered();
+  saveInBackground();
+  deliverNext();
+}
+
+/**
+ * Queues a webhook notification. It is saved before this resolves, so it is
+ * delivered even if the process stops right after. If it cannot be saved it
+ * is dropped and this rejects, so the caller does not treat the item as
+ * notified.
+ * @param {Object} options - Notification details
+ * @param {string} options.kind - Webhook kind (see webhooks.sendNotification)
+ * @param {string} options.webhookUrl - Webhook URL to post to
+ * @param {Array} options.args - Arguments of the webhook sender after the URL
+ * @param {string} options.type - Seller type of the check that found it (optional)
+ * @param {string} options.target - Seller SSN/username or search ID (optional)
+ * @param {string} options.runId - Run of the check that found it (optional)
+ * @returns {Promise<Object>} Queued notification
+ */
+async function enqueueNotification({
+  kind,
+  webhookUrl,
+  args,
+  type,
+  target,
+  runId,
+}) {
+  const now = new Date().toISOString();
+  const notification = {
+    id: crypto.randomUUID(),
+    kind,
+    webhookUrl,
+    args: args || [],
+    type: type || null,
+    target: target || null,
+    runId: runId || null,
+    status: NOTIFICATION_STATUS.PENDING,
+    attempts: 0,
+    createdAt: now,
+    nextAttemptAt: now,
+    lastAttemptAt: null,
+    deliveredAt: null,
+    redeliveredAt: null,
+    error: null,
+  };
+  notifications.push(notification);
+  saving.add(notification.id);
+  try {
+    await saveOutbox();
+  } catch (error) {
+    notifications = notifications.filter((n) => n !== notification);
+    throw new Error(`Could not save notification: ${error.message}`);
+  } finally {
+    saving.delete(notification.id);
+  }
+  deliverNext();
+  return { ...notification };
+}
+
+/**
+ * Sets the handler notifications are delivered with and starts delivering,
+ * including the notifications restored from outbox.json
+ * @param {Function} handler - Async (notification) => boolean; false or a thrown error is a failed attempt
+ * @param {Object} options - Delivery options
+ * @param {number} options.concurrency - Deliveries at once (default: 1)
+ * @param {Function} options.onSettled - Called with each notification once delivered or dead (optional)
+ */
+function startDelivery(handler, options = {}) {
+  deliverHandler = handler;
+  settledHandler = options.onSettled || null;
+  concurrency = Math.max(1, options.concurrency || 1);
+  deliverNext();
+}
+
+/**
+ * Gets notifications, newest first
+ * @param {Object} filter - Optional filters
+ * @param {string} filter.status - 'pending', 'delivered' or 'dead'
+ * @param {string} filter.runId - Only notifications of this check run
+ * @returns {Array} Notifications
+ */
+function getNotifications(filter = {}) {
+  return notifications
+    .filter(
+      (n) =>
+        (!filter.status || n.status === filter.status) &&
+        (!filter.runId || n.runId === filter.runId)
+    )
+    .map((n) => ({ ...n }))
+    .reverse();
+}
+
+/**
+ * Queues dead notifications for delivery again, with a fresh set of attempts
+ * @param {string|null} id - Dead notification to retry, or null for all of them
+ * @returns {Array} Notifications queued again (empty if the ID is not a dead notification)
+ */
+function retryDeadLetters(id = null) {
+  const now = new Date().toISOString();
+  const retried = notifications.filter(
+    (n) => n.status === NOTIFICATION_STATUS.DEAD && (!id || n.id === id)
+  );
+  for (const notification of retried) {
+    notification.status = NOTIFICATION_STATUS.PENDING;
+    notification.attempts = 0;
+    notification.nextAttemptAt = now;
+    notification.redeliveredAt = now;
+  }
+  if (retried.length > 0) {
+    saveInBackground();
+    deliverNext();
+  }
+  return retried.map((n) => ({ ...n }));
+}
+
+/**
+ * Drops a dead notification without delivering it
+ * @param {string} id - Notification ID
+ * @returns {boolean} True if a dead notification was dropped
+ */
+function discardDeadLetter(id) {
+  const index = notifications.findIndex(
+    (n) => n.id === id && n.status === NOTIFICATION_STATUS.DEAD
+  );
+  if (index === -1) return false;
+  notifications.splice(index, 1);
+  saveInBackground();
+  return true;
+}
+
+/**
+ * Counts notifications by status
+ * @returns {Object} { pending, delivered, dead, delivering, maxAttempts }
+ */
+function getOutboxStats() {
+  const stats = {
+    pending: 0,
+    delivered: 0,
+    dead: 0,
+    delivering: delivering.size,
+    maxAttempts: MAX_ATTEMPTS,
+  };
+  notifications.forEach((n) => stats[n.status]++);
+  return stats;
+}
+
+module.exports = {
+  NOTIFICATION_STATUS,
+  restoreOutbox,
+  enqueueNotification,
+  startDelivery,
+  getNotifications,
+  retryDeadLetters,
+  discardDeadLetter,
+  getOutboxStats,
+};
@@ -0,0 +1,591 @@
+const cheerio = require("cheerio");
+const { parseListedDate, parseSoldDate, getDateLanguage } = require("./dates");
+const { getMarketplace } = require("./marketplaces");
+const { parsePrice, parseShipping, isBestOfferAccepted } = require("./price");
+const {
+  getSelectorProfile,
+  createParseStats,
+  recordMatch,
+  matchFirst,
+} = require("./selectors");
+
+// Reads the text of the first match / of all matches / the src of the first match
+const firstText = ($matches) => $matches.first().text().trim();
+const allText = ($matches) => $matches.text().trim();
+const firstAttr = (name) => ($matches) => $matches.first().attr(name);
+
+/**
+ * Extracts item ID from eBay URL
+ * @param {string} url - eBay item URL
+ * @param {string} origin - Site origin used to resolve relative URLs
+ * @returns {string|null} Item ID
+ */
+function extractItemId(url, origin = "https://www.ebay.com") {
+  if (!url) return null;
+
+  // Try to extract from URL patterns like /itm/123456789
+  const match = url.match(/\/itm\/(\d+)/);
+  if (match) {
+    return match[1];
+  }
+
+  // Try to extract from query parameters
+  try {
+    // Handle relative URLs
+    const fullUrl = url.startsWith("http") ? url : `${origin}${url}`;
+    const urlObj = new URL(fullUrl);
+    const itemId =
+      urlObj.searchParams.get("_id") ||
+      urlObj.searchParams.get("item") ||
+      urlObj.searchParams.get("itm");
+    return itemId || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Builds the structured price of a card
+ * @param {CheerioAPI} $ - Loaded document
+ * @param {Cheerio} $item - Card element
+ * @param {string} price - Raw price text
+ * @param {Object} marketplace - Marketplace definition
+ * @param {Object} selectors - Search selectors of the selector profile
+ * @returns {Object} Structured price (see README "Prices")
+ */
+function parseCardPrice($, $item, price, marketplace, selectors) {
+  const $price = $item.find(selectors.price.join(", ")).first();
+  // Sold cards strike through the listing price when a Best Offer was accepted
+  const strikethrough = selectors.priceStrikethrough.join(", ");
+  const struckThrough =
+    $price.is(strikethrough) || $price.find(strikethrough).length > 0;
+
+  let shipping = null;
+  $item.find(selectors.shipping.join(", ")).each((_, row) => {
+    shipping = parseShipping($(row).text(), marketplace);
+    if (shipping) {
+      return false; // break
+    }
+  });
+
+  const parsed = parsePrice(price, marketplace) || {
+    raw: price || null,
+    amount: null,
+    currency: marketplace.currency,
+    min: null,
+    max: null,
+    isRange: false,
+  };
+
+  return {
+    ...parsed,
+    shipping,
+    bestOfferAccepted: struckThrough || isBestOfferAccepted($item.text()),
+  };
+}
+
+/**
+ * Extracts the fields shared by listing and sold cards
+ * @param {CheerioAPI} $ - Loaded document
+ * @param {Cheerio} $item - Card element
+ * @param {Object} marketplace - Marketplace definition
+ * @param {Object} selectors - Search selectors of the selector profile
+ * @param {Object|null} stats - Parse statistics to record matched fallbacks in (optional)
+ * @returns {Object} Title, link (absolute, with query string), price, structured price and image
+ */
+function parseCardBase($, $item, marketplace, selectors, stats = null) {
+  const origin = `https://${marketplace.domain}`;
+
+  const title = matchFirst($item, selectors.title, firstText);
+  recordMatch(stats, "title", title.index);
+
+  const href = matchFirst($item, selectors.link, firstAttr("href"));
+  recordMatch(stats, "link", href.index);
+
+  const priceMatch = matchFirst($item, selectors.price, allText);
+  recordMatch(stats, "price", priceMatch.index);
+  const price = priceMatch.value || "";
+
+  const image = matchFirst($item, selectors.image, firstAttr("src"));
+  recordMatch(stats, "image", image.index);
+
+  // Handle relative URLs
+  let link = href.value;
+  if (link && !link.startsWith("http")) {
+    link = `${origin}${link}`;
+  }
+
+  const itemId = link ? extractItemId(link, origin) : null;
+  const priceDetails = parseCardPrice($, $item, price, marketplace, selectors);
+
+  return {
+    itemId,
+    title: title.value || "",
+    link,
+    price,
+    priceDetails,
+    imageUrl: image.value || null,
+  };
+}
+
+// Seller line of a search card: "username 99.8% positive (12K)" or "username (12,345) 99.8%"
+const CARD_SELLER_PATTERN =
+  /^([^\s()]+)\s+(?:\([\d.,]+[KkMm]?\)\s+)?\d{1,3}(?:[.,]\d+)?\s?%/;
+
+/**
+ * Extracts the seller shown on a search card (keyword searches span sellers)
+ * @param {CheerioAPI} $ - Loaded document
+ * @param {Cheerio} $item - Card element
+ * @param {Object} selectors - Search selectors of the selector profile
+ * @returns {string|null} Seller username, or null if the card does not show it
+ */
+function parseCardSeller($, $item, selectors) {
+  let seller = null;
+  $item.find(selectors.seller.join(", ")).each((_, row) => {
+    const match = $(row)
+      .text()
+      .replace(/\s+/g, " ")
+      .trim()
+      .match(CARD_SELLER_PATTERN);
+    if (match) {
+      seller = match[1];
+      return false; // break
+    }
+  });
+  return seller;
+}
+
+/**
+ * Parses a seller's listings search page into listing objects.
+ * By default only cards carrying the "New Listing" badge are returned.
+ * @param {string} html - Search results page HTML
+ * @param {Object} seller - Seller the page belongs to
+ * @param {string} seller.storeName - eBay store name
+ * @param {string} seller.ssn - Seller SSN/username (null for keyword searches: read from each card)
+ * @param {Object} seller.marketplace - Marketplace definition (default: DEFAULT_MARKETPLACE)
+ * @param {string} seller.timeZone - Timezone override for listed dates
+ * @param {Date} seller.now - Reference time for relative dates (default: now)
+ * @param {boolean} seller.newOnly - Only keep "New Listing" cards (default: true)
+ * @param {Object} seller.stats - Parse statistics from createParseStats, filled with the fallback matched per field (optional)
+ * @returns {Array} Array of listing objects (`newListing` tells whether the card has the badge)
+ */
+function parseListingsHtml(
+  html,
+  {
+    storeName,
+    ssn,
+    marketplace = getMarketplace(),
+    timeZone = marketplace.timeZone,
+    now = new Date(),
+    newOnly = true,
+    stats = null,
+  }
+) {
+  const $ = cheerio.load(html);
+  const { search: selectors } = getSelectorProfile();
+  const dateOptions = { timeZone, language: marketplace.language, now };
+  const listings = [];
+
+  // Extract listings from the page - try both old and new HTML structures
+  $(selectors.card.join(", ")).each((index, element) => {
+    const $item = $(element);
+
+    // Only process items that have the "New Listing" badge
+    const hasNewListingBadge =
+      $item.find(selectors.newListingBadge.join(", ")).length > 0;
+    if (newOnly && !hasNewListingBadge) {
+      return; // Skip items without "New Listing" badge
+    }
+
+    if (stats) stats.cards++;
+    const { itemId, title, link, price, priceDetails, imageUrl } =
+      parseCardBase($, $item, marketplace, selectors, stats);
+
+    // Extract listed date (e.g., "Nov-1 23:24" or "Today 12:34")
+    let listedAt = null;
+    const listed = matchFirst($item, selectors.listedDate, ($matches) => {
+      let text = null;
+      $matches.each((_, element) => {
+        const candidate = $(element).text().trim();
+        listedAt = parseListedDate(candidate, dateOptions);
+        if (listedAt) {
+          text = candidate;
+          return false; // break
+        }
+      });
+      return text;
+    });
+    recordMatch(stats, "listedDate", listed.index);
+    const listedDate = listed.value;
+
+    if (title && link && itemId) {
+      // Clean URL - remove query params but keep base URL
+      const cleanLink = link.split("?")[0];
+      listings.push({
+        itemId,
+        title,
+        link: cleanLink,
+        price,
+        priceDetails,
+        sellerUsername: ssn || parseCardSeller($, $item, selectors),
+        storeName: storeName,
+        listedDate,
+        listedAt: listedAt ? listedAt.toISOString() : null,
+        imageUrl,
+        marketplace: marketplace.id,
+        newListing: hasNewListingBadge,
+      });
+    }
+  });
+
+  return listings;
+}
+
+/**
+ * Parses a seller's sold items search page into sold item objects.
+ * Every sold card on the page is returned; date filtering is up to the caller.
+ * Cards whose sold date cannot be parsed get `soldAt: null` and `soldDateUnparsed: true`.
+ * @param {string} html - Sold search results page HTML
+ * @param {Object} seller - Seller the page belongs to
+ * @param {string} seller.storeName - eBay store name
+ * @param {string} seller.ssn - Seller SSN/username (null for keyword searches: read from each card)
+ * @param {Object} seller.marketplace - Marketplace definition (default: DEFAULT_MARKETPLACE)
+ * @param {string} seller.timeZone - Timezone override for sold dates
+ * @param {Object} seller.stats - Parse statistics from createParseStats, filled with the fallback matched per field (optional)
+ * @returns {Array} Array of sold item objects in page order
+ */
+function parseSoldHtml(
+  html,
+  {
+    storeName,
+    ssn,
+    marketplace = getMarketplace(),
+    timeZone = marketplace.timeZone,
+    stats = null,
+  }
+) {
+  const $ = cheerio.load(html);
+  const { search: selectors } = getSelectorProfile();
+  const { soldLabels } = getDateLanguage(marketplace.language);
+  const lowerSoldLabels = soldLabels.map((label) => label.toLowerCase());
+  const soldItems = [];
+
+  $(selectors.card.join(", ")).each((index, element) => {
+    const $item = $(element);
+
+    if (stats) stats.cards++;
+    const { itemId, title, link, price, priceDetails, imageUrl } =
+      parseCardBase($, $item, marketplace, selectors, stats);
+
+    // Extract sold date (e.g. "Sold  Nov 2, 2025")
+    const sold = matchFirst($item, selectors.soldDate, ($matches) => {
+      let text = null;
+      $matches.each((_, element) => {
+        const candidate = $(element).text().trim();
+        if (soldLabels.some((label) => candidate.includes(label))) {
+          text = candidate;
+          return false; // break
+        }
+      });
+      return text;
+    });
+    recordMatch(stats, "soldDate", sold.index);
+    const soldDateText = sold.value;
+
+    // Skip if no sold date found
+    if (!soldDateText) {
+      return; // Skip this item
+    }
+
+    // Check if item is marked as sold (for sold items page, all items should be sold)
+    const soldText = $item.text().toLowerCase();
+    if (
+      title &&
+      link &&
+      itemId &&
+      (lowerSoldLabels.some((label) => soldText.includes(label)) ||
+        soldText.includes("ended"))
+    ) {
+      const soldAt = parseSoldDate(soldDateText, {
+        timeZone,
+        language: marketplace.language,
+      });
+      soldItems.push({
+        itemId,
+        title,
+        // Clean URL - remove query params but keep base URL
+        link: link.split("?")[0],
+        price,
+        priceDetails,
+        sellerUsername: ssn || parseCardSeller($, $item, selectors),
+        storeName: storeName,
+        imageUrl,
+        soldDate: soldDateText,
+        soldAt: soldAt ? soldAt.toISOString() : null,
+        soldDateUnparsed: !soldAt,
+        marketplace: marketplace.id,
+      });
+    }
+  });
+
+  return soldItems;
+}
+
+/**
+ * Checks whether a search results page links to a further page
+ * @param {string} html - Search results page HTML
+ * @returns {boolean} True if a "next page" link is present and enabled
+ */
+function hasNextPage(html) {
+  const $ = cheerio.load(html);
+  const { search: selectors } = getSelectorProfile();
+  const $next = $(selectors.nextPage.join(", ")).first();
+  return (
+    $next.length > 0 &&
+    !!$next.attr("href") &&
+    $next.attr("aria-disabled") !== "true"
+  );
+}
+
+/**
+ * Reads the total result count of a search page ("1,234 results")
+ * @param {string} html - Search results page HTML
+ * @returns {number|null} Result count, or null if the page does not show one
+ */
+function parseResultCount(html) {
+  const $ = cheerio.load(html);
+  const { search: selectors } = getSelectorProfile();
+  const { value: text } = matchFirst(
+    $.root(),
+    selectors.resultCount,
+    firstText
+  );
+  const match = (text || "").match(/(\d[\d,.]*)\+?\s/);
+  return match ? parseInt(match[1].replace(/[,.]/g, ""), 10) : null;
+}
+
+/**
+ * Reads a path segment after a prefix ('/usr/', '/str/') from a URL
+ * @param {string} href - URL or path
+ * @param {string} prefix - Path prefix
+ * @returns {string|null} Decoded segment
+ */
+function pathSegmentAfter(href, prefix) {
+  const match = (href || "").match(new RegExp(`${prefix}([^/?#]+)`));
+  if (!match) return null;
+  try {
+    return decodeURIComponent(match[1]);
+  } catch (error) {
+    return match[1];
+  }
+}
+
+/**
+ * Parses a seller's profile (/usr/<username>) or store (/str/<store>) page
+ * into the username and store name it shows. The canonical URL names the
+ * page itself; links fill in the other half.
+ * @param {string} html - Profile or store page HTML
+ * @returns {Object} { username, storeName, canonicalUsername } (null when not shown; canonicalUsername only when the page itself is the user's profile)
+ */
+function parseSellerProfileHtml(html) {
+  const $ = cheerio.load(html);
+  const canonical = $("link[rel='canonical']").attr("href") || "";
+
+  const firstLink = (prefix) => {
+    let segment = null;
+    $(`a[href*='${prefix}']`).each((_, link) => {
+      segment = pathSegmentAfter($(link).attr("href"), prefix);
+      if (segment) return false; // break
+    });
+    return segment;
+  };
+
+  const canonicalUsername = pathSegmentAfter(canonical, "/usr/");
+  return {
+    username: canonicalUsername || firstLink("/usr/"),
+    storeName: pathSegmentAfter(canonical, "/str/") || firstLink("/str/"),
+    canonicalUsername,
+  };
+}
+
+// Item page wording, per page language
+const ITEM_PAGE_WORDS = {
+  en: {
+    sold: "sold",
+    available: "available",
+    lastOne: /last one|only one left/i,
+    watchers: /(\d[\d,.]*)\s+(?:watchers|watching|people are watching)/i,
+    locatedIn: /located in:?\s*(.+)/i,
+    brand: ["brand"],
+    mpn: ["mpn", "manufacturer part number"],
+    upc: ["upc", "ean", "gtin"],
+  },
+  de: {
+    sold: "verkauft",
+    available: "verfügbar",
+    lastOne: /letzter artikel|nur noch 1/i,
+    watchers: /(\d[\d,.]*)\s+(?:beobachter|beobachtet)/i,
+    locatedIn: /artikelstandort:?\s*(.+)/i,
+    brand: ["marke", "brand"],
+    mpn: ["herstellernummer", "mpn"],
+    upc: ["ean", "upc", "gtin"],
+  },
+};
+
+/**
+ * Reads a count such as "1,234" or "1.234" from a regex match
+ * @param {string} text - Number text
+ * @returns {number} Count
+ */
+function parseCount(text) {
+  return parseInt(text.replace(/[,.]/g, ""), 10);
+}
+
+/**
+ * Parses the quantity line of an item page ("3 available / 45 sold")
+ * @param {string} text - Quantity text
+ * @param {Object} words - Item page words of the page language
+ * @returns {Object} { quantitySold, quantityAvailable }
+ */
+function parseQuantities(text, words) {
+  const soldMatch = text.match(
+    new RegExp(`(\\d[\\d,.]*)\\s+${words.sold}`, "iu")
+  );
+  const availableMatch = text.match(
+    new RegExp(`(\\d[\\d,.]*)\\s+${words.available}`, "iu")
+  );
+
+  let quantityAvailable = availableMatch ? parseCount(availableMatch[1]) : null;
+  if (quantityAvailable === null && words.lastOne.test(text)) {
+    quantityAvailable = 1;
+  }
+
+  return {
+    quantitySold: soldMatch ? parseCount(soldMatch[1]) : null,
+    quantityAvailable,
+  };
+}
+
+/**
+ * Parses an item page (/itm/<itemId>) into the details search cards lack
+ * @param {string} html - Item page HTML
+ * @param {Object} options - Parse options
+ * @param {Object} options.marketplace - Marketplace definition (default: DEFAULT_MARKETPLACE)
+ * @returns {Object} Item details (see README "Item Details")
+ */
+function parseItemHtml(html, { marketplace = getMarketplace() } = {}) {
+  const $ = cheerio.load(html);
+  const words = ITEM_PAGE_WORDS[marketplace.language] || ITEM_PAGE_WORDS.en;
+  const text = ($el) => $el.text().replace(/\s+/g, " ").trim();
+
+  // Item specifics are label/value pairs in the "About this item" section
+  const specifics = {};
+  $(
+    ".x-about-this-item .ux-labels-values, .ux-layout-section-evo .ux-labels-values"
+  ).each((_, row) => {
+    const $row = $(row);
+    const label = text($row.find(".ux-labels-values__labels").first())
+      .replace(/:$/, "")
+      .trim();
+    const value = text($row.find(".ux-labels-values__values").first());
+    if (label && value) {
+      specifics[label] = value;
+    }
+  });
+
+  const findSpecific = (labels) => {
+    const key = Object.keys(specifics).find((name) =>
+      labels.includes(name.toLowerCase())
+    );
+    return key ? specifics[key] : null;
+  };
+
+  const quantityText = text(
+    $("#qtyAvailability, .x-quantity__availability, .d-quantity__availability")
+  );
+  const { quantitySold, quantityAvailable } = parseQuantities(
+    quantityText,
+    words
+  );
+
+  const shippingText = text(
+    $(".ux-labels-values--shipping .ux-labels-values__values").first()
+  );
+  let shipping = null;
+  if (shippingText) {
+    const free = /free|kostenlos|gratis/i.test(shippingText);
+    const cost = free ? null : parsePrice(shippingText, marketplace);
+    shipping = {
+      raw: shippingText,
+      amount: free ? 0 : cost ? cost.amount : null,
+      currency: cost ? cost.currency : marketplace.currency,
+      free,
+    };
+  }
+
+  const locationMatch = text(
+    $(
+      ".ux-labels-values--shipping, .ux-labels-values--itemLocation, .d-shipping-minview"
+    )
+  ).match(words.locatedIn);
+  // The watch button shows a bare count, urgency banners a sentence
+  const heartCount = text($(".x-watch-heart-btn-text").first());
+  const watchersMatch = text(
+    $(".d-urgency, .x-ebay-signal, .x-item-engagement")
+  ).match(words.watchers);
+  let watchers = null;
+  if (/^\d[\d,.]*$/.test(heartCount)) {
+    watchers = parseCount(heartCount);
+  } else if (watchersMatch) {
+    watchers = parseCount(watchersMatch[1]);
+  }
+
+  // Auctions show a bid button, Best Offer listings an offer button
+  const isAuction =
+    $("[data-testid='x-bid-action'], .x-bid-action, #bidBtn_btn").length > 0;
+  const acceptsOffers =
+    $("[data-testid='x-offer-action'], .x-offer-action, #boBtn_btn").length > 0;
+
+  return {
+    condition:
+      text(
+        $(
+          ".x-item-condition-text .ux-textspans, .x-item-condition-value .ux-textspans"
+        ).first()
+      ) || null,
+    quantitySold,
+    quantityAvailable,
+    format: isAuction ? "auction" : "fixed_price",
+    acceptsOffers,
+    watchers,
+    brand: findSpecific(words.brand),
+    mpn: findSpecific(words.mpn),
+    upc: findSpecific(words.upc),
+    specifics,
+    shipping,
+    itemLocation: locationMatch
+      ? locationMatch[1]
+          .split(/\s(?:Shipping|Versand|Ships|Delivery)\b/i)[0]
+          .trim()
+      : null,
+  };
+}
+
+/**
+ * Starts the parse statistics of one page with the current profile version
+ * @returns {Object} Parse statistics (see utils/selectors.js)
+ */
+function createPageStats() {
+  return createParseStats(getSelectorProfile().version);
+}
+
+module.exports = {
+  createPageStats,
+  extractItemId,
+  hasNextPage,
+  parseListingsHtml,
+  parseSoldHtml,
+  parseItemHtml,
+  parseResultCount,
+  parseSellerProfileHtml,
+};
@@ -0,0 +1,127 @@
+const { parseInterval } = require("./schedule");
+
+const PAUSE_ACTIONS = ["pause", "snooze", "resume"];
+
+/**
+ * Checks whether a seller, search or the whole monitor is paused. A snooze
+ * ends by itself once its time has passed.
+ * @param {Object} state - Record with { paused, pausedUntil }
+ * @param {Date} now - Reference time (default: now)
+ * @returns {boolean} True if checks should be skipped
+ */
+function isPaused(state, now = new Date()) {
+  if (!state || !state.paused) return false;
+  return !state.pausedUntil || new Date(state.pausedUntil) > now;
+}
+
+/**
+ * Gets when a snooze ends
+ * @param {Object} state - Record with { paused, pausedUntil }
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Date|null} End of the snooze, or null if not snoozed (or paused until resumed)
+ */
+function getSnoozeEnd(state, now = new Date()) {
+  return isPaused(state, now) && state.pausedUntil
+    ? new Date(state.pausedUntil)
+    : null;
+}
+
+/**
+ * Parses the end of a snooze from a request body
+ * @param {Object} body - { until } (date) or { duration } (e.g. "2h", or milliseconds)
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Object} { value: Date|null, error: string|null }
+ */
+function parseSnoozeUntil(body, now = new Date()) {
+  const { until, duration } = body || {};
+  const hasUntil = until !== undefined && until !== null && until !== "";
+  const hasDuration =
+    duration !== undefined && duration !== null && duration !== "";
+
+  if (hasUntil && hasDuration) {
+    return { value: null, error: "Use either until or duration, not both" };
+  }
+  if (!hasUntil && !hasDuration) {
+    return {
+      value: null,
+      error: 'Missing until (date) or duration (e.g. "30m", "2h", "1d")',
+    };
+  }
+
+  if (hasDuration) {
+    const ms = parseInterval(duration);
+    if (ms === null) {
+      return {
+        value: null,
+        error: 'Invalid duration (use milliseconds or e.g. "30m", "2h", "1d")',
+      };
+    }
+    return { value: new Date(now.getTime() + ms), error: null };
+  }
+
+  const date = new Date(until);
+  if (isNaN(date.getTime())) {
+    return { value: null, error: "Invalid until (use an ISO date)" };
+  }
+  if (date <= now) {
+    return { value: null, error: "until must be in the future" };
+  }
+  return { value: date, error: null };
+}
+
+/**
+ * Builds the pause fields stored after a pause, snooze or resume
+ * @param {string} action - 'pause' (until resumed), 'snooze' (until a time) or 'resume'
+ * @param {Object} body - Request body; { until } or { duration } for a snooze
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Object} { value: { paused, pausedAt, pausedUntil }|null, error: string|null }
+ */
+function buildPauseState(action, body, now = new Date()) {
+  if (action === "resume") {
+    return {
+      value: { paused: false, pausedAt: null, pausedUntil: null },
+      error: null,
+    };
+  }
+  if (action === "pause") {
+    return {
+      value: { paused: true, pausedAt: now.toISOString(), pausedUntil: null },
+      error: null,
+    };
+  }
+  if (action === "snooze") {
+    const until = parseSnoozeUntil(body, now);
+    if (until.error) return until;
+    return {
+      value: {
+        paused: true,
+        pausedAt: now.toISOString(),
+        pausedUntil: until.value.toISOString(),
+      },
+      error: null,
+    };
+  }
+  return {
+    value: null,
+    error: `Invalid action (must be one of: ${PAUSE_ACTIONS.join(", ")})`,
+  };
+}
+
+/**
+ * Describes a pause state for API messages and logs
+ * @param {Object} state - Record with { paused, pausedUntil }
+ * @returns {string} "paused", "snoozed until <date>" or "active"
+ */
+function describePause(state) {
+  if (!isPaused(state)) return "active";
+  return state.pausedUntil ? `snoozed until ${state.pausedUntil}` : "paused";
+}
+
+module.exports = {
+  PAUSE_ACTIONS,
+  isPaused,
+  getSnoozeEnd,
+  parseSnoozeUntil,
+  buildPauseState,
+  describePause,
+};
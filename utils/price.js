@@ -0,0 +1,157 @@
+const { getMarketplace } = require("./marketplaces");
+
+// Currency markers in the order they must be tested ("AU $" before "$")
+const CURRENCY_MARKERS = [
+  { pattern: /US\s?\$/i, currency: "USD" },
+  { pattern: /AU\s?\$/i, currency: "AUD" },
+  { pattern: /C\s?\$/i, currency: "CAD" },
+  { pattern: /£|GBP/i, currency: "GBP" },
+  { pattern: /€|EUR/i, currency: "EUR" },
+];
+
+// Words that join the two ends of a price range
+const RANGE_WORDS = /\s(?:to|bis)\s/i;
+
+// Card text shown when a sale went through an accepted offer
+const BEST_OFFER_LABELS = ["best offer accepted", "preisvorschlag angenommen"];
+
+// Card text marking a shipping cost line
+const SHIPPING_LABELS = /shipping|delivery|postage|versand|lieferung/i;
+const FREE_SHIPPING_LABELS = /free|kostenlos|gratis/i;
+
+/**
+ * Detects the currency of a price text
+ * @param {string} text - Price text (e.g. "£12.99", "AU $5.00")
+ * @param {Object} marketplace - Marketplace definition
+ * @returns {string} ISO currency code
+ */
+function detectCurrency(text, marketplace) {
+  const marker = CURRENCY_MARKERS.find(({ pattern }) => pattern.test(text));
+  if (marker) return marker.currency;
+
+  // A bare "$" means the marketplace's own dollar, or USD elsewhere
+  if (text.includes("$")) {
+    return ["USD", "CAD", "AUD"].includes(marketplace.currency)
+      ? marketplace.currency
+      : "USD";
+  }
+
+  return marketplace.currency;
+}
+
+/**
+ * Parses a number written with the marketplace's separators
+ * @param {string} token - Number text (e.g. "1,234.56", "1.234,56")
+ * @param {string} decimalSeparator - "." or ","
+ * @returns {number|null} Parsed number
+ */
+function parseAmount(token, decimalSeparator) {
+  const thousandsSeparator = decimalSeparator === "," ? "." : ",";
+  const normalized = token
+    .split(thousandsSeparator)
+    .join("")
+    .replace(decimalSeparator, ".");
+  const amount = parseFloat(normalized);
+  return Number.isFinite(amount) ? amount : null;
+}
+
+/**
+ * Extracts every amount from a text
+ * @param {string} text - Text containing prices
+ * @param {string} decimalSeparator - "." or ","
+ * @returns {Array<number>} Amounts in order of appearance
+ */
+function extractAmounts(text, decimalSeparator) {
+  const tokens = text.match(/\d[\d.,]*/g) || [];
+  return tokens
+    .map((token) => parseAmount(token.replace(/[.,]$/, ""), decimalSeparator))
+    .filter((amount) => amount !== null);
+}
+
+/**
+ * Parses a card price text into a structured price
+ * @param {string} text - Raw price text (e.g. "$12.99", "$10.00 to $25.00", "EUR 19,90")
+ * @param {Object} marketplace - Marketplace definition (default: DEFAULT_MARKETPLACE)
+ * @returns {Object|null} { raw, amount, currency, min, max, isRange }, or null if no amount was found
+ */
+function parsePrice(text, marketplace = getMarketplace()) {
+  if (!text) return null;
+
+  const raw = text.trim();
+  const amounts = extractAmounts(raw, marketplace.decimalSeparator);
+  if (amounts.length === 0) return null;
+
+  const currency = detectCurrency(raw, marketplace);
+  const isRange = amounts.length > 1 && RANGE_WORDS.test(raw);
+  const min = isRange ? Math.min(...amounts) : amounts[0];
+  const max = isRange ? Math.max(...amounts) : amounts[0];
+
+  return {
+    raw,
+    amount: min,
+    currency,
+    min,
+    max,
+    isRange,
+  };
+}
+
+/**
+ * Parses a card shipping line such as "+$5.99 shipping" or "Free delivery"
+ * @param {string} text - Shipping text
+ * @param {Object} marketplace - Marketplace definition (default: DEFAULT_MARKETPLACE)
+ * @returns {Object|null} { raw, amount, currency, free }, or null if the text is not a shipping line
+ */
+function parseShipping(text, marketplace = getMarketplace()) {
+  if (!text || !SHIPPING_LABELS.test(text)) return null;
+
+  const raw = text.trim();
+  if (FREE_SHIPPING_LABELS.test(raw)) {
+    return { raw, amount: 0, currency: marketplace.currency, free: true };
+  }
+
+  const amounts = extractAmounts(raw, marketplace.decimalSeparator);
+  if (amounts.length === 0) return null;
+
+  return {
+    raw,
+    amount: amounts[0],
+    currency: detectCurrency(raw, marketplace),
+    free: false,
+  };
+}
+
+/**
+ * Checks whether card text says the sale went through an accepted Best Offer
+ * @param {string} text - Card text
+ * @returns {boolean} True if a Best Offer was accepted
+ */
+function isBestOfferAccepted(text) {
+  if (!text) return false;
+  const lower = text.toLowerCase();
+  return BEST_OFFER_LABELS.some((label) => lower.includes(label));
+}
+
+/**
+ * Formats an amount in a currency
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO currency code
+ * @returns {string} Formatted amount (e.g. "$12.99", "£5.00")
+ */
+function formatAmount(amount, currency) {
+  try {
+    return new Intl.NumberFormat("en-US", {
+      style: "currency",
+      currency,
+    }).format(amount);
+  } catch (error) {
+    return `${amount.toFixed(2)} ${currency}`;
+  }
+}
+
+module.exports = {
+  parsePrice,
+  parseShipping,
+  isBestOfferAccepted,
+  formatAmount,
+};
@@ -0,0 +1,141 @@
+/**
+ * Parses a price change threshold such as "2.50" (absolute) or "5%" (percent)
+ * @param {string|number} value - Threshold value
+ * @returns {Object|null} { type: 'amount'|'percent', value }, or null if invalid
+ */
+function parseThreshold(value) {
+  if (value === undefined || value === null || value === "") return null;
+
+  const text = String(value).trim();
+  const isPercent = text.endsWith("%");
+  const number = Number(isPercent ? text.slice(0, -1).trim() : text);
+  if (!Number.isFinite(number) || number < 0) return null;
+
+  return { type: isPercent ? "percent" : "amount", value: number };
+}
+
+// Minimum change that triggers a price alert (default: any change)
+const DEFAULT_PRICE_CHANGE_THRESHOLD = parseThreshold(
+  process.env.PRICE_CHANGE_THRESHOLD || "0"
+) || { type: "amount", value: 0 };
+
+/**
+ * Formats a threshold back to its text form
+ * @param {Object} threshold - Threshold from parseThreshold
+ * @returns {string} Threshold text (e.g. "5%", "2.5")
+ */
+function formatThreshold(threshold) {
+  return threshold.type === "percent"
+    ? `${threshold.value}%`
+    : String(threshold.value);
+}
+
+/**
+ * Builds the stored price record of a listing
+ * @param {Object} listing - Listing object from the scraper
+ * @param {Date} now - Scrape time (default: now)
+ * @returns {Object} { price, amount, currency, seenAt }
+ */
+function toPriceRecord(listing, now = new Date()) {
+  const details = listing.priceDetails || {};
+  return {
+    price: listing.price || null,
+    amount: details.amount ?? null,
+    currency: details.currency || null,
+    seenAt: now.toISOString(),
+  };
+}
+
+/**
+ * Compares two prices against a threshold
+ * @param {number} from - Previous amount
+ * @param {number} to - Current amount
+ * @param {Object} threshold - Threshold from parseThreshold
+ * @returns {boolean} True if the change is big enough to report
+ */
+function isSignificantChange(from, to, threshold) {
+  const delta = Math.abs(to - from);
+  if (delta === 0) return false;
+
+  if (threshold.type === "percent") {
+    // Any change from a zero price is infinitely large
+    return from === 0 || (delta / from) * 100 >= threshold.value;
+  }
+  return delta >= threshold.value;
+}
+
+/**
+ * Finds listings whose price moved by at least the threshold since the last check.
+ * Listings without a previous price, without a numeric amount or with a
+ * different currency are never reported.
+ * @param {Object} previousPrices - Previous records { [itemId]: { price, amount, currency } }
+ * @param {Array} listings - Freshly scraped listings
+ * @param {Object} threshold - Threshold from parseThreshold (default: PRICE_CHANGE_THRESHOLD)
+ * @returns {Array} Price changes { listing, from, to, delta, percent }
+ */
+function detectPriceChanges(
+  previousPrices,
+  listings,
+  threshold = DEFAULT_PRICE_CHANGE_THRESHOLD
+) {
+  const changes = [];
+
+  for (const listing of listings) {
+    const previous = previousPrices[listing.itemId];
+    const current = toPriceRecord(listing);
+    if (!previous || previous.amount === null || current.amount === null) {
+      continue;
+    }
+    if (previous.currency && previous.currency !== current.currency) {
+      continue;
+    }
+    if (!isSignificantChange(previous.amount, current.amount, threshold)) {
+      continue;
+    }
+
+    const delta = current.amount - previous.amount;
+    changes.push({
+      listing,
+      from: {
+        price: previous.price,
+        amount: previous.amount,
+        currency: previous.currency || current.currency,
+      },
+      to: {
+        price: current.price,
+        amount: current.amount,
+        currency: current.currency,
+      },
+      delta: Math.round(delta * 100) / 100,
+      percent:
+        previous.amount === 0
+          ? null
+          : Math.round((delta / previous.amount) * 1000) / 10,
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Builds the price records stored after a scrape. Only the listings of this
+ * scrape are kept, so listings that dropped off the page do not pile up.
+ * @param {Array} listings - Freshly scraped listings
+ * @param {Date} now - Scrape time (default: now)
+ * @returns {Object} Records { [itemId]: record }
+ */
+function buildPriceRecords(listings, now = new Date()) {
+  const prices = {};
+  for (const listing of listings) {
+    prices[listing.itemId] = toPriceRecord(listing, now);
+  }
+  return prices;
+}
+
+module.exports = {
+  DEFAULT_PRICE_CHANGE_THRESHOLD,
+  parseThreshold,
+  formatThreshold,
+  detectPriceChanges,
+  buildPriceRecords,
+};
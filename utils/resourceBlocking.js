@@ -0,0 +1,98 @@
+// Set to 'false' to let browser pages load every resource
+const BLOCK_RESOURCES = process.env.BLOCK_RESOURCES !== "false";
+
+// Resource types the parsers never read
+const BLOCKED_RESOURCE_TYPES = new Set(["image", "media", "font"]);
+
+// Ad, analytics and tracking hosts loaded by eBay pages
+const BLOCKED_HOSTS = [
+  "doubleclick.net",
+  "googlesyndication.com",
+  "googleadservices.com",
+  "google-analytics.com",
+  "googletagmanager.com",
+  "googletagservices.com",
+  "adservice.google.com",
+  "facebook.net",
+  "facebook.com",
+  "scorecardresearch.com",
+  "criteo.com",
+  "criteo.net",
+  "adnxs.com",
+  "amazon-adsystem.com",
+  "taboola.com",
+  "outbrain.com",
+  "bing.com",
+  "hotjar.com",
+  "ebayrtm.com",
+  "ebayadservices.com",
+];
+
+// eBay's own beacon and tracking endpoints
+const BLOCKED_PATH_PATTERNS = [
+  /\/marketingtracking\//i,
+  /\/roverimp\//i,
+  /\/rover\/\d/i,
+  /\/gh\/useracquisition/i,
+  /\/pulsar\//i,
+  /\/beacon\b/i,
+];
+
+/**
+ * Checks whether a host is a blocked host or one of its subdomains
+ * @param {string} hostname - Request hostname
+ * @returns {boolean} True if blocked
+ */
+function isBlockedHost(hostname) {
+  return BLOCKED_HOSTS.some(
+    (host) => hostname === host || hostname.endsWith(`.${host}`)
+  );
+}
+
+/**
+ * Decides whether a browser request can be skipped. Documents, scripts,
+ * stylesheets and XHR from eBay go through; images, media, fonts, ads and
+ * trackers are dropped.
+ * @param {string} resourceType - Playwright resource type ('document', 'image', ...)
+ * @param {string} url - Request URL
+ * @returns {boolean} True to abort the request
+ */
+function shouldBlockRequest(resourceType, url) {
+  if (BLOCKED_RESOURCE_TYPES.has(resourceType)) {
+    return true;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+
+  return (
+    isBlockedHost(parsed.hostname) ||
+    BLOCKED_PATH_PATTERNS.some((pattern) => pattern.test(parsed.pathname))
+  );
+}
+
+/**
+ * Installs request interception on a browser context (no-op when BLOCK_RESOURCES is 'false')
+ * @param {BrowserContext} context - Playwright browser context
+ * @returns {Promise<void>}
+ */
+async function blockUnneededResources(context) {
+  if (!BLOCK_RESOURCES) return;
+
+  await context.route("**/*", (route) => {
+    const request = route.request();
+    if (shouldBlockRequest(request.resourceType(), request.url())) {
+      return route.abort();
+    }
+    return route.continue();
+  });
+}
+
+module.exports = {
+  shouldBlockRequest,
+  blockUnneededResources,
+};
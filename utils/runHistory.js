@@ -0,0 +1,305 @@
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+
+const RUNS_FILE =
+  process.env.RUNS_FILE || path.join(__dirname, "..", "runs.jsonl");
+
+// Runs older than this are dropped
+const RUN_RETENTION_DAYS = parseFloat(process.env.RUN_RETENTION_DAYS || "14");
+// Most runs kept, oldest dropped first
+const RUN_HISTORY_MAX = Math.max(
+  1,
+  parseInt(process.env.RUN_HISTORY_MAX || "10000", 10)
+);
+
+// Page size of run queries
+const DEFAULT_RUN_LIMIT = 50;
+const MAX_RUN_LIMIT = 500;
+
+// Item IDs kept per run for the audit trail
+const MAX_RUN_ITEM_IDS = 100;
+
+// The runs file is rewritten without old runs at most this often
+const COMPACT_INTERVAL_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Finished runs, oldest first
+let runs = [];
+// Runs started but not finished yet, by ID
+const activeRuns = new Map();
+let lastCompactedAt = 0;
+// Tail of the chain of writes to the runs file
+let pendingWrite = Promise.resolve();
+
+/**
+ * Chains a write to the runs file after the previous one
+ * @param {Function} write - Async function writing the file
+ * @returns {Promise<void>}
+ */
+function queueWrite(write) {
+  pendingWrite = pendingWrite.then(write).catch((error) => {
+    console.error("Error saving run history:", error.message);
+  });
+  return pendingWrite;
+}
+
+/**
+ * Drops runs past the retention age and beyond RUN_HISTORY_MAX
+ * @param {Date} now - Reference time (default: now)
+ * @returns {number} Number of runs dropped
+ */
+function pruneRuns(now = new Date()) {
+  const before = runs.length;
+  const cutoff = now.getTime() - RUN_RETENTION_DAYS * DAY_MS;
+  runs = runs.filter((run) => new Date(run.startedAt).getTime() >= cutoff);
+  if (runs.length > RUN_HISTORY_MAX) {
+    runs = runs.slice(runs.length - RUN_HISTORY_MAX);
+  }
+  return before - runs.length;
+}
+
+/**
+ * Drops old runs and rewrites the runs file with the rest
+ * @param {boolean} force - Rewrite the file even if no run was dropped
+ * @returns {Promise<void>}
+ */
+function compactRuns(force = false) {
+  lastCompactedAt = Date.now();
+  if (pruneRuns() === 0 && !force) return pendingWrite;
+
+  const lines = runs.map((run) => `${JSON.stringify(run)}\n`).join("");
+  return queueWrite(async () => {
+    const tempFile = `${RUNS_FILE}.tmp`;
+    await fs.writeFile(tempFile, lines, "utf8");
+    await fs.rename(tempFile, RUNS_FILE);
+  });
+}
+
+/**
+ * Loads the run history from the runs file, skipping unreadable lines. A run
+ * saved again after an update keeps its place with the last saved copy.
+ * @returns {Promise<number>} Number of runs kept
+ */
+async function loadRuns() {
+  let data = "";
+  try {
+    data = await fs.readFile(RUNS_FILE, "utf8");
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("Error loading run history:", error.message);
+    }
+  }
+
+  const loaded = new Map();
+  let lines = 0;
+  for (const line of data.split("\n")) {
+    if (!line.trim()) continue;
+    lines++;
+    try {
+      const run = JSON.parse(line);
+      loaded.set(run.id, run);
+    } catch (error) {
+      // A line cut off by a crash
+    }
+  }
+  runs = [...loaded.values(), ...runs.filter((run) => !loaded.has(run.id))];
+  await compactRuns(loaded.size < lines);
+  return runs.length;
+}
+
+/**
+ * Starts a run record. Counters of a check are updated by the check while it
+ * runs; the record is saved by finishRun.
+ * @param {string} kind - 'cycle' (one scheduler run) or 'check' (one seller or search)
+ * @param {Object} fields - Fields describing the run (e.g. type, target, reason, jobId, cycleId)
+ * @returns {Object} Mutable run record
+ */
+function startRun(kind, fields = {}) {
+  const counters =
+    kind === "check"
+      ? {
+          strategy: null,
+          pagesScraped: 0,
+          fetches: { http: 0, browser: 0 },
+          itemsFound: 0,
+          itemsNew: 0,
+          newItemIds: [],
+          webhooksQueued: 0,
+          webhooksSent: 0,
+          webhooksFailed: 0,
+        }
+      : {};
+
+  const run = {
+    id: crypto.randomUUID(),
+    kind,
+    ...fields,
+    status: "running",
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    ...counters,
+    error: null,
+    errorClass: null,
+  };
+  activeRuns.set(run.id, run);
+  return run;
+}
+
+/**
+ * Finishes a run record and saves it
+ * @param {Object} run - Record from startRun (modified in place)
+ * @param {Object} outcome - How the run ended
+ * @param {string} outcome.status - 'ok', 'baseline' or 'skipped' (default: 'ok'; 'failed' with an error)
+ * @param {Error} outcome.error - Error that ended the run (optional)
+ * @param {string} outcome.skipped - Why the run was skipped (optional)
+ * @returns {Object} Saved run
+ */
+function finishRun(run, { status = "ok", error = null, skipped = null } = {}) {
+  const finishedAt = new Date();
+  run.finishedAt = finishedAt.toISOString();
+  run.durationMs = finishedAt.getTime() - new Date(run.startedAt).getTime();
+  run.status = error ? "failed" : status;
+  if (skipped) {
+    run.skipped = skipped;
+  }
+  if (error) {
+    run.error = error.message;
+    run.errorClass = error.name || "Error";
+  }
+  if (run.newItemIds && run.newItemIds.length > MAX_RUN_ITEM_IDS) {
+    run.newItemIds = run.newItemIds.slice(0, MAX_RUN_ITEM_IDS);
+  }
+
+  const line = `${JSON.stringify(run)}\n`;
+  activeRuns.delete(run.id);
+  runs.push(run);
+  queueWrite(() => fs.appendFile(RUNS_FILE, line, "utf8"));
+
+  if (
+    runs.length > RUN_HISTORY_MAX * 1.1 ||
+    Date.now() - lastCompactedAt > COMPACT_INTERVAL_MS
+  ) {
+    compactRuns();
+  }
+  return run;
+}
+
+/**
+ * Counts a webhook of a check once the outbox has delivered it or given up on
+ * it. A finished run is saved again with the new count.
+ * @param {string} id - Run ID
+ * @param {boolean} delivered - True if delivered, false if moved to the dead letters
+ * @returns {boolean} True if the run is known
+ */
+function recordDelivery(id, delivered) {
+  const active = activeRuns.get(id);
+  const run = active || runs.find((r) => r.id === id);
+  if (!run) return false;
+
+  if (delivered) {
+    run.webhooksSent++;
+  } else {
+    run.webhooksFailed++;
+  }
+  if (!active) {
+    const line = `${JSON.stringify(run)}\n`;
+    queueWrite(() => fs.appendFile(RUNS_FILE, line, "utf8"));
+  }
+  return true;
+}
+
+/**
+ * Gets runs, newest first, one page at a time
+ * @param {Object} filter - Optional filters and paging
+ * @param {string} filter.kind - 'cycle' or 'check'
+ * @param {string} filter.type - Seller type: 'listings', 'sold' or 'search'
+ * @param {string} filter.target - Seller SSN/username, or search monitor ID
+ * @param {string} filter.status - 'ok', 'baseline', 'skipped' or 'failed'
+ * @param {Date} filter.since - Only runs started at or after this time
+ * @param {Date} filter.until - Only runs started before this time
+ * @param {number} filter.limit - Page size (default: 50, at most 500)
+ * @param {number} filter.offset - Runs to skip (default: 0)
+ * @returns {Object} { total, limit, offset, runs }
+ */
+function queryRuns(filter = {}) {
+  const since = filter.since ? filter.since.getTime() : null;
+  const until = filter.until ? filter.until.getTime() : null;
+  const matching = runs.filter((run) => {
+    const startedAt = new Date(run.startedAt).getTime();
+    return (
+      (!filter.kind || run.kind === filter.kind) &&
+      (!filter.type || run.type === filter.type) &&
+      (!filter.target || run.target === filter.target) &&
+      (!filter.status || run.status === filter.status) &&
+      (since === null || startedAt >= since) &&
+      (until === null || startedAt < until)
+    );
+  });
+
+  const limit = Math.min(
+    MAX_RUN_LIMIT,
+    Math.max(1, filter.limit || DEFAULT_RUN_LIMIT)
+  );
+  const offset = Math.max(0, filter.offset || 0);
+  const newestFirst = matching.reverse();
+  return {
+    total: newestFirst.length,
+    limit,
+    offset,
+    runs: newestFirst.slice(offset, offset + limit),
+  };
+}
+
+/**
+ * Gets a run by ID
+ * @param {string} id - Run ID
+ * @returns {Object|null} Run, or null if unknown (or dropped)
+ */
+function getRun(id) {
+  return runs.find((run) => run.id === id) || null;
+}
+
+/**
+ * Works out how a check fetched its pages from the seller's fetch statistics
+ * before and after it
+ * @param {Object|null} before - getFetchStats result before the check
+ * @param {Object|null} after - getFetchStats result after the check
+ * @returns {Object} { strategy, pagesScraped, fetches: { http, browser } }
+ */
+function diffFetchStats(before, after) {
+  const count = (stats, strategy, field) =>
+    stats ? stats[strategy][field] : 0;
+  const fetches = {
+    http: count(after, "http", "attempts") - count(before, "http", "attempts"),
+    browser:
+      count(after, "browser", "attempts") -
+      count(before, "browser", "attempts"),
+  };
+  const pagesScraped =
+    count(after, "http", "successes") -
+    count(before, "http", "successes") +
+    count(after, "browser", "successes") -
+    count(before, "browser", "successes");
+
+  return {
+    strategy:
+      fetches.http + fetches.browser > 0 && after ? after.lastStrategy : null,
+    pagesScraped,
+    fetches,
+  };
+}
+
+module.exports = {
+  RUN_RETENTION_DAYS,
+  RUN_HISTORY_MAX,
+  loadRuns,
+  startRun,
+  finishRun,
+  queryRuns,
+  getRun,
+  recordDelivery,
+  diffFetchStats,
+};
@@ -0,0 +1,117 @@
+// Sale events remembered per seller; older ones have long left the lookback window
+const MAX_KNOWN_SALE_EVENTS = 5000;
+
+/**
+ * Builds the sale event key of every sold card. The same listing sold on the
+ * same day shows up as several cards, so repeats get an occurrence number.
+ * @param {Array} soldItems - Sold items from the scraper
+ * @returns {Array<string>} Event keys in card order ("<itemId>@<soldAt>#<n>")
+ */
+function getSaleEventKeys(soldItems) {
+  const occurrences = new Map();
+
+  return soldItems.map((item) => {
+    const day = item.soldAt || item.soldDate || "unknown";
+    const base = `${item.itemId}@${day}`;
+    const count = (occurrences.get(base) || 0) + 1;
+    occurrences.set(base, count);
+    return `${base}#${count}`;
+  });
+}
+
+/**
+ * Finds sale events not seen before and rolls them up per listing
+ * @param {Array} soldItems - Sold items from the scraper
+ * @param {Object} seller - Seller record (knownSaleEvents, knownSoldItems)
+ * @returns {Object} { sales: Array<{ item, events }>, eventKeys: Array<string> }
+ */
+function detectNewSales(soldItems, seller) {
+  const eventKeys = getSaleEventKeys(soldItems);
+
+  // Sellers from before event tracking only know item IDs; treat their
+  // current cards as seen so the upgrade does not replay old sales
+  const legacyItemIds = seller.knownSaleEvents
+    ? new Set()
+    : new Set(seller.knownSoldItems || []);
+  const knownEvents = new Set(seller.knownSaleEvents || []);
+
+  const salesByItem = new Map();
+  soldItems.forEach((item, index) => {
+    if (knownEvents.has(eventKeys[index]) || legacyItemIds.has(item.itemId)) {
+      return;
+    }
+
+    const sale = salesByItem.get(item.itemId);
+    if (sale) {
+      sale.events++;
+    } else {
+      salesByItem.set(item.itemId, { item, events: 1 });
+    }
+  });
+
+  return { sales: [...salesByItem.values()], eventKeys };
+}
+
+/**
+ * Adds new sales to the running per-listing totals. When the item page was
+ * read, a rise in its quantity sold counts too (several units in one event).
+ * @param {Object} soldListings - Previous totals { [itemId]: record }
+ * @param {Array} sales - Sales from detectNewSales (each gets `units` and `unitsSold`)
+ * @param {Date} now - Check time (default: now)
+ * @returns {Object} Updated totals
+ */
+function recordSales(soldListings, sales, now = new Date()) {
+  const updated = { ...soldListings };
+
+  for (const sale of sales) {
+    const { item } = sale;
+    const previous = updated[item.itemId] || { unitsSold: 0 };
+    const pageQuantity = item.details ? item.details.quantitySold : null;
+
+    let units = sale.events;
+    if (
+      pageQuantity !== null &&
+      pageQuantity !== undefined &&
+      typeof previous.quantitySold === "number"
+    ) {
+      units = Math.max(units, pageQuantity - previous.quantitySold);
+    }
+
+    sale.units = units;
+    sale.unitsSold = previous.unitsSold + units;
+
+    updated[item.itemId] = {
+      title: item.title,
+      link: item.link,
+      unitsSold: sale.unitsSold,
+      quantitySold:
+        pageQuantity !== null && pageQuantity !== undefined
+          ? pageQuantity
+          : previous.quantitySold ?? null,
+      lastSoldAt: item.soldAt || previous.lastSoldAt || null,
+      lastPrice: item.price || previous.lastPrice || null,
+      updatedAt: now.toISOString(),
+    };
+  }
+
+  return updated;
+}
+
+/**
+ * Merges the sale events of this check into the remembered ones
+ * @param {Array<string>} knownEvents - Previously remembered event keys
+ * @param {Array<string>} eventKeys - Event keys of this check
+ * @returns {Array<string>} Remembered event keys, newest last
+ */
+function mergeSaleEvents(knownEvents, eventKeys) {
+  const merged = new Set(knownEvents);
+  eventKeys.forEach((key) => merged.add(key));
+  return [...merged].slice(-MAX_KNOWN_SALE_EVENTS);
+}
+
+module.exports = {
+  getSaleEventKeys,
+  detectNewSales,
+  recordSales,
+  mergeSaleEvents,
+};
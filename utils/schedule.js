@@ -0,0 +1,357 @@
+const { DEFAULT_TIMEZONE, getZonedParts, zonedTimeToDate } = require("./dates");
+
+// Shortest check interval a schedule may use
+const MIN_INTERVAL_MS = 60 * 1000;
+// Interval units accepted in strings like "15m" or "2h"
+const INTERVAL_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+// Fields of a 5-field cron expression; day of week 7 is Sunday like 0
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "dayOfWeek", min: 0, max: 7 },
+];
+// Days searched for the next cron time (covers Feb 29 expressions)
+const MAX_CRON_SEARCH_DAYS = 8 * 366;
+// Active-hours windows skipped before a schedule counts as never running
+const MAX_WINDOW_ATTEMPTS = 14;
+
+/**
+ * Parses a check interval
+ * @param {number|string} value - Milliseconds, or a number with a unit (e.g. "15m", "2h", "1d")
+ * @returns {number|null} Interval in milliseconds, or null if invalid
+ */
+function parseInterval(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) && value > 0 ? Math.round(value) : null;
+  }
+  const match = String(value || "")
+    .trim()
+    .toLowerCase()
+    .match(/^(\d+(?:\.\d+)?)\s*(s|m|h|d)?$/);
+  if (!match) return null;
+  const ms = Math.round(parseFloat(match[1]) * INTERVAL_UNITS[match[2] || "m"]);
+  return ms > 0 ? ms : null;
+}
+
+/**
+ * Parses one field of a cron expression
+ * @param {string} text - Field text (e.g. "*", "1-5", "0,30", "*\/15")
+ * @param {Object} range - { min, max } allowed values
+ * @returns {Array<number>|null} Sorted values, or null if invalid
+ */
+function parseCronField(text, { min, max }) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) return null;
+    const step = match[4] ? parseInt(match[4], 10) : 1;
+    let from = min;
+    let to = max;
+    if (match[1] !== "*") {
+      from = parseInt(match[2], 10);
+      // "5/15" runs from 5 to the end of the range
+      to = match[3] ? parseInt(match[3], 10) : match[4] ? max : from;
+    }
+    if (step < 1 || from < min || to > max || from > to) return null;
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Parses a 5-field cron expression (minute hour day-of-month month day-of-week)
+ * @param {string} expression - Cron expression (e.g. "*\/15 8-20 * * 1-5")
+ * @returns {Object|null} Parsed fields, or null if invalid
+ */
+function parseCron(expression) {
+  const texts = String(expression || "")
+    .trim()
+    .split(/\s+/);
+  if (texts.length !== CRON_FIELDS.length) return null;
+
+  const cron = {};
+  for (let i = 0; i < CRON_FIELDS.length; i++) {
+    const values = parseCronField(texts[i], CRON_FIELDS[i]);
+    if (!values) return null;
+    cron[CRON_FIELDS[i].name] = values;
+  }
+  cron.dayOfWeek = [...new Set(cron.dayOfWeek.map((day) => day % 7))];
+  // Like cron, a restricted day of month and day of week match either one
+  cron.dayOfMonthRestricted = texts[2] !== "*";
+  cron.dayOfWeekRestricted = texts[4] !== "*";
+  return cron;
+}
+
+/**
+ * Checks whether a cron expression runs on a calendar day
+ * @param {Object} cron - Parsed cron fields
+ * @param {Date} day - Calendar day (UTC midnight of the wall-clock date)
+ * @returns {boolean} True if the day matches
+ */
+function cronMatchesDay(cron, day) {
+  if (!cron.month.includes(day.getUTCMonth() + 1)) return false;
+  const dayOfMonth = cron.dayOfMonth.includes(day.getUTCDate());
+  const dayOfWeek = cron.dayOfWeek.includes(day.getUTCDay());
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Finds the first cron time after an instant
+ * @param {Object} cron - Parsed cron fields
+ * @param {Date} from - Instant to search after
+ * @param {string} timeZone - IANA timezone the expression is read in
+ * @returns {Date|null} Next run, or null if the expression never matches
+ */
+function nextCronTime(cron, from, timeZone) {
+  const start = new Date(Math.floor(from.getTime() / 60000) * 60000 + 60000);
+  const now = getZonedParts(start, timeZone);
+
+  for (let offset = 0; offset < MAX_CRON_SEARCH_DAYS; offset++) {
+    const day = new Date(Date.UTC(now.year, now.month - 1, now.day + offset));
+    if (!cronMatchesDay(cron, day)) continue;
+
+    for (const hour of cron.hour) {
+      if (offset === 0 && hour < now.hour) continue;
+      for (const minute of cron.minute) {
+        if (offset === 0 && hour === now.hour && minute < now.minute) continue;
+        const candidate = zonedTimeToDate(
+          {
+            year: day.getUTCFullYear(),
+            month: day.getUTCMonth() + 1,
+            day: day.getUTCDate(),
+            hour,
+            minute,
+          },
+          timeZone
+        );
+        // Wall times skipped by a DST change can land before the start
+        if (candidate >= start) return candidate;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Parses a wall-clock time
+ * @param {string} text - Time as HH:MM (24-hour)
+ * @returns {number|null} Minutes since midnight, or null if invalid
+ */
+function parseClock(text) {
+  const match = String(text || "")
+    .trim()
+    .match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+}
+
+/**
+ * Checks whether an instant falls within active hours. A window whose end
+ * is before its start runs overnight (e.g. 22:00-06:00).
+ * @param {Object} activeHours - { start, end } as HH:MM
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {boolean} True if within the window
+ */
+function isWithinActiveHours(activeHours, date, timeZone) {
+  const start = parseClock(activeHours.start);
+  const end = parseClock(activeHours.end);
+  const parts = getZonedParts(date, timeZone);
+  const minutes = parts.hour * 60 + parts.minute;
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * Finds the next opening of the active hours after an instant
+ * @param {Object} activeHours - { start, end } as HH:MM
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} Start of the next window
+ */
+function nextActiveStart(activeHours, date, timeZone) {
+  const start = parseClock(activeHours.start);
+  const parts = getZonedParts(date, timeZone);
+  for (let offset = 0; ; offset++) {
+    const opens = zonedTimeToDate(
+      {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day + offset,
+        hour: Math.floor(start / 60),
+        minute: start % 60,
+      },
+      timeZone
+    );
+    if (opens > date) return opens;
+  }
+}
+
+/**
+ * Computes the next check of a schedule
+ * @param {Object|null} schedule - Normalized schedule (null = default interval)
+ * @param {Date} from - Instant of the last check
+ * @param {Object} options - Options
+ * @param {number} options.defaultInterval - Interval in ms when the schedule sets none
+ * @param {string} options.timeZone - Timezone when the schedule sets none
+ * @returns {Date|null} Next check, or null if the schedule never runs
+ */
+function getNextCheck(schedule, from, options = {}) {
+  const timeZone =
+    (schedule && schedule.timeZone) || options.timeZone || DEFAULT_TIMEZONE;
+  const cron = schedule && schedule.cron ? parseCron(schedule.cron) : null;
+  const interval = (schedule && schedule.interval) || options.defaultInterval;
+  const activeHours = schedule && schedule.activeHours;
+
+  let next = cron
+    ? nextCronTime(cron, from, timeZone)
+    : new Date(from.getTime() + interval);
+
+  // Outside the active hours, wait for the window (or its first cron time)
+  for (let attempt = 0; next && activeHours; attempt++) {
+    if (isWithinActiveHours(activeHours, next, timeZone)) return next;
+    if (attempt === MAX_WINDOW_ATTEMPTS) return null;
+    const opens = nextActiveStart(activeHours, next, timeZone);
+    next = cron
+      ? nextCronTime(cron, new Date(opens.getTime() - 60000), timeZone)
+      : opens;
+  }
+  return next;
+}
+
+/**
+ * Parses active hours given as an object or as "HH:MM-HH:MM"
+ * @param {Object|string} raw - Active hours
+ * @returns {Object|null} { start, end } as HH:MM, or null if invalid
+ */
+function parseActiveHours(raw) {
+  let start = raw && raw.start;
+  let end = raw && raw.end;
+  if (typeof raw === "string") {
+    [start, end] = raw.split("-");
+  }
+  const startMinutes = parseClock(start);
+  const endMinutes = parseClock(end);
+  if (
+    startMinutes === null ||
+    endMinutes === null ||
+    startMinutes === endMinutes
+  ) {
+    return null;
+  }
+  const format = (minutes) =>
+    `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(
+      minutes % 60
+    ).padStart(2, "0")}`;
+  return { start: format(startMinutes), end: format(endMinutes) };
+}
+
+/**
+ * Checks that a timezone is known to the runtime
+ * @param {string} timeZone - IANA timezone
+ * @returns {boolean} True if valid
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validates and normalizes the check schedule of a seller
+ * @param {Object} raw - Schedule from the request body (null or {} for the default)
+ * @param {number|string} raw.interval - Check interval, e.g. 900000 or "15m" (optional)
+ * @param {string} raw.cron - Cron expression, instead of an interval (optional)
+ * @param {Object|string} raw.activeHours - { start, end } or "HH:MM-HH:MM" (optional)
+ * @param {string} raw.timeZone - IANA timezone of the cron and active hours (optional)
+ * @returns {Object} { value: Object|null, error: string|null } (value null for the default schedule)
+ */
+function normalizeSchedule(raw) {
+  if (raw === undefined || raw === null) {
+    return { value: null, error: null };
+  }
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    return { value: null, error: "Invalid schedule (must be an object)" };
+  }
+
+  const hasInterval = raw.interval !== undefined && raw.interval !== "";
+  const hasCron = !!raw.cron;
+  if (hasInterval && hasCron) {
+    return {
+      value: null,
+      error: "A schedule takes either an interval or a cron expression",
+    };
+  }
+
+  const interval = hasInterval ? parseInterval(raw.interval) : null;
+  if (hasInterval && (interval === null || interval < MIN_INTERVAL_MS)) {
+    return {
+      value: null,
+      error:
+        'Invalid interval (use milliseconds or e.g. "15m", "2h", at least 1 minute)',
+    };
+  }
+
+  const cron = hasCron ? String(raw.cron).trim().replace(/\s+/g, " ") : null;
+  if (hasCron && !parseCron(cron)) {
+    return {
+      value: null,
+      error:
+        "Invalid cron expression (use 5 fields: minute hour day-of-month month day-of-week)",
+    };
+  }
+
+  const activeHours = raw.activeHours
+    ? parseActiveHours(raw.activeHours)
+    : null;
+  if (raw.activeHours && !activeHours) {
+    return {
+      value: null,
+      error: 'Invalid activeHours (use { start, end } or "HH:MM-HH:MM")',
+    };
+  }
+
+  const timeZone = raw.timeZone ? String(raw.timeZone).trim() : null;
+  if (timeZone && !isValidTimeZone(timeZone)) {
+    return { value: null, error: `Unknown timeZone "${timeZone}"` };
+  }
+
+  const schedule = { interval, cron, activeHours, timeZone };
+  if (!interval && !cron && !activeHours) {
+    return { value: null, error: null };
+  }
+  if (cron && !getNextCheck(schedule, new Date())) {
+    return {
+      value: null,
+      error: "Schedule never runs (check the cron expression and active hours)",
+    };
+  }
+  return { value: schedule, error: null };
+}
+
+module.exports = {
+  MIN_INTERVAL_MS,
+  parseInterval,
+  parseCron,
+  isWithinActiveHours,
+  getNextCheck,
+  normalizeSchedule,
+};
@@ -0,0 +1,231 @@
+const cheerio = require("cheerio");
+const { getSelectorProfile } = require("./selectors");
+
+// Outcomes of loading an eBay page
+const PAGE_STATUS = {
+  OK: "ok",
+  EMPTY: "empty",
+  BLOCKED: "blocked",
+  NOT_FOUND: "not_found",
+  NETWORK_ERROR: "network_error",
+};
+
+// Page titles and texts of eBay's bot challenges. Texts are only checked on
+// pages without result cards, where a listing title cannot match them.
+const BLOCK_TITLE_MARKERS = [
+  /pardon our interruption/i,
+  /security measure/i,
+  /access denied/i,
+];
+const BLOCK_TEXT_MARKERS = [
+  /checking your browser/i,
+  /verify (?:that )?you(?:'re| are) (?:a )?human/i,
+  /bitte bestätigen sie, dass sie kein roboter sind/i,
+];
+const BLOCK_SELECTORS =
+  "iframe[src*='captcha'], #captcha, .g-recaptcha, .h-captcha, form[action*='splashui']";
+
+// Search pages for a seller that does not exist
+const NOT_FOUND_MARKERS = [
+  /seller (?:name )?(?:you entered )?(?:doesn't|does not) exist/i,
+  /no seller (?:was )?found/i,
+  /verkäufer(?:name)? (?:existiert nicht|wurde nicht gefunden)/i,
+];
+
+// Profile (/usr/) and store (/str/) pages of a seller that does not exist
+const PROFILE_NOT_FOUND_MARKERS = [
+  /user ?id (?:you entered )?(?:was not found|is no longer registered)/i,
+  /(?:this|the) (?:member|user|store) (?:is no longer|was not found|cannot be found|doesn't exist|does not exist)/i,
+  /(?:mitglied|shop) (?:wurde nicht gefunden|existiert nicht)/i,
+];
+// Links and canonical URLs that identify a seller on a profile or store page
+const PROFILE_SELECTORS =
+  "link[rel='canonical'][href*='/usr/'], link[rel='canonical'][href*='/str/'], a[href*='/usr/'], a[href*='/str/']";
+
+// Search pages that loaded fine but have no results
+const EMPTY_SELECTORS =
+  ".srp-save-null-search, .s-no-results, .srp-null-search";
+const EMPTY_MARKERS = [/no exact matches found/i, /keine exakten treffer/i];
+
+// Elements whose presence means a page finished rendering what the parsers
+// need. Search pages are also ready once they show result cards (see
+// getCardSelector).
+const READY_SELECTORS = {
+  search: `${EMPTY_SELECTORS}, ${BLOCK_SELECTORS}`,
+  item: `.x-about-this-item, .ux-layout-section-evo, .x-item-title, ${BLOCK_SELECTORS}`,
+  profile: `.str-seller-card, .str-header, #user_info, .mbg-id, .x-about, .page-notice, ${BLOCK_SELECTORS}`,
+};
+
+/**
+ * Base class of scrape failures
+ */
+class ScrapeError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Failure details
+   * @param {string} details.status - Page status (see PAGE_STATUS)
+   * @param {string} details.ssn - Seller SSN/username
+   * @param {string} details.url - Page URL
+   */
+  constructor(message, { status, ssn = null, url = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.ssn = ssn;
+    this.url = url;
+  }
+}
+
+/**
+ * eBay served a challenge, CAPTCHA or an unrecognizable page
+ */
+class BlockedError extends ScrapeError {
+  constructor(message, details = {}) {
+    super(message, { ...details, status: PAGE_STATUS.BLOCKED });
+  }
+}
+
+/**
+ * The seller (or item) does not exist on the marketplace
+ */
+class SellerNotFoundError extends ScrapeError {
+  constructor(message, details = {}) {
+    super(message, { ...details, status: PAGE_STATUS.NOT_FOUND });
+  }
+}
+
+/**
+ * The page could not be loaded (timeout, DNS, connection reset, 5xx)
+ */
+class NetworkError extends ScrapeError {
+  constructor(message, details = {}) {
+    super(message, { ...details, status: PAGE_STATUS.NETWORK_ERROR });
+  }
+}
+
+/**
+ * Gets the selector matching search result cards, from the selector profile so
+ * a markup change only needs selectors.json edited
+ * @returns {string} Comma-separated card selectors
+ */
+function getCardSelector() {
+  return getSelectorProfile().search.card.join(", ");
+}
+
+/**
+ * Classifies a loaded eBay page
+ * @param {string} html - Page HTML
+ * @param {Object} options - Classification options
+ * @param {string} options.kind - 'search' (results page), 'item' (item page) or 'profile' (seller profile or store page)
+ * @param {number} options.httpStatus - HTTP status of the response (optional)
+ * @returns {Object} { status, reason }
+ */
+function classifyPage(html, { kind = "search", httpStatus = null } = {}) {
+  const $ = cheerio.load(html || "");
+  const title = $("title").text().trim();
+  const bodyText = $("body").text().replace(/\s+/g, " ");
+  const hasCards = $(getCardSelector()).length > 0;
+
+  if (httpStatus === 403 || httpStatus === 429) {
+    return { status: PAGE_STATUS.BLOCKED, reason: `HTTP ${httpStatus}` };
+  }
+  if (BLOCK_TITLE_MARKERS.some((pattern) => pattern.test(title))) {
+    return { status: PAGE_STATUS.BLOCKED, reason: `challenge page (${title})` };
+  }
+  if (
+    !hasCards &&
+    (BLOCK_TEXT_MARKERS.some((pattern) => pattern.test(bodyText)) ||
+      $(BLOCK_SELECTORS).length > 0)
+  ) {
+    return { status: PAGE_STATUS.BLOCKED, reason: "CAPTCHA on page" };
+  }
+
+  if (httpStatus === 404) {
+    return { status: PAGE_STATUS.NOT_FOUND, reason: "HTTP 404" };
+  }
+  if (httpStatus >= 500) {
+    return { status: PAGE_STATUS.NETWORK_ERROR, reason: `HTTP ${httpStatus}` };
+  }
+
+  if (kind === "item") {
+    return { status: PAGE_STATUS.OK, reason: null };
+  }
+
+  if (kind === "profile") {
+    if (PROFILE_NOT_FOUND_MARKERS.some((pattern) => pattern.test(bodyText))) {
+      return { status: PAGE_STATUS.NOT_FOUND, reason: "seller does not exist" };
+    }
+    if ($(PROFILE_SELECTORS).length > 0) {
+      return { status: PAGE_STATUS.OK, reason: null };
+    }
+    return { status: PAGE_STATUS.BLOCKED, reason: "unrecognized page" };
+  }
+
+  if (NOT_FOUND_MARKERS.some((pattern) => pattern.test(bodyText))) {
+    return { status: PAGE_STATUS.NOT_FOUND, reason: "seller does not exist" };
+  }
+  if (hasCards) {
+    return { status: PAGE_STATUS.OK, reason: null };
+  }
+  if (
+    $(EMPTY_SELECTORS).length > 0 ||
+    EMPTY_MARKERS.some((pattern) => pattern.test(bodyText)) ||
+    $(".srp-results").length > 0
+  ) {
+    return { status: PAGE_STATUS.EMPTY, reason: "no results" };
+  }
+
+  // Neither results nor a "no results" message: most likely a challenge
+  return { status: PAGE_STATUS.BLOCKED, reason: "unrecognized page" };
+}
+
+/**
+ * Gets what a browser page waits for before it is read: result cards, a
+ * "no results" marker or a block page, whichever comes first
+ * @param {string} kind - 'search' (results page), 'item' (item page) or 'profile' (seller profile or store page)
+ * @returns {Object} { selector, titlePatterns } (title patterns as regex sources)
+ */
+function getReadinessCheck(kind = "search") {
+  const selector =
+    kind === "item" || kind === "profile"
+      ? READY_SELECTORS[kind]
+      : `${getCardSelector()}, ${READY_SELECTORS.search}`;
+  return {
+    selector,
+    titlePatterns: BLOCK_TITLE_MARKERS.map((pattern) => pattern.source),
+  };
+}
+
+/**
+ * Builds the typed error of a failed page status
+ * @param {Object} classification - Result of classifyPage
+ * @param {Object} details - { ssn, url }
+ * @returns {ScrapeError|null} Error to throw, or null for ok/empty pages
+ */
+function errorForStatus({ status, reason }, details = {}) {
+  const who = details.ssn ? ` for seller ${details.ssn}` : "";
+  switch (status) {
+    case PAGE_STATUS.BLOCKED:
+      return new BlockedError(
+        `eBay blocked the request${who}: ${reason}`,
+        details
+      );
+    case PAGE_STATUS.NOT_FOUND:
+      return new SellerNotFoundError(`Not found${who}: ${reason}`, details);
+    case PAGE_STATUS.NETWORK_ERROR:
+      return new NetworkError(`Network error${who}: ${reason}`, details);
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  PAGE_STATUS,
+  ScrapeError,
+  BlockedError,
+  SellerNotFoundError,
+  NetworkError,
+  classifyPage,
+  getReadinessCheck,
+  errorForStatus,
+};
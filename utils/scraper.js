@@ -1,31 +1,106 @@
-const { chromium } = require("playwright");
-const cheerio = require("cheerio");
+const fs = require("fs").promises;
+const path = require("path");
+const browserPool = require("./browserPool");
+const {
+  createPageStats,
+  extractItemId,
+  hasNextPage,
+  parseListingsHtml,
+  parseSoldHtml,
+  parseItemHtml,
+  parseResultCount,
+  parseSellerProfileHtml,
+} = require("./parsers");
+const { recordParse } = require("./selectorHealth");
+const { DEFAULT_LOOKBACK_DAYS, isWithinLookback } = require("./dates");
+const { getMarketplace, getOrigin } = require("./marketplaces");
+const { buildSearchUrl } = require("./searchQuery");
+const { applyFilterParams } = require("./listingFilters");
+const {
+  PAGE_STATUS,
+  BlockedError,
+  SellerNotFoundError,
+  NetworkError,
+  classifyPage,
+  getReadinessCheck,
+  errorForStatus,
+} = require("./scrapeErrors");
+const {
+  pickProxy,
+  reportProxyResult,
+  toPlaywrightProxy,
+} = require("./proxyPool");
+const { pickFingerprint } = require("./fingerprints");
+const {
+  FETCH_STRATEGY,
+  fetchHtml,
+  shouldEscalate,
+  runWithStrategy,
+} = require("./fetchStrategy");
+const { blockUnneededResources } = require("./resourceBlocking");
+const { createLimiter } = require("./workerPool");
+
+// 'live' (default) scrapes eBay, 'fixture' replays saved HTML snapshots,
+// 'record' scrapes eBay and saves each page as a snapshot
+const SCRAPER_MODE = process.env.SCRAPER_MODE || "live";
+// Upper bound on result pages walked by an inventory scrape
+const INVENTORY_MAX_PAGES = parseInt(
+  process.env.INVENTORY_MAX_PAGES || "20",
+  10
+);
+// Item page enrichment of newly detected items (opt-in, capped per monitoring cycle)
+const ITEM_DETAILS_ENABLED = process.env.ITEM_DETAILS_ENABLED === "true";
+const ITEM_DETAILS_MAX_PER_CYCLE = parseInt(
+  process.env.ITEM_DETAILS_MAX_PER_CYCLE || "10",
+  10
+);
+// Longest wait for a browser page to show results, a "no results" marker or a block page
+const PAGE_READY_TIMEOUT_MS = parseInt(
+  process.env.PAGE_READY_TIMEOUT_MS || "15000",
+  10
+);
+// Pin each seller to one proxy and fingerprint unless the seller overrides it
+const PROXY_STICKY = process.env.PROXY_STICKY === "true";
+// eBay page requests in flight at once across all sellers, started at least
+// SCRAPE_DELAY_MS plus up to SCRAPE_JITTER_MS apart
+const scrapeQueue = createLimiter({
+  concurrency: parseInt(process.env.SCRAPE_CONCURRENCY || "2", 10),
+  minDelayMs: parseInt(process.env.SCRAPE_DELAY_MS || "2000", 10),
+  jitterMs: parseInt(process.env.SCRAPE_JITTER_MS || "2000", 10),
+});
+const FIXTURES_DIR = path.resolve(
+  process.env.SCRAPER_FIXTURES_DIR ||
+    path.join(__dirname, "..", "tests", "fixtures")
+);
 
 /**
  * Creates a stealth browser context with anti-detection measures
  * @param {Browser} browser - Playwright browser instance
+ * @param {Object} fingerprint - Fingerprint from pickFingerprint (user agent, viewport, locale, timezone and location)
+ * @param {Object|null} proxy - Proxy entry from pickProxy (null for a direct connection)
  * @returns {Promise<BrowserContext>} Browser context with stealth settings
  */
-async function createStealthContext(browser) {
-  // Get a realistic user agent
-  const userAgent =
-    "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
-
+async function createStealthContext(browser, fingerprint, proxy = null) {
   return await browser.newContext({
-    viewport: { width: 1920, height: 1080 },
-    userAgent: userAgent,
-    locale: "en-US",
-    timezoneId: "America/New_York",
+    viewport: fingerprint.viewport,
+    deviceScaleFactor: fingerprint.deviceScaleFactor,
+    userAgent: fingerprint.userAgent,
+    locale: fingerprint.locale,
+    timezoneId: fingerprint.timeZone,
     permissions: ["geolocation"],
-    geolocation: { longitude: -74.006, latitude: 40.7128 },
+    geolocation: fingerprint.geolocation,
     colorScheme: "light",
+    proxy: toPlaywrightProxy(proxy),
     extraHTTPHeaders: {
-      "Accept-Language": "en-US,en;q=0.9",
+      "Accept-Language": fingerprint.acceptLanguage,
       Accept:
         "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8",
       "Accept-Encoding": "gzip, deflate, br",
       Connection: "keep-alive",
       "Upgrade-Insecure-Requests": "1",
+      "Sec-Ch-Ua": fingerprint.secChUa,
+      "Sec-Ch-Ua-Mobile": "?0",
+      "Sec-Ch-Ua-Platform": fingerprint.secChUaPlatform,
       "Sec-Fetch-Dest": "document",
       "Sec-Fetch-Mode": "navigate",
       "Sec-Fetch-Site": "none",
@@ -36,10 +111,282 @@ async function createStealthContext(browser) {
 }
 
 /**
- * Retry wrapper function for scraping operations
+ * Gets the sticky session key of a seller's scrape
+ * @param {string} ssn - Seller SSN/username
+ * @param {Object} options - Scrape options
+ * @param {boolean} options.stickyProxy - Pin the seller to one proxy and fingerprint (default: PROXY_STICKY)
+ * @returns {string|null} Sticky key, or null to rotate freely
+ */
+function getStickyKey(ssn, options = {}) {
+  return options.stickyProxy ?? PROXY_STICKY ? ssn : null;
+}
+
+/**
+ * Opens a page in a fresh stealth context on a pooled browser. Each call
+ * picks a proxy and a fingerprint, and reports the outcome to the proxy pool.
+ * @param {Function} fn - Async function receiving the Page
+ * @param {Object} marketplace - Marketplace definition
+ * @param {string} stickyKey - Seller key to pin the proxy and fingerprint to (optional)
+ * @returns {Promise<*>} Result of fn
+ */
+async function withStealthPage(
+  fn,
+  marketplace = getMarketplace(),
+  stickyKey = null
+) {
+  const fingerprint = pickFingerprint(marketplace, stickyKey);
+  const proxy = pickProxy(stickyKey);
+  if (proxy) {
+    console.log(`Using proxy ${proxy.id} with fingerprint ${fingerprint.id}`);
+  }
+
+  return browserPool.withBrowser(async (browser) => {
+    const context = await createStealthContext(browser, fingerprint, proxy);
+
+    try {
+      await blockUnneededResources(context);
+      const page = await context.newPage();
+
+      // Remove webdriver property
+      await page.addInitScript(
+        ({ languages, platform }) => {
+          Object.defineProperty(navigator, "webdriver", {
+            get: () => undefined,
+          });
+
+          // Mock plugins, languages and platform
+          Object.defineProperty(navigator, "plugins", {
+            get: () => [1, 2, 3, 4, 5],
+          });
+
+          Object.defineProperty(navigator, "languages", {
+            get: () => languages,
+          });
+
+          Object.defineProperty(navigator, "platform", {
+            get: () => platform,
+          });
+
+          // Override permissions
+          const originalQuery = window.navigator.permissions.query;
+          window.navigator.permissions.query = (parameters) =>
+            parameters.name === "notifications"
+              ? Promise.resolve({ state: Notification.permission })
+              : originalQuery(parameters);
+
+          // Mock chrome runtime
+          window.chrome = {
+            runtime: {},
+          };
+        },
+        { languages: fingerprint.languages, platform: fingerprint.platform }
+      );
+
+      const result = await fn(page);
+      reportProxyResult(proxy, PAGE_STATUS.OK);
+      return result;
+    } catch (error) {
+      reportProxyResult(proxy, error.status || PAGE_STATUS.NETWORK_ERROR);
+      throw error;
+    } finally {
+      await context.close().catch(() => {});
+    }
+  });
+}
+
+/**
+ * Runs a scrape with plain HTTP requests, using a proxy and fingerprint the
+ * same way withStealthPage does
+ * @param {Function} fn - Async function receiving load(url) => { html, httpStatus }
+ * @param {Object} marketplace - Marketplace definition
+ * @param {string} stickyKey - Seller key to pin the proxy and fingerprint to (optional)
+ * @param {boolean} browserFallback - True if a blocked or failed scrape is retried in the browser (default: false)
+ * @returns {Promise<*>} Result of fn
+ */
+async function withHttpSession(
+  fn,
+  marketplace,
+  stickyKey = null,
+  browserFallback = false
+) {
+  const fingerprint = pickFingerprint(marketplace, stickyKey);
+  const proxy = pickProxy(stickyKey);
+
+  try {
+    const result = await fn((url) => fetchHtml(url, { fingerprint, proxy }));
+    reportProxyResult(proxy, PAGE_STATUS.OK);
+    return result;
+  } catch (error) {
+    // A page that only needs JavaScript says nothing about the proxy; the
+    // browser retry reports its health instead
+    if (!browserFallback || !shouldEscalate(error)) {
+      reportProxyResult(proxy, error.status || PAGE_STATUS.NETWORK_ERROR);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Runs a seller scrape with the configured fetch strategy: plain HTTP first,
+ * escalating to the browser when the page looks blocked or incomplete
+ * @param {string} ssn - Seller SSN/username
+ * @param {Function} fn - Async function receiving load(url, readyKind) => { html, httpStatus } (readyKind: see loadUrl)
+ * @param {Object} marketplace - Marketplace definition
+ * @param {string} stickyKey - Seller key to pin the proxy and fingerprint to (optional)
+ * @returns {Promise<*>} Result of fn
+ */
+async function fetchWithStrategy(ssn, fn, marketplace, stickyKey = null) {
+  return runWithStrategy(ssn, {
+    http: ({ browserFallback }) =>
+      withHttpSession(
+        (load) => fn(pacedLoad(load)),
+        marketplace,
+        stickyKey,
+        browserFallback
+      ),
+    browser: () =>
+      withStealthPage(
+        (page) =>
+          fn(pacedLoad((url, readyKind) => loadUrl(page, url, readyKind))),
+        marketplace,
+        stickyKey
+      ),
+  });
+}
+
+/**
+ * Queues each page load of a scrape behind the shared eBay request limits
+ * @param {Function} load - load(url, readyKind) => { html, httpStatus }
+ * @returns {Function} Paced load with the same arguments
+ */
+function pacedLoad(load) {
+  return (url, readyKind) => scrapeQueue.run(() => load(url, readyKind));
+}
+
+/**
+ * Gets the limits and load of the eBay request queue
+ * @returns {Object} { concurrency, minDelayMs, jitterMs, active, queued, completed, failed }
+ */
+function getScrapeQueueStats() {
+  return scrapeQueue.getStats();
+}
+
+/**
+ * Builds the search parameters shared by a seller's listings and sold URLs
+ * @param {string} storeName - eBay store name
+ * @param {string} ssn - Seller SSN/username
+ * @param {Object} scope - What the URL covers
+ * @param {Object|null} scope.filters - Seller filters (see utils/listingFilters.js)
+ * @param {string|null} scope.storeCategory - Store category ID (null = whole store)
+ * @returns {URLSearchParams} Search parameters
+ */
+function buildSellerParams(
+  storeName,
+  ssn,
+  { filters = null, storeCategory = null }
+) {
+  const params = new URLSearchParams({
+    _dkr: "1",
+    iconV2Request: "true",
+    _blrs: "recall_filtering",
+    _ssn: ssn,
+    store_cat: storeCategory || "0",
+    store_name: storeName,
+    _oac: "1",
+  });
+  return applyFilterParams(params, filters);
+}
+
+/**
+ * Builds the search URL for a seller's newest active listings
+ * @param {string} storeName - eBay store name
+ * @param {string} ssn - Seller SSN/username
+ * @param {Object} marketplace - Marketplace definition
+ * @param {Object} scope - Filters and store category (see buildSellerParams)
+ * @returns {string} Search URL
+ */
+function buildListingsUrl(storeName, ssn, marketplace, scope = {}) {
+  const params = buildSellerParams(storeName, ssn, scope);
+  params.set("_sop", "10");
+  return `https://${marketplace.domain}/sch/i.html?${params.toString()}`;
+}
+
+/**
+ * Builds the search URL for one page of a seller's full active inventory
+ * @param {string} storeName - eBay store name
+ * @param {string} ssn - Seller SSN/username
+ * @param {Object} marketplace - Marketplace definition
+ * @param {number} pageNum - Results page number (1-based)
+ * @param {Object} scope - Filters and store category (see buildSellerParams)
+ * @returns {string} Search URL
+ */
+function buildInventoryUrl(storeName, ssn, marketplace, pageNum, scope = {}) {
+  // 240 is the largest page size eBay search accepts
+  return `${buildListingsUrl(
+    storeName,
+    ssn,
+    marketplace,
+    scope
+  )}&_ipg=240&_pgn=${pageNum}`;
+}
+
+/**
+ * Builds the search URL for a seller's sold items
+ * @param {string} storeName - eBay store name
+ * @param {string} ssn - Seller SSN/username
+ * @param {Object} marketplace - Marketplace definition
+ * @param {number} pageNum - Results page number (1-based, default: 1)
+ * @param {Object} scope - Filters and store category (see buildSellerParams)
+ * @returns {string} Search URL
+ */
+function buildSoldUrl(storeName, ssn, marketplace, pageNum = 1, scope = {}) {
+  const params = buildSellerParams(storeName, ssn, scope);
+  params.set("LH_Sold", "1");
+  params.set("LH_Complete", "1");
+  if (pageNum > 1) {
+    params.set("_pgn", String(pageNum));
+  }
+  return `https://${marketplace.domain}/sch/i.html?${params.toString()}`;
+}
+
+/**
+ * Lists the store categories a seller scrape walks, one request chain each
+ * @param {Object|null} filters - Seller filters
+ * @returns {Array<string|null>} Store category IDs, or [null] for the whole store
+ */
+function getStoreCategories(filters) {
+  return filters &&
+    filters.storeCategories &&
+    filters.storeCategories.length > 0
+    ? filters.storeCategories
+    : [null];
+}
+
+/**
+ * Merges the items of several store categories. A listing filed under two
+ * categories is kept from the first one only; repeat cards of one listing
+ * within a category (multi-quantity sales) are kept.
+ * @param {Array<Array>} lists - Items per store category
+ * @returns {Array} Merged items
+ */
+function mergeByItemId(lists) {
+  const merged = [];
+  const seenIds = new Set();
+  for (const items of lists) {
+    const fresh = items.filter((item) => !seenIds.has(item.itemId));
+    fresh.forEach((item) => seenIds.add(item.itemId));
+    merged.push(...fresh);
+  }
+  return merged;
+}
+
+/**
+ * Retry wrapper function for scraping operations. Blocked and not-found
+ * pages are not retried (retrying a challenge only deepens the block); other
+ * failures are retried with exponential backoff.
  * @param {Function} fn - Function to retry
- * @param {number} maxRetries - Maximum number of retries (default: 3)
- * @param {number} delayMs - Delay between retries in milliseconds (default: 5000)
+ * @param {number} maxRetries - Maximum number of attempts (default: 3)
+ * @param {number} delayMs - Delay before the first retry in milliseconds, doubled after each retry (default: 5000)
  * @returns {Promise} Result of the function
  */
 async function retryOperation(fn, maxRetries = 3, delayMs = 5000) {
@@ -48,517 +395,1042 @@ async function retryOperation(fn, maxRetries = 3, delayMs = 5000) {
       return await fn();
     } catch (error) {
       console.error(`Attempt ${attempt}/${maxRetries} failed:`, error.message);
-      if (attempt === maxRetries) {
+      if (
+        attempt === maxRetries ||
+        error instanceof BlockedError ||
+        error instanceof SellerNotFoundError
+      ) {
         throw error;
       }
-      console.log(`Retrying in ${delayMs / 1000} seconds...`);
-      await new Promise((resolve) => setTimeout(resolve, delayMs));
+      const waitMs = delayMs * Math.pow(2, attempt - 1);
+      console.log(`Retrying in ${waitMs / 1000} seconds...`);
+      await new Promise((resolve) => setTimeout(resolve, waitMs));
     }
   }
 }
 
+// How each page kind is classified (see classifyPage); others are search pages
+const PAGE_CLASSIFICATION = {
+  item: "item",
+  profile: "profile",
+  store: "profile",
+};
+
+// Last classified search page per seller and page kind, for status reporting
+const pageStatuses = new Map();
+
 /**
- * Scrapes eBay seller's active listings
- * @param {string} storeName - eBay store name
- * @param {string} ssn - Seller SSN/username
- * @returns {Promise<Array>} Array of listing objects
+ * Classifies a loaded page and throws a typed error if it failed
+ * @param {string} html - Page HTML
+ * @param {Object} context - Page context
+ * @param {string} context.ssn - Seller SSN/username (null for item pages)
+ * @param {string} context.kind - Page kind: 'listings', 'inventory', 'sold', 'profile', 'store' or 'item'
+ * @param {string} context.url - Page URL (optional)
+ * @param {number} context.httpStatus - HTTP status of the response (optional)
+ * @returns {string} Page status: 'ok' or 'empty'
+ * @throws {ScrapeError} BlockedError, SellerNotFoundError or NetworkError
  */
-async function getSellerListingsInternal(storeName, ssn) {
-  const browser = await chromium.launch({
-    headless: false,
-    args: [
-      "--disable-blink-features=AutomationControlled",
-      "--disable-dev-shm-usage",
-      "--no-sandbox",
-      "--disable-setuid-sandbox",
-      "--disable-web-security",
-      "--disable-features=IsolateOrigins,site-per-process",
-      "--disable-site-isolation-trials",
-    ],
+function checkPage(html, { ssn, kind, url = null, httpStatus = null }) {
+  const classification = classifyPage(html, {
+    kind: PAGE_CLASSIFICATION[kind] || "search",
+    httpStatus,
   });
-  const context = await createStealthContext(browser);
-  const page = await context.newPage();
-
-  // Remove webdriver property
-  await page.addInitScript(() => {
-    Object.defineProperty(navigator, "webdriver", {
-      get: () => undefined,
-    });
-
-    // Mock plugins and languages
-    Object.defineProperty(navigator, "plugins", {
-      get: () => [1, 2, 3, 4, 5],
-    });
 
-    Object.defineProperty(navigator, "languages", {
-      get: () => ["en-US", "en"],
+  if (kind !== "item") {
+    pageStatuses.set(`${ssn}:${kind}`, {
+      ...classification,
+      kind,
+      checkedAt: new Date().toISOString(),
     });
+  }
 
-    // Override permissions
-    const originalQuery = window.navigator.permissions.query;
-    window.navigator.permissions.query = (parameters) =>
-      parameters.name === "notifications"
-        ? Promise.resolve({ state: Notification.permission })
-        : originalQuery(parameters);
+  const error = errorForStatus(classification, { ssn, url });
+  if (error) {
+    throw error;
+  }
+  return classification.status;
+}
 
-    // Mock chrome runtime
-    window.chrome = {
-      runtime: {},
-    };
-  });
+/**
+ * Gets the outcome of the last search page loaded for a seller
+ * @param {string} ssn - Seller SSN/username
+ * @param {string} kind - Page kind: 'listings', 'inventory' or 'sold'
+ * @returns {Object|null} { status, reason, kind, checkedAt }
+ */
+function getLastPageStatus(ssn, kind) {
+  return pageStatuses.get(`${ssn}:${kind}`) || null;
+}
 
+/**
+ * Waits until a page shows what it will show: result cards, a "no results"
+ * marker or a block page. On timeout the page is read as it is and left to
+ * classifyPage.
+ * @param {Page} page - Playwright page
+ * @param {string} kind - 'search' (results page) or 'item' (item page)
+ * @returns {Promise<boolean>} True if the page became ready in time
+ */
+async function waitForReady(page, kind) {
+  const { selector, titlePatterns } = getReadinessCheck(kind);
   try {
-    // Navigate directly to seller's listings page with URL parameters
-    const url = `https://www.ebay.com/sch/i.html?_dkr=1&iconV2Request=true&_blrs=recall_filtering&_ssn=${encodeURIComponent(
-      ssn
-    )}&store_cat=0&store_name=${encodeURIComponent(storeName)}&_oac=1&_sop=10`;
-    console.log(url, "listings url");
+    await page.waitForFunction(
+      ({ selector, titlePatterns }) =>
+        document.querySelector(selector) !== null ||
+        titlePatterns.some((pattern) =>
+          new RegExp(pattern, "i").test(document.title)
+        ),
+      { selector, titlePatterns },
+      { timeout: PAGE_READY_TIMEOUT_MS, polling: 250 }
+    );
+    return true;
+  } catch (error) {
+    console.warn(
+      `Page not ready after ${PAGE_READY_TIMEOUT_MS}ms, reading it as it is`
+    );
+    return false;
+  }
+}
 
-    // Navigate directly to the listings page
-    await page.goto(url);
-    await page.waitForTimeout(8000); // Wait for page to fully load
+/**
+ * Navigates to a URL and returns the HTML once the page is ready
+ * @param {Page} page - Playwright page
+ * @param {string} url - Page URL
+ * @param {string} kind - 'search' (results page, default), 'item' (item page) or 'profile' (seller profile or store page)
+ * @returns {Promise<Object>} { html, httpStatus }
+ * @throws {NetworkError} If the navigation itself fails
+ */
+async function loadUrl(page, url, kind = "search") {
+  const startedAt = Date.now();
+  let response;
+  try {
+    response = await page.goto(url, { waitUntil: "domcontentloaded" });
+  } catch (error) {
+    throw new NetworkError(`Could not load ${url}: ${error.message}`, { url });
+  }
+  if (await waitForReady(page, kind)) {
+    console.log(`Page ready in ${Date.now() - startedAt}ms`);
+  }
 
-    // Wait for listings to load
-    // await page
-    //   .waitForSelector(".srp-results", { timeout: 10000 })
-    //   .catch(() => {});
+  return {
+    html: await page.content(),
+    httpStatus: response ? response.status() : null,
+  };
+}
 
-    const html = await page.content();
-    const $ = cheerio.load(html);
+/**
+ * Builds the path of a saved HTML snapshot. Item pages are saved as
+ * `item-<itemId>.html` (ssn 'item', kind = item ID).
+ * @param {string} ssn - Seller SSN/username
+ * @param {string} kind - Page kind: 'listings', 'inventory' or 'sold'
+ * @param {number} pageNum - Results page number (1-based)
+ * @returns {string} Absolute fixture path
+ */
+function getFixturePath(ssn, kind, pageNum = 1) {
+  const suffix = pageNum > 1 ? `-${pageNum}` : "";
+  return path.join(FIXTURES_DIR, `${ssn}-${kind}${suffix}.html`);
+}
 
-    const listings = [];
+/**
+ * Reads a saved HTML snapshot from disk
+ * @param {string} ssn - Seller SSN/username
+ * @param {string} kind - Page kind: 'listings' or 'sold'
+ * @param {number} pageNum - Results page number (1-based)
+ * @returns {Promise<string|null>} Page HTML, or null if no snapshot exists
+ */
+async function readFixture(ssn, kind, pageNum = 1) {
+  try {
+    return await fs.readFile(getFixturePath(ssn, kind, pageNum), "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+}
 
-    // Extract listings from the page - try both old and new HTML structures
-    $(".s-item, .s-card").each((index, element) => {
-      const $item = $(element);
+/**
+ * Reads and classifies a saved results page
+ * @param {string} ssn - Seller SSN/username
+ * @param {string} kind - Page kind: 'listings', 'inventory' or 'sold'
+ * @param {number} pageNum - Results page number (1-based)
+ * @returns {Promise<string|null>} Page HTML, or null if no snapshot exists
+ */
+async function readCheckedFixture(ssn, kind, pageNum = 1) {
+  const html = await readFixture(ssn, kind, pageNum);
+  if (html !== null) {
+    checkPage(html, { ssn, kind });
+  }
+  return html;
+}
 
-      // Only process items that have the "New Listing" badge
-      const hasNewListingBadge = $item.find(".s-card__new-listing").length > 0;
-      if (!hasNewListingBadge) {
-        return; // Skip items without "New Listing" badge
-      }
+/**
+ * Saves a scraped page as an HTML snapshot when running in record mode
+ * @param {string} html - Page HTML
+ * @param {string} ssn - Seller SSN/username
+ * @param {string} kind - Page kind: 'listings' or 'sold'
+ * @param {number} pageNum - Results page number (1-based)
+ * @returns {Promise<void>}
+ */
+async function recordFixture(html, ssn, kind, pageNum = 1) {
+  if (SCRAPER_MODE !== "record") return;
 
-      // Try new card structure first
-      let title = $item
-        .find(".s-card__title .su-styled-text.primary")
-        .first()
-        .text()
-        .trim();
-
-      // If no title found, try getting all text and filtering
-      if (!title) {
-        title = $item
-          .find(".s-card__title .su-styled-text")
-          .not(".clipped")
-          .first()
-          .text()
-          .trim();
-      }
+  try {
+    await fs.mkdir(FIXTURES_DIR, { recursive: true });
+    await fs.writeFile(getFixturePath(ssn, kind, pageNum), html, "utf8");
+  } catch (error) {
+    console.warn(`Could not record ${kind} fixture for ${ssn}:`, error.message);
+  }
+}
 
-      // Fallback to full title text
-      if (!title) {
-        title = $item.find(".s-card__title").text().trim();
-      }
+/**
+ * Parses a listings page and records which selectors matched (see utils/selectorHealth.js)
+ * @param {string} html - Search results page HTML
+ * @param {Object} options - Parse options (see parseListingsHtml)
+ * @param {string} kind - Page kind the statistics are kept under (default: 'listings')
+ * @returns {Array} Array of listing objects
+ */
+function parseTrackedListings(html, options, kind = "listings") {
+  const stats = createPageStats();
+  const listings = parseListingsHtml(html, { ...options, stats });
+  recordParse(kind, stats);
+  return listings;
+}
 
-      // If still no title found, try old structure
-      if (!title) {
-        title = $item.find(".s-item__title").text().trim();
-      }
+/**
+ * Parses a sold page and records which selectors matched (see utils/selectorHealth.js)
+ * @param {string} html - Sold search results page HTML
+ * @param {Object} options - Parse options (see parseSoldHtml)
+ * @returns {Array} Array of sold item objects
+ */
+function parseTrackedSold(html, options) {
+  const stats = createPageStats();
+  const soldItems = parseSoldHtml(html, { ...options, stats });
+  recordParse("sold", stats);
+  return soldItems;
+}
 
-      // Get link from various possible locations
-      let link =
-        $item.find(".s-card__link").attr("href") ||
-        $item.find("a.s-card__link").attr("href") ||
-        $item.find(".su-link").attr("href") ||
-        $item.find(".s-card__title").parent("a.su-link").attr("href") ||
-        $item.find(".s-item__link").attr("href");
-
-      // Get price from either structure
-      let price =
-        $item.find(".s-card__price").text().trim() ||
-        $item.find(".s-item__price").text().trim();
-
-      // Extract product image
-      let imageUrl =
-        $item.find(".s-card__image").attr("src") ||
-        $item.find(".s-item__image-img").attr("src") ||
-        null;
-
-      // Extract listed date (e.g., "Nov-1 23:24")
-      // Look for date in the attributes section
-      let listedDate = null;
-      $item.find(".s-card__attribute-row").each((_, row) => {
-        const text = $(row)
-          .find(".su-styled-text.secondary.bold.large")
-          .text()
-          .trim();
-        // Check if it matches date pattern like "Nov-1 23:24" or "Today 12:34"
-        if (
-          text &&
-          /^(Today|Yesterday|[A-Za-z]{3}-\d+\s+\d{2}:\d{2})/.test(text)
-        ) {
-          listedDate = text;
-          return false; // break
-        }
-      });
+/**
+ * Scrapes eBay seller's active listings
+ * @param {string} storeName - eBay store name
+ * @param {string} ssn - Seller SSN/username
+ * @param {Object} options - Listing options (see getSellerListings)
+ * @returns {Promise<Array>} Array of listing objects
+ */
+async function getSellerListingsInternal(storeName, ssn, options = {}) {
+  const marketplace = getMarketplace(options.marketplace);
 
-      // Handle relative URLs
-      if (link && !link.startsWith("http")) {
-        link = `https://www.ebay.com${link}`;
-      }
+  if (SCRAPER_MODE === "fixture") {
+    const html = await readCheckedFixture(ssn, "listings");
+    if (html === null) {
+      throw new Error(`No listings fixture found for seller ${ssn}`);
+    }
+    const listings = parseTrackedListings(html, {
+      storeName,
+      ssn,
+      marketplace,
+      newOnly: options.newOnly,
+    });
+    console.log(
+      `Found ${listings.length} listings for seller ${ssn} (fixture)`
+    );
+    return listings;
+  }
 
-      const itemId = link ? extractItemId(link) : null;
-
-      if (title && link && itemId) {
-        // Clean URL - remove query params but keep base URL
-        const cleanLink = link.split("?")[0];
-        listings.push({
-          itemId,
-          title,
-          link: cleanLink,
-          price,
-          sellerUsername: ssn,
-          storeName: storeName,
-          listedDate,
-          imageUrl,
+  return fetchWithStrategy(
+    ssn,
+    async (load) => {
+      const pages = [];
+      for (const storeCategory of getStoreCategories(options.filters)) {
+        // Navigate directly to seller's listings page with URL parameters
+        const url = buildListingsUrl(storeName, ssn, marketplace, {
+          filters: options.filters,
+          storeCategory,
         });
+        console.log(url, "listings url");
+
+        // Navigate directly to the listings page
+        const { html, httpStatus } = await load(url);
+        await recordFixture(html, ssn, "listings");
+        checkPage(html, { ssn, kind: "listings", url, httpStatus });
+
+        pages.push(
+          parseTrackedListings(html, {
+            storeName,
+            ssn,
+            marketplace,
+            newOnly: options.newOnly,
+          })
+        );
       }
-    });
+      const listings = mergeByItemId(pages);
 
-    console.log(`Found ${listings.length} listings for seller ${ssn}`);
+      console.log(`Found ${listings.length} listings for seller ${ssn}`);
 
-    return listings;
-  } finally {
-    await context.close();
-    await browser.close();
-  }
+      return listings;
+    },
+    marketplace,
+    getStickyKey(ssn, options)
+  );
 }
 
 /**
  * Wrapper for getSellerListings with retry logic
  * @param {string} storeName - eBay store name
  * @param {string} ssn - Seller SSN/username
+ * @param {Object} options - Listing options
+ * @param {string} options.marketplace - Marketplace ID (default: DEFAULT_MARKETPLACE)
+ * @param {boolean} options.stickyProxy - Pin the seller to one proxy and fingerprint (default: PROXY_STICKY)
+ * @param {Object} options.filters - Seller filters (see utils/listingFilters.js, not applied to fixtures)
+ * @param {boolean} options.newOnly - Only return "New Listing" cards (default: true)
  * @returns {Promise<Array>} Array of listing objects
  */
-async function getSellerListings(storeName, ssn) {
-  return retryOperation(() => getSellerListingsInternal(storeName, ssn));
+async function getSellerListings(storeName, ssn, options = {}) {
+  return retryOperation(() =>
+    getSellerListingsInternal(storeName, ssn, options)
+  );
 }
 
 /**
- * Scrapes eBay seller's sold items (internal)
- * @param {string} storeName - eBay store name
+ * Walks a seller's active listing pages until the last page
  * @param {string} ssn - Seller SSN/username
- * @returns {Promise<Object>} Seller info and sold items array
+ * @param {string} storeName - eBay store name
+ * @param {Function} loadPage - Async function (pageNum) => html, or null when there are no more pages
+ * @param {Object} marketplace - Marketplace definition
+ * @returns {Promise<Object>} { listings, pagesScraped, complete }
  */
-async function getSellerSoldItemsInternal(storeName, ssn) {
-  const browser = await chromium.launch({
-    headless: false,
-    args: [
-      "--disable-blink-features=AutomationControlled",
-      "--disable-dev-shm-usage",
-      "--no-sandbox",
-      "--disable-setuid-sandbox",
-      "--disable-web-security",
-      "--disable-features=IsolateOrigins,site-per-process",
-      "--disable-site-isolation-trials",
-    ],
-  });
-  const context = await createStealthContext(browser);
-  const page = await context.newPage();
+async function collectInventory(ssn, storeName, loadPage, marketplace) {
+  const listings = [];
+  const seenIds = new Set();
+  let pagesScraped = 0;
+  let complete = false;
+
+  for (let pageNum = 1; pageNum <= INVENTORY_MAX_PAGES; pageNum++) {
+    const html = await loadPage(pageNum);
+    if (html === null) {
+      complete = true;
+      break;
+    }
+    pagesScraped++;
+
+    const pageListings = parseTrackedListings(
+      html,
+      { storeName, ssn, marketplace, newOnly: false },
+      "inventory"
+    );
+
+    let newOnPage = 0;
+    for (const listing of pageListings) {
+      if (!seenIds.has(listing.itemId)) {
+        seenIds.add(listing.itemId);
+        listings.push(listing);
+        newOnPage++;
+      }
+    }
 
-  // Remove webdriver property
-  await page.addInitScript(() => {
-    Object.defineProperty(navigator, "webdriver", {
-      get: () => undefined,
-    });
+    // eBay repeats the last page when asked past the end
+    if (!hasNextPage(html) || newOnPage === 0) {
+      complete = true;
+      break;
+    }
+  }
 
-    // Mock plugins and languages
-    Object.defineProperty(navigator, "plugins", {
-      get: () => [1, 2, 3, 4, 5],
-    });
+  if (!complete) {
+    console.warn(
+      `Inventory for seller ${ssn} truncated at ${INVENTORY_MAX_PAGES} pages`
+    );
+  }
 
-    Object.defineProperty(navigator, "languages", {
-      get: () => ["en-US", "en"],
-    });
+  return { listings, pagesScraped, complete };
+}
 
-    // Override permissions
-    const originalQuery = window.navigator.permissions.query;
-    window.navigator.permissions.query = (parameters) =>
-      parameters.name === "notifications"
-        ? Promise.resolve({ state: Notification.permission })
-        : originalQuery(parameters);
+/**
+ * Scrapes a seller's full active inventory (internal)
+ * @param {string} storeName - eBay store name
+ * @param {string} ssn - Seller SSN/username
+ * @param {Object} options - Inventory options (see getSellerInventory)
+ * @returns {Promise<Object>} Seller info, listings and pagination status
+ */
+async function getSellerInventoryInternal(storeName, ssn, options = {}) {
+  const marketplace = getMarketplace(options.marketplace);
+
+  let result;
+  if (SCRAPER_MODE === "fixture") {
+    const firstPage = await readCheckedFixture(ssn, "inventory");
+    if (firstPage === null) {
+      throw new Error(`No inventory fixture found for seller ${ssn}`);
+    }
 
-    // Mock chrome runtime
-    window.chrome = {
-      runtime: {},
-    };
-  });
+    result = await collectInventory(
+      ssn,
+      storeName,
+      (pageNum) =>
+        pageNum === 1
+          ? firstPage
+          : readCheckedFixture(ssn, "inventory", pageNum),
+      marketplace
+    );
+  } else {
+    result = await fetchWithStrategy(
+      ssn,
+      async (load) => {
+        const results = [];
+        for (const storeCategory of getStoreCategories(options.filters)) {
+          const loadPage = async (pageNum) => {
+            const url = buildInventoryUrl(
+              storeName,
+              ssn,
+              marketplace,
+              pageNum,
+              {
+                filters: options.filters,
+                storeCategory,
+              }
+            );
+            console.log(url, "inventory url");
 
-  try {
-    // Navigate directly to seller's sold items page with URL parameters
-    const url = `https://www.ebay.com/sch/i.html?_dkr=1&iconV2Request=true&_blrs=recall_filtering&_ssn=${encodeURIComponent(
-      ssn
-    )}&store_cat=0&store_name=${encodeURIComponent(
-      storeName
-    )}&_oac=1&LH_Sold=1&LH_Complete=1`;
-    console.log(url, "sold items url");
-
-    // Navigate directly to the sold items page
-    await page.goto(url);
-    await page.waitForTimeout(10000); // Wait for page to fully load
-
-    console.log("page loaded");
-    // Extract seller feedback score first
-    let html = await page.content();
-    let $ = cheerio.load(html);
-
-    const soldItems = [];
-    let pageNum = 1;
-    let hasMorePages = true;
-    let shouldContinuePagination = true;
-
-    // Paginate through all sold items
-    while (hasMorePages && shouldContinuePagination) {
-      console.log(`Scraping page ${pageNum} of sold items for seller ${ssn}`);
-
-      // First, collect ALL items from current page
-      const pageItems = [];
-      $(".s-item, .s-card").each((index, element) => {
-        const $item = $(element);
-
-        // Try new card structure first
-        let title = $item
-          .find(".s-card__title .su-styled-text.primary")
-          .first()
-          .text()
-          .trim();
-
-        // If no title found, try getting all text and filtering
-        if (!title) {
-          title = $item
-            .find(".s-card__title .su-styled-text")
-            .not(".clipped")
-            .first()
-            .text()
-            .trim();
-        }
+            const { html, httpStatus } = await load(url);
+            await recordFixture(html, ssn, "inventory", pageNum);
+            checkPage(html, { ssn, kind: "inventory", url, httpStatus });
+            return html;
+          };
 
-        // Fallback to full title text
-        if (!title) {
-          title = $item.find(".s-card__title").text().trim();
+          results.push(
+            await collectInventory(ssn, storeName, loadPage, marketplace)
+          );
         }
 
-        // If still no title found, try old structure
-        if (!title) {
-          title = $item.find(".s-item__title").text().trim();
-        }
+        return {
+          listings: mergeByItemId(results.map((r) => r.listings)),
+          pagesScraped: results.reduce((sum, r) => sum + r.pagesScraped, 0),
+          complete: results.every((r) => r.complete),
+        };
+      },
+      marketplace,
+      getStickyKey(ssn, options)
+    );
+  }
 
-        // Get link from various possible locations
-        let link =
-          $item.find(".s-card__link").attr("href") ||
-          $item.find("a.s-card__link").attr("href") ||
-          $item.find(".su-link").attr("href") ||
-          $item.find(".s-card__title").parent("a.su-link").attr("href") ||
-          $item.find(".s-item__link").attr("href");
-
-        // Get price from either structure
-        let price =
-          $item.find(".s-card__price").text().trim() ||
-          $item.find(".s-item__price").text().trim();
-
-        // Extract product image
-        let imageUrl =
-          $item.find(".s-card__image").attr("src") ||
-          $item.find(".s-item__image-img").attr("src") ||
-          null;
-
-        // Extract sold date
-        let soldDateText = $item
-          .find(".su-styled-text.positive.default")
-          .text()
-          .trim();
-
-        // Skip if no sold date found
-        if (!soldDateText || !soldDateText.includes("Sold")) {
-          return; // Skip this item
-        }
+  console.log(
+    `Found ${result.listings.length} active listings across ${result.pagesScraped} page(s) for seller ${ssn}`
+  );
 
-        // Handle relative URLs
-        if (link && !link.startsWith("http")) {
-          link = `https://www.ebay.com${link}`;
-        }
+  return {
+    sellerUsername: ssn,
+    storeName: storeName,
+    ...result,
+  };
+}
 
-        const itemId = link ? extractItemId(link) : null;
-
-        // Check if item is marked as sold (for sold items page, all items should be sold)
-        const soldText = $item.text().toLowerCase();
-        if (
-          title &&
-          link &&
-          itemId &&
-          (soldText.includes("sold") || soldText.includes("ended"))
-        ) {
-          pageItems.push({
-            itemId,
-            title,
-            link,
-            price,
-            sellerUsername: ssn,
-            storeName: storeName,
-            imageUrl,
-            soldDate: soldDateText,
-          });
-        }
-      });
+/**
+ * Wrapper for getSellerInventory with retry logic
+ * @param {string} storeName - eBay store name
+ * @param {string} ssn - Seller SSN/username
+ * @param {Object} options - Inventory options
+ * @param {string} options.marketplace - Marketplace ID (default: DEFAULT_MARKETPLACE)
+ * @param {boolean} options.stickyProxy - Pin the seller to one proxy and fingerprint (default: PROXY_STICKY)
+ * @param {Object} options.filters - Seller filters (see utils/listingFilters.js, not applied to fixtures)
+ * @returns {Promise<Object>} { sellerUsername, storeName, listings, pagesScraped, complete }
+ */
+async function getSellerInventory(storeName, ssn, options = {}) {
+  return retryOperation(() =>
+    getSellerInventoryInternal(storeName, ssn, options)
+  );
+}
 
-      // Now process all collected items and check dates
-      // Only continue to next page if the last item on current page is within range
-      let lastItemInRange = false;
-      for (let i = 0; i < pageItems.length; i++) {
-        const item = pageItems[i];
-        // Parse and check if sold within last 2 days
-        let soldWithinTwoDays = false;
-        if (item.soldDate && item.soldDate.includes("Sold")) {
-          try {
-            // Extract date from "Sold  Nov 2, 2025"
-            const dateMatch = item.soldDate.match(
-              /Sold\s+([A-Za-z]+\s+\d+,\s+\d{4})/
-            );
-            if (dateMatch) {
-              console.log(dateMatch[1], "dateMatch[1]");
-              const soldDate = new Date(dateMatch[1]);
-              const currentDate = new Date();
-              const diffTime = currentDate - soldDate;
-              const diffDays = diffTime / (1000 * 60 * 60 * 24);
-              soldWithinTwoDays = diffDays <= 2;
-            } else {
-              // If date parsing fails, include the item anyway
-              soldWithinTwoDays = true;
-            }
-          } catch (error) {
-            // If date parsing fails, include the item anyway
-            soldWithinTwoDays = true;
-          }
-        }
+/**
+ * Walks sold result pages, keeping items sold within the lookback window.
+ * Items with an unparseable sold date are kept and flagged (`soldDateUnparsed`).
+ * @param {string} ssn - Seller SSN/username
+ * @param {string} storeName - eBay store name
+ * @param {Function} loadPage - Async function (pageNum) => html, or null when there are no more pages
+ * @param {Object} options - Sold item options
+ * @param {number} options.lookbackDays - Only keep items sold within this many days
+ * @param {Object} options.marketplace - Marketplace definition
+ * @param {boolean} options.cardSellers - Read the seller from each card instead of using ssn (keyword searches)
+ * @returns {Promise<Array>} Sold items within range
+ */
+async function collectSoldItems(
+  ssn,
+  storeName,
+  loadPage,
+  {
+    lookbackDays = DEFAULT_LOOKBACK_DAYS,
+    marketplace = getMarketplace(),
+    cardSellers = false,
+  } = {}
+) {
+  const soldItems = [];
+  let pageNum = 1;
+  let html = await loadPage(pageNum);
+  const now = new Date();
+
+  // Paginate through all sold items
+  while (html !== null) {
+    console.log(`Scraping page ${pageNum} of sold items for seller ${ssn}`);
+
+    // First, collect ALL items from current page
+    const pageItems = parseTrackedSold(html, {
+      storeName,
+      ssn: cardSellers ? null : ssn,
+      marketplace,
+    });
 
-        // Only add items sold within last 2 days
-        if (soldWithinTwoDays) {
-          // Clean URL - remove query params but keep base URL
-          const cleanLink = item.link.split("?")[0];
-          soldItems.push({
-            itemId: item.itemId,
-            title: item.title,
-            link: cleanLink,
-            price: item.price,
-            sellerUsername: ssn,
-            storeName: storeName,
-            imageUrl: item.imageUrl,
-            soldDate: item.soldDate,
-          });
+    // Now process all collected items and check dates
+    // Only continue to next page if the last item on current page is within range
+    let lastItemInRange = false;
+    for (let i = 0; i < pageItems.length; i++) {
+      const item = pageItems[i];
 
-          // Track if this is the last item and it's in range
-          if (i === pageItems.length - 1) {
-            lastItemInRange = true;
-          }
-        } else {
-          // Found an item older than 2 days
-          // If this is the last item, we should stop pagination
-          if (i === pageItems.length - 1) {
-            lastItemInRange = false;
-          }
-          // Continue processing other items on this page even if one is out of range
-        }
+      let inRange;
+      if (item.soldDateUnparsed) {
+        console.warn(
+          `Could not parse sold date "${item.soldDate}" for item ${item.itemId}, flagging it`
+        );
+        inRange = true;
+      } else {
+        inRange = isWithinLookback(new Date(item.soldAt), lookbackDays, now);
       }
 
-      // Only continue to next page if the last item on this page was within range
-      // This means all items on current page were within range, so there might be more
-      if (!lastItemInRange) {
-        shouldContinuePagination = false;
-        console.log(
-          "Stopped pagination: Found items older than 2 days on page",
-          pageNum
-        );
+      if (inRange) {
+        soldItems.push(item);
       }
 
-      // Check for next page button only if we should continue
-      if (shouldContinuePagination) {
-        try {
-          const nextButton = await page
-            .locator(
-              'a.pagination__next.icon-link[aria-label="Go to next search page"]'
-            )
-            .first();
-          if (await nextButton.isVisible({ timeout: 5000 })) {
-            await nextButton.click();
-            await page
-              .waitForLoadState("networkidle", { timeout: 10000 })
-              .catch(() => {});
-            // Re-load the HTML for the new page
-            html = await page.content();
-            $ = cheerio.load(html);
-            pageNum++;
-          } else {
-            hasMorePages = false;
-          }
-        } catch (error) {
-          hasMorePages = false;
-        }
+      // Track whether the last item on the page is in range
+      if (i === pageItems.length - 1) {
+        lastItemInRange = inRange;
       }
     }
 
-    console.log(`Found ${soldItems.length} total sold items for seller ${ssn}`);
+    // Only continue to next page if the last item on this page was within range
+    // This means all items on current page were within range, so there might be more
+    if (!lastItemInRange) {
+      console.log(
+        `Stopped pagination: Found items older than ${lookbackDays} days on page`,
+        pageNum
+      );
+      break;
+    }
+
+    pageNum++;
+    html = await loadPage(pageNum);
+  }
+
+  return soldItems;
+}
+
+/**
+ * Scrapes eBay seller's sold items (internal)
+ * @param {string} storeName - eBay store name
+ * @param {string} ssn - Seller SSN/username
+ * @param {Object} options - Sold item options (see collectSoldItems)
+ * @returns {Promise<Object>} Seller info and sold items array
+ */
+async function getSellerSoldItemsInternal(storeName, ssn, options = {}) {
+  const marketplace = getMarketplace(options.marketplace);
+  const soldOptions = { lookbackDays: options.lookbackDays, marketplace };
+
+  if (SCRAPER_MODE === "fixture") {
+    const firstPage = await readCheckedFixture(ssn, "sold");
+    if (firstPage === null) {
+      throw new Error(`No sold fixture found for seller ${ssn}`);
+    }
+
+    const soldItems = await collectSoldItems(
+      ssn,
+      storeName,
+      (pageNum) =>
+        pageNum === 1 ? firstPage : readCheckedFixture(ssn, "sold", pageNum),
+      soldOptions
+    );
+    console.log(
+      `Found ${soldItems.length} total sold items for seller ${ssn} (fixture)`
+    );
 
     return {
       sellerUsername: ssn,
       storeName: storeName,
       soldItems,
     };
-  } finally {
-    await context.close();
-    await browser.close();
   }
+
+  return fetchWithStrategy(
+    ssn,
+    async (load) => {
+      const categoryItems = [];
+      for (const storeCategory of getStoreCategories(options.filters)) {
+        let previousHtml = null;
+
+        const loadPage = async (pageNum) => {
+          // Follow the next page link only while the last page had one
+          if (pageNum > 1 && !hasNextPage(previousHtml)) {
+            return null;
+          }
+
+          // Navigate directly to seller's sold items page with URL parameters
+          const url = buildSoldUrl(storeName, ssn, marketplace, pageNum, {
+            filters: options.filters,
+            storeCategory,
+          });
+          console.log(url, "sold items url");
+
+          const { html, httpStatus } = await load(url);
+          await recordFixture(html, ssn, "sold", pageNum);
+          checkPage(html, { ssn, kind: "sold", url, httpStatus });
+          previousHtml = html;
+          return html;
+        };
+
+        categoryItems.push(
+          await collectSoldItems(ssn, storeName, loadPage, soldOptions)
+        );
+      }
+      const soldItems = mergeByItemId(categoryItems);
+
+      console.log(
+        `Found ${soldItems.length} total sold items for seller ${ssn}`
+      );
+
+      return {
+        sellerUsername: ssn,
+        storeName: storeName,
+        soldItems,
+      };
+    },
+    marketplace,
+    getStickyKey(ssn, options)
+  );
 }
 
 /**
  * Wrapper for getSellerSoldItems with retry logic
  * @param {string} storeName - eBay store name
  * @param {string} ssn - Seller SSN/username
+ * @param {Object} options - Sold item options
+ * @param {number} options.lookbackDays - Only keep items sold within this many days (default: SOLD_LOOKBACK_DAYS)
+ * @param {string} options.marketplace - Marketplace ID (default: DEFAULT_MARKETPLACE)
+ * @param {boolean} options.stickyProxy - Pin the seller to one proxy and fingerprint (default: PROXY_STICKY)
+ * @param {Object} options.filters - Seller filters (see utils/listingFilters.js, not applied to fixtures)
  * @returns {Promise<Object>} Seller info and sold items array
  */
-async function getSellerSoldItems(storeName, ssn) {
-  return retryOperation(() => getSellerSoldItemsInternal(storeName, ssn));
+async function getSellerSoldItems(storeName, ssn, options = {}) {
+  return retryOperation(() =>
+    getSellerSoldItemsInternal(storeName, ssn, options)
+  );
 }
 
 /**
- * Extracts item ID from eBay URL
- * @param {string} url - eBay item URL
- * @returns {string|null} Item ID
+ * Scrapes the newest active listings of a search monitor (internal)
+ * @param {string} searchId - Search monitor ID (fixture and statistics key)
+ * @param {Object} query - Normalized search query
+ * @param {Object} options - Search options (see getSearchListings)
+ * @returns {Promise<Array>} Array of listing objects
  */
-function extractItemId(url) {
-  if (!url) return null;
+async function getSearchListingsInternal(searchId, query, options = {}) {
+  const marketplace = getMarketplace(options.marketplace);
+  const parseOptions = { storeName: null, ssn: null, marketplace };
+
+  if (SCRAPER_MODE === "fixture") {
+    const html = await readCheckedFixture(searchId, "listings");
+    if (html === null) {
+      throw new Error(`No listings fixture found for search ${searchId}`);
+    }
+    const listings = parseTrackedListings(
+      html,
+      { ...parseOptions, newOnly: false },
+      "search"
+    );
+    console.log(
+      `Found ${listings.length} listings for search ${searchId} (fixture)`
+    );
+    return listings;
+  }
 
-  // Try to extract from URL patterns like /itm/123456789
-  const match = url.match(/\/itm\/(\d+)/);
-  if (match) {
-    return match[1];
+  return fetchWithStrategy(
+    searchId,
+    async (load) => {
+      const url = buildSearchUrl(query, marketplace);
+      console.log(url, "search url");
+
+      const { html, httpStatus } = await load(url);
+      await recordFixture(html, searchId, "listings");
+      checkPage(html, { ssn: searchId, kind: "listings", url, httpStatus });
+
+      const listings = parseTrackedListings(
+        html,
+        { ...parseOptions, newOnly: false },
+        "search"
+      );
+      console.log(`Found ${listings.length} listings for search ${searchId}`);
+      return listings;
+    },
+    marketplace,
+    getStickyKey(searchId, options)
+  );
+}
+
+/**
+ * Wrapper for getSearchListings with retry logic
+ * @param {string} searchId - Search monitor ID
+ * @param {Object} query - Normalized search query (see utils/searchQuery.js)
+ * @param {Object} options - Search options
+ * @param {string} options.marketplace - Marketplace ID (default: DEFAULT_MARKETPLACE)
+ * @param {boolean} options.stickyProxy - Pin the search to one proxy and fingerprint (default: PROXY_STICKY)
+ * @returns {Promise<Array>} Listings, newest first
+ */
+async function getSearchListings(searchId, query, options = {}) {
+  return retryOperation(() =>
+    getSearchListingsInternal(searchId, query, options)
+  );
+}
+
+/**
+ * Scrapes the recently sold items of a search monitor (internal)
+ * @param {string} searchId - Search monitor ID (fixture and statistics key)
+ * @param {Object} query - Normalized search query
+ * @param {Object} options - Sold item options (see getSearchSoldItems)
+ * @returns {Promise<Object>} { searchId, soldItems }
+ */
+async function getSearchSoldItemsInternal(searchId, query, options = {}) {
+  const marketplace = getMarketplace(options.marketplace);
+  const soldOptions = {
+    lookbackDays: options.lookbackDays,
+    marketplace,
+    cardSellers: true,
+  };
+
+  let soldItems;
+  if (SCRAPER_MODE === "fixture") {
+    const firstPage = await readCheckedFixture(searchId, "sold");
+    if (firstPage === null) {
+      throw new Error(`No sold fixture found for search ${searchId}`);
+    }
+    soldItems = await collectSoldItems(
+      searchId,
+      null,
+      (pageNum) =>
+        pageNum === 1
+          ? firstPage
+          : readCheckedFixture(searchId, "sold", pageNum),
+      soldOptions
+    );
+  } else {
+    soldItems = await fetchWithStrategy(
+      searchId,
+      async (load) => {
+        let previousHtml = null;
+
+        const loadPage = async (pageNum) => {
+          if (pageNum > 1 && !hasNextPage(previousHtml)) {
+            return null;
+          }
+
+          const url = buildSearchUrl(query, marketplace, {
+            sold: true,
+            pageNum,
+          });
+          console.log(url, "search sold url");
+
+          const { html, httpStatus } = await load(url);
+          await recordFixture(html, searchId, "sold", pageNum);
+          checkPage(html, { ssn: searchId, kind: "sold", url, httpStatus });
+          previousHtml = html;
+          return html;
+        };
+
+        return collectSoldItems(searchId, null, loadPage, soldOptions);
+      },
+      marketplace,
+      getStickyKey(searchId, options)
+    );
   }
 
-  // Try to extract from query parameters
-  try {
-    // Handle relative URLs
-    const fullUrl = url.startsWith("http") ? url : `https://www.ebay.com${url}`;
-    const urlObj = new URL(fullUrl);
-    const itemId =
-      urlObj.searchParams.get("_id") ||
-      urlObj.searchParams.get("item") ||
-      urlObj.searchParams.get("itm");
-    return itemId || null;
-  } catch (error) {
-    return null;
+  console.log(`Found ${soldItems.length} sold items for search ${searchId}`);
+  return { searchId, soldItems };
+}
+
+/**
+ * Wrapper for getSearchSoldItems with retry logic
+ * @param {string} searchId - Search monitor ID
+ * @param {Object} query - Normalized search query (see utils/searchQuery.js)
+ * @param {Object} options - Sold item options
+ * @param {number} options.lookbackDays - Only keep items sold within this many days (default: SOLD_LOOKBACK_DAYS)
+ * @param {string} options.marketplace - Marketplace ID (default: DEFAULT_MARKETPLACE)
+ * @param {boolean} options.stickyProxy - Pin the search to one proxy and fingerprint (default: PROXY_STICKY)
+ * @returns {Promise<Object>} { searchId, soldItems }
+ */
+async function getSearchSoldItems(searchId, query, options = {}) {
+  return retryOperation(() =>
+    getSearchSoldItemsInternal(searchId, query, options)
+  );
+}
+
+/**
+ * Looks a seller up on eBay before it is added (internal)
+ * @param {string|null} storeName - eBay store name as entered
+ * @param {string|null} ssn - Seller SSN/username as entered
+ * @param {Object} options - Validation options (see validateSeller)
+ * @returns {Promise<Object>} Validation result (see validateSeller)
+ */
+async function validateSellerInternal(storeName, ssn, options = {}) {
+  const marketplace = getMarketplace(options.marketplace);
+  const origin = getOrigin(marketplace.id);
+  const key = ssn || storeName;
+
+  const validate = async (load) => {
+    // Loads and classifies one page, or replays its fixture
+    const loadPage = async (pageKey, kind, url) => {
+      if (SCRAPER_MODE === "fixture") {
+        const html = await readCheckedFixture(pageKey, kind);
+        if (html === null) {
+          throw new Error(`No ${kind} fixture found for seller ${pageKey}`);
+        }
+        return html;
+      }
+
+      console.log(url, `${kind} url`);
+      const { html, httpStatus } = await load(
+        url,
+        PAGE_CLASSIFICATION[kind] || "search"
+      );
+      await recordFixture(html, pageKey, kind);
+      checkPage(html, { ssn: pageKey, kind, url, httpStatus });
+      return html;
+    };
+
+    // The profile page names the seller's store, the store page its owner
+    const identity = parseSellerProfileHtml(
+      ssn
+        ? await loadPage(
+            ssn,
+            "profile",
+            `${origin}/usr/${encodeURIComponent(ssn)}`
+          )
+        : await loadPage(
+            storeName,
+            "store",
+            `${origin}/str/${encodeURIComponent(storeName)}`
+          )
+    );
+
+    const resolvedSsn = identity.username || ssn;
+    if (!resolvedSsn) {
+      throw new SellerNotFoundError(
+        `Could not find the seller of store ${storeName}`,
+        { ssn: storeName }
+      );
+    }
+
+    const mismatches = [];
+    const differs = (given, resolved) =>
+      given && resolved && given.toLowerCase() !== resolved.toLowerCase();
+    // A renamed seller's old username leads to the profile of the new one
+    if (differs(ssn, identity.canonicalUsername)) {
+      mismatches.push({
+        field: "ssn",
+        given: ssn,
+        resolved: identity.canonicalUsername,
+      });
+    }
+    if (differs(storeName, identity.storeName)) {
+      mismatches.push({
+        field: "storeName",
+        given: storeName,
+        resolved: identity.storeName,
+      });
+    }
+
+    const warnings = [];
+    if (!identity.storeName) {
+      warnings.push(
+        storeName
+          ? `Seller ${resolvedSsn} has no eBay store, storeName "${storeName}" could not be checked`
+          : `Seller ${resolvedSsn} has no eBay store, using the username as storeName`
+      );
+    }
+    const resolvedStoreName = identity.storeName || storeName || resolvedSsn;
+
+    // Preview of what monitoring will find
+    const inventoryHtml = await loadPage(
+      resolvedSsn,
+      "inventory",
+      buildInventoryUrl(resolvedStoreName, resolvedSsn, marketplace, 1)
+    );
+    const soldHtml = await loadPage(
+      resolvedSsn,
+      "sold",
+      buildSoldUrl(resolvedStoreName, resolvedSsn, marketplace)
+    );
+    const parseOptions = {
+      storeName: resolvedStoreName,
+      ssn: resolvedSsn,
+      marketplace,
+    };
+    const preview = {
+      activeListings:
+        parseResultCount(inventoryHtml) ??
+        parseTrackedListings(
+          inventoryHtml,
+          { ...parseOptions, newOnly: false },
+          "inventory"
+        ).length,
+      soldItems:
+        parseResultCount(soldHtml) ??
+        parseTrackedSold(soldHtml, parseOptions).length,
+    };
+    if (preview.activeListings === 0 && preview.soldItems === 0) {
+      warnings.push(
+        `Seller ${resolvedSsn} has no active listings or sold items on ${marketplace.name}`
+      );
+    }
+
+    return {
+      ssn: resolvedSsn,
+      storeName: resolvedStoreName,
+      hasStore: !!identity.storeName,
+      mismatches,
+      warnings,
+      preview,
+    };
+  };
+
+  if (SCRAPER_MODE === "fixture") {
+    return validate(null);
   }
+  return fetchWithStrategy(
+    key,
+    validate,
+    marketplace,
+    getStickyKey(key, options)
+  );
+}
+
+/**
+ * Checks that a seller exists and resolves the half of storeName/ssn that
+ * was left out. Either one is enough; when both are given, a store name that
+ * does not belong to the seller is reported as a mismatch.
+ * @param {string|null} storeName - eBay store name (optional if ssn is given)
+ * @param {string|null} ssn - Seller SSN/username (optional if storeName is given)
+ * @param {Object} options - Validation options
+ * @param {string} options.marketplace - Marketplace ID (default: DEFAULT_MARKETPLACE)
+ * @param {boolean} options.stickyProxy - Pin the seller to one proxy and fingerprint (default: PROXY_STICKY)
+ * @returns {Promise<Object>} { ssn, storeName, hasStore, mismatches: [{ field, given, resolved }], warnings, preview: { activeListings, soldItems } }
+ * @throws {SellerNotFoundError} If the seller or store does not exist
+ */
+async function validateSeller(storeName, ssn, options = {}) {
+  return retryOperation(() => validateSellerInternal(storeName, ssn, options));
+}
+
+/**
+ * Creates the item page budget of one monitoring cycle
+ * @returns {Object} Budget { remaining } (0 when ITEM_DETAILS_ENABLED is not set)
+ */
+function createDetailBudget() {
+  return { remaining: ITEM_DETAILS_ENABLED ? ITEM_DETAILS_MAX_PER_CYCLE : 0 };
+}
+
+/**
+ * Opens the item page of each item and attaches the parsed `details`. Pages
+ * are loaded in the browser, or over plain HTTP with FETCH_STRATEGY=http.
+ * Only as many items as the budget allows are opened; the rest are left as is.
+ * A failed item page is logged and skipped; a blocked one stops the batch.
+ * Details are optional, so this never throws: when no item page can be opened
+ * (e.g. the browser does not launch) the items are sent without them.
+ * @param {Array} items - Listings or sold items (modified in place)
+ * @param {Object} options - Enrichment options
+ * @param {string} options.marketplace - Marketplace ID (default: DEFAULT_MARKETPLACE)
+ * @param {Object} options.budget - Budget from createDetailBudget (shared across the cycle)
+ * @returns {Promise<number>} Number of items enriched
+ */
+async function enrichItemDetails(items, options = {}) {
+  const budget = options.budget || createDetailBudget();
+  const batch = items.slice(0, Math.max(0, budget.remaining));
+  if (batch.length === 0) return 0;
+  budget.remaining -= batch.length;
+
+  const marketplace = getMarketplace(options.marketplace);
+  let enriched = 0;
+
+  const enrich = async (item, html) => {
+    if (html === null) {
+      console.warn(`No item page available for item ${item.itemId}`);
+      return;
+    }
+    item.details = parseItemHtml(html, { marketplace });
+    enriched++;
+  };
+
+  if (SCRAPER_MODE === "fixture") {
+    for (const item of batch) {
+      await enrich(item, await readFixture("item", item.itemId));
+    }
+  } else {
+    // load(url, readyKind) => { html, httpStatus }
+    const loadBatch = async (load) => {
+      for (const item of batch) {
+        try {
+          const url = `${getOrigin(marketplace.id)}/itm/${item.itemId}`;
+          const { html, httpStatus } = await scrapeQueue.run(() =>
+            load(url, "item")
+          );
+          await recordFixture(html, "item", item.itemId);
+          checkPage(html, { ssn: null, kind: "item", url, httpStatus });
+          await enrich(item, html);
+        } catch (error) {
+          console.error(
+            `Failed to load item page for ${item.itemId}:`,
+            error.message
+          );
+          // A block ends the batch and counts against the proxy
+          if (error instanceof BlockedError) {
+            throw error;
+          }
+        }
+      }
+    };
+
+    try {
+      // 'http' never opens a browser, item pages included
+      if (FETCH_STRATEGY === "http") {
+        await withHttpSession(loadBatch, marketplace);
+      } else {
+        await withStealthPage(
+          (page) =>
+            loadBatch((url, readyKind) => loadUrl(page, url, readyKind)),
+          marketplace
+        );
+      }
+    } catch (error) {
+      if (!(error instanceof BlockedError)) {
+        console.error("Could not open item pages:", error.message);
+      }
+      console.log(`${batch.length - enriched} item(s) sent without details`);
+    }
+  }
+
+  if (items.length > batch.length) {
+    console.log(
+      `Item page budget used up, ${
+        items.length - batch.length
+      } item(s) sent without details`
+    );
+  }
+
+  return enriched;
 }
 
 module.exports = {
   getSellerListings,
+  getSellerInventory,
   getSellerSoldItems,
+  getSearchListings,
+  getSearchSoldItems,
+  validateSeller,
+  buildListingsUrl,
+  buildSoldUrl,
+  createDetailBudget,
+  enrichItemDetails,
+  getLastPageStatus,
+  getScrapeQueueStats,
+  parseListingsHtml,
+  parseSoldHtml,
+  extractItemId,
 };
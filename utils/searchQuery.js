@@ -0,0 +1,120 @@
+const {
+  CONDITION_IDS,
+  normalizePriceRange,
+  normalizeConditions,
+  applyFilterParams,
+} = require("./listingFilters");
+
+// What a search monitor reports: new listings, recent solds or both
+const SEARCH_WATCH_MODES = ["listings", "sold", "both"];
+
+/**
+ * Validates and normalizes the query of a search monitor
+ * @param {Object} raw - Query from the request body
+ * @param {string} raw.keywords - Search keywords
+ * @param {string|number} raw.categoryId - eBay category ID (optional)
+ * @param {number} raw.minPrice - Minimum price (optional)
+ * @param {number} raw.maxPrice - Maximum price (optional)
+ * @param {string|Array<string>} raw.condition - Condition(s), see CONDITION_IDS (optional)
+ * @param {boolean} raw.buyItNow - Only "Buy It Now" listings (optional)
+ * @returns {Object} { value: Object|null, error: string|null }
+ */
+function normalizeSearchQuery(raw) {
+  if (!raw || typeof raw !== "object") {
+    return { value: null, error: "Missing field: query" };
+  }
+
+  const keywords = typeof raw.keywords === "string" ? raw.keywords.trim() : "";
+  const categoryId =
+    raw.categoryId === undefined || raw.categoryId === null
+      ? ""
+      : String(raw.categoryId).trim();
+
+  if (!keywords && !categoryId) {
+    return {
+      value: null,
+      error: "A search needs keywords, a categoryId or both",
+    };
+  }
+  if (categoryId && !/^\d+$/.test(categoryId)) {
+    return { value: null, error: "Invalid categoryId (must be numeric)" };
+  }
+
+  const prices = normalizePriceRange(raw.minPrice, raw.maxPrice);
+  if (prices.error) return prices;
+
+  const conditions = normalizeConditions(raw.condition);
+  if (conditions.error) return conditions;
+
+  return {
+    value: {
+      keywords: keywords || null,
+      categoryId: categoryId || null,
+      ...prices.value,
+      condition: conditions.value,
+      buyItNow: raw.buyItNow === true || raw.buyItNow === "true",
+    },
+    error: null,
+  };
+}
+
+/**
+ * Builds the search URL of a search monitor query
+ * @param {Object} query - Normalized query (see normalizeSearchQuery)
+ * @param {Object} marketplace - Marketplace definition
+ * @param {Object} options - URL options
+ * @param {boolean} options.sold - Sold items instead of active listings (default: false)
+ * @param {number} options.pageNum - Results page number (1-based, default: 1)
+ * @returns {string} Search URL
+ */
+function buildSearchUrl(
+  query,
+  marketplace,
+  { sold = false, pageNum = 1 } = {}
+) {
+  const params = new URLSearchParams();
+  params.set("_nkw", query.keywords || "");
+  params.set("_sacat", query.categoryId || "0");
+  applyFilterParams(params, {
+    ...query,
+    format: query.buyItNow ? "buy_it_now" : null,
+  });
+  if (sold) {
+    params.set("LH_Sold", "1");
+    params.set("LH_Complete", "1");
+  }
+  // Newest first: newly listed for listings, most recently ended for solds
+  params.set("_sop", sold ? "13" : "10");
+  params.set("_ipg", "240");
+  if (pageNum > 1) {
+    params.set("_pgn", String(pageNum));
+  }
+
+  return `https://${marketplace.domain}/sch/i.html?${params.toString()}`;
+}
+
+/**
+ * Summarizes a search query for logs and notifications
+ * @param {Object} query - Normalized query
+ * @returns {string} e.g. '"lego 75192" in category 19006, 100-500, new, Buy It Now'
+ */
+function describeSearchQuery(query) {
+  const parts = [query.keywords ? `"${query.keywords}"` : "any item"];
+  if (query.categoryId) parts[0] += ` in category ${query.categoryId}`;
+  if (query.minPrice !== null || query.maxPrice !== null) {
+    parts.push(`${query.minPrice ?? 0}-${query.maxPrice ?? "∞"}`);
+  }
+  if (query.condition && query.condition.length > 0) {
+    parts.push(query.condition.join("/"));
+  }
+  if (query.buyItNow) parts.push("Buy It Now");
+  return parts.join(", ");
+}
+
+module.exports = {
+  CONDITION_IDS,
+  SEARCH_WATCH_MODES,
+  normalizeSearchQuery,
+  buildSearchUrl,
+  describeSearchQuery,
+};
@@ -0,0 +1,189 @@
+const { getSelectorProfile } = require("./selectors");
+
+// Pages kept per page kind
+const HISTORY_SIZE = 50;
+// Latest pages compared against the ones before them
+const RECENT_PAGES = 5;
+// Rise in the share of cards missing a field, in percentage points, that counts as drift
+const SELECTOR_DRIFT_THRESHOLD = parseFloat(
+  process.env.SELECTOR_DRIFT_THRESHOLD || "25"
+);
+
+// Fields watched for drift; 'date' is the listed or sold date of the page kind
+const WATCHED_FIELDS = {
+  title: "title",
+  price: "price",
+  date: { listings: "listedDate", sold: "soldDate" },
+};
+
+// Parsed pages per kind ('listings', 'sold'), oldest first
+const history = new Map();
+
+/**
+ * Gets the profile field behind a watched field
+ * @param {string} field - Watched field ('title', 'price' or 'date')
+ * @param {string} kind - Page kind
+ * @returns {string} Profile field
+ */
+function profileField(field, kind) {
+  const mapped = WATCHED_FIELDS[field];
+  return typeof mapped === "string" ? mapped : mapped[kind] || mapped.listings;
+}
+
+/**
+ * Records the parse statistics of one page
+ * @param {string} kind - Page kind ('listings', 'sold', ...)
+ * @param {Object} stats - Parse statistics filled by the parser
+ */
+function recordParse(kind, stats) {
+  // Pages without cards (empty results) say nothing about the selectors
+  if (!stats || stats.cards === 0) return;
+
+  const wasDrifting = detectDrift(kind).length > 0;
+  if (!history.has(kind)) {
+    history.set(kind, []);
+  }
+  const pages = history.get(kind);
+  pages.push({ ...stats, at: new Date().toISOString() });
+  if (pages.length > HISTORY_SIZE) {
+    pages.shift();
+  }
+
+  const alerts = detectDrift(kind);
+  if (alerts.length > 0 && !wasDrifting) {
+    console.warn(
+      `Selector drift on ${kind} pages: ${alerts
+        .map(
+          (alert) =>
+            `${alert.field} missing on ${alert.recentPercent}% of cards (was ${alert.baselinePercent}%)`
+        )
+        .join(", ")}`
+    );
+  }
+}
+
+/**
+ * Sums the cards of some pages and the share missing each watched field
+ * @param {Array} pages - Recorded pages
+ * @param {string} kind - Page kind
+ * @returns {Object} { pages, cards, missingPercent: { title, price, date } }
+ */
+function summarize(pages, kind) {
+  const cards = pages.reduce((sum, page) => sum + page.cards, 0);
+  const missingPercent = {};
+  for (const field of Object.keys(WATCHED_FIELDS)) {
+    const name = profileField(field, kind);
+    const missing = pages.reduce(
+      (sum, page) =>
+        sum + (page.fields[name] ? page.fields[name].missing : page.cards),
+      0
+    );
+    missingPercent[field] =
+      cards > 0 ? Math.round((missing / cards) * 100) : null;
+  }
+  return { pages: pages.length, cards, missingPercent };
+}
+
+/**
+ * Compares the latest pages of a kind with the ones before them
+ * @param {string} kind - Page kind
+ * @returns {Array} Alerts { field, recentPercent, baselinePercent }, empty without drift
+ */
+function detectDrift(kind) {
+  const pages = history.get(kind) || [];
+  // A baseline needs at least as many pages as the recent window
+  if (pages.length < RECENT_PAGES * 2) return [];
+
+  const recent = summarize(pages.slice(-RECENT_PAGES), kind);
+  const baseline = summarize(pages.slice(0, -RECENT_PAGES), kind);
+
+  return Object.keys(WATCHED_FIELDS)
+    .filter(
+      (field) =>
+        recent.missingPercent[field] - baseline.missingPercent[field] >=
+        SELECTOR_DRIFT_THRESHOLD
+    )
+    .map((field) => ({
+      field,
+      recentPercent: recent.missingPercent[field],
+      baselinePercent: baseline.missingPercent[field],
+    }));
+}
+
+/**
+ * Adds up which fallback selector matched each field over some pages
+ * @param {Array} pages - Recorded pages
+ * @param {Object} selectors - Search selectors of the current profile
+ * @returns {Object} Per field: { missing, matches: [{ selector, count }] }
+ */
+function countFallbacks(pages, selectors) {
+  const fallbacks = {};
+  for (const page of pages) {
+    for (const [field, entry] of Object.entries(page.fields)) {
+      if (!fallbacks[field]) {
+        fallbacks[field] = {
+          missing: 0,
+          matches: (selectors[field] || []).map((selector) => ({
+            selector,
+            count: 0,
+          })),
+        };
+      }
+      fallbacks[field].missing += entry.missing;
+      for (const [index, count] of Object.entries(entry.matches)) {
+        const match = fallbacks[field].matches[index];
+        if (match) match.count += count;
+      }
+    }
+  }
+  return fallbacks;
+}
+
+/**
+ * Builds the selector health report of every page kind seen so far
+ * @returns {Object} { status, profile, thresholdPoints, kinds }
+ */
+function getSelectorHealth() {
+  const profile = getSelectorProfile();
+  const kinds = {};
+
+  for (const [kind, pages] of history) {
+    const alerts = detectDrift(kind);
+    const recentPages = pages.slice(-RECENT_PAGES);
+    kinds[kind] = {
+      status: alerts.length > 0 ? "drift" : "ok",
+      alerts,
+      recent: summarize(recentPages, kind),
+      baseline:
+        pages.length > RECENT_PAGES
+          ? summarize(pages.slice(0, -RECENT_PAGES), kind)
+          : null,
+      versions: [...new Set(pages.map((page) => page.version))],
+      // Fallbacks of the current profile version only; indexes of older versions differ
+      fallbacks: countFallbacks(
+        pages.filter((page) => page.version === profile.version),
+        profile.search
+      ),
+      lastParsedAt: pages[pages.length - 1].at,
+    };
+  }
+
+  return {
+    status: Object.values(kinds).some((entry) => entry.status === "drift")
+      ? "drift"
+      : "ok",
+    profile: {
+      version: profile.version,
+      source: profile.source,
+      loadedAt: profile.loadedAt,
+    },
+    thresholdPoints: SELECTOR_DRIFT_THRESHOLD,
+    kinds,
+  };
+}
+
+module.exports = {
+  recordParse,
+  detectDrift,
+  getSelectorHealth,
+};
@@ -0,0 +1,168 @@
+const fs = require("fs");
+const path = require("path");
+
+// Selector profile shipped with the code
+const DEFAULT_PROFILE_PATH = path.join(__dirname, "..", "selectors.json");
+// Optional profile whose fields replace the shipped ones (edited without a code change)
+const SELECTOR_PROFILE_PATH = process.env.SELECTOR_PROFILE_PATH || null;
+
+// Fields every profile must define
+const SEARCH_FIELDS = [
+  "card",
+  "newListingBadge",
+  "title",
+  "link",
+  "price",
+  "priceStrikethrough",
+  "image",
+  "listedDate",
+  "soldDate",
+  "shipping",
+  "seller",
+  "nextPage",
+  "resultCount",
+];
+
+// Last profile that loaded, with the file modification times it was read at
+let loaded = null;
+
+/**
+ * Gets the modification time of a profile file
+ * @param {string} file - Profile path
+ * @returns {number|null} Modification time in ms, or null if the file is missing
+ */
+function getModifiedTime(file) {
+  try {
+    return fs.statSync(file).mtimeMs;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Checks that a profile defines a non-empty selector list for every field
+ * @param {Object} profile - Selector profile
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateProfile(profile) {
+  if (!profile.version) {
+    return "missing version";
+  }
+  for (const field of SEARCH_FIELDS) {
+    const selectors = profile.search[field];
+    if (
+      !Array.isArray(selectors) ||
+      selectors.length === 0 ||
+      selectors.some((selector) => typeof selector !== "string" || !selector)
+    ) {
+      return `search.${field} must be a non-empty list of selectors`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads the shipped profile and applies SELECTOR_PROFILE_PATH on top of it
+ * @returns {Object} Selector profile { version, source, search }
+ * @throws {Error} If a file cannot be read or the result is invalid
+ */
+function readProfile() {
+  const base = JSON.parse(fs.readFileSync(DEFAULT_PROFILE_PATH, "utf8"));
+  const custom = SELECTOR_PROFILE_PATH
+    ? JSON.parse(fs.readFileSync(SELECTOR_PROFILE_PATH, "utf8"))
+    : {};
+
+  const profile = {
+    version: custom.version || base.version,
+    source: SELECTOR_PROFILE_PATH || "selectors.json",
+    search: { ...base.search, ...(custom.search || {}) },
+  };
+  const error = validateProfile(profile);
+  if (error) {
+    throw new Error(`Invalid selector profile: ${error}`);
+  }
+  return profile;
+}
+
+/**
+ * Gets the current selector profile, reloading it when a profile file changed.
+ * A profile that fails to load is logged and the last good one kept.
+ * @returns {Object} Selector profile { version, source, loadedAt, search }
+ */
+function getSelectorProfile() {
+  const mtimes = [DEFAULT_PROFILE_PATH, SELECTOR_PROFILE_PATH]
+    .filter(Boolean)
+    .map(getModifiedTime)
+    .join(":");
+  if (loaded && loaded.mtimes === mtimes) {
+    return loaded.profile;
+  }
+
+  try {
+    const profile = { ...readProfile(), loadedAt: new Date().toISOString() };
+    if (loaded) {
+      console.log(`Reloaded selector profile ${profile.version}`);
+    }
+    loaded = { profile, mtimes };
+  } catch (error) {
+    if (!loaded) throw error;
+    console.error(
+      `Keeping selector profile ${loaded.profile.version}: ${error.message}`
+    );
+    loaded = { ...loaded, mtimes };
+  }
+  return loaded.profile;
+}
+
+/**
+ * Creates the record of which selector matched each field while parsing one page
+ * @param {string} version - Profile version the page was parsed with
+ * @returns {Object} Parse statistics { version, cards, fields }
+ */
+function createParseStats(version = null) {
+  return { version, cards: 0, fields: {} };
+}
+
+/**
+ * Records the fallback that matched a field (or that none did)
+ * @param {Object|null} stats - Parse statistics (ignored when null)
+ * @param {string} field - Profile field
+ * @param {number} index - Index of the matching selector, -1 when missing
+ */
+function recordMatch(stats, field, index) {
+  if (!stats) return;
+  if (!stats.fields[field]) {
+    stats.fields[field] = { matches: {}, missing: 0 };
+  }
+  const entry = stats.fields[field];
+  if (index < 0) {
+    entry.missing++;
+  } else {
+    entry.matches[index] = (entry.matches[index] || 0) + 1;
+  }
+}
+
+/**
+ * Tries a field's selectors in order and keeps the first value found
+ * @param {Cheerio} $scope - Element searched
+ * @param {Array<string>} selectors - Fallback selectors of the field
+ * @param {Function} read - ($matches) => value, falsy when the selector did not yield one
+ * @returns {Object} { value, index } (index -1 and value null when nothing matched)
+ */
+function matchFirst($scope, selectors, read) {
+  for (let index = 0; index < selectors.length; index++) {
+    const value = read($scope.find(selectors[index]));
+    if (value) {
+      return { value, index };
+    }
+  }
+  return { value: null, index: -1 };
+}
+
+module.exports = {
+  SEARCH_FIELDS,
+  getSelectorProfile,
+  createParseStats,
+  recordMatch,
+  matchFirst,
+};
@@ -1,8 +1,27 @@
 const fs = require("fs").promises;
 const path = require("path");
+const { DEFAULT_MARKETPLACE } = require("./marketplaces");
 
 const SELLERS_FILE = path.join(__dirname, "..", "sellers.json");
 
+// Tail of the chain of changes to sellers.json; each change waits for the
+// previous one so concurrent seller checks do not overwrite each other
+let pendingWrite = Promise.resolve();
+
+/**
+ * Wraps a function that loads, changes and saves sellers so that calls run
+ * one at a time
+ * @param {Function} fn - Async function changing sellers.json
+ * @returns {Function} Serialized function with the same arguments and result
+ */
+function serialized(fn) {
+  return (...args) => {
+    const result = pendingWrite.then(() => fn(...args));
+    pendingWrite = result.catch(() => {});
+    return result;
+  };
+}
+
 /**
  * Loads sellers from JSON file
  * @returns {Promise<Array>} Array of seller objects
@@ -53,12 +72,30 @@ async function loadSellers() {
   }
 }
 
+/**
+ * Loads the settings of the whole monitor (e.g. a global pause) from the
+ * JSON file
+ * @returns {Promise<Object>} Monitor settings ({} when none are stored)
+ */
+async function loadMonitorState() {
+  try {
+    const json = JSON.parse(await fs.readFile(SELLERS_FILE, "utf8"));
+    return (json && json.monitor) || {};
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("Error loading monitor settings:", error.message);
+    }
+    return {};
+  }
+}
+
 /**
  * Saves sellers to JSON file with atomic write (backup + write)
  * @param {Array} sellers - Array of seller objects
+ * @param {Object} monitor - Monitor settings (default: keep the stored ones)
  * @returns {Promise<boolean>} Success status
  */
-async function saveSellers(sellers) {
+async function saveSellers(sellers, monitor) {
   try {
     // Validate sellers is an array
     if (!Array.isArray(sellers)) {
@@ -78,9 +115,20 @@ async function saveSellers(sellers) {
       }
     }
 
+    if (monitor === undefined && backupData) {
+      try {
+        monitor = JSON.parse(backupData).monitor;
+      } catch (error) {
+        // Unreadable file; the sellers are written without monitor settings
+      }
+    }
+
     const data = {
       sellers: sellers,
     };
+    if (monitor) {
+      data.monitor = monitor;
+    }
 
     const jsonString = JSON.stringify(data, null, 2);
 
@@ -125,9 +173,20 @@ async function saveSellers(sellers) {
  * @param {string} storeName - eBay store name
  * @param {string} ssn - Seller SSN/username
  * @param {string} type - Seller type: 'listings' or 'sold'
+ * @param {Object} options - Optional seller settings
+ * @param {number} options.soldLookbackDays - Sold lookback window override in days
+ * @param {string} options.marketplace - Marketplace ID (e.g. 'us', 'uk', 'de')
+ * @param {boolean} options.inventoryMode - Track the full active inventory (listings only)
+ * @param {string} options.priceChangeThreshold - Price change alert threshold override (e.g. "2.50", "5%")
+ * @param {boolean} options.stickyProxy - Pin the seller to one proxy and fingerprint (null = PROXY_STICKY)
+ * @param {Object} options.filters - Store category, format, condition and price filters (null = none)
+ * @param {Object} options.schedule - Check interval or cron and active hours (null = MONITOR_INTERVAL)
+ * @param {boolean} options.notifyExisting - Notify the items found by the first check instead of storing them silently
+ * @param {string} options.group - Group whose webhooks the seller uses (null = none)
+ * @param {Object} options.webhooks - Own webhook URLs { listings, sold } (null = group or global webhooks)
  * @returns {Promise<Object>} Result object
  */
-async function addSeller(storeName, ssn, type) {
+async function addSeller(storeName, ssn, type, options = {}) {
   let sellers;
   try {
     sellers = await loadSellers();
@@ -171,10 +230,29 @@ async function addSeller(storeName, ssn, type) {
     ssn: trimmedSsn,
     username: trimmedSsn, // Keep for backward compatibility
     type: type, // 'listings' or 'sold'
+    marketplace: options.marketplace || DEFAULT_MARKETPLACE,
     lastCheckedListings: null,
     lastCheckedSold: null,
     knownListings: type === "listings" ? [] : undefined, // Track known listings
     knownSoldItems: type === "sold" ? [] : undefined, // Track known sold items
+    knownSaleEvents: type === "sold" ? [] : undefined, // Track sales by item and sold date
+    soldListings: type === "sold" ? {} : undefined, // Running units sold per listing
+    inventoryMode:
+      type === "listings" ? options.inventoryMode === true : undefined, // Track full active inventory
+    knownPrices: type === "listings" ? {} : undefined, // Last seen price per item
+    priceChangeThreshold:
+      type === "listings" ? options.priceChangeThreshold || null : undefined, // null = global default
+    soldLookbackDays:
+      type === "sold" ? options.soldLookbackDays || null : undefined, // null = global default
+    stickyProxy:
+      typeof options.stickyProxy === "boolean" ? options.stickyProxy : null, // null = global default
+    filters: options.filters || null, // null = whole store, every listing
+    schedule: options.schedule || null, // null = MONITOR_INTERVAL
+    nextCheckAt: null, // null = due on the next run
+    notifyExisting: options.notifyExisting === true, // Notify what the first check finds
+    baselinePending: options.notifyExisting !== true, // Next check only records what it finds
+    group: options.group || null, // null = no group
+    webhooks: options.webhooks || null, // null = group or global webhooks
     addedAt: new Date().toISOString(),
   };
 
@@ -195,6 +273,135 @@ async function addSeller(storeName, ssn, type) {
   }
 }
 
+/**
+ * Builds a unique search monitor ID from its name
+ * @param {string} name - Search name
+ * @param {Array} sellers - Existing records
+ * @returns {string} ID such as 'search-lego-75192' (suffixed with -2, -3, ... if taken)
+ */
+function buildSearchId(name, sellers) {
+  const slug =
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 40) || "query";
+  const taken = new Set(sellers.map((s) => s.id).filter(Boolean));
+
+  let id = `search-${slug}`;
+  for (let n = 2; taken.has(id); n++) {
+    id = `search-${slug}-${n}`;
+  }
+  return id;
+}
+
+/**
+ * Adds a search monitor (keyword/category query across all sellers)
+ * @param {string} name - Display name of the search
+ * @param {Object} query - Normalized search query (see utils/searchQuery.js)
+ * @param {Object} options - Optional search settings
+ * @param {string} options.watch - 'listings', 'sold' or 'both' (default: 'both')
+ * @param {string} options.marketplace - Marketplace ID (e.g. 'us', 'uk', 'de')
+ * @param {number} options.soldLookbackDays - Sold lookback window override in days
+ * @param {boolean} options.stickyProxy - Pin the search to one proxy and fingerprint (null = PROXY_STICKY)
+ * @param {Object} options.schedule - Check interval or cron and active hours (null = MONITOR_INTERVAL)
+ * @returns {Promise<Object>} Result object
+ */
+async function addSearch(name, query, options = {}) {
+  let sellers;
+  try {
+    sellers = await loadSellers();
+  } catch (error) {
+    return {
+      success: false,
+      message: `Failed to load sellers: ${error.message}`,
+    };
+  }
+
+  const trimmedName = name ? name.trim() : "";
+  if (!trimmedName) {
+    return {
+      success: false,
+      message: "A search name is required and cannot be empty",
+    };
+  }
+
+  const newSearch = {
+    id: buildSearchId(trimmedName, sellers),
+    type: "search",
+    name: trimmedName,
+    query,
+    watch: options.watch || "both",
+    marketplace: options.marketplace || DEFAULT_MARKETPLACE,
+    lastCheckedListings: null, // null until the first check stored a baseline
+    lastCheckedSold: null,
+    knownListings: [], // Track known listings
+    knownSaleEvents: [], // Track sales by item and sold date
+    soldListings: {}, // Running units sold per listing
+    soldLookbackDays: options.soldLookbackDays || null, // null = global default
+    stickyProxy:
+      typeof options.stickyProxy === "boolean" ? options.stickyProxy : null, // null = global default
+    schedule: options.schedule || null, // null = MONITOR_INTERVAL
+    nextCheckAt: null, // null = due on the next run
+    addedAt: new Date().toISOString(),
+  };
+
+  sellers.push(newSearch);
+  const saved = await saveSellers(sellers);
+
+  if (saved) {
+    return {
+      success: true,
+      message: `Search "${trimmedName}" added successfully`,
+      search: newSearch,
+    };
+  } else {
+    return {
+      success: false,
+      message: "Failed to save search",
+    };
+  }
+}
+
+/**
+ * Removes a search monitor
+ * @param {string} id - Search monitor ID
+ * @returns {Promise<Object>} Result object
+ */
+async function removeSearch(id) {
+  let sellers;
+  try {
+    sellers = await loadSellers();
+  } catch (error) {
+    return {
+      success: false,
+      message: `Failed to load sellers: ${error.message}`,
+    };
+  }
+
+  const filtered = sellers.filter((s) => !(s.type === "search" && s.id === id));
+  if (filtered.length === sellers.length) {
+    return {
+      success: false,
+      message: `Search "${id}" not found`,
+    };
+  }
+
+  const saved = await saveSellers(filtered);
+
+  if (saved) {
+    return {
+      success: true,
+      message: `Search "${id}" removed successfully`,
+    };
+  } else {
+    return {
+      success: false,
+      message: "Failed to remove search",
+    };
+  }
+}
+
 /**
  * Removes a seller from monitoring
  * @param {string} ssn - Seller SSN/username
@@ -242,7 +449,7 @@ async function removeSeller(ssn, type) {
 
 /**
  * Gets all monitored sellers
- * @param {string} type - Optional: filter by type ('listings' or 'sold')
+ * @param {string} type - Optional: filter by type ('listings', 'sold' or 'search')
  * @returns {Promise<Array>} Array of seller objects
  */
 async function getAllSellers(type = null) {
@@ -261,9 +468,9 @@ async function getAllSellers(type = null) {
 
 /**
  * Updates seller data
- * @param {string} ssn - Seller SSN/username
+ * @param {string} ssn - Seller SSN/username, or search monitor ID
  * @param {Object} updates - Updates to apply
- * @param {string} type - Optional: seller type ('listings' or 'sold') to find specific seller
+ * @param {string} type - Optional: seller type ('listings', 'sold' or 'search') to find specific seller
  * @returns {Promise<Object>} Result object
  */
 async function updateSeller(ssn, updates, type = null) {
@@ -279,7 +486,8 @@ async function updateSeller(ssn, updates, type = null) {
   // Find seller by ssn/username and type (if provided)
   const sellerIndex = sellers.findIndex(
     (s) =>
-      (s.ssn === ssn || s.username === ssn) && (type ? s.type === type : true)
+      (s.ssn === ssn || s.username === ssn || (s.id && s.id === ssn)) &&
+      (type ? s.type === type : true)
   );
 
   if (sellerIndex === -1) {
@@ -312,10 +520,65 @@ async function updateSeller(ssn, updates, type = null) {
   }
 }
 
+/**
+ * Updates the settings of the whole monitor
+ * @param {Object} updates - Settings to apply (e.g. { paused, pausedUntil })
+ * @returns {Promise<Object>} Result object with the new settings
+ */
+async function updateMonitorState(updates) {
+  let sellers;
+  try {
+    sellers = await loadSellers();
+  } catch (error) {
+    return {
+      success: false,
+      message: `Failed to load sellers: ${error.message}`,
+    };
+  }
+
+  const monitor = { ...(await loadMonitorState()), ...updates };
+  const saved = await saveSellers(sellers, monitor);
+
+  if (saved) {
+    return { success: true, monitor };
+  } else {
+    return {
+      success: false,
+      message: "Failed to update monitor settings",
+    };
+  }
+}
+
+/**
+ * Sets or removes the webhook destinations of a seller group
+ * @param {string} group - Group name
+ * @param {Object|null} routes - Webhook URLs { listings, sold }, or null to remove the group
+ * @returns {Promise<Object>} Result object with all groups
+ */
+async function setWebhookGroup(group, routes) {
+  const { webhookGroups = {} } = await loadMonitorState();
+  const groups = { ...webhookGroups };
+  if (routes) {
+    groups[group] = routes;
+  } else {
+    delete groups[group];
+  }
+
+  const result = await updateMonitorState({ webhookGroups: groups });
+  return result.success
+    ? { success: true, webhookGroups: groups }
+    : { success: false, message: "Failed to save webhook groups" };
+}
+
 module.exports = {
-  addSeller,
-  removeSeller,
+  addSeller: serialized(addSeller),
+  removeSeller: serialized(removeSeller),
+  addSearch: serialized(addSearch),
+  removeSearch: serialized(removeSearch),
   getAllSellers,
-  updateSeller,
+  updateSeller: serialized(updateSeller),
+  updateMonitorState: serialized(updateMonitorState),
+  setWebhookGroup: serialized(setWebhookGroup),
+  loadMonitorState,
   loadSellers,
 };
@@ -0,0 +1,198 @@
+const WEBHOOK_KINDS = ["listings", "sold"];
+
+// Destinations one seller or group can post each kind of webhook to
+const MAX_ROUTE_URLS = 5;
+
+const GROUP_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+
+/**
+ * Validates an optional seller group name from a request value
+ * @param {*} value - Raw value from body (e.g. "Lego-Sets")
+ * @returns {Object} { value: string|null, error: string|null } - Name in lower case
+ */
+function parseGroupName(value) {
+  if (value === undefined || value === null || value === "") {
+    return { value: null, error: null };
+  }
+  const name = typeof value === "string" ? value.trim().toLowerCase() : "";
+  if (!GROUP_NAME_PATTERN.test(name)) {
+    return {
+      value: null,
+      error:
+        "Invalid group (use up to 50 letters, digits, dashes or underscores)",
+    };
+  }
+  return { value: name, error: null };
+}
+
+/**
+ * Validates one or more webhook URLs
+ * @param {*} value - URL or array of URLs
+ * @param {string} name - Field name (for the error message)
+ * @returns {Object} { value: Array<string>|null, error: string|null }
+ */
+function parseUrlList(value, name) {
+  if (value === undefined || value === null || value === "") {
+    return { value: null, error: null };
+  }
+  const urls = Array.isArray(value) ? value : [value];
+  if (urls.length > MAX_ROUTE_URLS) {
+    return {
+      value: null,
+      error: `Too many ${name} webhooks (at most ${MAX_ROUTE_URLS})`,
+    };
+  }
+
+  const parsed = [];
+  for (const url of urls) {
+    let valid = false;
+    try {
+      valid =
+        typeof url === "string" &&
+        ["http:", "https:"].includes(new URL(url).protocol);
+    } catch (error) {
+      // Not a URL
+    }
+    if (!valid) {
+      return {
+        value: null,
+        error: `Invalid ${name} webhook (must be an http(s) URL)`,
+      };
+    }
+    if (!parsed.includes(url)) parsed.push(url);
+  }
+  return { value: parsed.length > 0 ? parsed : null, error: null };
+}
+
+/**
+ * Validates the webhook destinations of a seller or group from a request value
+ * @param {*} value - Raw value, e.g. { listings: "https://...", sold: ["https://...", ...] }
+ * @returns {Object} { value: { listings, sold }|null, error: string|null } - null when no destination is set
+ */
+function parseWebhookRoutes(value) {
+  if (value === undefined || value === null || value === "") {
+    return { value: null, error: null };
+  }
+  if (typeof value !== "object" || Array.isArray(value)) {
+    return {
+      value: null,
+      error: "Invalid webhooks (must be an object with listings and/or sold)",
+    };
+  }
+  const unknown = Object.keys(value).filter((k) => !WEBHOOK_KINDS.includes(k));
+  if (unknown.length > 0) {
+    return {
+      value: null,
+      error: `Unknown webhooks field(s): ${unknown.join(
+        ", "
+      )} (use listings and/or sold)`,
+    };
+  }
+
+  const routes = {};
+  for (const kind of WEBHOOK_KINDS) {
+    const urls = parseUrlList(value[kind], kind);
+    if (urls.error) return urls;
+    routes[kind] = urls.value;
+  }
+  if (!routes.listings && !routes.sold) {
+    return { value: null, error: null };
+  }
+  return { value: routes, error: null };
+}
+
+/**
+ * Gets which kinds of webhook a seller or search sends
+ * @param {Object} entry - Seller or search record
+ * @returns {Array<string>} 'listings' and/or 'sold'
+ */
+function getWatchedKinds(entry) {
+  const watch = entry.type === "search" ? entry.watch || "both" : entry.type;
+  return WEBHOOK_KINDS.filter((kind) => watch === "both" || watch === kind);
+}
+
+/**
+ * Works out where the webhooks of a seller or search go. The seller's own
+ * destinations come first, then those of its group, then the global webhook.
+ * @param {Object} entry - Seller or search record
+ * @param {Object} groups - Destinations by group name (from the monitor settings)
+ * @param {Object} globals - Global webhook URL per kind { listings, sold }
+ * @returns {Object} Per kind: { urls, source: 'seller'|'group'|'global'|null } (no URLs for kinds the entry does not send)
+ */
+function getWebhookRoutes(entry, groups, globals) {
+  const watched = getWatchedKinds(entry);
+  const group = entry.group && groups ? groups[entry.group] : null;
+  const routes = {};
+  for (const kind of WEBHOOK_KINDS) {
+    const own = entry.webhooks && entry.webhooks[kind];
+    const shared = group && group[kind];
+    if (!watched.includes(kind)) {
+      routes[kind] = { urls: [], source: null };
+    } else if (own && own.length > 0) {
+      routes[kind] = { urls: own, source: "seller" };
+    } else if (shared && shared.length > 0) {
+      routes[kind] = { urls: shared, source: "group" };
+    } else if (globals[kind]) {
+      routes[kind] = { urls: [globals[kind]], source: "global" };
+    } else {
+      routes[kind] = { urls: [], source: null };
+    }
+  }
+  return routes;
+}
+
+/**
+ * Checks whether a seller or search has anywhere to send its webhooks
+ * @param {Object} routes - Result of getWebhookRoutes
+ * @returns {boolean} True if at least one kind has a destination
+ */
+function hasWebhooks(routes) {
+  return WEBHOOK_KINDS.some((kind) => routes[kind].urls.length > 0);
+}
+
+/**
+ * Hides the secret part of a webhook URL for the API
+ * @param {string} url - Webhook URL (e.g. https://discord.com/api/webhooks/123/abc)
+ * @returns {string} URL with its last path segment masked (e.g. https://discord.com/api/webhooks/123/***)
+ */
+function maskWebhookUrl(url) {
+  try {
+    const { origin, pathname } = new URL(url);
+    const segments = pathname.split("/").filter(Boolean);
+    if (segments.length === 0) return `${origin}/***`;
+    return `${origin}/${[...segments.slice(0, -1), "***"].join("/")}`;
+  } catch (error) {
+    return "***";
+  }
+}
+
+/**
+ * Masks every URL of seller or group destinations for the API
+ * @param {Object|null} routes - { listings, sold } URL lists, or getWebhookRoutes result
+ * @returns {Object|null} Same shape with masked URLs
+ */
+function maskWebhookRoutes(routes) {
+  if (!routes) return null;
+  const masked = {};
+  for (const kind of WEBHOOK_KINDS) {
+    const route = routes[kind];
+    if (Array.isArray(route)) {
+      masked[kind] = route.map(maskWebhookUrl);
+    } else if (route && Array.isArray(route.urls)) {
+      masked[kind] = { ...route, urls: route.urls.map(maskWebhookUrl) };
+    } else {
+      masked[kind] = route || null;
+    }
+  }
+  return masked;
+}
+
+module.exports = {
+  WEBHOOK_KINDS,
+  parseGroupName,
+  parseWebhookRoutes,
+  getWebhookRoutes,
+  hasWebhooks,
+  maskWebhookUrl,
+  maskWebhookRoutes,
+};
@@ -1,8 +1,18 @@
 const axios = require("axios");
+const { getOrigin } = require("./marketplaces");
+const { formatAmount } = require("./price");
+const { createLimiter } = require("./workerPool");
 
 // Rate limiting state per webhook URL
 const rateLimitState = new Map();
 
+// Webhook posts in flight at once and the shortest gap between two posts
+// (Discord allows about 30 messages per minute per webhook)
+const notificationQueue = createLimiter({
+  concurrency: parseInt(process.env.WEBHOOK_CONCURRENCY || "1", 10),
+  minDelayMs: parseInt(process.env.WEBHOOK_DELAY_MS || "2500", 10),
+});
+
 /**
  * Sleep utility function
  * @param {number} ms - Milliseconds to sleep
@@ -12,6 +22,113 @@ function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+/**
+ * Formats an ISO timestamp as a Discord timestamp, which renders in the reader's timezone
+ * @param {string} isoString - ISO timestamp
+ * @returns {string|null} Discord timestamp markup, or null if not set
+ */
+function formatDiscordTimestamp(isoString) {
+  if (!isoString) return null;
+  return `<t:${Math.floor(new Date(isoString).getTime() / 1000)}:f>`;
+}
+
+/**
+ * Formats the price field of an embed from the structured price
+ * @param {Object} item - Listing or sold item
+ * @returns {string} Price text
+ */
+function formatPriceValue(item) {
+  const details = item.priceDetails;
+  if (!details || details.amount === null) {
+    return item.price || "N/A";
+  }
+
+  const display = details.isRange
+    ? `${formatAmount(details.min, details.currency)} – ${formatAmount(
+        details.max,
+        details.currency
+      )}`
+    : details.raw || formatAmount(details.amount, details.currency);
+
+  // eBay only shows the struck-through listing price for accepted offers
+  return details.bestOfferAccepted
+    ? `~~${display}~~ Best Offer accepted`
+    : display;
+}
+
+/**
+ * Builds the shipping field of an embed, if the card or item page showed shipping
+ * @param {Object} item - Listing or sold item
+ * @returns {Object|null} Embed field
+ */
+function buildShippingField(item) {
+  // Fall back to the item page when the card did not show shipping
+  const shipping =
+    (item.priceDetails && item.priceDetails.shipping) ||
+    (item.details && item.details.shipping);
+  if (!shipping) return null;
+
+  let value = shipping.free
+    ? "Free"
+    : shipping.amount === null
+    ? shipping.raw
+    : formatAmount(shipping.amount, shipping.currency);
+  if (item.details && item.details.itemLocation) {
+    value += ` from ${item.details.itemLocation}`;
+  }
+
+  return {
+    name: "Shipping",
+    value,
+    inline: true,
+  };
+}
+
+/**
+ * Builds the embed fields for item page details, if the item was enriched
+ * @param {Object} item - Listing or sold item
+ * @returns {Array<Object>} Embed fields
+ */
+function buildDetailFields(item) {
+  const details = item.details;
+  if (!details) return [];
+
+  const quantities = [
+    details.quantitySold !== null ? `${details.quantitySold} sold` : null,
+    details.quantityAvailable !== null
+      ? `${details.quantityAvailable} available`
+      : null,
+  ].filter(Boolean);
+
+  const specifics = [
+    details.brand ? `Brand: ${details.brand}` : null,
+    details.mpn ? `MPN: ${details.mpn}` : null,
+    details.upc ? `UPC: ${details.upc}` : null,
+  ].filter(Boolean);
+
+  return [
+    details.condition
+      ? { name: "Condition", value: details.condition, inline: true }
+      : null,
+    quantities.length > 0
+      ? { name: "Quantity", value: quantities.join(" · "), inline: true }
+      : null,
+    {
+      name: "Format",
+      value: `${details.format === "auction" ? "Auction" : "Buy It Now"}${
+        details.acceptsOffers ? " + Best Offer" : ""
+      }`,
+      inline: true,
+    },
+    details.watchers !== null
+      ? { name: "Watchers", value: String(details.watchers), inline: true }
+      : null,
+    specifics.length > 0
+      ? { name: "Item Specifics", value: specifics.join("\n"), inline: false }
+      : null,
+  ];
+}
+
 /**
  * Handles rate limiting with exponential backoff
  * @param {string} webhookUrl - Discord webhook URL
@@ -34,7 +151,7 @@ async function sendWithRateLimit(webhookUrl, sendFunction, maxRetries = 5) {
         await sleep(waitTime);
       }
 
-      const response = await sendFunction();
+      const response = await notificationQueue.run(sendFunction);
 
       // Success - clear any rate limit state
       if (rateLimitState.has(webhookUrl)) {
@@ -116,12 +233,14 @@ async function sendWithRateLimit(webhookUrl, sendFunction, maxRetries = 5) {
 /**
  * Sends a Discord webhook for new listings
  * @param {string} webhookUrl - Discord webhook URL
- * @param {Object} listing - Listing object
+ * @param {Object} listing - Listing object (with `searchName` when found by a search monitor)
  * @returns {Promise<boolean>} Success status
  */
 async function sendNewListingWebhook(webhookUrl, listing) {
   const embed = {
-    title: "🆕 New Listing by Seller",
+    title: listing.searchName
+      ? `🔎 New Listing for "${listing.searchName}"`
+      : "🆕 New Listing by Seller",
     color: 0x0251bc, // Green
     image: listing.imageUrl ? { url: listing.imageUrl } : undefined,
     fields: [
@@ -132,20 +251,25 @@ async function sendNewListingWebhook(webhookUrl, listing) {
       },
       {
         name: "Price",
-        value: listing.price || "N/A",
+        value: formatPriceValue(listing),
         inline: true,
       },
+      buildShippingField(listing),
+      ...buildDetailFields(listing),
       {
         name: "Listed Date",
-        value: listing.listedDate || "N/A",
+        value:
+          formatDiscordTimestamp(listing.listedAt) ||
+          listing.listedDate ||
+          "N/A",
         inline: true,
       },
       {
         name: "Seller",
         value: listing.storeName
-          ? `[${
-              listing.sellerUsername || listing.storeName
-            }](https://www.ebay.com/str/${listing.storeName})`
+          ? `[${listing.sellerUsername || listing.storeName}](${getOrigin(
+              listing.marketplace
+            )}/str/${listing.storeName})`
           : listing.sellerUsername || "N/A",
         inline: true,
       },
@@ -154,7 +278,7 @@ async function sendNewListingWebhook(webhookUrl, listing) {
         value: `[View Item](${listing.link})`,
         inline: false,
       },
-    ],
+    ].filter(Boolean),
     timestamp: new Date().toISOString(),
   };
 
@@ -168,13 +292,15 @@ async function sendNewListingWebhook(webhookUrl, listing) {
 /**
  * Sends a Discord webhook for sold items
  * @param {string} webhookUrl - Discord webhook URL
- * @param {Object} item - Sold item object
+ * @param {Object} item - Sold item object (with `searchName` when found by a search monitor)
  * @param {string} sellerUsername - Seller username
  * @returns {Promise<boolean>} Success status
  */
 async function sendSoldItemWebhook(webhookUrl, item, sellerUsername) {
   const embed = {
-    title: `💰 New Item Sold by ${sellerUsername}`,
+    title: item.searchName
+      ? `💰 Sold for "${item.searchName}"`
+      : `💰 New Item Sold by ${sellerUsername}`,
     color: 0x0251bc, // Red
     image: item.imageUrl ? { url: item.imageUrl } : undefined,
     fields: [
@@ -185,20 +311,34 @@ async function sendSoldItemWebhook(webhookUrl, item, sellerUsername) {
       },
       {
         name: "Price",
-        value: item.price || "N/A",
+        value: formatPriceValue(item),
         inline: true,
       },
+      buildShippingField(item),
+      item.unitsSold
+        ? {
+            name: "Units Sold",
+            value:
+              item.units > 1
+                ? `+${item.units} this check · ${item.unitsSold} tracked`
+                : `${item.unitsSold} tracked`,
+            inline: true,
+          }
+        : null,
+      ...buildDetailFields(item),
       {
         name: "Sold Date",
-        value: item.soldDate || "N/A",
+        value: item.soldDateUnparsed
+          ? `${item.soldDate || "N/A"} (⚠️ date not recognized)`
+          : item.soldDate || "N/A",
         inline: true,
       },
       {
         name: "Seller Name",
         value: item.storeName
-          ? `[${sellerUsername || item.storeName}](https://www.ebay.com/str/${
-              item.storeName
-            })`
+          ? `[${sellerUsername || item.storeName}](${getOrigin(
+              item.marketplace
+            )}/str/${item.storeName})`
           : sellerUsername || "N/A",
         inline: true,
       },
@@ -207,19 +347,212 @@ async function sendSoldItemWebhook(webhookUrl, item, sellerUsername) {
         value: `[View Item](${item.link})`,
         inline: false,
       },
+    ].filter(Boolean),
+    timestamp: new Date().toISOString(),
+  };
+
+  return await sendWithRateLimit(webhookUrl, async () => {
+    return await axios.post(webhookUrl, {
+      content: item.searchName
+        ? "**New Item Sold for Saved Search**"
+        : "**New Item Sold by Competitor Seller**",
+      embeds: [embed],
+    });
+  });
+}
+
+/**
+ * Sends a Discord webhook for a listing that left a seller's active inventory
+ * @param {string} webhookUrl - Discord webhook URL
+ * @param {Object} listing - Inventory snapshot entry (with itemId, sellerUsername, storeName, marketplace)
+ * @param {boolean} sold - True if the listing showed up in the seller's sold feed
+ * @returns {Promise<boolean>} Success status
+ */
+async function sendEndedListingWebhook(webhookUrl, listing, sold) {
+  const embed = {
+    title: sold ? "✅ Listing Ended (Sold)" : "🛑 Listing Ended Without Sale",
+    color: sold ? 0x2e7d32 : 0xc62828,
+    thumbnail: listing.imageUrl ? { url: listing.imageUrl } : undefined,
+    fields: [
+      {
+        name: "Item Name",
+        value: listing.title || "N/A",
+        inline: false,
+      },
+      {
+        name: "Last Price",
+        value: listing.price || "N/A",
+        inline: true,
+      },
+      {
+        name: "Listed Since",
+        value: formatDiscordTimestamp(listing.firstSeenAt) || "N/A",
+        inline: true,
+      },
+      {
+        name: "Seller",
+        value: listing.storeName
+          ? `[${listing.sellerUsername || listing.storeName}](${getOrigin(
+              listing.marketplace
+            )}/str/${listing.storeName})`
+          : listing.sellerUsername || "N/A",
+        inline: true,
+      },
+      {
+        name: "Link",
+        value: `[View Item](${listing.link})`,
+        inline: false,
+      },
+    ],
+    timestamp: new Date().toISOString(),
+  };
+
+  return await sendWithRateLimit(webhookUrl, async () => {
+    return await axios.post(webhookUrl, {
+      embeds: [embed],
+    });
+  });
+}
+
+/**
+ * Sends one Discord webhook summarizing changed listings of a seller
+ * @param {string} webhookUrl - Discord webhook URL
+ * @param {string} sellerUsername - Seller username
+ * @param {Array} changed - Changed listings from diffInventory
+ * @returns {Promise<boolean>} Success status
+ */
+async function sendListingChangesWebhook(webhookUrl, sellerUsername, changed) {
+  // Discord allows at most 25 fields per embed
+  const fields = changed.slice(0, 25).map(({ listing, changes }) => ({
+    name: (listing.title || listing.itemId).slice(0, 256),
+    value: [
+      ...changes.map(
+        (change) =>
+          `${change.field === "price" ? "Price" : "Title"}: ${
+            change.from ?? "N/A"
+          } → ${change.to ?? "N/A"}`
+      ),
+      `[View Item](${listing.link})`,
+    ]
+      .join("\n")
+      .slice(0, 1024),
+    inline: false,
+  }));
+
+  const embed = {
+    title: `✏️ ${changed.length} Listing(s) Changed by ${sellerUsername}`,
+    color: 0xf9a825,
+    fields,
+    timestamp: new Date().toISOString(),
+  };
+
+  return await sendWithRateLimit(webhookUrl, async () => {
+    return await axios.post(webhookUrl, {
+      embeds: [embed],
+    });
+  });
+}
+
+/**
+ * Sends a Discord webhook for a listing whose price changed
+ * @param {string} webhookUrl - Discord webhook URL
+ * @param {Object} change - Price change from detectPriceChanges
+ * @returns {Promise<boolean>} Success status
+ */
+async function sendPriceChangeWebhook(webhookUrl, change) {
+  const { listing, from, to, delta, percent } = change;
+  const dropped = delta < 0;
+  const sign = dropped ? "-" : "+";
+
+  const embed = {
+    title: `${dropped ? "📉" : "📈"} Price Changed by Seller`,
+    color: dropped ? 0x2e7d32 : 0xc62828,
+    thumbnail: listing.imageUrl ? { url: listing.imageUrl } : undefined,
+    fields: [
+      {
+        name: "Item Name",
+        value: listing.title || "N/A",
+        inline: false,
+      },
+      {
+        name: "Old Price",
+        value: `~~${formatAmount(from.amount, from.currency)}~~`,
+        inline: true,
+      },
+      {
+        name: "New Price",
+        value: formatPriceValue(listing),
+        inline: true,
+      },
+      {
+        name: "Change",
+        value: `${sign}${formatAmount(Math.abs(delta), to.currency)}${
+          percent === null ? "" : ` (${sign}${Math.abs(percent)}%)`
+        }`,
+        inline: true,
+      },
+      {
+        name: "Seller",
+        value: listing.storeName
+          ? `[${listing.sellerUsername || listing.storeName}](${getOrigin(
+              listing.marketplace
+            )}/str/${listing.storeName})`
+          : listing.sellerUsername || "N/A",
+        inline: true,
+      },
+      {
+        name: "Link",
+        value: `[View Item](${listing.link})`,
+        inline: false,
+      },
     ],
     timestamp: new Date().toISOString(),
   };
 
   return await sendWithRateLimit(webhookUrl, async () => {
     return await axios.post(webhookUrl, {
-      content: "**New Item Sold by Competitor Seller**",
       embeds: [embed],
     });
   });
 }
 
+// Webhook senders by the notification kind stored in the outbox
+const NOTIFICATION_SENDERS = {
+  newListing: sendNewListingWebhook,
+  soldItem: sendSoldItemWebhook,
+  endedListing: sendEndedListingWebhook,
+  listingChanges: sendListingChangesWebhook,
+  priceChange: sendPriceChangeWebhook,
+};
+
+/**
+ * Sends a notification queued in the outbox with the sender of its kind
+ * @param {Object} notification - Outbox notification { kind, webhookUrl, args }
+ * @returns {Promise<boolean>} Success status
+ * @throws {Error} If the kind is unknown
+ */
+async function sendNotification({ kind, webhookUrl, args }) {
+  const send = NOTIFICATION_SENDERS[kind];
+  if (!send) {
+    throw new Error(`Unknown notification kind: ${kind}`);
+  }
+  return send(webhookUrl, ...args);
+}
+
+/**
+ * Gets the limits and load of the webhook queue
+ * @returns {Object} { concurrency, minDelayMs, jitterMs, active, queued, completed, failed }
+ */
+function getNotificationQueueStats() {
+  return notificationQueue.getStats();
+}
+
 module.exports = {
+  getNotificationQueueStats,
   sendNewListingWebhook,
   sendSoldItemWebhook,
+  sendEndedListingWebhook,
+  sendListingChangesWebhook,
+  sendPriceChangeWebhook,
+  sendNotification,
 };
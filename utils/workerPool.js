@@ -0,0 +1,105 @@
+/**
+ * Creates a queue that runs at most `concurrency` tasks at once and starts
+ * each task at least `minDelayMs` plus a random jitter after the previous one
+ * @param {Object} options - Limits
+ * @param {number} options.concurrency - Tasks running at once (default: 1)
+ * @param {number} options.minDelayMs - Shortest gap between task starts (default: 0)
+ * @param {number} options.jitterMs - Largest random extra gap (default: 0)
+ * @returns {Object} Limiter { run(fn), getStats() }
+ */
+function createLimiter({ concurrency = 1, minDelayMs = 0, jitterMs = 0 } = {}) {
+  const limits = {
+    concurrency: Math.max(1, concurrency),
+    minDelayMs,
+    jitterMs,
+  };
+  const queue = [];
+  let active = 0;
+  let nextStartAt = 0;
+  let timer = null;
+  let completed = 0;
+  let failed = 0;
+
+  const startNext = () => {
+    if (timer) return;
+    while (queue.length > 0 && active < limits.concurrency) {
+      const waitMs = nextStartAt - Date.now();
+      if (waitMs > 0) {
+        timer = setTimeout(() => {
+          timer = null;
+          startNext();
+        }, waitMs);
+        return;
+      }
+
+      const task = queue.shift();
+      active++;
+      nextStartAt =
+        Date.now() + limits.minDelayMs + Math.random() * limits.jitterMs;
+      Promise.resolve()
+        .then(task.fn)
+        .then(
+          (result) => {
+            completed++;
+            task.resolve(result);
+          },
+          (error) => {
+            failed++;
+            task.reject(error);
+          }
+        )
+        .finally(() => {
+          active--;
+          startNext();
+        });
+    }
+  };
+
+  return {
+    /**
+     * Queues a task
+     * @param {Function} fn - Async task
+     * @returns {Promise<*>} Result of the task
+     */
+    run(fn) {
+      return new Promise((resolve, reject) => {
+        queue.push({ fn, resolve, reject });
+        startNext();
+      });
+    },
+
+    /**
+     * Gets the limits and load of the queue
+     * @returns {Object} { concurrency, minDelayMs, jitterMs, active, queued, completed, failed }
+     */
+    getStats() {
+      return { ...limits, active, queued: queue.length, completed, failed };
+    },
+  };
+}
+
+/**
+ * Runs a worker over items with at most `concurrency` items in progress
+ * @param {Array} items - Items to process, started in order
+ * @param {number} concurrency - Items in progress at once
+ * @param {Function} worker - Async (item, index) => void; should handle its own errors
+ * @returns {Promise<void>} Resolves when every item is done
+ */
+async function runPool(items, concurrency, worker) {
+  let next = 0;
+  const runners = Array.from(
+    { length: Math.min(Math.max(1, concurrency), items.length) },
+    async () => {
+      while (next < items.length) {
+        const index = next++;
+        await worker(items[index], index);
+      }
+    }
+  );
+  await Promise.all(runners);
+}
+
+module.exports = {
+  createLimiter,
+  runPool,
+};